@@ -0,0 +1,179 @@
+/**
+ * AI Runner Module Tests
+ */
+
+import { jest } from '@jest/globals';
+import { TextDecoder, TextEncoder } from 'util';
+import {
+  AI_RUNNER_STORAGE_KEY,
+  DEFAULT_AI_RUNNER_CONFIG,
+  getAIRunnerConfig,
+  saveAIRunnerConfig,
+  isAIRunnerEnabled,
+  buildChatCompletionsUrl,
+  parseSSEBuffer,
+  runChatCompletion
+} from '../../shared/js/ai-runner.js';
+import { showAIRunnerSettingsModal } from '../../shared/js/ai-runner-settings.js';
+
+global.TextDecoder = TextDecoder;
+
+const config = { ...DEFAULT_AI_RUNNER_CONFIG, enabled: true, baseUrl: 'http://localhost:8080', model: 'test-model' };
+
+/**
+ * Build a fetch response whose body streams the given SSE chunks
+ * @param {string[]} chunks
+ */
+function streamingResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(c => encoder.encode(c));
+  return {
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length ? { done: false, value: queue.shift() } : { done: true, value: undefined })
+      })
+    }
+  };
+}
+
+describe('AI runner config', () => {
+  beforeEach(() => {
+    localStorage.removeItem(AI_RUNNER_STORAGE_KEY);
+  });
+
+  test('should return defaults when nothing is saved', () => {
+    expect(getAIRunnerConfig()).toEqual(DEFAULT_AI_RUNNER_CONFIG);
+    expect(isAIRunnerEnabled()).toBe(false);
+  });
+
+  test('should merge saved settings over defaults', () => {
+    localStorage.setItem(AI_RUNNER_STORAGE_KEY, JSON.stringify({ enabled: true, model: 'qwen2.5' }));
+    const loaded = getAIRunnerConfig();
+    expect(loaded.model).toBe('qwen2.5');
+    expect(loaded.baseUrl).toBe(DEFAULT_AI_RUNNER_CONFIG.baseUrl);
+    expect(isAIRunnerEnabled()).toBe(true);
+  });
+
+  test('should fall back to defaults on corrupt storage', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem(AI_RUNNER_STORAGE_KEY, '{not json');
+    expect(getAIRunnerConfig()).toEqual(DEFAULT_AI_RUNNER_CONFIG);
+  });
+
+  test('should persist merged settings', () => {
+    const saved = saveAIRunnerConfig({ model: 'mistral' });
+    expect(saved.model).toBe('mistral');
+    expect(getAIRunnerConfig()).toEqual(saved);
+  });
+});
+
+describe('buildChatCompletionsUrl', () => {
+  test.each([
+    ['http://localhost:8080', 'http://localhost:8080/v1/chat/completions'],
+    ['http://localhost:11434/v1/', 'http://localhost:11434/v1/chat/completions'],
+    ['http://host/v1/chat/completions', 'http://host/v1/chat/completions']
+  ])('should normalize %s', (input, expected) => {
+    expect(buildChatCompletionsUrl(input)).toBe(expected);
+  });
+});
+
+describe('parseSSEBuffer', () => {
+  test('should return complete data events and keep the partial line', () => {
+    const { events, rest } = parseSSEBuffer('data: {"a":1}\n\n: keep-alive\ndata: [DONE]\ndata: {"b"');
+    expect(events).toEqual(['{"a":1}', '[DONE]']);
+    expect(rest).toBe('data: {"b"');
+  });
+});
+
+describe('runChatCompletion', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should stream deltas and return the full text', async () => {
+    global.fetch = jest.fn(async () => streamingResponse([
+      'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\ndata: {"choices":[{"del',
+      'ta":{"content":" world"}}]}\n\n',
+      'data: [DONE]\n\n'
+    ]));
+    const onToken = jest.fn();
+
+    const text = await runChatCompletion('Prompt', { config, onToken });
+
+    expect(text).toBe('Hello world');
+    expect(onToken).toHaveBeenLastCalledWith(' world', 'Hello world');
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(JSON.parse(init.body)).toMatchObject({
+      model: 'test-model',
+      stream: true,
+      messages: [{ role: 'user', content: 'Prompt' }]
+    });
+  });
+
+  test('should read non-streamed responses', async () => {
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'Full reply' } }] })
+    }));
+
+    const text = await runChatCompletion('Prompt', { config: { ...config, stream: false } });
+    expect(text).toBe('Full reply');
+  });
+
+  test('should send the API key as a bearer token', async () => {
+    global.fetch = jest.fn(async () => streamingResponse(['data: [DONE]\n']));
+    await runChatCompletion('Prompt', { config: { ...config, apiKey: 'secret' } });
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer secret');
+  });
+
+  test('should surface HTTP errors with the response detail', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 404, text: async () => 'model not found' }));
+    await expect(runChatCompletion('Prompt', { config })).rejects.toThrow('AI endpoint returned 404: model not found');
+  });
+
+  test('should explain unreachable endpoints', async () => {
+    global.fetch = jest.fn(async () => { throw new TypeError('Failed to fetch'); });
+    await expect(runChatCompletion('Prompt', { config })).rejects.toThrow('Could not reach http://localhost:8080');
+  });
+
+  test('should rethrow aborts untouched', async () => {
+    const abort = new Error('aborted');
+    abort.name = 'AbortError';
+    global.fetch = jest.fn(async () => { throw abort; });
+    await expect(runChatCompletion('Prompt', { config })).rejects.toBe(abort);
+  });
+
+  test('should require an endpoint and model', async () => {
+    await expect(runChatCompletion('Prompt', { config: { ...config, model: '' } })).rejects.toThrow('not configured');
+  });
+});
+
+describe('showAIRunnerSettingsModal', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    localStorage.removeItem(AI_RUNNER_STORAGE_KEY);
+  });
+
+  test('should save the edited settings', async () => {
+    const result = showAIRunnerSettingsModal();
+
+    document.getElementById('ai-runner-enabled').checked = true;
+    document.getElementById('ai-runner-model').value = 'phi3';
+    document.getElementById('ai-runner-save-btn').click();
+
+    const saved = await result;
+    expect(saved.enabled).toBe(true);
+    expect(saved.model).toBe('phi3');
+    expect(document.getElementById('ai-runner-settings-modal')).toBeNull();
+  });
+
+  test('should resolve null when cancelled', async () => {
+    const result = showAIRunnerSettingsModal();
+    document.getElementById('ai-runner-cancel-btn').click();
+    expect(await result).toBeNull();
+    expect(localStorage.getItem(AI_RUNNER_STORAGE_KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * AI Targets Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  AI_TARGETS_KEY,
+  loadAITargets,
+  saveAITargets,
+  getAITargets,
+  getPhaseTarget,
+  addPreamble
+} from '../../shared/js/ai-targets.js';
+import { showAITargetsSettingsModal } from '../../shared/js/ai-targets-settings.js';
+import { getPhaseMetadata, getPipeline, generatePipelinePhasePrompt } from '../../shared/js/prompts.js';
+import { renderPhaseContent, attachPhaseEventListeners } from '../../shared/js/project-view.js';
+import storage from '../../shared/js/storage.js';
+
+global.fetch = jest.fn(async () => ({
+  ok: true,
+  text: async () => 'Critique {{PHASE1_OUTPUT}}'
+}));
+
+describe('AI targets', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    await storage.saveSetting(AI_TARGETS_KEY, undefined);
+    await loadAITargets();
+    document.body.innerHTML = '';
+  });
+
+  test('should keep each phase\'s own model by default', () => {
+    expect(getPhaseMetadata(1)).toMatchObject({ aiModel: 'Claude', aiUrl: 'https://claude.ai/new', aiProvider: 'claude' });
+    expect(getPhaseMetadata(2)).toMatchObject({ aiModel: 'Gemini', aiProvider: 'gemini' });
+  });
+
+  test('should point a phase at the chosen provider', async () => {
+    await saveAITargets({ phases: { 'standard:2': 'chatgpt' } });
+
+    expect(getPhaseMetadata(2)).toMatchObject({ aiModel: 'ChatGPT', aiUrl: 'https://chatgpt.com/', aiProvider: 'chatgpt' });
+    expect(getPhaseMetadata(2, 'legal-review').aiModel).toBe('Gemini');
+    expect(getPhaseMetadata(1).aiModel).toBe('Claude');
+    expect(getPipeline().phases[1].aiModel).toBe('Gemini');
+
+    document.body.innerHTML = renderPhaseContent({ id: 'p1', phase: 2, phases: {} }, 2);
+    expect(document.getElementById('open-ai-btn').textContent).toContain('Open ChatGPT');
+    expect(document.getElementById('open-ai-btn').getAttribute('href')).toBe('https://chatgpt.com/');
+    expect(document.getElementById('response-textarea').placeholder).toBe('Paste ChatGPT\'s response here...');
+  });
+
+  test('should name the chosen provider in the external AI warning', async () => {
+    await saveAITargets({ phases: { 'standard:2': 'chatgpt' } });
+    localStorage.removeItem('external-ai-warning-acknowledged');
+    const project = { id: 'p1', phase: 2, phases: {} };
+    document.body.innerHTML = `<div id="phase-content">${renderPhaseContent(project, 2)}</div>`;
+    attachPhaseEventListeners(project, 2);
+
+    document.getElementById('copy-prompt-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.body.textContent).toContain('external AI service (ChatGPT)');
+    document.getElementById('cancel-btn').click();
+  });
+
+  test('should persist settings across loads', async () => {
+    await saveAITargets({ phases: { 'standard:1': 'copilot' } });
+
+    expect((await loadAITargets()).phases).toEqual({ 'standard:1': 'copilot' });
+  });
+
+  test('should let phases that share a template target different providers', async () => {
+    const pipeline = getPipeline('double-adversarial');
+    expect(pipeline.phases[1].template).toBe(pipeline.phases[3].template);
+
+    await saveAITargets({ phases: { 'double-adversarial:2': 'chatgpt', 'double-adversarial:4': 'copilot' } });
+
+    expect(getPhaseMetadata(2, 'double-adversarial').aiModel).toBe('ChatGPT');
+    expect(getPhaseMetadata(4, 'double-adversarial').aiModel).toBe('Copilot');
+    expect(getPhaseMetadata(2).aiModel).toBe('Gemini');
+  });
+
+  test('should move choices saved per template to each phase using it', async () => {
+    await storage.saveSetting(AI_TARGETS_KEY, { phases: { 2: 'chatgpt', 'double-adversarial:4': 'copilot' }, preambles: {}, customProviders: [] });
+
+    const { phases } = await loadAITargets();
+
+    expect(phases).toEqual({
+      'standard:2': 'chatgpt',
+      'legal-review:2': 'chatgpt',
+      'double-adversarial:2': 'chatgpt',
+      'double-adversarial:4': 'copilot'
+    });
+    expect((await storage.getSetting(AI_TARGETS_KEY)).phases).toEqual(phases);
+  });
+
+  test('should put the provider preamble before the prompt', async () => {
+    await saveAITargets({ phases: { 'standard:2': 'chatgpt' }, preambles: { chatgpt: '  Use our enterprise workspace.  ', gemini: 'Unused' } });
+
+    const prompt = await generatePipelinePhasePrompt(getPipeline(), 2, {}, { 1: 'Draft text' });
+
+    expect(prompt).toBe('Use our enterprise workspace.\n\nCritique Draft text');
+    expect(getPhaseTarget(getPipeline().phases[0]).preamble).toBe('');
+    expect(addPreamble('Prompt', '')).toBe('Prompt');
+  });
+
+  test('should validate custom providers and drop choices for removed ones', async () => {
+    await expect(saveAITargets({ customProviders: [{ id: 'custom-a', name: 'Acme GPT', url: 'gpt.acme.com' }] }))
+      .rejects.toThrow('The URL for Acme GPT must start with http:// or https://');
+    await expect(saveAITargets({ customProviders: [{ id: 'custom-a', name: ' ', url: 'https://gpt.acme.com' }] }))
+      .rejects.toThrow('Custom providers need a name');
+
+    const saved = await saveAITargets({ phases: { 'standard:1': 'custom-gone', 'standard:3': 'claude' }, preambles: { 'custom-gone': 'x', claude: '' } });
+    expect(saved).toEqual({ phases: { 'standard:3': 'claude' }, preambles: {}, customProviders: [] });
+  });
+
+  test('should add a custom provider from the settings modal', async () => {
+    const pending = showAITargetsSettingsModal();
+    document.getElementById('ai-targets-add-custom-btn').click();
+
+    const custom = document.querySelector('.ai-target-custom');
+    const id = custom.dataset.providerId;
+    custom.querySelector('.ai-target-name').value = 'Acme GPT';
+    custom.querySelector('.ai-target-url').value = 'https://gpt.acme.com/chat';
+    document.getElementById('ai-target-phase-standard-1').value = id;
+    document.getElementById('ai-target-phase-double-adversarial-4').value = 'chatgpt';
+    document.getElementById(`ai-target-preamble-${id}`).value = 'Company data only.';
+
+    document.getElementById('ai-targets-save-btn').click();
+    const saved = await pending;
+
+    expect(saved.customProviders).toEqual([{ id, name: 'Acme GPT', url: 'https://gpt.acme.com/chat' }]);
+    expect(getAITargets()).toBe(saved);
+    expect(getPhaseMetadata(1)).toMatchObject({ aiModel: 'Acme GPT', aiUrl: 'https://gpt.acme.com/chat' });
+    expect(getPhaseMetadata(1, 'legal-review').aiModel).toBe('Claude');
+    expect(getPhaseMetadata(2, 'double-adversarial').aiModel).toBe('Gemini');
+    expect(getPhaseMetadata(4, 'double-adversarial').aiModel).toBe('ChatGPT');
+    expect(getPhaseTarget(getPipeline().phases[0]).preamble).toBe('Company data only.');
+    expect(document.getElementById('ai-targets-settings-modal')).toBeNull();
+  });
+
+  test('should show save errors in the modal', async () => {
+    showAITargetsSettingsModal();
+    document.getElementById('ai-targets-add-custom-btn').click();
+    document.getElementById('ai-targets-save-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.getElementById('ai-targets-error').textContent).toBe('Custom providers need a name');
+    document.getElementById('ai-targets-cancel-btn').click();
+  });
+});
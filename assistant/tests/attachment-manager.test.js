@@ -0,0 +1,78 @@
+/**
+ * Attachment Manager Tests
+ */
+
+import { renderAttachmentManager } from '../../shared/js/attachment-manager.js';
+import { addAttachment, getProposalAttachments, deleteProposalAttachments } from '../../shared/js/attachment-store.js';
+import storage from '../../shared/js/storage.js';
+
+const file = (filename, content) => ({ filename, content, size: content.length, type: 'text/plain' });
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('renderAttachmentManager', () => {
+  let container;
+
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    await deleteProposalAttachments('p1');
+    document.body.innerHTML = '<div id="attachment-manager"></div>';
+    container = document.getElementById('attachment-manager');
+  });
+
+  test('should show an empty state', async () => {
+    await renderAttachmentManager(container, 'p1');
+    expect(container.textContent).toContain('No files attached yet.');
+  });
+
+  test('should list attachments with their text size', async () => {
+    await addAttachment('p1', file('notes.txt', 'Some notes'));
+    await addAttachment('p1', { filename: 'deck.pdf', content: '', size: 2048, type: 'application/pdf' });
+
+    await renderAttachmentManager(container, 'p1');
+
+    const items = container.querySelectorAll('.attachment-item');
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toContain('10 chars of text');
+    expect(items[1].textContent).toContain('No text extracted');
+    expect(items[0].querySelector('[data-offset="-1"]').disabled).toBe(true);
+  });
+
+  test('should show pages that could not be read', async () => {
+    await addAttachment('p1', { filename: 'rfp.pdf', content: '[Page 1]\nScope', size: 4096, type: 'application/pdf', pageCount: 2, unreadablePages: [2] });
+
+    await renderAttachmentManager(container, 'p1');
+
+    const item = container.querySelector('.attachment-item');
+    expect(item.textContent).toContain('2 page(s)');
+    expect(item.querySelector('.attachment-unreadable').textContent).toContain('rfp.pdf: page 2 could not be read');
+  });
+
+  test('should store the include toggle', async () => {
+    await addAttachment('p1', file('notes.txt', 'Some notes'));
+    await renderAttachmentManager(container, 'p1');
+
+    const checkbox = container.querySelector('.attachment-enabled');
+    checkbox.checked = false;
+    checkbox.dispatchEvent(new Event('change'));
+    await flush();
+    await flush();
+
+    const [stored] = await getProposalAttachments('p1');
+    expect(stored.enabled).toBe(false);
+  });
+
+  test('should move an attachment down', async () => {
+    await addAttachment('p1', file('a.txt', 'A'));
+    await addAttachment('p1', file('b.txt', 'B'));
+    await renderAttachmentManager(container, 'p1');
+
+    container.querySelector('.attachment-item [data-offset="1"]').click();
+    await flush();
+    await flush();
+
+    expect((await getProposalAttachments('p1')).map(a => a.filename)).toEqual(['b.txt', 'a.txt']);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Attachment Store Tests
+ */
+
+import {
+  MAX_ATTACHMENT_TEXT_LENGTH,
+  getProposalAttachments,
+  addAttachment,
+  updateAttachment,
+  moveAttachment,
+  deleteAttachment,
+  deleteProposalAttachments,
+  copyProposalAttachments,
+  assembleAttachmentText,
+  assembleAttachmentList,
+  PASTED_ATTACHMENT_LABEL,
+  getAttachmentPromptText
+} from '../../shared/js/attachment-store.js';
+import { createProject, deleteProject, purgeProject, forkProject } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+const file = (filename, content) => ({ filename, content, size: content.length, type: 'text/plain' });
+
+describe('attachment store', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    await deleteProposalAttachments('p1');
+    await deleteProposalAttachments('p2');
+  });
+
+  test('should store attachments in the order they were added', async () => {
+    await addAttachment('p1', file('notes.txt', 'Meeting notes'));
+    await addAttachment('p1', file('rfp.txt', 'RFP text'));
+
+    const attachments = await getProposalAttachments('p1');
+    expect(attachments.map(a => [a.filename, a.order, a.enabled])).toEqual([
+      ['notes.txt', 0, true],
+      ['rfp.txt', 1, true]
+    ]);
+    expect(attachments[0]).toMatchObject({ proposalId: 'p1', size: 13, truncated: false });
+  });
+
+  test('should truncate very long text', async () => {
+    const long = 'a'.repeat(MAX_ATTACHMENT_TEXT_LENGTH + 10);
+    const attachment = await addAttachment('p1', file('big.txt', long));
+
+    expect(attachment.content).toHaveLength(MAX_ATTACHMENT_TEXT_LENGTH);
+    expect(attachment.truncated).toBe(true);
+  });
+
+  test('should toggle whether an attachment is included', async () => {
+    const attachment = await addAttachment('p1', file('notes.txt', 'Notes'));
+    await updateAttachment('p1', attachment.id, { enabled: false });
+
+    const [stored] = await getProposalAttachments('p1');
+    expect(stored.enabled).toBe(false);
+    await expect(updateAttachment('p1', 'missing', { enabled: true })).rejects.toThrow('Attachment not found');
+  });
+
+  test('should re-order attachments', async () => {
+    const a = await addAttachment('p1', file('a.txt', 'A'));
+    await addAttachment('p1', file('b.txt', 'B'));
+    await addAttachment('p1', file('c.txt', 'C'));
+
+    await moveAttachment('p1', a.id, 1);
+    expect((await getProposalAttachments('p1')).map(x => x.filename)).toEqual(['b.txt', 'a.txt', 'c.txt']);
+
+    const unchanged = await moveAttachment('p1', (await getProposalAttachments('p1'))[0].id, -1);
+    expect(unchanged.map(x => x.filename)).toEqual(['b.txt', 'a.txt', 'c.txt']);
+  });
+
+  test('should delete attachments', async () => {
+    const a = await addAttachment('p1', file('a.txt', 'A'));
+    await addAttachment('p1', file('b.txt', 'B'));
+
+    await deleteAttachment(a.id);
+    expect((await getProposalAttachments('p1')).map(x => x.filename)).toEqual(['b.txt']);
+  });
+
+  test('should copy attachments to another proposal', async () => {
+    await addAttachment('p1', file('a.txt', 'A'));
+    await copyProposalAttachments('p1', 'p2');
+
+    const [copy] = await getProposalAttachments('p2');
+    expect(copy).toMatchObject({ proposalId: 'p2', filename: 'a.txt', content: 'A' });
+    expect(copy.id).not.toBe((await getProposalAttachments('p1'))[0].id);
+  });
+
+  describe('assembleAttachmentText', () => {
+    test('should join pasted text and enabled attachments under their filenames', () => {
+      const text = assembleAttachmentText('Pasted summary', [
+        { filename: 'a.txt', content: 'First', enabled: true },
+        { filename: 'b.txt', content: 'Skipped', enabled: false },
+        { filename: 'c.pdf', content: '', enabled: true },
+        { filename: 'd.txt', content: 'Last', enabled: true, truncated: true }
+      ]);
+
+      expect(text).toBe(`Pasted summary\n\n--- a.txt ---\nFirst\n\n--- d.txt (truncated to ${MAX_ATTACHMENT_TEXT_LENGTH} chars) ---\nLast`);
+    });
+
+    test('should be empty without any text', () => {
+      expect(assembleAttachmentText('', [])).toBe('');
+    });
+  });
+
+  describe('assembleAttachmentList', () => {
+    test('should list pasted text and enabled attachments for {{#each ATTACHMENTS}}', () => {
+      const list = assembleAttachmentList(' Pasted summary ', [
+        { filename: 'a.txt', content: 'First\n', enabled: true },
+        { filename: 'b.txt', content: 'Skipped', enabled: false },
+        { filename: 'd.txt', content: 'Last', enabled: true, truncated: true }
+      ]);
+
+      expect(list).toEqual([
+        { FILENAME: PASTED_ATTACHMENT_LABEL, CONTENT: 'Pasted summary' },
+        { FILENAME: 'a.txt', CONTENT: 'First' },
+        { FILENAME: `d.txt (truncated to ${MAX_ATTACHMENT_TEXT_LENGTH} chars)`, CONTENT: 'Last' }
+      ]);
+      expect(assembleAttachmentList('', [])).toEqual([]);
+    });
+  });
+
+  describe('with proposals', () => {
+    test('should build the prompt text from a proposal\'s attachments', async () => {
+      const project = await createProject({ organizationName: 'Acme', attachmentText: 'Pasted' });
+      await addAttachment(project.id, file('rfp.txt', 'RFP body'));
+
+      expect(await getAttachmentPromptText(project)).toBe('Pasted\n\n--- rfp.txt ---\nRFP body');
+    });
+
+    test('should copy attachments to branches, keep them in the trash and delete them with the proposal', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await addAttachment(project.id, file('rfp.txt', 'RFP body'));
+
+      const branch = await forkProject(project.id, 1);
+      expect(await getProposalAttachments(branch.id)).toHaveLength(1);
+
+      await deleteProject(project.id);
+      expect(await getProposalAttachments(project.id)).toHaveLength(1);
+
+      await purgeProject(project.id);
+      expect(await getProposalAttachments(project.id)).toEqual([]);
+      expect(await getProposalAttachments(branch.id)).toHaveLength(1);
+    });
+  });
+});
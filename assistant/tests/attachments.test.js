@@ -9,7 +9,9 @@ import {
   formatFileSize,
   handleFiles,
   resetAttachmentTracking,
-  getAttachmentStats
+  getAttachmentStats,
+  readAttachmentFile,
+  describeUnreadablePages
 } from '../../shared/js/attachments.js';
 
 // Helper to create mock File objects
@@ -157,4 +159,60 @@ describe('Attachments Module', () => {
       expect(handleFiles).toBeInstanceOf(Function);
     });
   });
+
+  describe('readAttachmentFile', () => {
+    test('should read text files as-is', async () => {
+      const file = new File(['Meeting notes'], 'notes.txt', { type: 'text/plain' });
+      await expect(readAttachmentFile(file)).resolves.toMatchObject({ filename: 'notes.txt', content: 'Meeting notes' });
+    });
+
+    test('should extract text from PDFs with page information', async () => {
+      const content = 'BT /F1 11 Tf 72 720 Td (Scope of work) Tj ET';
+      const pdf = [
+        '%PDF-1.4',
+        '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+        '2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj',
+        '3 0 obj << /Type /Page /Parent 2 0 R /Resources << /Font << /F1 5 0 R >> >> /Contents 6 0 R >> endobj',
+        '4 0 obj << /Type /Page /Parent 2 0 R >> endobj',
+        '5 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> endobj',
+        `6 0 obj << /Length ${content.length} >>\nstream\n${content}\nendstream endobj`,
+        'trailer << /Root 1 0 R >>',
+        '%%EOF'
+      ].join('\n');
+      const file = new File([pdf], 'rfp.pdf', { type: 'application/pdf' });
+
+      const attachment = await readAttachmentFile(file);
+
+      expect(attachment.content).toContain('[Page 1]\nScope of work');
+      expect(attachment.pageCount).toBe(2);
+      expect(attachment.unreadablePages).toEqual([2]);
+    });
+
+    test('should reject files that are not valid PDFs', async () => {
+      const file = new File(['plain text'], 'fake.pdf', { type: 'application/pdf' });
+      await expect(readAttachmentFile(file)).rejects.toThrow('Could not read text from fake.pdf: Not a PDF file');
+    });
+  });
+
+  describe('describeUnreadablePages', () => {
+    test('should be empty when every page was read', () => {
+      expect(describeUnreadablePages({ filename: 'notes.txt' })).toBe('');
+      expect(describeUnreadablePages({ filename: 'rfp.pdf', pageCount: 3, unreadablePages: [] })).toBe('');
+    });
+
+    test('should list unreadable pages', () => {
+      expect(describeUnreadablePages({ filename: 'rfp.pdf', pageCount: 5, unreadablePages: [2, 4] }))
+        .toBe('rfp.pdf: pages 2, 4 could not be read (scanned or image-only)');
+    });
+
+    test('should flag fully scanned documents', () => {
+      expect(describeUnreadablePages({ filename: 'scan.pdf', pageCount: 2, unreadablePages: [1, 2] }))
+        .toBe('scan.pdf has no extractable text (scanned or image-only)');
+    });
+
+    test('should say when a PDF needs a password', () => {
+      expect(describeUnreadablePages({ filename: 'locked.pdf', pageCount: 0, unreadablePages: [], passwordProtected: true }))
+        .toBe('locked.pdf needs a password to open, so its text could not be read');
+    });
+  });
 });
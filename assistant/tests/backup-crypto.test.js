@@ -0,0 +1,184 @@
+/**
+ * Encrypted Backup Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  encryptBackup,
+  decryptBackup,
+  isEncryptedBackup,
+  ENCRYPTED_BACKUP_FORMAT,
+  ENCRYPTED_BACKUP_VERSION,
+  WRONG_PASSPHRASE
+} from '../../shared/js/backup-crypto.js';
+import { createProject, getAllProjects, purgeProject, exportAllProjects, exportProject, importProjects, previewProjectImport } from '../../shared/js/projects.js';
+import { showExportOptionsModal, promptBackupPassphrase } from '../../shared/js/backup-passphrase.js';
+import { renderProjectsList } from '../../shared/js/views.js';
+import storage from '../../shared/js/storage.js';
+
+const PASSPHRASE = 'correct horse battery';
+
+describe('backup encryption', () => {
+  test('should round-trip through a versioned envelope without leaking the content', async () => {
+    const plain = JSON.stringify({ version: '1.0', projects: [{ organizationName: 'Acme Motors', pricing: '$120,000' }] });
+
+    const first = await encryptBackup(plain, PASSPHRASE);
+    const second = await encryptBackup(plain, PASSPHRASE);
+    const envelope = JSON.parse(first);
+
+    expect(envelope).toEqual({
+      format: ENCRYPTED_BACKUP_FORMAT,
+      version: ENCRYPTED_BACKUP_VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 600000, salt: expect.any(String) },
+      cipher: { name: 'AES-GCM', iv: expect.any(String) },
+      data: expect.any(String)
+    });
+    expect(first).not.toContain('Acme');
+    expect(JSON.parse(second).kdf.salt).not.toBe(envelope.kdf.salt);
+    expect(JSON.parse(second).cipher.iv).not.toBe(envelope.cipher.iv);
+    expect(isEncryptedBackup(first)).toBe(true);
+    expect(isEncryptedBackup(plain)).toBe(false);
+    expect(isEncryptedBackup('not json')).toBe(false);
+
+    expect(await decryptBackup(first, PASSPHRASE)).toBe(plain);
+  });
+
+  test('should reject a wrong passphrase and a tampered header', async () => {
+    const encrypted = await encryptBackup('{"projects": []}', PASSPHRASE);
+    const envelope = JSON.parse(encrypted);
+
+    await expect(decryptBackup(encrypted, 'wrong passphrase')).rejects.toThrow(WRONG_PASSPHRASE);
+    await expect(decryptBackup(JSON.stringify({ ...envelope, kdf: { ...envelope.kdf, salt: btoa('another salt!!!!') } }), PASSPHRASE))
+      .rejects.toThrow(WRONG_PASSPHRASE);
+    await expect(decryptBackup(JSON.stringify({ ...envelope, version: 2 }), PASSPHRASE))
+      .rejects.toThrow('Invalid file format: encrypted backup version 2 is not supported');
+    await expect(decryptBackup(JSON.stringify({ ...envelope, kdf: { ...envelope.kdf, iterations: 2e9 } }), PASSPHRASE))
+      .rejects.toThrow('Invalid file format: encrypted backups with more than 6000000 key derivation iterations are not supported');
+    await expect(decryptBackup(JSON.stringify({ ...envelope, cipher: { name: 'AES-CBC', iv: envelope.cipher.iv } }), PASSPHRASE))
+      .rejects.toThrow('Invalid file format: the encrypted backup header is incomplete');
+  });
+
+  test('should refuse short passphrases', async () => {
+    await expect(encryptBackup('{}', 'short')).rejects.toThrow('Passphrase must be at least 8 characters');
+  });
+});
+
+describe('encrypted exports and imports', () => {
+  /** @type {{name: string, content: string}[]} */
+  let downloads;
+
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    for (const project of await storage.getAllProjects()) {
+      await purgeProject(project.id);
+    }
+    downloads = [];
+    let blob;
+    jest.spyOn(URL, 'createObjectURL').mockImplementation((b) => {
+      blob = b;
+      return 'blob:mock-url';
+    });
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      downloads.push({ name: this.download, content: blob.parts.join('') });
+    });
+  });
+
+  const downloadedFile = () => new File([downloads[0].content], downloads[0].name, { type: 'application/json' });
+
+  test('should export all proposals encrypted and import them with the passphrase', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    await exportAllProjects({ passphrase: PASSPHRASE });
+    await purgeProject(project.id);
+
+    expect(downloads[0].name).toMatch(/^strategic-proposals-backup-\d{4}-\d{2}-\d{2}\.encrypted\.json$/);
+    expect(downloads[0].content).not.toContain('Acme Motors');
+
+    await expect(importProjects(downloadedFile())).rejects.toThrow('This file is encrypted. A passphrase is needed to import it.');
+    await expect(importProjects(downloadedFile(), {}, { passphrase: 'wrong passphrase' })).rejects.toThrow(WRONG_PASSPHRASE);
+    expect(await importProjects(downloadedFile(), {}, { passphrase: PASSPHRASE })).toBe(1);
+    expect((await getAllProjects()).map(p => p.organizationName)).toEqual(['Acme Motors']);
+  });
+
+  test('should ask again after a wrong passphrase and stop when cancelled', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    await exportProject(project.id, { passphrase: PASSPHRASE });
+    expect(downloads[0].name).toBe('proposal-acme-motors.encrypted.json');
+
+    const answers = ['wrong passphrase', PASSPHRASE];
+    const getPassphrase = jest.fn(async () => answers.shift());
+    const items = await previewProjectImport(downloadedFile(), { getPassphrase });
+
+    expect(getPassphrase.mock.calls).toEqual([[''], [WRONG_PASSPHRASE]]);
+    expect(items.map(item => item.status)).toEqual(['identical']);
+
+    expect(await previewProjectImport(downloadedFile(), { getPassphrase: async () => null })).toBeNull();
+    expect(await importProjects(downloadedFile(), {}, { getPassphrase: async () => null })).toBe(0);
+  });
+
+  test('should keep plain exports unchanged', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    await exportProject(project.id);
+
+    expect(downloads[0].name).toBe('proposal-acme-motors.json');
+    expect(JSON.parse(downloads[0].content).organizationName).toBe('Acme Motors');
+  });
+
+  test('should export a single proposal encrypted from its card', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    document.body.innerHTML = '<div id="app-container"></div>';
+    await renderProjectsList();
+
+    document.querySelector(`.export-project-btn[data-project-id="${project.id}"]`).click();
+    document.getElementById('encrypt-export').click();
+    document.getElementById('export-passphrase').value = PASSPHRASE;
+    document.getElementById('export-passphrase-confirm').value = PASSPHRASE;
+    document.getElementById('confirm-export-btn').click();
+    for (let i = 0; i < 100 && !downloads.length; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    expect(downloads[0].name).toBe('proposal-acme-motors.encrypted.json');
+    expect(await importProjects(downloadedFile(), {}, { passphrase: PASSPHRASE })).toBe(0);
+  });
+});
+
+describe('passphrase dialogs', () => {
+  test('should only export encrypted with a confirmed passphrase', async () => {
+    const options = showExportOptionsModal('Export All Proposals');
+    const encrypt = document.getElementById('encrypt-export');
+    encrypt.click();
+
+    document.getElementById('export-passphrase').value = PASSPHRASE;
+    document.getElementById('export-passphrase-confirm').value = 'something else';
+    document.getElementById('confirm-export-btn').click();
+    expect(document.getElementById('export-passphrase-error').textContent).toBe('The passphrases do not match');
+
+    document.getElementById('export-passphrase-confirm').value = PASSPHRASE;
+    document.getElementById('confirm-export-btn').click();
+    expect(await options).toEqual({ passphrase: PASSPHRASE });
+    expect(document.getElementById('export-options-modal')).toBeNull();
+  });
+
+  test('should export unencrypted when the option is left off', async () => {
+    const options = showExportOptionsModal('Export All Proposals');
+    document.getElementById('confirm-export-btn').click();
+
+    expect(await options).toEqual({});
+  });
+
+  test('should show why the last passphrase failed and return the new one', async () => {
+    const passphrase = promptBackupPassphrase(WRONG_PASSPHRASE);
+    expect(document.getElementById('backup-passphrase-modal').textContent).toContain(WRONG_PASSPHRASE);
+
+    document.getElementById('backup-passphrase').value = PASSPHRASE;
+    document.getElementById('confirm-passphrase-btn').click();
+    expect(await passphrase).toBe(PASSPHRASE);
+
+    const cancelled = promptBackupPassphrase();
+    document.getElementById('cancel-passphrase-btn').click();
+    expect(await cancelled).toBeNull();
+  });
+});
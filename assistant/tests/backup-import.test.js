@@ -0,0 +1,248 @@
+/**
+ * Backup Import Tests
+ */
+
+import {
+  validateBackup,
+  parseBackup,
+  previewImport,
+  mergeProjects,
+  applyImport,
+  getDefaultChoice
+} from '../../shared/js/backup-import.js';
+import {
+  createProject, getProject, getAllProjects, updatePhase, deleteProject, purgeProject, previewProjectImport, importProjects,
+  savePanelCritique, addClarificationTurn, startReviewRound
+} from '../../shared/js/projects.js';
+import { showImportPreviewModal, describeImportResult } from '../../shared/js/import-preview.js';
+import storage from '../../shared/js/storage.js';
+
+const backupFile = (projects) =>
+  new File([JSON.stringify({ version: '1.0', exportedAt: new Date().toISOString(), projectCount: projects.length, projects })], 'backup.json', { type: 'application/json' });
+
+const record = (overrides = {}) => ({
+  id: 'p1',
+  organizationName: 'Acme Motors',
+  phase: 2,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-02T00:00:00.000Z',
+  phases: {
+    1: { prompt: 'P1', response: 'Local draft', completed: true, updatedAt: '2026-01-02T00:00:00.000Z' },
+    2: { prompt: '', response: '', completed: false }
+  },
+  ...overrides
+});
+
+describe('backup validation', () => {
+  test('should list every problem with the proposal it belongs to', () => {
+    const { errors } = validateBackup({
+      version: '1.0',
+      projectCount: 3,
+      projects: [
+        { id: 'a', organizationName: 'Acme', phases: { 1: { response: 42 } }, tags: 'hot' },
+        { id: 'a', dealershipName: 'Legacy', updatedAt: 'yesterday' },
+        'oops'
+      ]
+    });
+
+    expect(errors).toEqual([
+      'Proposal 1 (Acme): "phases.1.response" must be text, not a number',
+      'Proposal 1 (Acme): "tags" must be a list of text',
+      'Proposal 2 (Legacy): "updatedAt" must be a date, not "yesterday"',
+      'Proposal 2 (Legacy): has the same id as proposal 1',
+      'Proposal 3: must be an object, not text'
+    ]);
+  });
+
+  test('should check review panel, review round, history and thread entries', () => {
+    const { errors } = validateBackup(record({
+      reviewPanel: [{ id: 'cfo', name: 'CFO', role: 'Finance', icon: '<img src=x onerror=alert(1)>' }, { id: 'coo', name: 7 }, 'cfo'],
+      reviewRounds: [
+        { round: 1, completedAt: '2026-01-03T00:00:00.000Z', score: 80, phases: { 2: { prompt: 'P2', response: 'Critique', savedAt: '2026-01-03T00:00:00.000Z' } } },
+        { round: 0, completedAt: '2026-01-04T00:00:00.000Z', phases: { 2: { response: ['Critique'], thread: [{ message: 'Q?' }] } } }
+      ],
+      phases: {
+        1: {
+          prompt: 'P1',
+          response: 'Draft',
+          completed: true,
+          history: [{ response: 'Draft', savedAt: '2026-01-02T00:00:00.000Z', source: 'pasted' }, { response: { text: 'Draft' } }],
+          thread: [{ message: 'Which trims?', questions: ['Which trims?'], answers: [''], askedAt: '2026-01-02T00:00:00.000Z' }, null]
+        }
+      }
+    }));
+
+    expect(errors).toEqual([
+      'Proposal 1 (Acme Motors): "reviewRounds[1].round" must be a whole number from 1',
+      'Proposal 1 (Acme Motors): "reviewRounds[1].phases.2.response" must be text, not a list',
+      'Proposal 1 (Acme Motors): "reviewRounds[1].phases.2.thread[0].askedAt" is missing',
+      'Proposal 1 (Acme Motors): "reviewRounds[1].phases.2.thread[0].questions" must be a list of text',
+      'Proposal 1 (Acme Motors): "reviewRounds[1].phases.2.thread[0].answers" must be a list of text',
+      'Proposal 1 (Acme Motors): "reviewPanel[1].name" must be text, not a number',
+      'Proposal 1 (Acme Motors): "reviewPanel[1].role" is missing',
+      'Proposal 1 (Acme Motors): "reviewPanel[1].icon" is missing',
+      'Proposal 1 (Acme Motors): "reviewPanel[2]" must be an object, not text',
+      'Proposal 1 (Acme Motors): "phases.1.history[1].response" must be text, not an object',
+      'Proposal 1 (Acme Motors): "phases.1.history[1].savedAt" is missing',
+      'Proposal 1 (Acme Motors): "phases.1.history[1].source" is missing',
+      'Proposal 1 (Acme Motors): "phases.1.thread[1]" must be an object, not empty'
+    ]);
+  });
+
+  test('should reject files that are not proposals or backups', () => {
+    expect(validateBackup([]).errors).toEqual(['expected a proposal or a backup, not a list']);
+    expect(validateBackup({ foo: 'bar' }).errors).toEqual(['expected a proposal or a backup with a "projects" list']);
+    expect(validateBackup({ projects: [], projectCount: 2 }).errors).toEqual([
+      'the backup has no "version"',
+      'the backup should hold 2 proposals but holds 0; the file may be cut off'
+    ]);
+  });
+
+  test('should throw a readable message and migrate valid files', () => {
+    expect(() => parseBackup('{"projects": {}')).toThrow(/^Invalid file format: the file is not valid JSON/);
+    expect(() => parseBackup(JSON.stringify({ id: 'x' }))).toThrow('Invalid file format:\n- Proposal 1: "organizationName" is missing');
+
+    const [project] = parseBackup(JSON.stringify({ id: 'x', dealershipName: 'Legacy Motors', phases: [{ response: 'Draft' }] }));
+    expect(project.organizationName).toBe('Legacy Motors');
+    expect(project.phases[1].response).toBe('Draft');
+  });
+});
+
+describe('import preview and merge', () => {
+  test('should sort incoming proposals into new, identical and conflicting', () => {
+    const local = [record(), record({ id: 'p2' })];
+    const incoming = [
+      record({ updatedAt: '2026-02-01T00:00:00.000Z' }),
+      record({ id: 'p2', meetingNotes: 'New notes', phases: { ...record().phases, 2: { prompt: 'P2', response: 'Critique', completed: true } } }),
+      record({ id: 'p3' })
+    ];
+
+    const items = previewImport(incoming, local);
+
+    expect(items.map(item => item.status)).toEqual(['identical', 'conflict', 'new']);
+    expect(items[1].differences).toEqual(['meetingNotes', 'Phase 2']);
+    expect(getDefaultChoice(items[1])).toBe('keep-both');
+    expect(getDefaultChoice({ ...items[1], local: { ...local[1], deletedAt: '2026-01-03T00:00:00.000Z' } })).toBe('take-incoming');
+  });
+
+  test('should merge phase by phase, keeping the newer of each', () => {
+    const local = record({
+      updatedAt: '2026-01-05T00:00:00.000Z',
+      meetingNotes: 'Local notes',
+      phases: {
+        1: { prompt: 'P1', response: 'Newer local draft', completed: true, updatedAt: '2026-01-05T00:00:00.000Z' },
+        2: { prompt: '', response: '', completed: false }
+      }
+    });
+    const incoming = record({
+      updatedAt: '2026-01-04T00:00:00.000Z',
+      phase: 3,
+      phases: {
+        1: { prompt: 'P1', response: 'Older draft', completed: true, updatedAt: '2026-01-01T00:00:00.000Z' },
+        2: { prompt: 'P2', response: 'Critique', completed: true, updatedAt: '2026-01-04T00:00:00.000Z' }
+      }
+    });
+
+    const merged = mergeProjects(local, incoming);
+
+    expect(merged.meetingNotes).toBe('Local notes');
+    expect(merged.phases[1].response).toBe('Newer local draft');
+    expect(merged.phases[2].response).toBe('Critique');
+    expect(merged.phase2_output).toBe('Critique');
+    expect(merged.phase).toBe(3);
+  });
+
+  test('should apply each choice', async () => {
+    const saved = [];
+    const conflict = (id) => ({ status: 'conflict', incoming: record({ id, meetingNotes: 'Incoming' }), local: record({ id }), differences: ['meetingNotes'] });
+    const items = [
+      { status: 'new', incoming: record({ id: 'n1' }) },
+      { status: 'identical', incoming: record({ id: 'i1' }), local: record({ id: 'i1' }) },
+      conflict('c1'), conflict('c2'), conflict('c3'), conflict('c4')
+    ];
+
+    const result = await applyImport(items, { c1: 'keep-local', c2: 'take-incoming', c3: 'keep-both', c4: 'merge' }, async project => saved.push(project));
+
+    expect(result).toEqual({ added: 1, replaced: 1, duplicated: 1, merged: 1, skipped: 2 });
+    expect(saved.map(p => p.id).slice(0, 2)).toEqual(['n1', 'c2']);
+    expect(saved[2].id).not.toBe('c3');
+    expect(saved[2].title).toBe('Proposal - Acme Motors (imported)');
+    expect(describeImportResult(result)).toBe('Import complete: 1 added, 1 replaced, 1 kept as copies, 1 merged, 2 skipped');
+  });
+});
+
+describe('importing files', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    for (const project of await storage.getAllProjects()) {
+      await purgeProject(project.id);
+    }
+  });
+
+  test('should accept proposals with review panels, rounds, history and threads', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors', reviewPanel: ['cfo'] });
+    await updatePhase(project.id, 1, 'P1', 'Draft');
+    await addClarificationTurn(project.id, 2, 'Which trims are in scope?');
+    await savePanelCritique(project.id, 2, 'cfo', 'P', 'Critique');
+    await updatePhase(project.id, 3, 'P3', 'Final');
+    await startReviewRound(project.id);
+
+    expect(validateBackup(JSON.parse(JSON.stringify(await getProject(project.id)))).errors).toEqual([]);
+  });
+
+  test('should keep local proposals when a backup conflicts with them', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    const exported = JSON.parse(JSON.stringify(await getProject(project.id)));
+    await updatePhase(project.id, 1, 'Prompt', 'Local draft');
+
+    const items = await previewProjectImport(backupFile([exported]));
+    expect(items.map(item => item.status)).toEqual(['conflict']);
+
+    expect(await importProjects(backupFile([exported]))).toBe(1);
+    expect((await getProject(project.id)).phases[1].response).toBe('Local draft');
+    expect(await getAllProjects()).toHaveLength(2);
+  });
+
+  test('should restore trashed proposals from a backup and skip identical ones', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    const exported = JSON.parse(JSON.stringify(await getProject(project.id)));
+
+    expect(await importProjects(backupFile([exported]))).toBe(0);
+
+    await deleteProject(project.id);
+    expect(await importProjects(backupFile([exported]))).toBe(1);
+    expect((await getAllProjects()).map(p => p.id)).toEqual([project.id]);
+  });
+
+  test('should reject malformed backups before saving anything', async () => {
+    const file = backupFile([record({ id: 'ok' }), record({ id: 'bad', phase: 0 })]);
+
+    await expect(importProjects(file)).rejects.toThrow('Proposal 2 (Acme Motors): "phase" must be a whole number from 1');
+    expect(await getProject('ok')).toBeUndefined();
+  });
+});
+
+describe('import preview modal', () => {
+  test('should return the choice made for each conflict', async () => {
+    const items = previewImport([record({ meetingNotes: 'Incoming' }), record({ id: 'p2' })], [record()]);
+    const choices = showImportPreviewModal(items);
+
+    const select = document.querySelector('.import-conflict[data-project-id="p1"] .import-choice');
+    expect(select.value).toBe('keep-both');
+    select.value = 'merge';
+    document.getElementById('confirm-import-btn').click();
+
+    expect(await choices).toEqual({ p1: 'merge' });
+    expect(document.getElementById('import-preview-modal')).toBeNull();
+  });
+
+  test('should resolve null when cancelled', async () => {
+    const choices = showImportPreviewModal(previewImport([record()], []));
+    document.getElementById('cancel-import-btn').click();
+
+    expect(await choices).toBeNull();
+  });
+});
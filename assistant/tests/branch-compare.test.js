@@ -0,0 +1,62 @@
+/**
+ * Branch Compare Modal Tests
+ */
+
+import { showBranchCompareModal, getBranchLabel } from '../../shared/js/branch-compare.js';
+
+function makeProject(id, finalText, extra = {}) {
+  return {
+    id,
+    title: 'Proposal - Acme',
+    organizationName: 'Acme',
+    phase: 3,
+    phases: {
+      1: { prompt: 'P1', response: 'Draft', completed: true },
+      2: { prompt: 'P2', response: 'Critique', completed: true },
+      3: { prompt: 'P3', response: finalText, completed: Boolean(finalText) }
+    },
+    phase3_output: finalText,
+    ...extra
+  };
+}
+
+describe('branch compare', () => {
+  const origin = makeProject('a', 'Aggressive pricing wins the deal');
+  const branch = makeProject('b', 'Conservative pricing wins the deal', {
+    branchName: 'Conservative',
+    forkedFrom: { projectId: 'a', rootId: 'a', phase: 1, forkedAt: '2024-01-01T00:00:00.000Z' }
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('getBranchLabel should name the origin and branches', () => {
+    expect(getBranchLabel(origin)).toBe('Original');
+    expect(getBranchLabel(branch)).toBe('Conservative');
+  });
+
+  test('should diff the origin against the newest branch by default', () => {
+    showBranchCompareModal({ origin, branches: [branch] });
+
+    const diff = document.getElementById('branch-diff');
+    expect(diff.querySelector('.line-through').textContent).toContain('Aggressive');
+    expect(diff.textContent).toContain('Conservative');
+    expect(document.getElementById('branch-left').value).toBe('0');
+    expect(document.getElementById('branch-right').value).toBe('1');
+  });
+
+  test('should mark unfinished branches', () => {
+    const unfinished = makeProject('c', '', { branchName: 'Draft B', forkedFrom: branch.forkedFrom });
+    showBranchCompareModal({ origin, branches: [unfinished] });
+
+    expect(document.getElementById('branch-compare-modal').textContent).toContain('In progress');
+    expect(document.querySelector('#branch-right option[value="1"]').textContent).toContain('(in progress)');
+  });
+
+  test('should close on the close button', () => {
+    showBranchCompareModal({ origin, branches: [branch] });
+    document.getElementById('close-branch-compare-btn').click();
+    expect(document.getElementById('branch-compare-modal')).toBeNull();
+  });
+});
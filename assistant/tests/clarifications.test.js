@@ -0,0 +1,149 @@
+/**
+ * Clarifications Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  extractQuestions,
+  createClarificationTurn,
+  buildFollowUpMessage,
+  getClarifiedFacts,
+  formatClarifiedFacts
+} from '../../shared/js/clarifications.js';
+import {
+  createProject,
+  updatePhase,
+  addClarificationTurn,
+  answerClarificationTurn,
+  removeClarificationTurn,
+  startReviewRound
+} from '../../shared/js/projects.js';
+import { generatePromptForPhase } from '../../shared/js/workflow.js';
+import { renderPhaseContent } from '../../shared/js/project-view-phase.js';
+import storage from '../../shared/js/storage.js';
+
+global.fetch = jest.fn(async () => ({
+  ok: true,
+  text: async () => 'Review {{PHASE1_OUTPUT}}{{#if CLARIFICATIONS}}\nFacts:\n{{CLARIFICATIONS}}{{/if}}'
+}));
+
+const QUESTIONS = [
+  'Before I write the proposal, I need a few details:',
+  '',
+  '1. **How many rooftops does Acme operate?**',
+  '2. What is the monthly budget?',
+  '- Do you prefer bullets or narrative?',
+  '',
+  'Once you answer, I will draft it.'
+].join('\n');
+
+describe('clarification helpers', () => {
+  test('should pull the questions out of an AI message', () => {
+    expect(extractQuestions(QUESTIONS)).toEqual([
+      'How many rooftops does Acme operate?',
+      'What is the monthly budget?',
+      'Do you prefer bullets or narrative?'
+    ]);
+    expect(extractQuestions('Please share the pricing sheet.')).toEqual(['Please share the pricing sheet.']);
+  });
+
+  test('should build the follow-up message, asking the AI to assume unanswered questions', () => {
+    const turn = { ...createClarificationTurn(QUESTIONS), answers: ['Four', '', 'Bullets\nwith short intros'] };
+
+    expect(buildFollowUpMessage(turn)).toBe([
+      'Here are my answers to your questions:',
+      '',
+      '1. How many rooftops does Acme operate?',
+      '   Four',
+      '',
+      '2. What is the monthly budget?',
+      '   No answer. Make a reasonable assumption and state it in your response.',
+      '',
+      '3. Do you prefer bullets or narrative?',
+      '   Bullets',
+      '   with short intros',
+      '',
+      'Please continue with the task using these answers.'
+    ].join('\n'));
+  });
+
+  test('should list only answered questions from earlier phases', () => {
+    const turn = { ...createClarificationTurn(QUESTIONS), answers: ['Four', ' ', 'Bullets'] };
+    const phases = {
+      1: { thread: [turn] },
+      2: { thread: [{ questions: ['Is the pilot funded?'], answers: ['Yes'] }] }
+    };
+
+    expect(getClarifiedFacts([turn]).map(f => f.answer)).toEqual(['Four', 'Bullets']);
+    expect(formatClarifiedFacts(phases, 2)).toBe('- **How many rooftops does Acme operate?** Four\n- **Do you prefer bullets or narrative?** Bullets');
+    expect(formatClarifiedFacts(phases, 1)).toBe('');
+  });
+});
+
+describe('clarification threads', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  test('should keep the thread when the final answer is saved', async () => {
+    const project = await createProject({ organizationName: 'Acme' });
+    await updatePhase(project.id, 1, 'Prompt', '', { skipAutoAdvance: true });
+
+    const logged = await addClarificationTurn(project.id, 1, QUESTIONS);
+    expect(logged.phases[1].thread).toHaveLength(1);
+    expect(logged.phases[1].thread[0].answers).toEqual(['', '', '']);
+
+    const answered = await answerClarificationTurn(project.id, 1, 0, [' Four ', '$2k']);
+    expect(answered.phases[1].thread[0].answers).toEqual(['Four', '$2k', '']);
+    expect(answered.phases[1].thread[0].answeredAt).toBeDefined();
+
+    const saved = await updatePhase(project.id, 1, 'Prompt', 'Final proposal');
+    expect(saved.phase1_output).toBe('Final proposal');
+    expect(saved.phases[1].thread[0].answers[0]).toBe('Four');
+  });
+
+  test('should pass answered questions on to later phase prompts', async () => {
+    const project = await createProject({ organizationName: 'Acme' });
+    await addClarificationTurn(project.id, 1, QUESTIONS);
+    await answerClarificationTurn(project.id, 1, 0, ['Four']);
+    const saved = await updatePhase(project.id, 1, 'Prompt', 'Final proposal');
+
+    const prompt = await generatePromptForPhase(saved, 2);
+
+    expect(prompt).toBe('Review Final proposal\nFacts:\n- **How many rooftops does Acme operate?** Four');
+  });
+
+  test('should archive the thread with a review round and remove turns', async () => {
+    const project = await createProject({ organizationName: 'Acme' });
+    await updatePhase(project.id, 1, 'P1', 'Draft');
+    await addClarificationTurn(project.id, 3, 'Which quarter should the pilot start?');
+    await updatePhase(project.id, 2, 'P2', 'Critique');
+    await updatePhase(project.id, 3, 'P3', 'Final');
+
+    const next = await startReviewRound(project.id);
+    expect(next.reviewRounds[0].phases[3].thread[0].questions).toEqual(['Which quarter should the pilot start?']);
+    expect(next.phases[3].thread).toBeUndefined();
+
+    await addClarificationTurn(project.id, 1, 'First?');
+    const removed = await removeClarificationTurn(project.id, 1, 0);
+    expect(removed.phases[1].thread).toEqual([]);
+  });
+
+  test('should render each question with its answer', () => {
+    const turn = { ...createClarificationTurn(QUESTIONS), answers: ['Four', '', ''] };
+    document.body.innerHTML = renderPhaseContent({ id: 'p1', phase: 1, phases: { 1: { prompt: 'P', response: '', completed: false, thread: [turn] } } }, 1);
+
+    const answers = [...document.querySelectorAll('.clarification-turn[data-turn="0"] .clarification-answer')];
+    expect(answers.map(el => el.value)).toEqual(['Four', '', '']);
+    expect(document.querySelector('label[for="clarification-answer-0-1"]').textContent).toBe('What is the monthly budget?');
+    expect(document.getElementById('log-questions-btn').disabled).toBe(true);
+  });
+
+  test('should reject empty messages and unknown turns', async () => {
+    const project = await createProject({ organizationName: 'Acme' });
+
+    await expect(addClarificationTurn(project.id, 1, '  ')).rejects.toThrow('Paste the AI\'s questions first');
+    await expect(answerClarificationTurn(project.id, 1, 2, [])).rejects.toThrow('Question set 3 not found for phase 1');
+    await expect(removeClarificationTurn(project.id, 1, 0)).rejects.toThrow('Question set 1 not found for phase 1');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Critique Parser Module Tests
+ */
+
+import {
+  parseCritique,
+  matchCritiqueCategory,
+  estimateSeverity,
+  extractIssueTerms,
+  checkCritiqueResolution
+} from '../../shared/js/critique-parser.js';
+import { getCritiqueResolution } from '../../shared/js/project-view-phase.js';
+
+const critique = `## Executive Summary
+
+The proposal is promising but the numbers are not credible.
+
+## Strengths
+- Clear statement of the phone system outages
+
+### 1. Financial Projections Scrutiny
+1. The **$48,000 annual savings** figure has no evidence behind it.
+2. Training costs for 120 staff are ignored.
+   The transition will take weeks of lost productivity.
+
+### 4. Missing Information
+- No uptime data for the new platform.
+- Minor: the appendix lists no reference customers.
+
+**AI Slop Detected**
+- "Seamless integration" appears three times without specifics.
+
+## Recommendation
+Request more information.`;
+
+describe('matchCritiqueCategory', () => {
+  test.each([
+    ['### 1. Financial Projections Scrutiny', 'financial'],
+    ['Missing Information:', 'missing-info'],
+    ['**AI Slop Detected**', 'slop'],
+    ['🚫 Questions That Must Be Answered', 'questions'],
+    ['Contract Risks', 'contract'],
+    ['Executive Summary', null],
+    ['Strengths', null]
+  ])('should map %s to %s', (heading, expected) => {
+    expect(matchCritiqueCategory(heading)).toBe(expected);
+  });
+});
+
+describe('parseCritique', () => {
+  test('should split issue sections into numbered issues', () => {
+    const issues = parseCritique(critique);
+
+    expect(issues.map(i => i.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(issues.map(i => i.category)).toEqual(['financial', 'financial', 'missing-info', 'missing-info', 'slop']);
+    expect(issues[0].categoryLabel).toBe('Financial Projections Scrutiny');
+  });
+
+  test('should skip summary, strengths and recommendation sections', () => {
+    const text = parseCritique(critique).map(i => i.text).join(' ');
+    expect(text).not.toContain('outages');
+    expect(text).not.toContain('Request more information');
+  });
+
+  test('should keep continuation lines with their issue and strip markdown', () => {
+    const [first, second] = parseCritique(critique);
+    expect(first.text).toBe('The $48,000 annual savings figure has no evidence behind it.');
+    expect(second.text).toContain('weeks of lost productivity');
+    expect(second.title).toBe('Training costs for 120 staff are ignored.');
+  });
+
+  test('should treat paragraphs as issues when a section has no list', () => {
+    const issues = parseCritique('## Weaknesses\n\nThe ROI math double counts labor.\n\nThe timeline skips data migration.');
+    expect(issues).toHaveLength(2);
+    expect(issues[1].text).toBe('The timeline skips data migration.');
+  });
+
+  test('should read nested persona critiques from a merged panel review', () => {
+    const merged = '### 💰 Chief Financial Officer (Finance)\n\n**Focus:** Cost\n\n#### Concerns\n1. Payback period is unstated.';
+    const issues = parseCritique(merged);
+    expect(issues).toHaveLength(1);
+    expect(issues[0].category).toBe('weaknesses');
+  });
+
+  test('should return no issues for empty input', () => {
+    expect(parseCritique('')).toEqual([]);
+    expect(parseCritique(undefined)).toEqual([]);
+  });
+});
+
+describe('estimateSeverity', () => {
+  test('should prefer explicit markers', () => {
+    expect(estimateSeverity('[Low] The ROI is unsupported', 'financial')).toBe('low');
+    expect(estimateSeverity('Severity: high. Typo in heading', 'slop')).toBe('high');
+  });
+
+  test('should read wording before the category default', () => {
+    expect(estimateSeverity('This is a deal breaker', 'timing')).toBe('high');
+    expect(estimateSeverity('Minor formatting issue', 'financial')).toBe('low');
+    expect(estimateSeverity('Pricing tiers are confusing', 'financial')).toBe('high');
+    expect(estimateSeverity('Filler phrases throughout', 'slop')).toBe('low');
+  });
+});
+
+describe('checkCritiqueResolution', () => {
+  const issues = parseCritique(critique);
+
+  test('should extract numbers and uncommon words as terms', () => {
+    expect(extractIssueTerms(issues[0].text)).toEqual(['$48,000', 'annual', 'savings', 'figure', 'behind']);
+  });
+
+  test('should mark issues whose terms appear in the proposal as resolved', () => {
+    const proposal = 'Annual savings of $48,000 are backed by the vendor quote; the figure is itemized behind Table 2. ' +
+      'Uptime for the platform is 99.95% per the SLA.';
+    const results = checkCritiqueResolution(issues, proposal);
+
+    expect(results[0].resolved).toBe(true);
+    expect(results[0].matchedTerms).toContain('$48,000');
+    expect(results[1].resolved).toBe(false);
+    expect(results[2].resolved).toBe(true);
+  });
+
+  test('should leave everything unresolved against an empty proposal', () => {
+    expect(checkCritiqueResolution(issues, '').every(r => !r.resolved)).toBe(true);
+  });
+});
+
+describe('getCritiqueResolution', () => {
+  test('should check critiques from every phase feeding the final synthesis', () => {
+    const project = {
+      pipelineId: 'legal-review',
+      phases: {
+        2: { response: '## Weaknesses\n1. Payback period is unstated.' },
+        3: { response: '## Contract Risks\n1. Auto-renewal clause with current vendor.' }
+      }
+    };
+
+    const results = getCritiqueResolution(project, 'Payback period: 14 months.');
+
+    expect(results.map(r => r.issue.id)).toEqual([1, 2]);
+    expect(results.map(r => r.issue.category)).toEqual(['weaknesses', 'contract']);
+    expect(results[0].resolved).toBe(true);
+    expect(results[1].resolved).toBe(false);
+  });
+});
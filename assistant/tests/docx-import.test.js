@@ -0,0 +1,153 @@
+/**
+ * DOCX Import Tests
+ */
+
+import { jest } from '@jest/globals';
+import { deflateRawSync } from 'node:zlib';
+import { DecompressionStream, ReadableStream } from 'node:stream/web';
+import { TextDecoder } from 'node:util';
+import { docxToHtml } from '../../shared/js/docx-import.js';
+
+// jsdom does not provide these; browsers do
+globalThis.DecompressionStream = DecompressionStream;
+globalThis.ReadableStream = ReadableStream;
+globalThis.TextDecoder = TextDecoder;
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+/**
+ * Build a zip archive (CRCs are left at zero; the reader does not check them)
+ * @param {Object.<string, string>} files - Entry name to content
+ * @param {boolean} [compress=true] - Deflate entries instead of storing them
+ */
+function buildZip(files, compress = true) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = compress ? deflateRawSync(raw) : raw;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(compress ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(compress ? 8 : 0, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return new Uint8Array(Buffer.concat([...locals, ...central, end]));
+}
+
+/** Build a .docx whose body is the given WordprocessingML */
+function buildDocx(body, { styles, numbering, rels, compress } = {}) {
+  const files = { 'word/document.xml': `<?xml version="1.0" encoding="UTF-8"?><w:document ${W}><w:body>${body}</w:body></w:document>` };
+  if (styles) files['word/styles.xml'] = `<w:styles ${W}>${styles}</w:styles>`;
+  if (numbering) files['word/numbering.xml'] = `<w:numbering ${W}>${numbering}</w:numbering>`;
+  if (rels) files['word/_rels/document.xml.rels'] = `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels}</Relationships>`;
+  return buildZip(files, compress);
+}
+
+const paragraph = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+const listItem = (text, numId, level = 0) => `<w:p><w:pPr><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+
+describe('docxToHtml', () => {
+  test('should convert headings and paragraphs', async () => {
+    const docx = buildDocx(
+      paragraph('Proposal: Call Handling', 'Title') + paragraph('Executive Summary', 'Heading1') + paragraph('Answer every call.') + paragraph('Details', 'Heading3')
+    );
+
+    expect(await docxToHtml(docx)).toBe(
+      '<h1>Proposal: Call Handling</h1>\n<h1>Executive Summary</h1>\n<p>Answer every call.</p>\n<h3>Details</h3>'
+    );
+  });
+
+  test('should read heading levels from the style names', async () => {
+    const styles = '<w:style w:type="paragraph" w:styleId="berschrift2"><w:name w:val="heading 2"/></w:style>';
+    const docx = buildDocx(paragraph('Problem Statement', 'berschrift2'), { styles });
+
+    expect(await docxToHtml(docx)).toBe('<h2>Problem Statement</h2>');
+  });
+
+  test('should keep bold, italic, line breaks and links', async () => {
+    const body = '<w:p>'
+      + '<w:r><w:rPr><w:b/></w:rPr><w:t>Bold</w:t></w:r>'
+      + '<w:r><w:t xml:space="preserve"> and </w:t></w:r>'
+      + '<w:r><w:rPr><w:i/><w:b w:val="0"/></w:rPr><w:t>italic</w:t></w:r>'
+      + '<w:r><w:br/><w:t>next &amp; last</w:t></w:r>'
+      + '<w:hyperlink r:id="rId5"><w:r><w:t>site</w:t></w:r></w:hyperlink>'
+      + '</w:p>';
+    const rels = '<Relationship Id="rId5" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="https://example.com" TargetMode="External"/>';
+
+    expect(await docxToHtml(buildDocx(body, { rels }))).toBe(
+      '<p><strong>Bold</strong> and <em>italic</em><br>next &amp; last<a href="https://example.com">site</a></p>'
+    );
+  });
+
+  test('should nest lists by level and tell ordered from bulleted lists', async () => {
+    const numbering = '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl><w:lvl w:ilvl="1"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>'
+      + '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>';
+    const body = listItem('Costs', 1) + listItem('Licences', 1, 1) + listItem('Staff', 1, 1) + listItem('Risks', 1) + paragraph('After the list.');
+
+    expect(await docxToHtml(buildDocx(body, { numbering }))).toBe(
+      '<ul><li>Costs\n<ol><li>Licences\n</li><li>Staff\n</li></ol>\n</li><li>Risks\n</li></ul>\n<p>After the list.</p>'
+    );
+  });
+
+  test('should convert tables with multi-paragraph cells', async () => {
+    const cell = (...texts) => `<w:tc>${texts.map(t => paragraph(t)).join('')}</w:tc>`;
+    const body = `<w:tbl><w:tr>${cell('Metric')}${cell('Target')}</w:tr><w:tr>${cell('Answer rate')}${cell('95%', 'within 30 days')}</w:tr></w:tbl>`;
+
+    expect(await docxToHtml(buildDocx(body))).toBe(
+      '<table><tr><td>Metric</td><td>Target</td></tr><tr><td>Answer rate</td><td>95%<br>within 30 days</td></tr></table>'
+    );
+  });
+
+  test('should read stored (uncompressed) entries', async () => {
+    expect(await docxToHtml(buildDocx(paragraph('Stored'), { compress: false }))).toBe('<p>Stored</p>');
+  });
+
+  test('should reject files that are not Word documents', async () => {
+    await expect(docxToHtml(new Uint8Array(Buffer.from('Just some text that is not a zip archive')))).rejects.toThrow('Not a valid .docx file');
+    await expect(docxToHtml(buildZip({ 'readme.txt': 'hello' }))).rejects.toThrow('Not a valid .docx file');
+  });
+
+  test('should reject a corrupt compressed entry without an unhandled rejection', async () => {
+    const docx = buildDocx(paragraph('Corrupt'));
+    // Block type 11 is reserved, so inflating the body fails
+    docx.fill(0xff, 30 + 'word/document.xml'.length, 40 + 'word/document.xml'.length);
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+
+    try {
+      await expect(docxToHtml(docx)).rejects.toThrow('Not a valid .docx file');
+      await new Promise(resolve => setTimeout(resolve, 10));
+    } finally {
+      process.off('unhandledRejection', unhandled);
+    }
+
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Import Document Tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  convertHtmlToMarkdown,
+  convertFileToMarkdown,
+  showImportModal
+} from '../../shared/js/import-document.js';
+
+/** Load the bundled Turndown script the way the page's <script> tag does */
+function loadTurndown() {
+  const source = fs.readFileSync(path.join(process.cwd(), 'shared/js/lib/turndown.js'), 'utf-8');
+  return new Function(`${source}\nreturn TurndownService;`)();
+}
+
+describe('convertHtmlToMarkdown', () => {
+  beforeAll(() => {
+    globalThis.TurndownService = loadTurndown();
+  });
+
+  afterAll(() => {
+    delete globalThis.TurndownService;
+  });
+
+  test('should convert tables to Markdown tables', () => {
+    const html = '<table><tr><td>Metric</td><td>Target</td></tr><tr><td><strong>Answer rate</strong></td><td>95%<br>within 30 days</td></tr><tr><td>A | B</td></tr></table>';
+
+    expect(convertHtmlToMarkdown(html)).toBe([
+      '| Metric | Target |',
+      '| --- | --- |',
+      '| **Answer rate** | 95%<br>within 30 days |',
+      '| A \\| B |  |'
+    ].join('\n'));
+  });
+
+  test('should keep heading levels and nested lists', () => {
+    const html = '<h2>Scope</h2><ul><li>Costs<ol><li>Licences</li></ol></li><li>Risks</li></ul>';
+
+    expect(convertHtmlToMarkdown(html)).toBe('## Scope\n\n-   Costs\n    1.  Licences\n-   Risks');
+  });
+});
+
+describe('convertFileToMarkdown', () => {
+  test('should use Markdown and text files as-is', async () => {
+    const md = new File(['# Proposal\n\n| a | b |'], 'proposal.md', { type: 'text/markdown' });
+    const txt = new File(['Plain notes'], 'notes.TXT', { type: 'text/plain' });
+
+    await expect(convertFileToMarkdown(md)).resolves.toBe('# Proposal\n\n| a | b |');
+    await expect(convertFileToMarkdown(txt)).resolves.toBe('Plain notes');
+  });
+
+  test('should convert HTML files', async () => {
+    const html = new File(['<p>Exported page</p>'], 'export.html', { type: 'text/html' });
+    await expect(convertFileToMarkdown(html)).resolves.toBe('Exported page');
+  });
+
+  test('should reject unsupported file types', async () => {
+    const file = new File(['{}'], 'data.json', { type: 'application/json' });
+    await expect(convertFileToMarkdown(file)).rejects.toThrow('Unsupported file type: .json');
+  });
+});
+
+describe('showImportModal', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should preview an uploaded file with its score', async () => {
+    showImportModal();
+    const input = document.getElementById('import-doc-file-input');
+    Object.defineProperty(input, 'files', {
+      value: [new File(['# Proposal: Call Handling\n\n## Executive Summary\n\nAnswer every call.'], 'proposal.md')],
+      configurable: true
+    });
+
+    input.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.getElementById('import-paste-step').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('import-preview-area').value).toContain('## Executive Summary');
+    expect(document.getElementById('import-score-badge').textContent).toMatch(/\d+%/);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Intake Extractor Tests
+ */
+
+import {
+  extractIntakeCandidates,
+  hasIntakeMaterials,
+  MAX_PAIN_POINTS
+} from '../../shared/js/intake-extractor.js';
+import { renderIntakeSuggestions, applyCandidate } from '../../shared/js/intake-suggestions.js';
+
+const TRANSCRIPT = [
+  'Dana Lee (Customer): Thanks for making time. We are missing about 30% of our inbound calls after 6pm.',
+  'Sam Ortiz (Our team): Which vendor handles those today?',
+  'Dana Lee (Customer): Our current vendor is Purple Cloud and the reporting is frustrating.',
+  'Dana Lee (Customer): We lose roughly $40,000 a month in service revenue from unanswered calls.',
+  'Dana Lee (Customer): The weather was great last week.'
+].join('\n');
+
+const NOTES = 'Met with Mark Chen, our CFO, and General Manager Priya Shah. Mark Chen said budget is a blocker until Q3.\n'
+  + 'They are thinking about switching to Talkdesk. Kim Park is the service manager for 3 stores.';
+
+describe('extractIntakeCandidates', () => {
+  const result = extractIntakeCandidates({ conversationTranscripts: TRANSCRIPT, meetingNotes: NOTES });
+
+  test('should propose sentences that describe problems, strongest first', () => {
+    const texts = result.painPoints.map(p => p.text);
+
+    expect(texts[0]).toBe('We lose roughly $40,000 a month in service revenue from unanswered calls.');
+    expect(texts).toContain('We are missing about 30% of our inbound calls after 6pm.');
+    expect(texts).toContain('Mark Chen said budget is a blocker until Q3.');
+    expect(texts.some(t => t.includes('weather'))).toBe(false);
+    expect(result.painPoints[0].source).toBe('conversationTranscripts');
+  });
+
+  test('should strip transcript speaker labels', () => {
+    expect(result.painPoints.every(p => !p.text.includes('(Customer)'))).toBe(true);
+  });
+
+  test('should find mentioned vendors', () => {
+    expect(result.vendors.map(v => v.name)).toEqual(['Purple Cloud', 'Talkdesk']);
+    expect(result.vendors[1]).toMatchObject({ source: 'meetingNotes', context: 'They are thinking about switching to Talkdesk.' });
+  });
+
+  test('should find named people with their roles', () => {
+    expect(result.people).toEqual([
+      { name: 'Mark Chen', role: 'CFO', decisionMaker: true, source: 'meetingNotes' },
+      { name: 'Kim Park', role: 'Service Manager', decisionMaker: false, source: 'meetingNotes' },
+      { name: 'Priya Shah', role: 'General Manager', decisionMaker: true, source: 'meetingNotes' }
+    ]);
+  });
+
+  test('should find quoted numbers with their sentence', () => {
+    expect(result.numbers.map(n => n.value)).toEqual(['30% of our inbound', '$40,000 a month', '3 stores']);
+    expect(result.numbers[2].context).toBe('Kim Park is the service manager for 3 stores.');
+  });
+
+  test('should not treat lower-case words as names', () => {
+    const { people } = extractIntakeCandidates({ meetingNotes: 'we spoke with the manager about it and the gm agreed.' });
+    expect(people).toEqual([]);
+  });
+
+  test('should skip duplicates across sources', () => {
+    const { painPoints, vendors } = extractIntakeCandidates({
+      meetingNotes: 'We are using Purple Cloud. Calls are missed every weekend.',
+      attachmentText: 'Calls are missed every weekend!'
+    });
+    expect(painPoints).toHaveLength(1);
+    expect(vendors).toHaveLength(1);
+  });
+
+  test('should cap the number of pain points', () => {
+    const notes = Array.from({ length: 12 }, (_, i) => `Problem number ${i + 1} keeps happening.`).join('\n');
+    expect(extractIntakeCandidates({ meetingNotes: notes }).painPoints).toHaveLength(MAX_PAIN_POINTS);
+  });
+
+  test('should return empty lists without materials', () => {
+    expect(extractIntakeCandidates({})).toEqual({ painPoints: [], vendors: [], people: [], numbers: [] });
+  });
+});
+
+describe('hasIntakeMaterials', () => {
+  test('should need text in at least one source', () => {
+    expect(hasIntakeMaterials({ meetingNotes: '  ' })).toBe(false);
+    expect(hasIntakeMaterials({ attachmentText: 'RFP' })).toBe(true);
+  });
+});
+
+describe('intake suggestions', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="currentVendor">
+      <input id="decisionMakerName">
+      <input id="decisionMakerRole">
+      <textarea id="painPoints">- Existing point</textarea>
+      <textarea id="additionalContext"></textarea>
+      <div id="intake-suggestions" class="hidden"></div>
+    `;
+  });
+
+  test('should write accepted candidates into the form', () => {
+    applyCandidate('vendors', { name: 'Purple Cloud' });
+    applyCandidate('vendors', { name: 'purple cloud' });
+    applyCandidate('vendors', { name: 'Talkdesk' });
+    applyCandidate('people', { name: 'Mark Chen', role: 'CFO' });
+    applyCandidate('people', { name: 'Kim Park', role: 'Service Manager' });
+    applyCandidate('numbers', { value: '3 stores', context: 'Kim runs 3 stores.' });
+    applyCandidate('painPoints', { text: 'Calls are missed.' });
+
+    expect(document.getElementById('currentVendor').value).toBe('Purple Cloud, Talkdesk');
+    expect(document.getElementById('decisionMakerName').value).toBe('Mark Chen');
+    expect(document.getElementById('decisionMakerRole').value).toBe('CFO');
+    expect(document.getElementById('painPoints').value).toBe('- Existing point\n- Calls are missed.');
+    expect(document.getElementById('additionalContext').value).toBe('Stakeholder: Kim Park (Service Manager)\nKey figure: 3 stores (Kim runs 3 stores.)');
+  });
+
+  test('should accept and reject candidates from the list', () => {
+    const container = document.getElementById('intake-suggestions');
+    renderIntakeSuggestions(container, extractIntakeCandidates({ meetingNotes: NOTES }));
+
+    expect(container.classList.contains('hidden')).toBe(false);
+    const firstPerson = () => container.querySelector('.intake-candidate[data-kind="people"]');
+    expect(firstPerson().textContent).toContain('decision maker');
+
+    firstPerson().querySelector('.intake-accept-btn').click();
+    expect(document.getElementById('decisionMakerName').value).toBe('Mark Chen');
+
+    const vendor = container.querySelector('.intake-candidate[data-kind="vendors"]');
+    vendor.querySelector('.intake-reject-btn').click();
+    expect(container.querySelector('.intake-candidate[data-kind="vendors"]')).toBeNull();
+    expect(document.getElementById('currentVendor').value).toBe('');
+  });
+
+  test('should say when nothing is left', () => {
+    const container = document.getElementById('intake-suggestions');
+    renderIntakeSuggestions(container, { painPoints: [], vendors: [], people: [], numbers: [] });
+    expect(container.textContent).toContain('No more suggestions');
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Schema Migrations Tests
+ */
+
+import {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  migrateProject,
+  needsMigration
+} from '../../shared/js/migrations.js';
+import storage from '../../shared/js/storage.js';
+import { importProjects, getProject } from '../../shared/js/projects.js';
+
+const migrationFor = (version) => MIGRATIONS.find(m => m.version === version);
+
+describe('migrations', () => {
+  test('should be ordered with the schema version set to the latest', () => {
+    const versions = MIGRATIONS.map(m => m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+  });
+
+  describe('v2: organization fields', () => {
+    const { migrate } = migrationFor(2);
+
+    test('should rename dealership fields', () => {
+      const result = migrate({ dealershipName: 'Team Auto', dealershipLocation: 'Dallas, TX', storeCount: '5' });
+      expect(result).toEqual({ organizationName: 'Team Auto', organizationLocation: 'Dallas, TX', siteCount: '5' });
+    });
+
+    test('should keep an existing organization value', () => {
+      const result = migrate({ organizationName: 'Canonical', dealershipName: 'Legacy' });
+      expect(result).toEqual({ organizationName: 'Canonical' });
+    });
+
+    test('should rebuild the name index', () => {
+      const indexes = new Set(['updatedAt', 'dealershipName']);
+      const store = {
+        indexNames: { contains: (name) => indexes.has(name) },
+        deleteIndex: (name) => indexes.delete(name),
+        createIndex: (name) => indexes.add(name)
+      };
+      migrationFor(2).upgradeStore(store);
+      expect([...indexes]).toEqual(['updatedAt', 'organizationName']);
+    });
+  });
+
+  describe('v3: phase records', () => {
+    const { migrate } = migrationFor(3);
+
+    test('should convert array phases to numbered records', () => {
+      const result = migrate({ phases: [{ prompt: 'P1', response: 'One' }, { response: 'Two', completed: true }] });
+
+      expect(result.phases).toEqual({
+        1: { prompt: 'P1', response: 'One', completed: true },
+        2: { prompt: '', response: 'Two', completed: true }
+      });
+      expect(result.phase1_output).toBe('One');
+      expect(result.phase2_output).toBe('Two');
+    });
+
+    test('should create records for flat outputs', () => {
+      const result = migrate({ phase1_output: 'Draft', phase2_output: '' });
+
+      expect(result.phases[1]).toEqual({ prompt: '', response: 'Draft', completed: true });
+      expect(result.phases[2]).toEqual({ prompt: '', response: '', completed: false });
+    });
+
+    test('should fill missing flat outputs from phase records', () => {
+      const result = migrate({ phases: { 1: { prompt: 'P', response: 'Draft', completed: true } } });
+      expect(result.phase1_output).toBe('Draft');
+    });
+
+    test('should keep extra phase data', () => {
+      const history = [{ response: 'Draft', savedAt: '2024-01-01T00:00:00.000Z', source: 'pasted' }];
+      const result = migrate({ phases: { 1: { prompt: 'P', response: 'Draft', completed: true, history } } });
+      expect(result.phases[1].history).toEqual(history);
+    });
+
+    test('should replace currentPhase with phase', () => {
+      expect(migrate({ currentPhase: 2 })).toMatchObject({ phase: 2, phases: {} });
+      expect(migrate({ currentPhase: 2 })).not.toHaveProperty('currentPhase');
+      expect(migrate({ phase: 3, currentPhase: 2 }).phase).toBe(3);
+    });
+  });
+
+  describe('migrateProject', () => {
+    const legacy = {
+      id: 'legacy-1',
+      title: 'Proposal - Team Auto',
+      dealershipName: 'Team Auto',
+      dealershipLocation: 'Dallas, TX',
+      storeCount: '5',
+      currentPhase: 2,
+      phases: [{ prompt: 'P1', response: 'Draft' }]
+    };
+
+    test('should apply every pending migration without changing the input', () => {
+      const result = migrateProject(legacy);
+
+      expect(result).toMatchObject({
+        organizationName: 'Team Auto',
+        organizationLocation: 'Dallas, TX',
+        siteCount: '5',
+        phase: 2,
+        phase1_output: 'Draft',
+        schemaVersion: SCHEMA_VERSION
+      });
+      expect(legacy.dealershipName).toBe('Team Auto');
+      expect(Array.isArray(legacy.phases)).toBe(true);
+    });
+
+    test('should skip migrations a record already has', () => {
+      const current = { id: 'x', schemaVersion: SCHEMA_VERSION, dealershipName: 'Untouched' };
+      expect(needsMigration(current)).toBe(false);
+      expect(migrateProject(current).dealershipName).toBe('Untouched');
+      expect(needsMigration(legacy)).toBe(true);
+    });
+  });
+});
+
+describe('database upgrade', () => {
+  beforeAll(async () => {
+    // Create a version 1 database holding a legacy record, as shipped before migrations
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.open('strategic-proposal-db', 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore('proposals', { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt', { unique: false });
+        store.createIndex('dealershipName', 'dealershipName', { unique: false });
+        store.put({
+          id: 'old-1',
+          title: 'Proposal - Team Auto',
+          dealershipName: 'Team Auto',
+          storeCount: '3',
+          phase1_output: 'Old draft',
+          updatedAt: '2024-01-01T00:00:00.000Z'
+        });
+      };
+      request.onsuccess = () => {
+        request.result.close();
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    await storage.init();
+  });
+
+  test('should rewrite stored records to the current schema', async () => {
+    const project = await storage.getProject('old-1');
+
+    expect(project).toMatchObject({
+      organizationName: 'Team Auto',
+      siteCount: '3',
+      schemaVersion: SCHEMA_VERSION,
+      phases: { 1: { prompt: '', response: 'Old draft', completed: true } }
+    });
+    expect(project).not.toHaveProperty('dealershipName');
+  });
+
+  test('should rebuild the indexes and add missing stores', () => {
+    const tx = storage.db.transaction('proposals', 'readonly');
+    const indexNames = tx.objectStore('proposals').indexNames;
+
+    expect(storage.db.version).toBe(SCHEMA_VERSION);
+    expect(indexNames.contains('organizationName')).toBe(true);
+    expect(indexNames.contains('dealershipName')).toBe(false);
+    expect(storage.db.objectStoreNames.contains('settings')).toBe(true);
+  });
+
+  test('should migrate legacy exports on import', async () => {
+    const file = new File([JSON.stringify({ id: 'old-2', dealershipName: 'Legacy Motors', dealershipLocation: 'Austin, TX' })], 'old.json', { type: 'application/json' });
+
+    await importProjects(file);
+
+    const project = await getProject('old-2');
+    expect(project.organizationName).toBe('Legacy Motors');
+    expect(project.organizationLocation).toBe('Austin, TX');
+    expect(project.schemaVersion).toBe(SCHEMA_VERSION);
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * PDF Text Extraction Tests
+ */
+
+import { deflateSync } from 'node:zlib';
+import { createHash, createCipheriv } from 'node:crypto';
+import { DecompressionStream } from 'node:stream/web';
+import { extractPdfText, parseToUnicodeCMap } from '../../shared/js/pdf-extract.js';
+
+// jsdom does not provide DecompressionStream; browsers do
+globalThis.DecompressionStream = DecompressionStream;
+
+/** Latin-1 bytes of a string (jsdom has no TextEncoder) */
+const toBytes = (text) => Uint8Array.from(text, ch => ch.charCodeAt(0));
+
+/**
+ * Build a PDF file from object bodies (object n is bodies[n - 1]).
+ * A body may be {dict, stream, compress} for stream objects.
+ * @param {Array} bodies
+ * @param {{trailer?: string, encryptStream?: (data: Buffer, objectNumber: number) => Buffer}} [options]
+ */
+function buildPdf(bodies, { trailer = '', encryptStream } = {}) {
+  let pdf = '%PDF-1.7\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  bodies.forEach((body, index) => {
+    offsets.push(pdf.length);
+    if (typeof body === 'string') {
+      pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    } else {
+      let data = Buffer.from(body.stream, 'latin1');
+      if (body.compress) data = deflateSync(data);
+      if (encryptStream) data = encryptStream(data, index + 1);
+      data = data.toString('latin1');
+      const filter = body.compress ? ' /Filter /FlateDecode' : '';
+      pdf += `${index + 1} 0 obj\n<< ${body.dict || ''} /Length ${data.length}${filter} >>\nstream\n${data}\nendstream\nendobj\n`;
+    }
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${bodies.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${bodies.length + 1} /Root 1 0 R ${trailer}>>\nstartxref\n${xref}\n%%EOF\n`;
+  return toBytes(pdf);
+}
+
+/** Catalog, page tree and Helvetica font followed by one page per content stream, then any extra objects */
+function simplePdf(contents, { compress = false, extra = [], ...options } = {}) {
+  const kids = contents.map((_, i) => `${4 + i * 2} 0 R`).join(' ');
+  const bodies = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${kids}] /Count ${contents.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  contents.forEach((content, i) => {
+    bodies.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+    bodies.push({ stream: content, compress });
+  });
+  return buildPdf([...bodies, ...extra], options);
+}
+
+const FILE_ID = Buffer.from('5d1c2f0e9a8b7c6d5e4f30211a2b3c4d', 'hex');
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+const md5 = (...parts) => createHash('md5').update(Buffer.concat(parts)).digest();
+const hex = (bytes) => `<${bytes.toString('hex')}>`;
+
+/** RC4 (OpenSSL 3 only offers it through the legacy provider) */
+function rc4(key, data) {
+  const s = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const output = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+    output[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return output;
+}
+
+/** AES-CBC with a leading IV, as PDF streams store it */
+function aesEncrypt(key, data) {
+  const iv = Buffer.alloc(16, 7);
+  const cipher = createCipheriv(`aes-${key.length * 8}-cbc`, key, iv);
+  return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+}
+
+/**
+ * Standard security handler, revision 3 (RC4) or 4 (AES-128), with an empty user password
+ * @param {{aes?: boolean, userPassword?: boolean}} options - userPassword: require a password to open
+ */
+function legacySecurity({ aes = false, userPassword = false } = {}) {
+  const owner = Buffer.alloc(32, 0x4f);
+  const permissions = Buffer.alloc(4);
+  permissions.writeInt32LE(-3904);
+  let key = md5(PASSWORD_PADDING, owner, permissions, FILE_ID);
+  for (let i = 0; i < 50; i++) key = md5(key);
+
+  let user = rc4(key, md5(PASSWORD_PADDING, FILE_ID));
+  for (let i = 1; i <= 19; i++) user = rc4(key.map(byte => byte ^ i), user);
+  if (userPassword) user = Buffer.alloc(16, 0x55);
+
+  const cryptFilter = aes ? '/CF << /StdCF << /CFM /AESV2 /Length 16 >> >> /StmF /StdCF /StrF /StdCF' : '';
+  return {
+    dict: `<< /Filter /Standard /V ${aes ? 4 : 2} /R ${aes ? 4 : 3} /Length 128 /P -3904 /O ${hex(owner)} /U ${hex(Buffer.concat([user, Buffer.alloc(16)]))} ${cryptFilter} >>`,
+    encryptStream: (data, objectNumber) => {
+      const objectKey = md5(key, Buffer.from([objectNumber, 0, 0, 0, 0]), Buffer.from(aes ? 'sAlT' : ''));
+      return aes ? aesEncrypt(objectKey, data) : rc4(objectKey, data);
+    }
+  };
+}
+
+/** Password hash for revision 6 (ISO 32000-2, algorithm 2.B) with an empty password */
+function hashRevision6(salt) {
+  let k = createHash('sha256').update(salt).digest();
+  let e = Buffer.alloc(0);
+  for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+    const cipher = createCipheriv('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32)).setAutoPadding(false);
+    e = Buffer.concat([cipher.update(Buffer.concat(Array(64).fill(k))), cipher.final()]);
+    const remainder = e.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    k = createHash(['sha256', 'sha384', 'sha512'][remainder]).update(e).digest();
+  }
+  return k.subarray(0, 32);
+}
+
+/** Standard security handler, revision 6 (AES-256), with an empty user password */
+function aes256Security() {
+  const fileKey = Buffer.alloc(32, 0x6b);
+  const validationSalt = Buffer.from('validate');
+  const keySalt = Buffer.from('key-salt');
+  const cipher = createCipheriv('aes-256-cbc', hashRevision6(keySalt), Buffer.alloc(16)).setAutoPadding(false);
+  const userKey = Buffer.concat([cipher.update(fileKey), cipher.final()]);
+  const user = Buffer.concat([hashRevision6(validationSalt), validationSalt, keySalt]);
+
+  return {
+    dict: `<< /Filter /Standard /V 5 /R 6 /Length 256 /P -3904 /O ${hex(Buffer.alloc(48, 0x4f))} /U ${hex(user)} ` +
+      `/OE ${hex(Buffer.alloc(32, 0x4f))} /UE ${hex(userKey)} /Perms ${hex(Buffer.alloc(16))} ` +
+      '/CF << /StdCF << /CFM /AESV3 /Length 32 >> >> /StmF /StdCF /StrF /StdCF >>',
+    encryptStream: (data) => aesEncrypt(fileKey, data)
+  };
+}
+
+/** One-page PDF protected by a security handler, with the encryption dictionary as object 6 */
+function encryptedPdf(content, { dict, encryptStream }, { compress = false } = {}) {
+  return simplePdf([content], { compress, extra: [dict], trailer: `/Encrypt 6 0 R /ID [${hex(FILE_ID)} ${hex(FILE_ID)}] `, encryptStream });
+}
+
+describe('extractPdfText', () => {
+  test('should extract lines, headings and page markers', async () => {
+    const page1 = [
+      'BT /F1 20 Tf 72 720 Td (Request for Proposal) Tj ET',
+      'BT /F1 14 Tf 72 690 Td (Scope of Work) Tj ET',
+      'BT /F1 11 Tf 72 670 Td (The vendor shall answer every inbound call.) Tj',
+      '0 -14 Td (Missed calls are tracked per store.) Tj ET'
+    ].join('\n');
+    const page2 = 'BT /F1 11 Tf 72 720 Td (Responses are due March 1.) Tj ET';
+
+    const result = await extractPdfText(simplePdf([page1, page2]));
+
+    expect(result.pageCount).toBe(2);
+    expect(result.unreadablePages).toEqual([]);
+    expect(result.pages[0].text).toBe([
+      '# Request for Proposal',
+      '',
+      '## Scope of Work',
+      '',
+      'The vendor shall answer every inbound call.',
+      'Missed calls are tracked per store.'
+    ].join('\n'));
+    expect(result.text).toBe(`[Page 1]\n${result.pages[0].text}\n\n[Page 2]\nResponses are due March 1.`);
+  });
+
+  test('should read Flate-compressed content streams', async () => {
+    const content = 'BT /F1 11 Tf 72 720 Td (Compressed body text.) Tj ET';
+    const result = await extractPdfText(simplePdf([content], { compress: true }));
+    expect(result.pages[0].text).toBe('Compressed body text.');
+  });
+
+  test('should handle TJ spacing, T* line breaks and escapes', async () => {
+    const content = [
+      'BT /F1 11 Tf 14 TL 72 720 Td',
+      '[(Total) -250 (cost) 30 (s) -300 (\\(TCO\\))] TJ',
+      'T* (Second line) Tj',
+      '(Third line) \' ET'
+    ].join('\n');
+
+    const result = await extractPdfText(simplePdf([content]));
+    expect(result.pages[0].text).toBe('Total costs (TCO)\nSecond line\nThird line');
+  });
+
+  test('should separate paragraphs on large vertical gaps', async () => {
+    const content = 'BT /F1 11 Tf 72 720 Td (First paragraph.) Tj 0 -40 Td (Second paragraph.) Tj ET';
+    const result = await extractPdfText(simplePdf([content]));
+    expect(result.pages[0].text).toBe('First paragraph.\n\nSecond paragraph.');
+  });
+
+  test('should report image-only pages', async () => {
+    const text = 'BT /F1 11 Tf 72 720 Td (Readable page.) Tj ET';
+    const scan = 'q 612 0 0 792 0 0 cm /Im1 Do Q';
+
+    const result = await extractPdfText(simplePdf([text, scan]));
+
+    expect(result.unreadablePages).toEqual([2]);
+    expect(result.pages[1]).toMatchObject({ readable: false, text: '' });
+    expect(result.text).toContain('[Page 2]\n[No extractable text: scanned or image-only page]');
+  });
+
+  test('should map composite font glyphs through ToUnicode', async () => {
+    const cmap = [
+      'begincmap',
+      '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+      '2 beginbfchar <0001> <0048> <0002> <0069> endbfchar',
+      '1 beginbfrange <0010> <0012> <0041> endbfrange',
+      'endcmap'
+    ].join('\n');
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 4 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+Calibri /ToUnicode 5 0 R >>',
+      { stream: cmap, compress: true },
+      { stream: 'BT /F1 11 Tf 72 720 Td <00010002> Tj 0 -14 Td <001000110012> Tj ET' }
+    ]);
+
+    const result = await extractPdfText(pdf);
+    expect(result.pages[0].text).toBe('Hi\nABC');
+  });
+
+  test('should treat composite fonts without ToUnicode as unreadable', async () => {
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+      '<< /Type /Font /Subtype /Type0 /BaseFont /Outlined >>',
+      { stream: 'BT /F1 11 Tf 72 720 Td <00010002> Tj ET' }
+    ]);
+
+    const result = await extractPdfText(pdf);
+    expect(result.unreadablePages).toEqual([1]);
+  });
+
+  test('should read pages stored in compressed object streams', async () => {
+    // Objects 5 (page tree) and 6 (page) only exist inside object stream 2
+    const packed = ['<< /Type /Pages /Kids [6 0 R] /Count 1 >>', '<< /Type /Page /Parent 5 0 R /Resources << /Font << /F1 4 0 R >> >> /Contents 3 0 R >>'];
+    const header = `5 0 6 ${packed[0].length + 1} `;
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 5 0 R >>',
+      { dict: `/Type /ObjStm /N 2 /First ${header.length}`, stream: `${header}${packed.join(' ')}`, compress: true },
+      { stream: 'BT /F1 11 Tf 72 720 Td (From an object stream.) Tj ET', compress: true },
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ]);
+
+    const result = await extractPdfText(pdf);
+    expect(result.pages[0].text).toBe('From an object stream.');
+  });
+
+  test('should inherit resources from the page tree', async () => {
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 4 0 R >> >> >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+      { stream: 'BT /F1 11 Tf 72 720 Td (Inherited fonts.) Tj ET' }
+    ]);
+
+    const result = await extractPdfText(pdf);
+    expect(result.pages[0].text).toBe('Inherited fonts.');
+  });
+
+  test('should reject files that are not PDFs', async () => {
+    await expect(extractPdfText(toBytes('Hello'))).rejects.toThrow('Not a PDF file');
+  });
+});
+
+describe('extractPdfText with encrypted PDFs', () => {
+  const content = 'BT /F1 11 Tf 72 720 Td (Owner password only.) Tj ET';
+
+  test('should decrypt RC4 files that open without a password', async () => {
+    const result = await extractPdfText(encryptedPdf(content, legacySecurity()));
+
+    expect(result.pages[0].text).toBe('Owner password only.');
+    expect(result.passwordProtected).toBe(false);
+  });
+
+  test('should decrypt AES-128 files that open without a password', async () => {
+    const result = await extractPdfText(encryptedPdf(content, legacySecurity({ aes: true }), { compress: true }));
+
+    expect(result.pages[0].text).toBe('Owner password only.');
+  });
+
+  test('should decrypt AES-256 files that open without a password', async () => {
+    const result = await extractPdfText(encryptedPdf(content, aes256Security(), { compress: true }));
+
+    expect(result.pages[0].text).toBe('Owner password only.');
+  });
+
+  test('should report every page as unreadable when a password is needed', async () => {
+    const result = await extractPdfText(encryptedPdf(content, legacySecurity({ userPassword: true })));
+
+    expect(result.passwordProtected).toBe(true);
+    expect(result.unreadablePages).toEqual([1]);
+    expect(result.text).toBe('[Page 1]\n[No extractable text: the PDF needs a password to open]');
+  });
+});
+
+describe('parseToUnicodeCMap', () => {
+  test('should read bfrange arrays and the code length', () => {
+    const { map, codeLength } = parseToUnicodeCMap(
+      '1 begincodespacerange <00> <FF> endcodespacerange\n1 beginbfrange <20> <21> [<0041> <00660069>] endbfrange'
+    );
+    expect(codeLength).toBe(1);
+    expect(map.get(0x20)).toBe('A');
+    expect(map.get(0x21)).toBe('fi');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Reviewer Personas Module Tests
+ */
+
+import {
+  PERSONA_LIBRARY_KEY,
+  DEFAULT_PERSONAS,
+  getPersonaLibrary,
+  savePersona,
+  deletePersona,
+  resetPersonaLibrary,
+  mergePanelCritiques,
+  isPanelComplete
+} from '../../shared/js/personas.js';
+import { renderPanelSteps } from '../../shared/js/project-view-panel.js';
+import storage from '../../shared/js/storage.js';
+
+describe('Persona library', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    await storage.saveSetting(PERSONA_LIBRARY_KEY, undefined);
+  });
+
+  test('should ship CFO, COO, IT and end-user personas', async () => {
+    const library = await getPersonaLibrary();
+    expect(library.map(p => p.id)).toEqual(['cfo', 'coo', 'it', 'end-user']);
+    expect(library).toEqual(DEFAULT_PERSONAS);
+    expect(library[0]).not.toBe(DEFAULT_PERSONAS[0]);
+  });
+
+  test('should add a persona with a unique id', async () => {
+    const first = await savePersona({ name: 'Head of Sales', role: 'Revenue' });
+    const second = await savePersona({ name: 'Head of Sales' });
+
+    expect(first.id).toBe('head-of-sales');
+    expect(second.id).toBe('head-of-sales-2');
+    expect(first.icon).toBe('👤');
+    expect((await getPersonaLibrary()).map(p => p.id)).toContain('head-of-sales-2');
+  });
+
+  test('should update an existing persona in place', async () => {
+    await savePersona({ id: 'cfo', name: 'Finance Director', role: 'Finance', icon: '💰', priorities: 'Cash flow' });
+
+    const library = await getPersonaLibrary();
+    expect(library[0]).toMatchObject({ id: 'cfo', name: 'Finance Director', priorities: 'Cash flow' });
+    expect(library).toHaveLength(DEFAULT_PERSONAS.length);
+  });
+
+  test('should require a name', async () => {
+    await expect(savePersona({ name: '  ' })).rejects.toThrow('Persona name is required');
+  });
+
+  test('should delete and restore personas', async () => {
+    await deletePersona('it');
+    expect((await getPersonaLibrary()).map(p => p.id)).not.toContain('it');
+
+    await resetPersonaLibrary();
+    expect(await getPersonaLibrary()).toEqual(DEFAULT_PERSONAS);
+  });
+});
+
+describe('mergePanelCritiques', () => {
+  const panel = DEFAULT_PERSONAS.slice(0, 2);
+
+  test('should label each critique with its persona and nest its headings', () => {
+    const merged = mergePanelCritiques(panel, {
+      cfo: { response: '## Executive Summary\n\nPayback is unproven.' },
+      coo: { response: '## Executive Summary\n\nRollout plan is thin.' }
+    });
+
+    expect(merged).toContain('**Review panel:** Chief Financial Officer, Chief Operating Officer');
+    expect(merged).toContain('### 💰 Chief Financial Officer (Finance)');
+    expect(merged).toContain('#### Executive Summary\n\nPayback is unproven.');
+    expect(merged.indexOf('Payback')).toBeLessThan(merged.indexOf('Rollout'));
+    expect(merged).toContain('\n\n---\n\n');
+  });
+
+  test('should mark reviewers without a critique', () => {
+    expect(mergePanelCritiques(panel, { cfo: { response: 'Fine.' } })).toContain('[No critique provided]');
+  });
+});
+
+describe('isPanelComplete', () => {
+  const panel = DEFAULT_PERSONAS.slice(0, 2);
+
+  test('should require a critique from every panel member', () => {
+    expect(isPanelComplete(panel, { cfo: { response: 'A' } })).toBe(false);
+    expect(isPanelComplete(panel, { cfo: { response: 'A' }, coo: { response: '  ' } })).toBe(false);
+    expect(isPanelComplete(panel, { cfo: { response: 'A' }, coo: { response: 'B' } })).toBe(true);
+  });
+
+  test('should never be complete for an empty panel', () => {
+    expect(isPanelComplete([], {})).toBe(false);
+  });
+});
+
+describe('renderPanelSteps', () => {
+  test('should escape persona fields, icon included', () => {
+    const persona = { id: 'x', icon: '<img src=x onerror="alert(1)">', name: 'CFO', role: 'Finance', priorities: 'Cost' };
+    document.body.innerHTML = renderPanelSteps({ id: 'p1', reviewPanel: [persona], phases: {} }, { aiUrl: 'https://claude.ai/new', aiModel: 'Claude' }, {});
+
+    expect(document.querySelector('img')).toBeNull();
+    expect(document.querySelector('.panel-persona h4').textContent).toContain('<img src=x');
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Project Tracking Tests
+ */
+
+import {
+  parseTags,
+  normalizeFolder,
+  buildTrackingUpdate,
+  getStatusDate,
+  getTagOptions,
+  getFolderOptions,
+  today,
+  NO_FOLDER
+} from '../../shared/js/project-tracking.js';
+import { DEFAULT_LIST_FILTERS, WITH_CUSTOMER, summarizeProject, filterProjectGroups } from '../../shared/js/project-list-filters.js';
+import { migrateProject } from '../../shared/js/migrations.js';
+import { createProject, updateProject, searchProjects, groupProjectBranches } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+describe('tracking fields', () => {
+  test('should parse tags once each, without leading #', () => {
+    expect(parseTags(' #Renewal, multi  rooftop,renewal,, ')).toEqual(['Renewal', 'multi rooftop']);
+    expect(normalizeFolder('  Q3   Texas ')).toBe('Q3 Texas');
+  });
+
+  test('should record the date each status was reached', () => {
+    const project = { salesStatus: 'draft', statusDates: { draft: '2026-01-05' } };
+
+    const sent = buildTrackingUpdate(project, { tags: 'hot', folder: ' Texas ', salesStatus: 'sent', statusDate: '2026-02-01' });
+    expect(sent).toEqual({ tags: ['hot'], folder: 'Texas', salesStatus: 'sent', statusDates: { draft: '2026-01-05', sent: '2026-02-01' } });
+    expect(getStatusDate({ ...project, ...sent })).toBe('2026-02-01');
+
+    const won = buildTrackingUpdate({ ...project, ...sent }, { salesStatus: 'won' });
+    expect(won.statusDates.won).toBe(today());
+    expect(buildTrackingUpdate(project, { salesStatus: 'bogus' }).salesStatus).toBe('draft');
+  });
+
+  test('should list tags and folders in use', () => {
+    const projects = [{ tags: ['renewal', 'Hot'] }, { tags: ['hot'], folder: 'Texas' }, { folder: ' ' }];
+
+    expect(getTagOptions(projects)).toEqual(['Hot', 'renewal']);
+    expect(getFolderOptions(projects)).toEqual(['Texas']);
+  });
+
+  test('should give migrated records tags, a folder and a Draft status', () => {
+    const migrated = migrateProject({ id: 'old', schemaVersion: 4, createdAt: '2025-03-04T10:00:00.000Z' });
+
+    expect(migrated).toMatchObject({ tags: [], folder: '', salesStatus: 'draft', statusDates: { draft: '2025-03-04' } });
+  });
+});
+
+describe('tracking storage and filters', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  test('should index tags, folder and status on the proposals store', () => {
+    const indexNames = storage.db.transaction('proposals', 'readonly').objectStore('proposals').indexNames;
+
+    expect(indexNames.contains('tags')).toBe(true);
+    expect(indexNames.contains('folder')).toBe(true);
+    expect(indexNames.contains('salesStatus')).toBe(true);
+  });
+
+  test('should start new proposals as Draft and make tags searchable', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    expect(project).toMatchObject({ tags: [], folder: '', salesStatus: 'draft', statusDates: { draft: today() } });
+
+    await updateProject(project.id, buildTrackingUpdate(project, { tags: 'Quarterly-Push', folder: 'Texas', salesStatus: 'sent' }));
+    expect(await searchProjects('quarterly')).toEqual(new Set([project.id]));
+  });
+
+  test('should filter by sales status, folder and tag', () => {
+    const projects = [
+      { id: 'a', salesStatus: 'sent', folder: 'Texas', tags: ['Renewal'], phases: {} },
+      { id: 'b', salesStatus: 'negotiating', phases: {} },
+      { id: 'c', salesStatus: 'won', folder: 'Texas', phases: {} },
+      { id: 'd', phases: {} }
+    ];
+    const groups = groupProjectBranches(projects);
+    const summaries = new Map(projects.map(project => [project.id, summarizeProject(project)]));
+    const filter = (filters) => filterProjectGroups(groups, summaries, { ...DEFAULT_LIST_FILTERS, ...filters }, null).map(group => group.origin.id);
+
+    expect(filter({ salesStatus: WITH_CUSTOMER })).toEqual(['a', 'b']);
+    expect(filter({ salesStatus: 'draft' })).toEqual(['d']);
+    expect(filter({ folder: 'Texas' })).toEqual(['a', 'c']);
+    expect(filter({ folder: NO_FOLDER })).toEqual(['b', 'd']);
+    expect(filter({ tag: 'renewal' })).toEqual(['a']);
+  });
+});
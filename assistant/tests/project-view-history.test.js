@@ -0,0 +1,62 @@
+/**
+ * Response History Drawer Tests
+ */
+
+import { showResponseHistoryDrawer } from '../../shared/js/project-view-history.js';
+
+const project = {
+  id: 'p1',
+  phases: {
+    1: {
+      prompt: 'P',
+      response: 'The final draft text',
+      completed: true,
+      history: [
+        { response: 'The first draft text', savedAt: '2024-01-01T10:00:00.000Z', source: 'pasted' },
+        { response: 'The final draft text', savedAt: '2024-01-02T10:00:00.000Z', source: 'edited' }
+      ]
+    }
+  }
+};
+
+describe('showResponseHistoryDrawer', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should list versions newest first with their source', () => {
+    showResponseHistoryDrawer(project, 1);
+
+    const items = document.querySelectorAll('#response-history-drawer li');
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toContain('v2');
+    expect(items[0].textContent).toContain('Edited');
+    expect(items[0].textContent).toContain('Current');
+    expect(items[1].querySelector('.history-restore-btn')).not.toBeNull();
+  });
+
+  test('should diff the previous version against the latest by default', () => {
+    showResponseHistoryDrawer(project, 1);
+
+    const diff = document.getElementById('history-diff');
+    expect(diff.querySelector('.line-through').textContent).toBe('first');
+    expect(diff.textContent).toContain('final');
+  });
+
+  test('should re-render the diff when another version is selected', () => {
+    showResponseHistoryDrawer(project, 1);
+
+    const fromLatest = document.querySelector('input[name="history-from"][value="1"]');
+    fromLatest.checked = true;
+    fromLatest.dispatchEvent(new Event('change'));
+
+    expect(document.querySelector('#history-diff .line-through')).toBeNull();
+    expect(document.body.textContent).toContain('v2 → v2');
+  });
+
+  test('should close on the close button', () => {
+    showResponseHistoryDrawer(project, 1);
+    document.getElementById('history-close-btn').click();
+    expect(document.getElementById('response-history-drawer')).toBeNull();
+  });
+});
@@ -2,7 +2,8 @@
  * Project View Tests
  */
 
-import { renderProjectView } from '../../shared/js/project-view.js';
+import { renderProjectView, renderPhaseContent } from '../../shared/js/project-view.js';
+import { DEFAULT_PERSONAS } from '../../shared/js/personas.js';
 
 describe('ProjectView Module', () => {
   test('should export renderProjectView function', () => {
@@ -13,3 +14,31 @@ describe('ProjectView Module', () => {
     expect(renderProjectView.constructor.name).toBe('AsyncFunction');
   });
 });
+
+describe('renderPhaseContent with a review panel', () => {
+  const project = {
+    id: 'p1',
+    reviewPanel: DEFAULT_PERSONAS.slice(0, 2),
+    phase: 2,
+    phases: {
+      1: { prompt: 'P1', response: 'Draft', completed: true },
+      2: { prompt: '', response: '', completed: false, panel: { cfo: { prompt: 'P', response: 'Too expensive.', updatedAt: '' } } }
+    }
+  };
+
+  test('should render one prompt and critique box per persona', () => {
+    document.body.innerHTML = renderPhaseContent(project, 2);
+
+    expect(document.querySelectorAll('.panel-persona')).toHaveLength(2);
+    expect(document.querySelector('.panel-response[data-persona-id="cfo"]').value).toBe('Too expensive.');
+    expect(document.getElementById('panel-progress').textContent).toContain('1/2');
+    expect(document.getElementById('copy-prompt-btn')).toBeNull();
+  });
+
+  test('should keep the single prompt flow for other phases', () => {
+    document.body.innerHTML = renderPhaseContent(project, 1);
+
+    expect(document.querySelectorAll('.panel-persona')).toHaveLength(0);
+    expect(document.getElementById('copy-prompt-btn')).not.toBeNull();
+  });
+});
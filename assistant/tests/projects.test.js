@@ -9,6 +9,11 @@ import {
   getProject,
   updateProject,
   updatePhase,
+  startReviewRound,
+  forkProject,
+  groupProjectBranches,
+  savePanelCritique,
+  restoreResponseVersion,
   deleteProject,
   exportProject,
   exportAllProjects,
@@ -344,6 +349,29 @@ describe('Projects Module', () => {
     });
   });
 
+  describe('createProject', () => {
+    test('should default to the standard 3-phase pipeline', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+
+      expect(project.pipelineId).toBe('standard');
+      expect(Object.keys(project.phases)).toEqual(['1', '2', '3']);
+      expect(project.phase3_output).toBe('');
+    });
+
+    test('should create one phase slot per pipeline phase', async () => {
+      const project = await createProject({ organizationName: 'Acme', pipelineId: 'double-adversarial' });
+
+      expect(project.pipelineId).toBe('double-adversarial');
+      expect(Object.keys(project.phases)).toHaveLength(5);
+      expect(project.phase5_output).toBe('');
+    });
+
+    test('should fall back to the default pipeline for unknown ids', async () => {
+      const project = await createProject({ organizationName: 'Acme', pipelineId: 'bogus' });
+      expect(project.pipelineId).toBe('standard');
+    });
+  });
+
   describe('updatePhase', () => {
     test('should update phase with prompt and response', async () => {
       const project = await createProject({
@@ -392,11 +420,286 @@ describe('Projects Module', () => {
       expect(updated.title).toBe('Amazing Proposal Title');
     });
 
+    test('should keep advancing through longer pipelines', async () => {
+      const project = await createProject({ organizationName: 'Acme', pipelineId: 'legal-review' });
+
+      await updatePhase(project.id, 1, 'P1', 'R1');
+      await updatePhase(project.id, 2, 'P2', 'R2');
+      const updated = await updatePhase(project.id, 3, 'P3', '# Not The Final Title\n\nLegal notes.');
+
+      expect(updated.phase).toBe(4);
+      expect(updated.phase3_output).toContain('Legal notes.');
+      expect(updated.title).toBe('Proposal - Acme');
+    });
+
+    test('should extract title from the final phase of a longer pipeline', async () => {
+      const project = await createProject({ organizationName: 'Acme', pipelineId: 'legal-review' });
+
+      const updated = await updatePhase(project.id, 4, 'P4', '# Final Acme Proposal\n\nContent.');
+
+      expect(updated.phase4_output).toContain('Content.');
+      expect(updated.title).toBe('Final Acme Proposal');
+    });
+
     test('should throw error for non-existent project', async () => {
       await expect(updatePhase('non-existent', 1, 'P', 'R')).rejects.toThrow('Project not found');
     });
   });
 
+  describe('response history', () => {
+    test('should keep every saved response with its source', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await updatePhase(project.id, 1, 'P1', 'First draft');
+      await updatePhase(project.id, 1, 'P1', 'Second draft');
+      const updated = await updatePhase(project.id, 1, 'P1', 'Third draft', { source: 'run' });
+
+      expect(updated.phases[1].history.map(v => [v.response, v.source])).toEqual([
+        ['First draft', 'pasted'],
+        ['Second draft', 'edited'],
+        ['Third draft', 'run']
+      ]);
+      expect(updated.phases[1].history[0].savedAt).toBeDefined();
+    });
+
+    test('should not add a version when the response is unchanged', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await updatePhase(project.id, 1, 'P1', 'Draft');
+      const updated = await updatePhase(project.id, 1, 'New prompt', 'Draft', { skipAutoAdvance: true });
+
+      expect(updated.phases[1].history).toHaveLength(1);
+    });
+
+    test('should keep a response saved before history existed', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await updateProject(project.id, { phases: { ...project.phases, 1: { prompt: 'P', response: 'Legacy', completed: true } } });
+
+      const updated = await updatePhase(project.id, 1, 'P', 'Rewritten');
+
+      expect(updated.phases[1].history.map(v => v.response)).toEqual(['Legacy', 'Rewritten']);
+      expect(updated.phases[1].history[1].source).toBe('edited');
+    });
+
+    test('should keep every version', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      for (let i = 0; i < 25; i++) {
+        await updatePhase(project.id, 1, 'P', `Draft ${i}`, { skipAutoAdvance: true });
+      }
+      const stored = await getProject(project.id);
+
+      expect(stored.phases[1].history).toHaveLength(25);
+      expect(stored.phases[1].history[0].response).toBe('Draft 0');
+    });
+
+    test('should restore a version as a new version', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await updatePhase(project.id, 1, 'P1', 'Original');
+      await updatePhase(project.id, 1, 'P1', 'Worse rewrite');
+
+      const restored = await restoreResponseVersion(project.id, 1, 0);
+
+      expect(restored.phases[1].response).toBe('Original');
+      expect(restored.phase1_output).toBe('Original');
+      expect(restored.phases[1].history.map(v => v.source)).toEqual(['pasted', 'edited', 'restored']);
+    });
+
+    test('should reject unknown versions', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await expect(restoreResponseVersion(project.id, 1, 3)).rejects.toThrow('Version 4 not found');
+    });
+  });
+
+  describe('review panel', () => {
+    test('should copy the chosen personas onto the project', async () => {
+      const project = await createProject({ organizationName: 'Acme', reviewPanel: ['it', 'cfo'] });
+
+      expect(project.reviewPanel.map(p => p.id)).toEqual(['cfo', 'it']);
+      expect(project.reviewPanel[0].name).toBe('Chief Financial Officer');
+    });
+
+    test('should default to no panel', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      expect(project.reviewPanel).toEqual([]);
+    });
+
+    test('should complete the phase once every persona has a critique', async () => {
+      const project = await createProject({ organizationName: 'Acme', reviewPanel: ['cfo', 'coo'] });
+      await updatePhase(project.id, 1, 'P1', 'Draft');
+
+      const partial = await savePanelCritique(project.id, 2, 'cfo', 'CFO prompt', 'Too expensive.');
+      expect(partial.phases[2].completed).toBe(false);
+      expect(partial.phases[2].panel.cfo).toMatchObject({ prompt: 'CFO prompt', response: 'Too expensive.' });
+      expect(partial.phase).toBe(2);
+
+      const complete = await savePanelCritique(project.id, 2, 'coo', 'COO prompt', 'Rollout is risky.');
+      expect(complete.phases[2].completed).toBe(true);
+      expect(complete.phase2_output).toContain('Too expensive.');
+      expect(complete.phase2_output).toContain('Rollout is risky.');
+      expect(Object.keys(complete.phases[2].panel)).toEqual(['cfo', 'coo']);
+      expect(complete.phase).toBe(3);
+    });
+
+    test('should reject personas that are not on the panel', async () => {
+      const project = await createProject({ organizationName: 'Acme', reviewPanel: ['cfo'] });
+      await expect(savePanelCritique(project.id, 2, 'it', 'P', 'R')).rejects.toThrow('not on this proposal');
+    });
+
+    test('should archive panel critiques with the review round', async () => {
+      const project = await createProject({ organizationName: 'Acme', reviewPanel: ['cfo'] });
+      await updatePhase(project.id, 1, 'P1', 'Draft');
+      await savePanelCritique(project.id, 2, 'cfo', 'P', 'Critique');
+      await updatePhase(project.id, 3, 'P3', 'Final');
+
+      const updated = await startReviewRound(project.id);
+
+      expect(updated.reviewRounds[0].phases[2].panel.cfo.response).toBe('Critique');
+      expect(updated.phases[2].panel).toBeUndefined();
+    });
+  });
+
+  describe('startReviewRound', () => {
+    test('should archive the review phases and restart at Phase 2', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await updatePhase(project.id, 1, 'P1', 'Draft');
+      await updatePhase(project.id, 2, 'P2', 'Critique');
+      await updatePhase(project.id, 3, 'P3', '# Final\n\nSynthesis.');
+
+      const updated = await startReviewRound(project.id);
+
+      expect(updated.currentRound).toBe(2);
+      expect(updated.phase).toBe(2);
+      expect(updated.reviewRounds).toHaveLength(1);
+      const [round] = updated.reviewRounds;
+      expect(round.round).toBe(1);
+      expect(typeof round.score).toBe('number');
+      expect(round.phases[2]).toMatchObject({ prompt: 'P2', response: 'Critique' });
+      expect(round.phases[3].response).toContain('Synthesis.');
+      expect(round.phases[1]).toBeUndefined();
+
+      // Phase 1 is kept; review phases start over
+      expect(updated.phases[1].response).toBe('Draft');
+      expect(updated.phases[2].completed).toBe(false);
+      expect(updated.phase3_output).toBe('');
+    });
+
+    test('should append rounds without touching earlier ones', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await updatePhase(project.id, 1, 'P1', 'Draft');
+      await updatePhase(project.id, 3, 'P3', 'Round one synthesis');
+      await startReviewRound(project.id);
+      await updatePhase(project.id, 3, 'P3', 'Round two synthesis');
+
+      const updated = await startReviewRound(project.id);
+
+      expect(updated.reviewRounds.map(r => r.round)).toEqual([1, 2]);
+      expect(updated.reviewRounds[0].phases[3].response).toBe('Round one synthesis');
+      expect(updated.reviewRounds[1].phases[3].response).toBe('Round two synthesis');
+      expect(updated.currentRound).toBe(3);
+    });
+
+    test('should keep response history across rounds', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await updatePhase(project.id, 1, 'P1', 'Draft');
+      await updatePhase(project.id, 2, 'P2', 'Round one critique');
+      await updatePhase(project.id, 3, 'P3', 'Round one synthesis');
+      await startReviewRound(project.id);
+
+      const updated = await updatePhase(project.id, 2, 'P2', 'Round two critique');
+
+      expect(updated.phases[2].history.map(v => v.response)).toEqual(['Round one critique', 'Round two critique']);
+      expect(updated.phases[3].history.map(v => v.response)).toEqual(['Round one synthesis']);
+    });
+
+    test('should require a completed final phase', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await updatePhase(project.id, 1, 'P1', 'Draft');
+
+      await expect(startReviewRound(project.id)).rejects.toThrow('Complete the final phase');
+    });
+
+    test('should throw error for non-existent project', async () => {
+      await expect(startReviewRound('non-existent')).rejects.toThrow('Project not found');
+    });
+  });
+
+  describe('forkProject', () => {
+    async function completedProject() {
+      const project = await createProject({ organizationName: 'Acme', painPoints: 'Slow quotes' });
+      await updatePhase(project.id, 1, 'P1', 'Aggressive draft');
+      await updatePhase(project.id, 2, 'P2', 'Critique');
+      await updatePhase(project.id, 3, 'P3', 'Final');
+      return project;
+    }
+
+    test('should copy earlier phases and reset the fork phase onwards', async () => {
+      const project = await completedProject();
+
+      const branch = await forkProject(project.id, 2);
+
+      expect(branch.id).not.toBe(project.id);
+      expect(branch.painPoints).toBe('Slow quotes');
+      expect(branch.phases[1].response).toBe('Aggressive draft');
+      expect(branch.phases[2]).toEqual({ prompt: '', response: '', completed: false });
+      expect(branch.phase3_output).toBe('');
+      expect(branch.phase).toBe(2);
+      expect(branch.forkedFrom).toMatchObject({ projectId: project.id, rootId: project.id, phase: 2 });
+      expect(branch.branchName).toBe('Branch 1');
+    });
+
+    test('should leave the original proposal unchanged', async () => {
+      const project = await completedProject();
+      await forkProject(project.id, 1);
+
+      const original = await getProject(project.id);
+      expect(original.phases[1].response).toBe('Aggressive draft');
+      expect(original.forkedFrom).toBeUndefined();
+    });
+
+    test('should link branches of branches to the same origin', async () => {
+      const project = await completedProject();
+      const first = await forkProject(project.id, 1, 'Conservative pricing');
+      const second = await forkProject(first.id, 1);
+
+      expect(first.branchName).toBe('Conservative pricing');
+      expect(second.forkedFrom).toMatchObject({ projectId: first.id, rootId: project.id });
+      expect(second.branchName).toBe('Branch 2');
+    });
+
+    test('should drop archived review rounds', async () => {
+      const project = await completedProject();
+      await startReviewRound(project.id);
+
+      const branch = await forkProject(project.id, 1);
+      expect(branch.reviewRounds).toBeUndefined();
+      expect(branch.currentRound).toBeUndefined();
+    });
+
+    test('should reject phases outside the pipeline', async () => {
+      const project = await createProject({ organizationName: 'Acme' });
+      await expect(forkProject(project.id, 4)).rejects.toThrow('Phase 4 is not part of this proposal');
+      await expect(forkProject('missing', 1)).rejects.toThrow('Project not found');
+    });
+  });
+
+  describe('groupProjectBranches', () => {
+    const origin = { id: 'a' };
+    const other = { id: 'b' };
+    const early = { id: 'c', forkedFrom: { rootId: 'a', forkedAt: '2024-01-01T00:00:00.000Z' } };
+    const late = { id: 'd', forkedFrom: { rootId: 'a', forkedAt: '2024-02-01T00:00:00.000Z' } };
+
+    test('should nest branches under their origin, oldest first', () => {
+      const groups = groupProjectBranches([late, other, origin, early]);
+
+      expect(groups.map(g => g.origin.id)).toEqual(['b', 'a']);
+      expect(groups[1].branches.map(b => b.id)).toEqual(['c', 'd']);
+      expect(groups[0].branches).toEqual([]);
+    });
+
+    test('should list branches of a deleted origin on their own', () => {
+      const groups = groupProjectBranches([early, other]);
+      expect(groups.map(g => g.origin.id)).toEqual(['c', 'b']);
+    });
+  });
+
   describe('updateProject', () => {
     test('should update project with partial data', async () => {
       const project = await createProject({
@@ -0,0 +1,175 @@
+/**
+ * Prompt Budget Tests
+ */
+
+import {
+  MODEL_CONTEXT_TOKENS,
+  RESPONSE_RESERVE_TOKENS,
+  APPROX_CHARS_PER_PAGE,
+  estimateTokens,
+  getTokenBudget,
+  measurePrompt,
+  trimTranscriptTurns,
+  limitAttachmentPages,
+  buildSummaryPrompt,
+  applyPromptBudget
+} from '../../shared/js/prompt-budget.js';
+import { renderPromptBudget } from '../../shared/js/project-view-budget.js';
+
+// A model with room for 100 prompt tokens
+MODEL_CONTEXT_TOKENS.Tiny = RESPONSE_RESERVE_TOKENS + 100;
+
+const TEMPLATE = 'Write a proposal.\n{{CONVERSATION_TRANSCRIPTS}}\n{{ATTACHMENT_TEXT}}\n{{ORGANIZATION_NAME}}';
+const transcript = (turns) => Array.from({ length: turns }, (_, i) => `Dana (Customer): Turn ${i + 1} about missed calls.`).join('\n');
+const pdf = (pages) => Array.from({ length: pages }, (_, i) => `[Page ${i + 1}]\nPage ${i + 1} text.`).join('\n\n');
+
+describe('estimateTokens and getTokenBudget', () => {
+  test('should estimate about four characters a token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('abcdefghi')).toBe(3);
+  });
+
+  test('should reserve room for the reply in each model budget', () => {
+    expect(getTokenBudget('Claude')).toBe(200000 - RESPONSE_RESERVE_TOKENS);
+    expect(getTokenBudget('Gemini')).toBe(1000000 - RESPONSE_RESERVE_TOKENS);
+    expect(getTokenBudget('Unknown')).toBe(128000 - RESPONSE_RESERVE_TOKENS);
+  });
+});
+
+describe('measurePrompt', () => {
+  test('should break the prompt down by input, largest first', () => {
+    const { total, breakdown } = measurePrompt(TEMPLATE, {
+      CONVERSATION_TRANSCRIPTS: 'x'.repeat(400),
+      ATTACHMENT_TEXT: '',
+      ORGANIZATION_NAME: 'Acme',
+      MEETING_NOTES: 'not in this template'
+    });
+
+    expect(breakdown.map(line => line.key)).toEqual(['CONVERSATION_TRANSCRIPTS', 'INSTRUCTIONS', 'ATTACHMENT_TEXT', 'OTHER']);
+    expect(breakdown[0]).toEqual({ key: 'CONVERSATION_TRANSCRIPTS', label: 'Call transcripts', tokens: 100 });
+    expect(total).toBe(breakdown.reduce((sum, line) => sum + line.tokens, 0));
+  });
+});
+
+describe('trimTranscriptTurns', () => {
+  test('should drop the oldest lines first', () => {
+    const { text, dropped } = trimTranscriptTurns(transcript(10), 30);
+
+    expect(dropped).toBeGreaterThan(0);
+    expect(text).toMatch(/^\[\d+ earlier transcript line\(s\) trimmed to fit the prompt budget\]\n/);
+    expect(text).toContain('Turn 10 about');
+    expect(text).not.toContain('Turn 1 about');
+  });
+
+  test('should leave a short transcript alone', () => {
+    expect(trimTranscriptTurns('Dana: Hi.', 100)).toEqual({ text: 'Dana: Hi.', dropped: 0 });
+  });
+});
+
+describe('limitAttachmentPages', () => {
+  test('should keep the first pages of each PDF section', () => {
+    const text = `Pasted RFP notes\n\n--- rfp.pdf ---\n${pdf(4)}\n\n--- short.pdf ---\n${pdf(1)}`;
+    const result = limitAttachmentPages(text, 2);
+
+    expect(result.omittedPages).toBe(2);
+    expect(result.text).toBe(`Pasted RFP notes\n\n--- rfp.pdf ---\n${pdf(2)}\n[2 more page(s) omitted to fit the prompt budget]\n\n--- short.pdf ---\n${pdf(1)}`);
+  });
+
+  test('should count characters as pages for text without page markers', () => {
+    const text = `--- notes.txt ---\n${'a'.repeat(APPROX_CHARS_PER_PAGE * 3)}`;
+    const result = limitAttachmentPages(text, 1);
+
+    expect(result.omittedPages).toBe(2);
+    expect(result.text).toBe(`--- notes.txt ---\n${'a'.repeat(APPROX_CHARS_PER_PAGE)}\n[About 2 more page(s) omitted to fit the prompt budget]`);
+  });
+});
+
+describe('buildSummaryPrompt', () => {
+  test('should include the long inputs under headings', () => {
+    const prompt = buildSummaryPrompt({ ORGANIZATION_NAME: 'Acme', CONVERSATION_TRANSCRIPTS: 'Dana: Calls drop.', MEETING_NOTES: '', ATTACHMENT_TEXT: 'RFP' });
+
+    expect(prompt).toContain('for Acme');
+    expect(prompt).toContain('## Call Transcripts\n\nDana: Calls drop.');
+    expect(prompt).toContain('## Meeting Notes\n\n[Not provided]');
+    expect(prompt).toContain('## Attachments\n\nRFP');
+  });
+});
+
+describe('applyPromptBudget', () => {
+  const vars = { CONVERSATION_TRANSCRIPTS: transcript(20), ATTACHMENT_TEXT: `--- rfp.pdf ---\n${pdf(30)}`, ORGANIZATION_NAME: 'Acme' };
+
+  test('should not change a prompt that fits', () => {
+    const { vars: result, report } = applyPromptBudget(TEMPLATE, vars, 'Claude', { strategy: 'trim-transcript' });
+
+    expect(result).toBe(vars);
+    expect(report).toMatchObject({ model: 'Claude', applied: null, overBudget: false, notes: [] });
+  });
+
+  test('should warn only by default', () => {
+    const { vars: result, report } = applyPromptBudget(TEMPLATE, vars, 'Tiny');
+
+    expect(result).toBe(vars);
+    expect(report.overBudget).toBe(true);
+    expect(report.tokens).toBe(report.originalTokens);
+  });
+
+  test('should trim transcript turns to the overflow', () => {
+    const small = { ...vars, ATTACHMENT_TEXT: '' };
+    const { vars: result, report } = applyPromptBudget(TEMPLATE, small, 'Tiny', { strategy: 'trim-transcript' });
+
+    expect(result.CONVERSATION_TRANSCRIPTS).toContain('Turn 20 about');
+    expect(result.CONVERSATION_TRANSCRIPTS).not.toContain('Turn 1 about');
+    expect(report.applied).toBe('trim-transcript');
+    expect(report.overBudget).toBe(false);
+  });
+
+  test('should keep the first N attachment pages', () => {
+    const { vars: result, report } = applyPromptBudget(TEMPLATE, vars, 'Tiny', { strategy: 'attachment-pages', attachmentPages: 3 });
+
+    expect(result.ATTACHMENT_TEXT).toContain('[Page 3]');
+    expect(result.ATTACHMENT_TEXT).not.toContain('[Page 4]');
+    expect(report.notes).toEqual(['Kept the first 3 page(s) of each attachment; 27 page(s) left out.']);
+    expect(report.tokens).toBeLessThan(report.originalTokens);
+  });
+
+  test('should limit the pages of each item in an ATTACHMENTS list', () => {
+    const template = 'Write a proposal.\n{{#each ATTACHMENTS}}{{FILENAME}}\n{{CONTENT}}\n{{/each}}';
+    const list = { ATTACHMENTS: [{ FILENAME: 'a.pdf', CONTENT: pdf(20) }, { FILENAME: 'b.pdf', CONTENT: pdf(20) }] };
+    const { vars: result, report } = applyPromptBudget(template, list, 'Tiny', { strategy: 'attachment-pages', attachmentPages: 1 });
+
+    expect(result.ATTACHMENTS[1].CONTENT).toBe(`${pdf(1)}\n[19 more page(s) omitted to fit the prompt budget]`);
+    expect(report.breakdown[0].key).toBe('ATTACHMENTS');
+    expect(report.notes).toEqual(['Kept the first 1 page(s) of each attachment; 38 page(s) left out.']);
+  });
+
+  test('should swap in a pasted summary', () => {
+    const { vars: result, report } = applyPromptBudget(TEMPLATE, vars, 'Tiny', { strategy: 'summarize', summary: 'Missed calls cost $40k.' });
+
+    expect(result.CONVERSATION_TRANSCRIPTS).toBe('[Summary of the call transcripts, meeting notes and attachments]\nMissed calls cost $40k.');
+    expect(result.ATTACHMENT_TEXT).toBe('[Covered by the summary under Call Transcripts]');
+    expect(report).toMatchObject({ applied: 'summarize', overBudget: false });
+  });
+
+  test('should ask for a summary when none is saved', () => {
+    const { report } = applyPromptBudget(TEMPLATE, vars, 'Tiny', { strategy: 'summarize' });
+
+    expect(report.applied).toBeNull();
+    expect(report.notes[0]).toContain('paste the summary');
+  });
+});
+
+describe('renderPromptBudget', () => {
+  test('should show the usage, breakdown and strategy options', () => {
+    const vars = { CONVERSATION_TRANSCRIPTS: transcript(5), ATTACHMENT_TEXT: `--- a.pdf ---\n${pdf(40)}`, ORGANIZATION_NAME: 'Acme' };
+    const { report } = applyPromptBudget(TEMPLATE, vars, 'Tiny', { strategy: 'attachment-pages', attachmentPages: 2 });
+    document.body.innerHTML = renderPromptBudget(report, { strategy: 'attachment-pages', attachmentPages: 2 }, true);
+
+    expect(document.querySelector('summary').textContent).toContain('of 100 tokens for Tiny');
+    expect(document.querySelector('summary').textContent).toContain('Shortened from');
+    expect(document.querySelector('#prompt-budget-breakdown li').dataset.key).toBe('CONVERSATION_TRANSCRIPTS');
+    expect(document.getElementById('prompt-budget-strategy').value).toBe('attachment-pages');
+    expect(document.getElementById('prompt-budget-pages').value).toBe('2');
+    expect(document.getElementById('prompt-budget-summary')).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Prompt Editor Module Tests
+ */
+
+import { jest } from '@jest/globals';
+import { extractTemplateVariables, showPromptEditorModal } from '../../shared/js/prompt-editor.js';
+import { getPromptOverride } from '../../shared/js/prompts.js';
+import storage from '../../shared/js/storage.js';
+
+global.fetch = jest.fn(async () => ({
+  ok: true,
+  text: async () => 'Default for {{ORGANIZATION_NAME}} and {{PHASE1_OUTPUT}} at {{ORGANIZATION_NAME}}'
+}));
+
+describe('extractTemplateVariables', () => {
+  test('should return unique variable names in order', () => {
+    const vars = extractTemplateVariables('{{A}} then {{B_2}} and {{A}} again');
+    expect(vars).toEqual(['A', 'B_2']);
+  });
+
+  test('should handle empty input', () => {
+    expect(extractTemplateVariables('')).toEqual([]);
+    expect(extractTemplateVariables(null)).toEqual([]);
+  });
+});
+
+describe('showPromptEditorModal', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    document.body.innerHTML = '';
+    await storage.deletePromptOverride(3);
+  });
+
+  test('should render the default template with its variables', async () => {
+    await showPromptEditorModal(3);
+
+    const textarea = document.getElementById('prompt-editor-textarea');
+    expect(textarea.value).toContain('Default for {{ORGANIZATION_NAME}}');
+    expect(document.getElementById('prompt-editor-modal').textContent).toContain('Default');
+    expect(document.getElementById('prompt-editor-modal').innerHTML).toContain('{{PHASE1_OUTPUT}}');
+  });
+
+  test('should save an edited template as an override', async () => {
+    const onChange = jest.fn();
+    await showPromptEditorModal(3, onChange);
+
+    document.getElementById('prompt-editor-textarea').value = 'My custom synthesis prompt';
+    document.getElementById('prompt-editor-save-btn').click();
+    await sleep(20);
+
+    const override = await getPromptOverride(3);
+    expect(override.template).toBe('My custom synthesis prompt');
+    expect(onChange).toHaveBeenCalled();
+    expect(document.getElementById('prompt-editor-modal')).toBeNull();
+  });
+
+  test('should show a diff against the default', async () => {
+    await showPromptEditorModal(3);
+
+    document.getElementById('prompt-editor-textarea').value = 'Default for everyone';
+    document.getElementById('prompt-editor-diff-btn').click();
+
+    expect(document.getElementById('prompt-editor-diff')).not.toBeNull();
+    expect(document.getElementById('prompt-editor-textarea').value).toBe('Default for everyone');
+  });
+});
@@ -10,8 +10,26 @@ import {
   generatePhase3Prompt,
   getPhaseMetadata,
   preloadPromptTemplates,
-  replaceTemplateVars
+  replaceTemplateVars,
+  loadPromptTemplate,
+  loadDefaultPromptTemplate,
+  getPromptOverride,
+  savePromptOverride,
+  resetPromptOverride,
+  MAX_PROMPT_VERSIONS,
+  PIPELINES,
+  DEFAULT_PIPELINE_ID,
+  getPipeline,
+  getProjectPipeline,
+  getAllPipelines,
+  generatePipelinePhasePrompt,
+  preparePipelinePhasePrompt,
+  isPanelPhase,
+  buildIntakeVars,
+  getTemplateVariables,
+  PERSONA_REVIEW_TEMPLATE
 } from '../../shared/js/prompts.js';
+import storage from '../../shared/js/storage.js';
 
 // Mock fetch for loading prompt templates
 // Handles both shared/prompts/ (root) and ../shared/prompts/ (assistant/) paths
@@ -19,7 +37,9 @@ global.fetch = jest.fn(async (url) => {
   const templates = {
     'phase1.md': 'Phase 1: Proposal for {{ORGANIZATION_NAME}} in {{ORGANIZATION_LOCATION}} with {{SITE_COUNT}} sites. Current vendor: {{CURRENT_VENDOR}}. Decision maker: {{DECISION_MAKER_NAME}} ({{DECISION_MAKER_ROLE}}). Transcripts: {{CONVERSATION_TRANSCRIPTS}}. Notes: {{MEETING_NOTES}}. Pain points: {{PAIN_POINTS}}. Attachments: {{ATTACHMENT_TEXT}}. Draft: {{WORKING_DRAFT}}. Context: {{ADDITIONAL_CONTEXT}}.',
     'phase2.md': 'Phase 2: Review for {{DECISION_MAKER_NAME}} ({{DECISION_MAKER_ROLE}}) at {{ORGANIZATION_NAME}}. Previous output: {{PHASE1_OUTPUT}}',
-    'phase3.md': 'Phase 3: Final synthesis for {{ORGANIZATION_NAME}}. Phase 1: {{PHASE1_OUTPUT}}. Phase 2: {{PHASE2_OUTPUT}}'
+    'phase3.md': 'Phase 3: Final synthesis for {{ORGANIZATION_NAME}}. Phase 1: {{PHASE1_OUTPUT}}. Phase 2: {{PHASE2_OUTPUT}}',
+    'legal-review.md': 'Legal review for {{ORGANIZATION_NAME}} replacing {{CURRENT_VENDOR}}: {{PHASE1_OUTPUT}}',
+    'persona-review.md': '{{PERSONA_NAME}} ({{PERSONA_ROLE}}) at {{ORGANIZATION_NAME}} focusing on {{PERSONA_PRIORITIES}}: {{PHASE1_OUTPUT}}'
   };
 
   // Extract filename from path (handles shared/prompts/phase1.md or ../shared/prompts/phase1.md)
@@ -199,5 +219,223 @@ describe('replaceTemplateVars - Placeholder Safety Check', () => {
     expect(result).toContain('Draft content here');
     expect(result).not.toContain('{{PHASE2_OUTPUT}}');
   });
+
+  test('should drop empty sections and list attachments', () => {
+    const template = '{{#if WORKING_DRAFT}}Draft: {{WORKING_DRAFT}}\n{{/if}}{{#each ATTACHMENTS}}[{{FILENAME}}] {{CONTENT}}\n{{/each}}Vendor: {{CURRENT_VENDOR}}';
+    const vars = buildIntakeVars({ attachmentText: ' RFP due in May ' });
+
+    expect(replaceTemplateVars(template, vars)).toBe('[Pasted notes] RFP due in May\nVendor: [Not provided]');
+  });
+});
+
+describe('getTemplateVariables', () => {
+  test('should add the phase inputs and persona fields to the intake fields', () => {
+    expect(getTemplateVariables(1)).toEqual(expect.arrayContaining(['ORGANIZATION_NAME', 'ATTACHMENTS']));
+    expect(getTemplateVariables(1)).not.toContain('PHASE1_OUTPUT');
+    expect(getTemplateVariables(3)).toEqual(expect.arrayContaining(['PHASE1_OUTPUT', 'PHASE2_OUTPUT']));
+    expect(getTemplateVariables(PERSONA_REVIEW_TEMPLATE)).toEqual(expect.arrayContaining(['PERSONA_NAME', 'PHASE1_OUTPUT']));
+  });
+});
+
+
+describe('Prompt template overrides', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    await storage.deletePromptOverride(1);
+    await storage.deletePromptOverride(2);
+  });
+
+  test('should use the shipped template when no override exists', async () => {
+    const template = await loadPromptTemplate(1);
+    expect(template).toBe(await loadDefaultPromptTemplate(1));
+    expect(await getPromptOverride(1)).toBeNull();
+  });
+
+  test('should prefer a saved override when generating prompts', async () => {
+    await savePromptOverride(2, 'Custom critique as {{DECISION_MAKER_ROLE}}: {{PHASE1_OUTPUT}}');
+
+    const prompt = await generatePhase2Prompt({ decisionMakerRole: 'CFO' }, 'Draft text');
+
+    expect(prompt).toBe('Custom critique as CFO: Draft text');
+  });
+
+  test('should record a version for each distinct save', async () => {
+    await savePromptOverride(1, 'Version A');
+    await savePromptOverride(1, 'Version A');
+    const override = await savePromptOverride(1, 'Version B');
+
+    expect(override.template).toBe('Version B');
+    expect(override.versions.map(v => v.template)).toEqual(['Version A', 'Version B']);
+    expect(override.versions[0].savedAt).toBeTruthy();
+  });
+
+  test('should cap stored versions', async () => {
+    for (let i = 0; i < MAX_PROMPT_VERSIONS + 3; i++) {
+      await savePromptOverride(1, `Version ${i}`);
+    }
+
+    const override = await getPromptOverride(1);
+    expect(override.versions).toHaveLength(MAX_PROMPT_VERSIONS);
+    expect(override.versions[0].template).toBe('Version 3');
+  });
+
+  test('should reject empty templates', async () => {
+    await expect(savePromptOverride(1, '   ')).rejects.toThrow('Prompt template cannot be empty');
+  });
+
+  test('should reject templates with unbalanced blocks', async () => {
+    await expect(savePromptOverride(1, 'Intro\n{{#if MEETING_NOTES}}\nNotes')).rejects.toThrow('Line 2: {{#if MEETING_NOTES}} is never closed');
+  });
+
+  test('should fall back to the default when a stored override does not parse', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await storage.savePromptOverride({ phase: 1, template: 'Broken {{/each}}', versions: [] });
+
+    expect(await loadPromptTemplate(1)).toBe(await loadDefaultPromptTemplate(1));
+    expect(warn).toHaveBeenCalledWith('[prompts] Custom phase 1 has errors; using the shipped default:', ['Line 1: {{/each}} without an open {{#each}}']);
+    warn.mockRestore();
+  });
+
+  test('should log unknown variables once per template change', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await savePromptOverride(2, 'Critique {{PHASE1_OUTPUT}} for {{BUDGET_OWNER}}');
+
+    await loadPromptTemplate(2);
+    await loadPromptTemplate(2);
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith('[prompts] Unknown variables in phase 2:', ['BUDGET_OWNER']);
+    warn.mockRestore();
+  });
+
+  test('should fall back to default after reset but keep history', async () => {
+    await savePromptOverride(1, 'Custom phase 1');
+    await resetPromptOverride(1);
+
+    const override = await getPromptOverride(1);
+    expect(override.template).toBeNull();
+    expect(override.versions).toHaveLength(1);
+    expect(await loadPromptTemplate(1)).toBe(await loadDefaultPromptTemplate(1));
+  });
+});
+
+describe('pipelines', () => {
+  test('should use the standard pipeline as the default workflow', () => {
+    expect(getPipeline()).toBe(WORKFLOW_CONFIG);
+    expect(WORKFLOW_CONFIG.id).toBe(DEFAULT_PIPELINE_ID);
+  });
+
+  test('should fall back to the default pipeline for unknown ids', () => {
+    expect(getPipeline('does-not-exist').id).toBe(DEFAULT_PIPELINE_ID);
+    expect(getProjectPipeline({}).id).toBe(DEFAULT_PIPELINE_ID);
+  });
+
+  test('should number phases for every registered pipeline', () => {
+    Object.keys(PIPELINES).forEach(id => {
+      const pipeline = getPipeline(id);
+      expect(pipeline.phaseCount).toBe(PIPELINES[id].phases.length);
+      pipeline.phases.forEach((phase, index) => {
+        expect(phase.number).toBe(index + 1);
+        expect(phase.template).toBeDefined();
+      });
+    });
+  });
+
+  test('should only reference earlier phases as inputs', () => {
+    Object.keys(PIPELINES).forEach(id => {
+      getPipeline(id).phases.forEach(phase => {
+        Object.values(phase.inputs || {}).flat().forEach(source => {
+          expect(source).toBeLessThan(phase.number);
+        });
+      });
+    });
+  });
+
+  test('should list pipelines with their phase counts', () => {
+    const pipelines = getAllPipelines();
+    expect(pipelines.map(p => p.id)).toEqual(Object.keys(PIPELINES));
+    expect(pipelines.find(p => p.id === 'legal-review').phaseCount).toBe(4);
+  });
 });
 
+describe('generatePipelinePhasePrompt', () => {
+  const formData = { organizationName: 'Acme', currentVendor: 'OldCo' };
+
+  test('should load named templates for added phases', async () => {
+    const prompt = await generatePipelinePhasePrompt(getPipeline('legal-review'), 3, formData, { 1: 'Draft text' });
+    expect(prompt).toBe('Legal review for Acme replacing OldCo: Draft text');
+  });
+
+  test('should concatenate multiple source phases under their names', async () => {
+    const prompt = await generatePipelinePhasePrompt(getPipeline('legal-review'), 4, formData, {
+      1: 'Draft text',
+      2: 'Critique text',
+      3: 'Legal text'
+    });
+    expect(prompt).toContain('Phase 1: Draft text.');
+    expect(prompt).toContain('### Adversarial Review\n\nCritique text');
+    expect(prompt).toContain('### Legal/Procurement Review\n\nLegal text');
+  });
+
+  test('should feed a later round from the revised draft', async () => {
+    const prompt = await generatePipelinePhasePrompt(getPipeline('double-adversarial'), 4, formData, {
+      1: 'Draft text',
+      2: 'Critique text',
+      3: 'Revised text'
+    });
+    expect(prompt).toContain('Previous output: Revised text');
+  });
+
+  test('should mark missing phase outputs', async () => {
+    const prompt = await generatePipelinePhasePrompt(getPipeline(), 2, formData, {});
+    expect(prompt).toContain('[Phase 1 output not yet generated]');
+  });
+
+  test('should throw for phases outside the pipeline', async () => {
+    await expect(generatePipelinePhasePrompt(getPipeline(), 4, formData, {})).rejects.toThrow('Invalid phase: 4');
+  });
+
+  test('should use the persona template for a review panel member', async () => {
+    const persona = { id: 'cfo', name: 'CFO', role: 'Finance', icon: '💰', priorities: 'payback period' };
+    const prompt = await generatePipelinePhasePrompt(getPipeline(), 2, formData, { 1: 'Draft text' }, persona);
+    expect(prompt).toBe('CFO (Finance) at Acme focusing on payback period: Draft text');
+  });
+
+  test('should shorten inputs that exceed the phase model\'s budget', async () => {
+    // About 250k tokens of transcript against Claude's 192k prompt budget
+    const conversationTranscripts = Array.from({ length: 25000 }, (_, i) => `Dana: Turn ${i} about missed calls and slow follow-up.`).join('\n');
+    const promptBudget = { strategy: 'trim-transcript' };
+
+    const prompt = await generatePipelinePhasePrompt(getPipeline(), 1, { ...formData, conversationTranscripts, promptBudget }, {});
+    const { report } = await preparePipelinePhasePrompt(getPipeline(), 1, { ...formData, conversationTranscripts, promptBudget }, {});
+
+    expect(prompt).toContain('earlier transcript line(s) trimmed to fit the prompt budget');
+    expect(prompt).toContain('Turn 24999 about');
+    expect(prompt).not.toContain('Turn 0 about');
+    expect(report).toMatchObject({ model: 'Claude', applied: 'trim-transcript', overBudget: false });
+    expect(report.originalTokens).toBeGreaterThan(report.budget);
+  });
+});
+
+describe('isPanelPhase', () => {
+  const reviewPanel = [{ id: 'cfo', name: 'CFO', role: 'Finance', icon: '💰', priorities: '' }];
+
+  test('should mark adversarial phases when a panel is set', () => {
+    expect(isPanelPhase({ reviewPanel }, 2)).toBe(true);
+    expect(isPanelPhase({ reviewPanel }, 1)).toBe(false);
+    expect(isPanelPhase({ reviewPanel }, 3)).toBe(false);
+  });
+
+  test('should cover every adversarial phase of a pipeline', () => {
+    const project = { reviewPanel, pipelineId: 'double-adversarial' };
+    expect([1, 2, 3, 4, 5].filter(n => isPanelPhase(project, n))).toEqual([2, 4]);
+  });
+
+  test('should be false without a panel', () => {
+    expect(isPanelPhase({ reviewPanel: [] }, 2)).toBe(false);
+    expect(isPanelPhase({}, 2)).toBe(false);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Redaction Tests
+ */
+
+import {
+  DEFAULT_REDACTION_CONFIG,
+  REDACTION_STORAGE_KEY,
+  getRedactionConfig,
+  redactText,
+  restoreText,
+  collectPersonalNames,
+  describeRedaction,
+  redactProjectPrompt,
+  restoreProjectResponse
+} from '../../shared/js/redaction.js';
+import { showRedactionSettingsModal } from '../../shared/js/redaction-settings.js';
+import { createProject, getProject } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+const config = { ...DEFAULT_REDACTION_CONFIG };
+
+describe('redactText', () => {
+  test('should replace emails, phone numbers and account numbers', () => {
+    const { text, map, count } = redactText(
+      'Email dana.lee@acme-motors.com or call (555) 201-3344. Account #: 00412-88731, card 4111 1111 1111 1111.',
+      { config }
+    );
+
+    expect(text).toBe('Email [EMAIL_1] or call [PHONE_1]. Account #: [ACCOUNT_1], card [ACCOUNT_2].');
+    expect(map).toEqual({
+      '[EMAIL_1]': 'dana.lee@acme-motors.com',
+      '[PHONE_1]': '(555) 201-3344',
+      '[ACCOUNT_1]': '00412-88731',
+      '[ACCOUNT_2]': '4111 1111 1111 1111'
+    });
+    expect(count).toBe(4);
+  });
+
+  test('should leave business figures and dates alone', () => {
+    const input = 'They lose $40,000 a month across 12 stores since 2024-03-15; 30% of 1,200 calls go unanswered.';
+    expect(redactText(input, { config }).text).toBe(input);
+  });
+
+  test('should redact known names, first names and honorific names', () => {
+    const { text } = redactText('Dana Lee signed off. Dana wants a pilot; Dr. Patel agreed. Danaher is unrelated.', {
+      config,
+      names: ['Dana Lee', 'Dana']
+    });
+
+    expect(text).toBe('[NAME_1] signed off. [NAME_2] wants a pilot; [NAME_3] agreed. Danaher is unrelated.');
+  });
+
+  test('should redact deny-list terms in any case', () => {
+    const { text, map } = redactText('Project Falcon replaces falcon-lite at ACME.', {
+      config: { ...config, denyList: ['Project Falcon', 'acme'] }
+    });
+
+    expect(text).toBe('[TERM_1] replaces falcon-lite at [TERM_2].');
+    expect(map['[TERM_2]']).toBe('ACME');
+  });
+
+  test('should reuse placeholders from an existing map and continue numbering', () => {
+    const map = { '[EMAIL_1]': 'a@x.com', '[EMAIL_2]': 'b@x.com' };
+    const result = redactText('b@x.com and c@x.com', { config, map });
+
+    expect(result.text).toBe('[EMAIL_2] and [EMAIL_3]');
+    expect(result.map['[EMAIL_3]']).toBe('c@x.com');
+  });
+
+  test('should only use the enabled detectors', () => {
+    const input = 'dana@x.com 555-201-3344';
+    expect(redactText(input, { config: { ...config, emails: false } }).text).toBe('dana@x.com [PHONE_1]');
+    expect(redactText(input, { config: { ...config, enabled: false } })).toEqual({ text: input, map: {}, count: 0 });
+  });
+});
+
+describe('restoreText', () => {
+  test('should map placeholders back and keep unknown ones', () => {
+    const map = { '[NAME_1]': 'Dana Lee', '[EMAIL_1]': 'dana@x.com' };
+    expect(restoreText('Send [NAME_1] the deck at [EMAIL_1]. See [NAME_9].', map))
+      .toBe('Send Dana Lee the deck at dana@x.com. See [NAME_9].');
+  });
+
+  test('should round-trip redacted text', () => {
+    const input = 'Dana Lee (dana@x.com, 555.201.3344) manages account 123456789.';
+    const { text, map } = redactText(input, { config, names: ['Dana Lee'] });
+    expect(restoreText(text, map)).toBe(input);
+  });
+});
+
+describe('collectPersonalNames', () => {
+  test('should gather the decision maker, speakers and stakeholders', () => {
+    const names = collectPersonalNames({
+      decisionMakerName: 'Mark Chen',
+      conversationTranscripts: 'Dana Lee (Customer): We miss calls.\nSam Ortiz (Our team): How many?',
+      additionalContext: 'Stakeholder: Kim Park (Service Manager)',
+      meetingNotes: 'General Manager Priya Shah joined.'
+    });
+
+    expect(names).toEqual(expect.arrayContaining(['Mark Chen', 'Dana Lee', 'Sam Ortiz', 'Kim Park', 'Priya Shah', 'Mark', 'Dana', 'Priya']));
+    expect(names.indexOf('Dana Lee')).toBeLessThan(names.indexOf('Dana'));
+  });
+});
+
+describe('describeRedaction', () => {
+  test('should only mention redaction when something was replaced', () => {
+    expect(describeRedaction(0)).toBe('');
+    expect(describeRedaction(3)).toBe(' 3 sensitive value(s) replaced with placeholders.');
+  });
+});
+
+describe('project redaction', () => {
+  beforeEach(async () => {
+    await storage.init();
+    localStorage.removeItem(REDACTION_STORAGE_KEY);
+  });
+
+  test('should keep placeholders per project and restore saved responses', async () => {
+    const project = await createProject({
+      title: 'Acme',
+      decisionMakerName: 'Dana Lee',
+      meetingNotes: 'Reach Dana at dana@acme.com.'
+    });
+
+    const first = await redactProjectPrompt(project, 'Write to Dana Lee at dana@acme.com.');
+    expect(first).toEqual({ text: 'Write to [NAME_1] at [EMAIL_1].', count: 2 });
+
+    const second = await redactProjectPrompt(project, 'Thank Dana for the call.');
+    expect(second.text).toBe('Thank [NAME_2] for the call.');
+
+    const saved = await getProject(project.id);
+    expect(saved.redactionMap).toEqual({ '[NAME_1]': 'Dana Lee', '[EMAIL_1]': 'dana@acme.com', '[NAME_2]': 'Dana' });
+    expect(await restoreProjectResponse(project.id, 'Dear [NAME_2], ([EMAIL_1])')).toBe('Dear Dana, (dana@acme.com)');
+  });
+
+  test('should pass prompts through when redaction is off', async () => {
+    localStorage.setItem(REDACTION_STORAGE_KEY, JSON.stringify({ enabled: false }));
+    const project = await createProject({ title: 'Acme', decisionMakerName: 'Dana Lee' });
+
+    expect(await redactProjectPrompt(project, 'Dana Lee')).toEqual({ text: 'Dana Lee', count: 0 });
+    expect((await getProject(project.id)).redactionMap).toBeUndefined();
+  });
+});
+
+describe('redaction config', () => {
+  beforeEach(() => {
+    localStorage.removeItem(REDACTION_STORAGE_KEY);
+    document.body.innerHTML = '';
+  });
+
+  test('should default to redacting everything', () => {
+    expect(getRedactionConfig()).toEqual(DEFAULT_REDACTION_CONFIG);
+  });
+
+  test('should save the settings form', async () => {
+    const pending = showRedactionSettingsModal();
+    document.getElementById('redaction-phones').checked = false;
+    document.getElementById('redaction-deny-list').value = 'Project Falcon\n\n  Acme  ';
+
+    const test = document.getElementById('redaction-test-input');
+    test.value = 'Acme: 555-201-3344';
+    test.dispatchEvent(new Event('input'));
+    expect(document.getElementById('redaction-test-output').textContent).toBe('[TERM_1]: 555-201-3344');
+
+    document.getElementById('redaction-save-btn').click();
+    const saved = await pending;
+
+    expect(saved).toMatchObject({ enabled: true, phones: false, denyList: ['Project Falcon', 'Acme'] });
+    expect(getRedactionConfig()).toEqual(saved);
+    expect(document.getElementById('redaction-settings-modal')).toBeNull();
+  });
+});
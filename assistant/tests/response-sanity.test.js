@@ -0,0 +1,120 @@
+/**
+ * Response Sanity Tests
+ */
+
+import {
+  DISABLED_CHECKS_KEY,
+  checkResponse,
+  classifyResponse,
+  getDisabledResponseChecks,
+  disableResponseChecks
+} from '../../shared/js/response-sanity.js';
+
+const DRAFT = [
+  '# Proposal for Acme Dental',
+  '## Current Situation',
+  'Acme misses 30% of calls during lunch.',
+  '## Proposed Solution',
+  'An AI receptionist answers every call.',
+  '## Next Steps',
+  'Schedule a pilot in March.'
+].join('\n');
+
+const CRITIQUE = [
+  '## Executive Summary',
+  'The draft overstates savings.',
+  '## Strengths',
+  '- Clear pain point',
+  '## Weaknesses',
+  '- No evidence for the 30% figure',
+  '## Recommendation',
+  'Revise before sending.'
+].join('\n');
+
+const phase1 = { template: 1, phaseName: 'Phase 1 (Initial Draft)', aiName: 'Claude' };
+const phase2 = { template: 2, phaseName: 'Phase 2 (Adversarial Review)', aiName: 'Gemini' };
+
+const codes = (issues) => issues.map(issue => issue.code);
+
+describe('checkResponse', () => {
+  test('should pass a complete response for the phase', () => {
+    expect(checkResponse(DRAFT, phase1)).toEqual([]);
+    expect(checkResponse(CRITIQUE, phase2)).toEqual([]);
+  });
+
+  test('should flag a response that only asks clarifying questions', () => {
+    const response = 'Before I draft this, a few questions:\n\n1. How many locations does Acme have?\n2. What is the monthly budget?\n3. Do you prefer bullets or narrative?';
+    const issues = checkResponse(response, phase1);
+
+    expect(codes(issues)).toEqual(['questions-only']);
+    expect(issues[0].message).toContain('Claude only asked clarifying questions (3)');
+  });
+
+  test.each([
+    ['an offer to continue', `${DRAFT}\n\nWould you like me to continue with the pricing section?`, 'it ends by offering to continue'],
+    ['a table cut mid-row', `${DRAFT}\n\n| Item | Cost |\n|---|---|\n| Setup | $500`, 'the last table row is incomplete'],
+    ['a row with missing cells', `${DRAFT}\n\n| Item | Cost | Term |\n|---|---|---|\n| Setup | $500 |`, 'the last table row is incomplete'],
+    ['an unclosed code block', `${DRAFT}\n\n\`\`\`\nROI = savings / cost`, 'a code block is never closed'],
+    ['a sentence cut at a comma', `${DRAFT}\nWe will start with the front desk,`, 'it stops mid-sentence']
+  ])('should flag %s as truncated', (_label, response, reason) => {
+    const issues = checkResponse(response, phase1);
+
+    expect(codes(issues)).toEqual(['truncated']);
+    expect(issues[0].message).toContain(reason);
+  });
+
+  test('should flag a critique that never reaches its Recommendation', () => {
+    const cut = CRITIQUE.split('## Recommendation')[0];
+    expect(checkResponse(cut, phase2)[0].message).toContain('it has no Recommendation section');
+  });
+
+  test('should flag a response pasted into the wrong phase', () => {
+    expect(checkResponse(CRITIQUE, phase1)[0]).toEqual({
+      code: 'wrong-phase',
+      message: 'This looks like a critique, but Phase 1 (Initial Draft) expects a proposal. Check that it was pasted into the right phase.'
+    });
+    expect(checkResponse(DRAFT, { ...phase2, template: 'persona-review' })[0].message).toContain('looks like a proposal draft');
+    expect(checkResponse(DRAFT, { template: 'custom-template' })).toEqual([]);
+  });
+
+  test('should flag a copy of an earlier phase output', () => {
+    const earlierOutputs = [{ phase: 1, name: 'Initial Draft', text: DRAFT }];
+
+    expect(checkResponse(`  ${DRAFT.replace(/ /g, '  ')}\n`, { template: 3, aiName: 'Claude', earlierOutputs })[0]).toEqual({
+      code: 'duplicate',
+      message: 'This is the same as the Phase 1 (Initial Draft) output. Paste the new response from Claude instead.'
+    });
+    expect(codes(checkResponse(DRAFT.replace('March', 'April'), { template: 1, earlierOutputs }))).toEqual([]);
+  });
+
+  test('should treat a long response with one changed line as a copy', () => {
+    const long = Array.from({ length: 12 }, (_, i) => `Point ${i + 1} of the proposal.`).join('\n');
+    const issues = checkResponse(long.replace('Point 5', 'Point five'), { template: 3, earlierOutputs: [{ phase: 2, name: 'Adversarial Review', text: long }] });
+
+    expect(codes(issues)).toEqual(['duplicate']);
+  });
+});
+
+describe('classifyResponse', () => {
+  test('should read the kind of response from its headings', () => {
+    expect(classifyResponse(DRAFT)).toBe('proposal');
+    expect(classifyResponse('**1. Strengths**\nGood.\n**2. Weaknesses**\nVague.')).toBe('critique');
+    expect(classifyResponse('Just some text.')).toBe(null);
+  });
+});
+
+describe('disabled checks', () => {
+  beforeEach(() => localStorage.removeItem(DISABLED_CHECKS_KEY));
+
+  test('should remember checks the user turned off', () => {
+    disableResponseChecks(['truncated']);
+    disableResponseChecks(['truncated', 'duplicate']);
+
+    expect(getDisabledResponseChecks()).toEqual(['truncated', 'duplicate']);
+  });
+
+  test('should ignore a corrupt stored value', () => {
+    localStorage.setItem(DISABLED_CHECKS_KEY, '{oops');
+    expect(getDisabledResponseChecks()).toEqual([]);
+  });
+});
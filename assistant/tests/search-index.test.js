@@ -0,0 +1,161 @@
+/**
+ * Search Index and Project List Filter Tests
+ */
+
+import { tokenize, extractTerms, buildSearchEntry, SEARCH_INDEX_VERSION } from '../../shared/js/search-index.js';
+import {
+  DEFAULT_LIST_FILTERS,
+  NO_VENDOR,
+  summarizeProject,
+  getVendorOptions,
+  filterProjectGroups,
+  sortProjectGroups
+} from '../../shared/js/project-list-filters.js';
+import {
+  createProject,
+  updatePhase,
+  purgeProject,
+  refreshSearchIndex,
+  searchProjects,
+  groupProjectBranches
+} from '../../shared/js/projects.js';
+import { addAttachment, deleteAttachment } from '../../shared/js/attachment-store.js';
+import { renderProjectsList } from '../../shared/js/views.js';
+import storage from '../../shared/js/storage.js';
+
+describe('search terms', () => {
+  test('should lower-case, drop accents and split on punctuation', () => {
+    expect(tokenize('Café-Motors, Québec (12 stores)')).toEqual(['cafe', 'motors', 'quebec', '12', 'stores']);
+  });
+
+  test('should drop stopwords, single letters and repeats but keep digits', () => {
+    expect(extractTerms('The CDK and the DMS: a 3 year plan for CDK')).toEqual(['cdk', 'dms', '3', 'year', 'plan']);
+  });
+
+  test('should index intake fields and every phase output', () => {
+    const entry = buildSearchEntry({
+      id: 'p1',
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      organizationName: 'Acme Motors',
+      meetingNotes: 'Wants texting',
+      phases: { 1: { response: 'Reduce missed calls' }, 2: { response: '' } }
+    });
+
+    expect(entry.version).toBe(SEARCH_INDEX_VERSION);
+    expect(entry.terms).toEqual(['acme', 'motors', 'wants', 'texting', 'reduce', 'missed', 'calls']);
+  });
+});
+
+describe('project search', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    for (const project of await storage.getAllProjects()) {
+      await storage.deleteProject(project.id);
+    }
+  });
+
+  test('should keep the index current as projects are saved and purged', async () => {
+    const acme = await createProject({ organizationName: 'Acme Motors', currentVendor: 'CallRevu' });
+    const zenith = await createProject({ organizationName: 'Zenith Auto', meetingNotes: 'Acme is their rival' });
+
+    expect(await searchProjects('acme')).toEqual(new Set([acme.id, zenith.id]));
+    expect(await searchProjects('acm mot')).toEqual(new Set([acme.id]));
+    expect(await searchProjects('the a')).toBeNull();
+
+    await updatePhase(zenith.id, 1, 'Prompt', 'A plan to cut missed calls by half');
+    expect(await searchProjects('missed')).toEqual(new Set([zenith.id]));
+
+    await purgeProject(acme.id);
+    expect(await searchProjects('callrevu')).toEqual(new Set());
+    expect((await storage.getSearchEntries()).map(entry => entry.id)).toEqual([zenith.id]);
+  });
+
+  test('should index the text of stored attachments', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    const attachment = await addAttachment(project.id, { filename: 'rfp-2026.pdf', content: 'Requires bilingual receptionists', size: 32 });
+
+    expect(await searchProjects('bilingual')).toEqual(new Set([project.id]));
+    expect(await searchProjects('rfp 2026')).toEqual(new Set([project.id]));
+
+    await storage.updateSearchEntries([], [project.id]);
+    expect(await refreshSearchIndex(await storage.getAllProjects())).toBe(1);
+    expect(await searchProjects('bilingual')).toEqual(new Set([project.id]));
+
+    await deleteAttachment(attachment.id);
+    expect(await searchProjects('bilingual')).toEqual(new Set());
+    expect(await storage.findProjectIdsByTerms([])).toEqual(new Set());
+  });
+
+  test('should rebuild missing and outdated entries and drop orphaned ones', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    await storage.updateSearchEntries([{ id: 'gone', updatedAt: '', version: SEARCH_INDEX_VERSION, terms: ['ghost'] }], [project.id]);
+
+    expect(await searchProjects('acme')).toEqual(new Set());
+    expect(await refreshSearchIndex(await storage.getAllProjects())).toBe(1);
+    expect(await searchProjects('acme')).toEqual(new Set([project.id]));
+    expect(await searchProjects('ghost')).toEqual(new Set());
+    expect(await refreshSearchIndex(await storage.getAllProjects())).toBe(0);
+  });
+
+  test('should render the search box and filters above the proposal cards', async () => {
+    await createProject({ organizationName: 'Acme Motors', currentVendor: 'CallRevu' });
+    await createProject({ organizationName: 'Zenith Auto' });
+    document.body.innerHTML = '<div id="app-container"></div>';
+
+    await renderProjectsList();
+
+    expect(document.getElementById('projects-search')).not.toBeNull();
+    expect([...document.querySelectorAll('select[data-filter="vendor"] option')].map(o => o.textContent)).toEqual(['Any vendor', 'CallRevu', 'No current vendor']);
+    expect(document.querySelectorAll('#projects-grid > [data-project-id]')).toHaveLength(2);
+    expect(document.getElementById('projects-count').textContent).toBe('2 proposals');
+  });
+});
+
+describe('project list filters', () => {
+  const complete = (response) => ({ 1: { completed: true }, 2: { completed: true }, 3: { completed: true, response } });
+  const projects = [
+    { id: 'a', organizationName: 'Beta Ford', currentVendor: 'CallRevu', phase: 3, createdAt: '2026-01-02', phases: complete('# Proposal\n\nShort') },
+    { id: 'b', organizationName: 'alpha Honda', currentVendor: 'callrevu ', phase: 2, createdAt: '2026-01-03', phases: { 1: { completed: true } } },
+    { id: 'c', organizationName: 'Gamma Kia', phase: 1, createdAt: '2026-01-01', phases: {} },
+    { id: 'b2', organizationName: 'alpha Honda', forkedFrom: { rootId: 'b', projectId: 'b', phase: 1, forkedAt: '2026-01-04' }, phase: 1, phases: {} }
+  ];
+  const groups = groupProjectBranches(projects);
+  const summaries = new Map(projects.map(project => [project.id, summarizeProject(project)]));
+  const ids = (list) => list.map(group => group.origin.id);
+  const filter = (filters, matchingIds = null) => ids(filterProjectGroups(groups, summaries, { ...DEFAULT_LIST_FILTERS, ...filters }, matchingIds));
+
+  test('should summarize progress and score complete projects only', () => {
+    expect(summaries.get('a')).toMatchObject({ completedPhases: 3, isComplete: true, currentPhase: 3 });
+    expect(summaries.get('a').score.label).toEqual(expect.any(String));
+    expect(summaries.get('b')).toMatchObject({ completedPhases: 1, isComplete: false, score: null });
+  });
+
+  test('should list each vendor once', () => {
+    expect(getVendorOptions(projects)).toEqual([{ value: 'callrevu', label: 'CallRevu' }]);
+  });
+
+  test('should filter by phase, completion, score band and vendor', () => {
+    expect(filter({ phase: '2' })).toEqual(['b']);
+    expect(filter({ status: 'complete' })).toEqual(['a']);
+    expect(filter({ status: 'in-progress' })).toEqual(['b', 'c']);
+    expect(filter({ scoreBand: summaries.get('a').score.label })).toEqual(['a']);
+    expect(filter({ scoreBand: 'unscored' })).toEqual(['b', 'c']);
+    expect(filter({ vendor: 'callrevu' })).toEqual(['a', 'b']);
+    expect(filter({ vendor: NO_VENDOR })).toEqual(['c']);
+  });
+
+  test('should keep a proposal whose branch matches the search', () => {
+    expect(filter({}, new Set(['b2']))).toEqual(['b']);
+    expect(filter({ vendor: NO_VENDOR }, new Set(['a']))).toEqual([]);
+  });
+
+  test('should sort by created date, organization and score', () => {
+    expect(ids(sortProjectGroups(groups, summaries, 'created'))).toEqual(['b', 'a', 'c']);
+    expect(ids(sortProjectGroups(groups, summaries, 'organization'))).toEqual(['b', 'a', 'c']);
+    expect(ids(sortProjectGroups(groups, summaries, 'score'))).toEqual(['a', 'b', 'c']);
+    expect(ids(sortProjectGroups(groups, summaries, 'updated'))).toEqual(ids(groups));
+  });
+});
@@ -38,6 +38,10 @@ describe('Storage Module', () => {
         it('should create attachments store', async () => {
             expect(storage.db.objectStoreNames.contains('attachments')).toBe(true);
         });
+
+        it('should create search index store', async () => {
+            expect(storage.db.objectStoreNames.contains('searchIndex')).toBe(true);
+        });
     });
 
     describe('saveProject and getProject', () => {
@@ -152,6 +156,22 @@ describe('Storage Module', () => {
         });
     });
 
+    describe('attachments', () => {
+        it('should list attachments by proposal', async () => {
+            await storage.saveAttachment({ id: 'a1', proposalId: 'p1', filename: 'one.txt' });
+            await storage.saveAttachment({ id: 'a2', proposalId: 'p2', filename: 'two.txt' });
+
+            const attachments = await storage.getAttachments('p1');
+            expect(attachments.map(a => a.id)).toEqual(['a1']);
+        });
+
+        it('should delete an attachment', async () => {
+            await storage.saveAttachment({ id: 'a3', proposalId: 'p3', filename: 'three.txt' });
+            await storage.deleteAttachment('a3');
+            expect(await storage.getAttachments('p3')).toEqual([]);
+        });
+    });
+
     describe('exportAll and importAll', () => {
         it('exportAll should export all projects', async () => {
             const project1 = {
@@ -255,5 +275,12 @@ describe('Storage Module - error handling when db not initialized', () => {
         storage.db = null;
         await expect(storage.saveSetting('test-key', 'test-value')).rejects.toThrow('Database not initialized');
     });
+
+    it('attachment methods should reject when db is null', async () => {
+        storage.db = null;
+        await expect(storage.getAttachments('p1')).rejects.toThrow('Database not initialized');
+        await expect(storage.saveAttachment({ id: 'a1', proposalId: 'p1' })).rejects.toThrow('Database not initialized');
+        await expect(storage.deleteAttachment('a1')).rejects.toThrow('Database not initialized');
+    });
 });
 
@@ -0,0 +1,74 @@
+/**
+ * Template Engine Tests
+ */
+
+import { parseTemplate, renderTemplate, validateTemplate } from '../../shared/js/template-engine.js';
+
+describe('renderTemplate', () => {
+  test('should insert variables and fallbacks', () => {
+    const vars = { NAME: 'Acme', SITES: 12, VENDOR: '  ' };
+    expect(renderTemplate('{{NAME}} has {{SITES}} sites, vendor {{VENDOR|none}}.', vars)).toBe('Acme has 12 sites, vendor none.');
+  });
+
+  test('should use the empty value for empty variables and report missing ones', () => {
+    const missing = [];
+    const result = renderTemplate('{{A}}|{{B}}|{{C|n/a}}', { A: '' }, { emptyValue: '[Not provided]', onMissing: name => missing.push(name) });
+
+    expect(result).toBe('[Not provided]||n/a');
+    expect(missing).toEqual(['B', 'C']);
+  });
+
+  test('should keep {{#if}} sections only when the variable has content', () => {
+    const template = 'Start\n{{#if NOTES}}\n## Notes\n{{NOTES}}\n{{else}}\nNo notes.\n{{/if}}\nEnd';
+
+    expect(renderTemplate(template, { NOTES: 'Calls drop.' })).toBe('Start\n## Notes\nCalls drop.\nEnd');
+    expect(renderTemplate(template, { NOTES: ' \n ' })).toBe('Start\nNo notes.\nEnd');
+  });
+
+  test('should nest blocks and repeat {{#each}} per item', () => {
+    const template = [
+      '{{#if FILES}}',
+      '{{#each FILES}}',
+      '{{@number}}. {{FILENAME}} for {{ORG}}{{#if NOTE}} ({{NOTE}}){{/if}}',
+      '{{/each}}',
+      '{{/if}}'
+    ].join('\n');
+    const vars = { ORG: 'Acme', NOTE: '', FILES: [{ FILENAME: 'rfp.pdf', NOTE: 'draft' }, { FILENAME: 'notes.txt' }] };
+
+    expect(renderTemplate(template, vars)).toBe('1. rfp.pdf for Acme (draft)\n2. notes.txt for Acme\n');
+    expect(renderTemplate(template, { ...vars, FILES: [] })).toBe('');
+  });
+
+  test('should leave other brace text alone', () => {
+    expect(renderTemplate('Use {{ name }} or {{lower}} as written.', {})).toBe('Use {{ name }} or {{lower}} as written.');
+  });
+});
+
+describe('parseTemplate', () => {
+  test.each([
+    ['{{#if A}}\nopen', 'Line 1: {{#if A}} is never closed'],
+    ['a\n{{/if}}', 'Line 2: {{/if}} without an open {{#if}}'],
+    ['{{#each A}}\n\n{{/if}}', 'Line 3: {{/if}} closes {{#each A}} from line 1'],
+    ['{{else}}', 'Line 1: {{else}} without an open {{#if}}'],
+    ['{{#if A}}{{else}}{{else}}{{/if}}', 'Line 1: second {{else}} in {{#if A}}'],
+    ['{{@number}}', 'Line 1: {{@number}} can only be used inside {{#each}}'],
+    ['{{#unless A}}', 'Line 1: unknown tag {{#unless A}}'],
+    ['{{#if a b}}{{/if}}', 'Line 1: "a b" is not a variable name in {{#if}}']
+  ])('should reject %j', (source, message) => {
+    expect(() => parseTemplate(source)).toThrow(message);
+  });
+});
+
+describe('validateTemplate', () => {
+  test('should report unknown variables, with list fields known inside {{#each}}', () => {
+    const template = '{{ORG}} {{#each FILES}}{{FILENAME}} {{TYPO}}{{/each}} {{FILENAME}} {{#if MISSING}}x{{/if}}';
+    expect(validateTemplate(template, ['ORG', 'FILES'], { FILES: ['FILENAME'] })).toEqual({
+      errors: [],
+      unknownVariables: ['TYPO', 'FILENAME', 'MISSING']
+    });
+  });
+
+  test('should return parse errors instead of throwing', () => {
+    expect(validateTemplate('{{#if A}}', ['A'])).toEqual({ errors: ['Line 1: {{#if A}} is never closed'], unknownVariables: [] });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Transcript Parser Tests
+ */
+
+import {
+  detectTranscriptFormat,
+  parseTranscript,
+  cleanTurnText,
+  formatTranscript
+} from '../../shared/js/transcript-parser.js';
+import { showTranscriptImportModal } from '../../shared/js/transcript-import.js';
+
+const WEBVTT = `WEBVTT
+
+NOTE Generated by Microsoft Teams
+
+00:00:01.000 --> 00:00:04.000
+<v Dana Lee>Um, thanks for joining, everyone.</v>
+
+00:00:04.500 --> 00:00:07.000
+<v Dana Lee>So we keep missing</v>
+
+00:00:07.000 --> 00:00:09.000
+<v Dana Lee>calls after six.</v>
+
+00:00:09.500 --> 00:00:12.000
+<v.loud Sam Ortiz>Uh, how many calls per week?</v>
+`;
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,000
+Dana Lee: We lose the the leads on weekends.
+
+2
+00:00:03,500 --> 00:00:05,000
+Mostly service calls.
+
+3
+00:00:05,500 --> 00:00:07,000
+Sam Ortiz: Got it.
+`;
+
+describe('detectTranscriptFormat', () => {
+  test('should recognize caption files', () => {
+    expect(detectTranscriptFormat(WEBVTT)).toBe('webvtt');
+    expect(detectTranscriptFormat(SRT)).toBe('srt');
+  });
+
+  test('should recognize Zoom, Teams/Otter and labelled exports', () => {
+    expect(detectTranscriptFormat('[Dana Lee] 10:01:23\nHello there')).toBe('zoom');
+    expect(detectTranscriptFormat('10:01:23 From Dana Lee to Everyone: Hello')).toBe('zoom');
+    expect(detectTranscriptFormat('Dana Lee  0:05\nHello\n\nSam Ortiz  0:12\nHi')).toBe('teams-otter');
+    expect(detectTranscriptFormat('Dana: Hello\nSam: Hi there')).toBe('labelled');
+    expect(detectTranscriptFormat('Notes from the call.\n\nThey want a pilot.')).toBe('plain');
+  });
+});
+
+describe('parseTranscript', () => {
+  test('should turn WebVTT voice tags into merged speaker turns', () => {
+    const result = parseTranscript(WEBVTT);
+
+    expect(result.format).toBe('webvtt');
+    expect(result.speakers).toEqual(['Dana Lee', 'Sam Ortiz']);
+    expect(result.turns).toEqual([
+      { speaker: 'Dana Lee', text: 'Thanks for joining, everyone. So we keep missing calls after six.', start: '00:00:01.000' },
+      { speaker: 'Sam Ortiz', text: 'How many calls per week?', start: '00:00:09.500' }
+    ]);
+  });
+
+  test('should continue the previous speaker for unlabelled SRT cues', () => {
+    const result = parseTranscript(SRT);
+
+    expect(result.turns.map(t => [t.speaker, t.text])).toEqual([
+      ['Dana Lee', 'We lose the leads on weekends. Mostly service calls.'],
+      ['Sam Ortiz', 'Got it.']
+    ]);
+  });
+
+  test('should read Zoom transcript and chat exports', () => {
+    const zoom = '[Dana Lee] 10:01:23\nWe need coverage\nfor the evening shift.\n[Sam Ortiz] 10:01:40\nUnderstood.\n10:02:10 From Dana Lee to Everyone: Sending the call logs now';
+
+    expect(parseTranscript(zoom).turns).toEqual([
+      { speaker: 'Dana Lee', text: 'We need coverage for the evening shift.', start: '10:01:23' },
+      { speaker: 'Sam Ortiz', text: 'Understood.', start: '10:01:40' },
+      { speaker: 'Dana Lee', text: 'Sending the call logs now', start: '10:02:10' }
+    ]);
+  });
+
+  test('should read Teams and Otter exports', () => {
+    const otter = 'Speaker 1  0:05\nHmm, we use three vendors today.\n\nDana Lee  1:02:07\nAnd none of them integrate.';
+
+    expect(parseTranscript(otter).turns.map(t => [t.speaker, t.text, t.start])).toEqual([
+      ['Speaker 1', 'We use three vendors today.', '0:05'],
+      ['Dana Lee', 'And none of them integrate.', '1:02:07']
+    ]);
+  });
+
+  test('should strip leading timestamps from labelled lines', () => {
+    const result = parseTranscript('[00:01:05] Dana: Budget is fixed.\n[00:01:09] Sam: For this year?\nor next year too?');
+
+    expect(result.turns).toEqual([
+      { speaker: 'Dana', text: 'Budget is fixed.', start: '00:01:05' },
+      { speaker: 'Sam', text: 'For this year? or next year too?', start: '00:01:09' }
+    ]);
+  });
+
+  test('should drop turns that are only filler', () => {
+    const result = parseTranscript('Dana: Right, so pricing.\nSam: Um, uh...\nDana: Pricing is the blocker.');
+
+    expect(result.turns).toEqual([{ speaker: 'Dana', text: 'Right, so pricing. Pricing is the blocker.' }]);
+  });
+
+  test('should keep plain paragraphs apart', () => {
+    const result = parseTranscript('First note.\n\nSecond note.');
+
+    expect(result.speakers).toEqual([]);
+    expect(result.turns.map(t => t.text)).toEqual(['First note.', 'Second note.']);
+  });
+});
+
+describe('cleanTurnText', () => {
+  test('should remove fillers, stutters and stray punctuation', () => {
+    expect(cleanTurnText('um, so we we need, uh, better reporting')).toBe('So we need, better reporting');
+    expect(cleanTurnText('  Our umbrella policy  covers it .')).toBe('Our umbrella policy covers it.');
+  });
+});
+
+describe('formatTranscript', () => {
+  const turns = [
+    { speaker: 'Dana Lee', text: 'We miss calls.' },
+    { speaker: 'Sam Ortiz', text: 'How many?' },
+    { speaker: '', text: '(call dropped)' }
+  ];
+
+  test('should label speakers', () => {
+    expect(formatTranscript(turns)).toBe('Dana Lee: We miss calls.\nSam Ortiz: How many?\n(call dropped)');
+  });
+
+  test('should mark customer and own-team speakers', () => {
+    expect(formatTranscript(turns, ['Dana Lee'])).toBe('Dana Lee (Customer): We miss calls.\nSam Ortiz (Our team): How many?\n(call dropped)');
+  });
+});
+
+describe('showTranscriptImportModal', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should insert the tagged transcript', () => {
+    const onInsert = jest.fn();
+    showTranscriptImportModal(onInsert);
+
+    const raw = document.getElementById('transcript-raw');
+    raw.value = SRT;
+    raw.dispatchEvent(new Event('input'));
+
+    expect(document.getElementById('transcript-format').textContent).toBe('Detected: SRT captions');
+    const customer = document.querySelector('.transcript-customer[value="Dana Lee"]');
+    customer.checked = true;
+    customer.dispatchEvent(new Event('change'));
+    expect(document.getElementById('transcript-preview').textContent).toContain('Dana Lee (Customer): We lose the leads');
+
+    document.getElementById('transcript-insert-btn').click();
+
+    expect(onInsert).toHaveBeenCalledWith('Dana Lee (Customer): We lose the leads on weekends. Mostly service calls.\nSam Ortiz (Our team): Got it.');
+    expect(document.getElementById('transcript-import-modal')).toBeNull();
+  });
+
+  test('should keep insert disabled until there is a transcript', () => {
+    showTranscriptImportModal(jest.fn());
+    expect(document.getElementById('transcript-insert-btn').disabled).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Trash Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  createProject,
+  getAllProjects,
+  getProject,
+  getTrashedProjects,
+  deleteProject,
+  restoreProject,
+  purgeProject,
+  emptyTrash,
+  purgeExpiredTrash
+} from '../../shared/js/projects.js';
+import { addAttachment, getProposalAttachments } from '../../shared/js/attachment-store.js';
+import {
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getPurgeDate,
+  isTrashExpired,
+  DEFAULT_TRASH_RETENTION_DAYS
+} from '../../shared/js/trash.js';
+import { renderTrashView, showTrashedToast } from '../../shared/js/trash-view.js';
+import { showToast } from '../../shared/js/ui.js';
+import storage from '../../shared/js/storage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('trash', () => {
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    for (const project of await storage.getAllProjects()) {
+      await purgeProject(project.id);
+    }
+    await setTrashRetentionDays(DEFAULT_TRASH_RETENTION_DAYS);
+  });
+
+  test('should hide deleted proposals and keep their attachments until restored', async () => {
+    const project = await createProject({ organizationName: 'Acme' });
+    await addAttachment(project.id, { filename: 'rfp.txt', content: 'RFP body', size: 8 });
+
+    const trashed = await deleteProject(project.id);
+    expect(trashed.deletedAt).toEqual(expect.any(String));
+    expect(await getAllProjects()).toEqual([]);
+    expect((await getTrashedProjects()).map(p => p.id)).toEqual([project.id]);
+    expect(await getProposalAttachments(project.id)).toHaveLength(1);
+
+    await restoreProject(project.id);
+    expect((await getAllProjects()).map(p => p.id)).toEqual([project.id]);
+    expect((await getProject(project.id)).deletedAt).toBeUndefined();
+    await expect(restoreProject(project.id)).rejects.toThrow('Project not found in the trash');
+  });
+
+  test('should empty the trash with the attachments', async () => {
+    const kept = await createProject({ organizationName: 'Kept' });
+    const gone = await createProject({ organizationName: 'Gone' });
+    await addAttachment(gone.id, { filename: 'notes.txt', content: 'Notes', size: 5 });
+    await deleteProject(gone.id);
+
+    expect(await emptyTrash()).toBe(1);
+    expect(await getProject(gone.id)).toBeUndefined();
+    expect(await getProposalAttachments(gone.id)).toEqual([]);
+    expect((await getAllProjects()).map(p => p.id)).toEqual([kept.id]);
+  });
+
+  test('should purge proposals past the retention period', async () => {
+    const project = await createProject({ organizationName: 'Acme' });
+    const trashed = await deleteProject(project.id);
+    const deletedAt = new Date(trashed.deletedAt);
+
+    await setTrashRetentionDays(7);
+    expect(getPurgeDate(trashed, 7)).toEqual(new Date(deletedAt.getTime() + 7 * DAY_MS));
+    expect(await purgeExpiredTrash(new Date(deletedAt.getTime() + 6 * DAY_MS))).toBe(0);
+
+    await setTrashRetentionDays(0);
+    expect(isTrashExpired(trashed, 0, new Date(deletedAt.getTime() + 365 * DAY_MS))).toBe(false);
+    expect(await purgeExpiredTrash(new Date(deletedAt.getTime() + 365 * DAY_MS))).toBe(0);
+
+    await setTrashRetentionDays(7);
+    expect(await purgeExpiredTrash(new Date(deletedAt.getTime() + 7 * DAY_MS))).toBe(1);
+    expect(await getTrashedProjects()).toEqual([]);
+  });
+
+  test('should only accept the offered retention periods', async () => {
+    await expect(setTrashRetentionDays(12)).rejects.toThrow('Unsupported trash retention: 12 days');
+    await setTrashRetentionDays(90);
+    expect(await getTrashRetentionDays()).toBe(90);
+  });
+
+  test('should list trashed proposals and restore them from the trash view', async () => {
+    const project = await createProject({ organizationName: 'Acme Motors' });
+    await deleteProject(project.id);
+    document.body.innerHTML = '<div id="app-container"></div>';
+
+    await renderTrashView();
+    expect(document.querySelector(`.trash-item[data-project-id="${project.id}"]`).textContent).toContain('Acme Motors');
+    expect(document.getElementById('trash-retention').value).toBe(String(DEFAULT_TRASH_RETENTION_DAYS));
+
+    document.querySelector('.restore-project-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect((await getAllProjects()).map(p => p.id)).toEqual([project.id]);
+    expect(document.getElementById('empty-trash-btn').disabled).toBe(true);
+  });
+
+  test('should restore a proposal from the undo toast', async () => {
+    const project = await createProject({ organizationName: 'Acme' });
+    const onRestored = jest.fn();
+    document.body.innerHTML = '';
+
+    showTrashedToast(await deleteProject(project.id), onRestored);
+    document.querySelector('.toast-action').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(onRestored).toHaveBeenCalled();
+    expect((await getAllProjects()).map(p => p.id)).toEqual([project.id]);
+  });
+});
+
+describe('toast actions', () => {
+  test('should show the action button and close the toast when clicked', () => {
+    jest.useFakeTimers();
+    const onClick = jest.fn();
+    document.body.innerHTML = '';
+
+    showToast('Moved to the trash', 'success', 8000, { label: 'Undo', onClick });
+    const button = document.querySelector('.toast-action');
+    expect(button.textContent).toBe('Undo');
+
+    button.click();
+    jest.advanceTimersByTime(300);
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(document.querySelector('.toast-notification')).toBeNull();
+    jest.useRealTimers();
+  });
+});
@@ -3,6 +3,10 @@
  */
 
 import { renderProjectsList, renderNewProjectForm } from '../../shared/js/views.js';
+import { handleFiles } from '../../shared/js/attachments.js';
+import { getAllProjects, purgeProject } from '../../shared/js/projects.js';
+import { getProposalAttachments } from '../../shared/js/attachment-store.js';
+import storage from '../../shared/js/storage.js';
 
 describe('Views Module', () => {
   test('should export renderProjectsList function', () => {
@@ -17,3 +21,49 @@ describe('Views Module', () => {
     expect(renderProjectsList.constructor.name).toBe('AsyncFunction');
   });
 });
+
+describe('New proposal form', () => {
+  const SyncFileReader = global.FileReader;
+
+  beforeAll(async () => {
+    await storage.init();
+  });
+
+  beforeEach(async () => {
+    for (const project of await storage.getAllProjects()) {
+      await purgeProject(project.id);
+    }
+    // Finish reads on a later tick, like a browser reading a large file
+    global.FileReader = class extends SyncFileReader {
+      readAsText(blob) {
+        setTimeout(() => super.readAsText(blob), 20);
+      }
+    };
+  });
+
+  afterEach(() => {
+    global.FileReader = SyncFileReader;
+  });
+
+  test('should wait for attached files to be read before creating the proposal', async () => {
+    document.body.innerHTML = '<div id="app-container"></div>';
+    renderNewProjectForm();
+    /** @type {HTMLInputElement} */ (document.getElementById('organizationName')).value = 'Acme Motors';
+
+    handleFiles([
+      new File(['Scope of work'], 'rfp.txt', { type: 'text/plain' }),
+      new File(['plain text'], 'fake.pdf', { type: 'application/pdf' })
+    ]);
+    document.getElementById('new-project-form').dispatchEvent(new Event('submit', { cancelable: true }));
+
+    // The form opens the new proposal once it is saved; let that finish before the test ends
+    for (let i = 0; i < 100 && !document.getElementById('phase-content'); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const projects = await getAllProjects();
+
+    const attachments = await getProposalAttachments(projects[0].id);
+    expect(attachments.map(a => [a.filename, a.content])).toEqual([['rfp.txt', 'Scope of work']]);
+  });
+});
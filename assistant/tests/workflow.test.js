@@ -291,6 +291,79 @@ describe('Workflow class', () => {
   });
 });
 
+describe('Workflow with a longer pipeline', () => {
+  let project;
+  let workflow;
+
+  beforeEach(() => {
+    project = {
+      organizationName: 'Acme',
+      pipelineId: 'legal-review',
+      phase: 3,
+      phase1_output: 'Draft',
+      phase3_output: 'Legal review notes',
+      phase4_output: 'Final synthesized proposal',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    workflow = new Workflow(project);
+  });
+
+  it('should use the project pipeline phase count', () => {
+    expect(workflow.config.phaseCount).toBe(4);
+    expect(workflow.getNextPhase().number).toBe(4);
+    workflow.currentPhase = 4;
+    expect(workflow.getNextPhase()).toBeNull();
+    expect(workflow.isComplete()).toBe(false);
+  });
+
+  it('should export the final phase output', () => {
+    const md = workflow.exportAsMarkdown();
+    expect(md).toContain('Final synthesized proposal');
+    expect(md).not.toContain('Legal review notes');
+  });
+
+  it('should report progress against the pipeline length', () => {
+    expect(workflow.getProgress()).toBe(75);
+  });
+
+  it('should look up metadata for added phases', () => {
+    const meta = getPhaseMetadata(3, 'legal-review');
+    expect(meta.name).toBe('Legal/Procurement Review');
+    expect(meta.template).toBe('legal-review');
+  });
+});
+
+describe('Workflow review rounds', () => {
+  const project = {
+    title: 'Acme',
+    phase: 2,
+    currentRound: 2,
+    phase1_output: 'Original draft',
+    reviewRounds: [
+      { round: 1, completedAt: '2024-01-01T00:00:00.000Z', score: 62, phases: { 2: { response: 'Critique' }, 3: { response: 'Round one synthesis' } } }
+    ],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  it('should review the previous round output instead of the original draft', () => {
+    const workflow = new Workflow(project);
+    expect(workflow.getLastRoundOutput()).toBe('Round one synthesis');
+    expect(workflow.getReviewDraft()).toBe('Round one synthesis');
+  });
+
+  it('should review the Phase 1 draft in the first round', () => {
+    const workflow = new Workflow({ ...project, reviewRounds: [] });
+    expect(workflow.getReviewDraft()).toBe('Original draft');
+  });
+
+  it('should export the last round while the next round is in progress', () => {
+    const workflow = new Workflow(project);
+    expect(workflow.exportAsMarkdown()).toContain('Round one synthesis');
+  });
+});
+
 describe('getPhaseMetadata helper', () => {
   it('should return phase 1 metadata', () => {
     const meta = getPhaseMetadata(1);
@@ -6,6 +6,7 @@
 
 import 'fake-indexeddb/auto';
 import { webcrypto } from 'node:crypto';
+import { TextEncoder, TextDecoder } from 'node:util';
 import { jest } from '@jest/globals';
 
 // Expose jest globally for test files
@@ -31,6 +32,12 @@ Object.defineProperty(globalThis, 'crypto', {
   configurable: true
 });
 
+// Polyfill TextEncoder/TextDecoder (missing from jsdom)
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
+
 // Polyfill structuredClone for Node.js < 17
 if (typeof global.structuredClone === 'undefined') {
   global.structuredClone = (obj) => JSON.parse(JSON.stringify(obj));
@@ -98,6 +105,13 @@ global.FileReader = class FileReader {
       this.onload({ target: this });
     }
   }
+
+  readAsArrayBuffer(blob) {
+    this.result = new Uint8Array(Buffer.from(blob.parts.join(''), 'latin1')).buffer;
+    if (this.onload) {
+      this.onload({ target: this });
+    }
+  }
 };
 
 // Mock URL.createObjectURL and revokeObjectURL
@@ -0,0 +1,125 @@
+/**
+ * AI Runner Settings Module
+ * Modal for configuring the OpenAI-compatible endpoint used to run phases.
+ * Depends only on the runner and formatters so the validator can reuse it.
+ * @module ai-runner-settings
+ */
+
+import { getAIRunnerConfig, saveAIRunnerConfig, runChatCompletion } from './ai-runner.js';
+import { escapeHtml } from './ui-formatters.js';
+
+/**
+ * Read the settings form into a config object
+ * @param {HTMLElement} modal - Settings modal element
+ * @returns {import('./ai-runner.js').AIRunnerConfig}
+ */
+function readForm(modal) {
+  const value = (id) => /** @type {HTMLInputElement} */ (modal.querySelector(`#${id}`)).value.trim();
+  const checked = (id) => /** @type {HTMLInputElement} */ (modal.querySelector(`#${id}`)).checked;
+  const temperature = parseFloat(value('ai-runner-temperature'));
+  return {
+    enabled: checked('ai-runner-enabled'),
+    baseUrl: value('ai-runner-base-url'),
+    model: value('ai-runner-model'),
+    apiKey: value('ai-runner-api-key'),
+    temperature: Number.isFinite(temperature) ? temperature : 0.7,
+    stream: checked('ai-runner-stream')
+  };
+}
+
+/**
+ * Show the AI runner settings modal
+ * @returns {Promise<import('./ai-runner.js').AIRunnerConfig | null>} Saved config, or null if cancelled
+ */
+export function showAIRunnerSettingsModal() {
+  const config = getAIRunnerConfig();
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white text-sm';
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.id = 'ai-runner-settings-modal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full">
+        <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 class="text-lg font-bold text-gray-900 dark:text-white">⚡ Local AI Endpoint</h3>
+          <button id="ai-runner-close-btn" class="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none" aria-label="Close">&times;</button>
+        </div>
+        <div class="p-4 space-y-4">
+          <p class="text-sm text-gray-600 dark:text-gray-400">
+            Run prompts directly against an OpenAI-compatible server (llama.cpp, Ollama, LM Studio) instead of copying them into a chat window.
+            The server must allow requests from this page (for Ollama, set <code>OLLAMA_ORIGINS</code>).
+          </p>
+          <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input type="checkbox" id="ai-runner-enabled" ${config.enabled ? 'checked' : ''}>
+            Show "Run" buttons
+          </label>
+          <div>
+            <label for="ai-runner-base-url" class="${labelClass}">Endpoint URL</label>
+            <input type="url" id="ai-runner-base-url" class="${inputClass}" value="${escapeHtml(config.baseUrl)}" placeholder="http://localhost:11434/v1">
+          </div>
+          <div class="grid grid-cols-2 gap-4">
+            <div>
+              <label for="ai-runner-model" class="${labelClass}">Model</label>
+              <input type="text" id="ai-runner-model" class="${inputClass}" value="${escapeHtml(config.model)}" placeholder="llama3.1">
+            </div>
+            <div>
+              <label for="ai-runner-temperature" class="${labelClass}">Temperature</label>
+              <input type="number" id="ai-runner-temperature" class="${inputClass}" min="0" max="2" step="0.1" value="${config.temperature}">
+            </div>
+          </div>
+          <div>
+            <label for="ai-runner-api-key" class="${labelClass}">API Key (optional)</label>
+            <input type="password" id="ai-runner-api-key" class="${inputClass}" value="${escapeHtml(config.apiKey)}" autocomplete="off">
+            <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">Stored unencrypted in this browser's localStorage.</p>
+          </div>
+          <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input type="checkbox" id="ai-runner-stream" ${config.stream ? 'checked' : ''}>
+            Stream responses
+          </label>
+          <p id="ai-runner-test-status" class="text-sm text-gray-600 dark:text-gray-400"></p>
+        </div>
+        <div class="flex justify-between items-center p-4 border-t border-gray-200 dark:border-gray-700">
+          <button id="ai-runner-test-btn" class="px-4 py-2 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Test Connection</button>
+          <div class="flex gap-2">
+            <button id="ai-runner-cancel-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Cancel</button>
+            <button id="ai-runner-save-btn" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Save</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const close = (result) => {
+      modal.remove();
+      document.removeEventListener('keydown', handleEscape);
+      resolve(result);
+    };
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') close(null);
+    };
+
+    modal.querySelector('#ai-runner-close-btn').addEventListener('click', () => close(null));
+    modal.querySelector('#ai-runner-cancel-btn').addEventListener('click', () => close(null));
+    modal.querySelector('#ai-runner-save-btn').addEventListener('click', () => {
+      close(saveAIRunnerConfig(readForm(modal)));
+    });
+
+    modal.querySelector('#ai-runner-test-btn').addEventListener('click', async () => {
+      const status = modal.querySelector('#ai-runner-test-status');
+      status.textContent = 'Testing…';
+      try {
+        const reply = await runChatCompletion('Reply with the single word OK.', { config: { ...readForm(modal), stream: false } });
+        status.textContent = `✓ Connected. Model replied: ${reply.trim().slice(0, 80)}`;
+      } catch (error) {
+        status.textContent = `✗ ${error.message}`;
+      }
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close(null);
+    });
+    document.addEventListener('keydown', handleEscape);
+    document.body.appendChild(modal);
+  });
+}
@@ -0,0 +1,186 @@
+/**
+ * AI Runner Module
+ * Sends prompts to an OpenAI-compatible chat completions endpoint
+ * (llama.cpp server, Ollama, LM Studio, vLLM, ...) and streams the reply.
+ *
+ * Configuration lives in localStorage so both the assistant and the
+ * validator share the same endpoint settings.
+ * @module ai-runner
+ */
+
+/** localStorage key holding the runner configuration */
+export const AI_RUNNER_STORAGE_KEY = 'ai-runner-config';
+
+/**
+ * @typedef {Object} AIRunnerConfig
+ * @property {boolean} enabled - Show "Run" buttons instead of only copy/paste
+ * @property {string} baseUrl - Server base URL (e.g. http://localhost:11434/v1)
+ * @property {string} model - Model name passed to the endpoint
+ * @property {string} apiKey - Optional bearer token
+ * @property {number} temperature - Sampling temperature
+ * @property {boolean} stream - Request a streamed (SSE) response
+ */
+
+/** @type {AIRunnerConfig} */
+export const DEFAULT_AI_RUNNER_CONFIG = {
+  enabled: false,
+  baseUrl: 'http://localhost:11434/v1',
+  model: 'llama3.1',
+  apiKey: '',
+  temperature: 0.7,
+  stream: true
+};
+
+/**
+ * Read the runner configuration, filling in defaults for missing keys
+ * @returns {AIRunnerConfig}
+ */
+export function getAIRunnerConfig() {
+  try {
+    const saved = localStorage.getItem(AI_RUNNER_STORAGE_KEY);
+    return { ...DEFAULT_AI_RUNNER_CONFIG, ...(saved ? JSON.parse(saved) : {}) };
+  } catch (error) {
+    console.warn('Failed to read AI runner config:', error);
+    return { ...DEFAULT_AI_RUNNER_CONFIG };
+  }
+}
+
+/**
+ * Save the runner configuration
+ * @param {Partial<AIRunnerConfig>} config - Settings to save (merged over current)
+ * @returns {AIRunnerConfig} Saved configuration
+ */
+export function saveAIRunnerConfig(config) {
+  const merged = { ...getAIRunnerConfig(), ...config };
+  localStorage.setItem(AI_RUNNER_STORAGE_KEY, JSON.stringify(merged));
+  return merged;
+}
+
+/**
+ * Check whether the runner is switched on and has an endpoint
+ * @returns {boolean}
+ */
+export function isAIRunnerEnabled() {
+  const config = getAIRunnerConfig();
+  return Boolean(config.enabled && config.baseUrl && config.model);
+}
+
+/**
+ * Build the chat completions URL from a base URL.
+ * Accepts a bare host, a /v1 base, or the full endpoint.
+ * @param {string} baseUrl - Configured base URL
+ * @returns {string} Full /v1/chat/completions URL
+ */
+export function buildChatCompletionsUrl(baseUrl) {
+  const trimmed = (baseUrl || '').trim().replace(/\/+$/, '');
+  if (/\/chat\/completions$/.test(trimmed)) return trimmed;
+  if (/\/v1$/.test(trimmed)) return `${trimmed}/chat/completions`;
+  return `${trimmed}/v1/chat/completions`;
+}
+
+/**
+ * Split buffered SSE text into complete `data:` payloads
+ * @param {string} buffer - Text received so far
+ * @returns {{events: string[], rest: string}} Complete payloads and the unfinished remainder
+ */
+export function parseSSEBuffer(buffer) {
+  const lines = buffer.split(/\r?\n/);
+  const rest = lines.pop();
+  const events = lines
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim())
+    .filter(Boolean);
+  return { events, rest };
+}
+
+/**
+ * Extract the text delta from a streamed chat completion chunk
+ * @param {string} payload - JSON payload of one SSE event
+ * @returns {string} Text delta (empty when the chunk carries none)
+ */
+function extractDelta(payload) {
+  try {
+    const chunk = JSON.parse(payload);
+    const choice = chunk.choices?.[0];
+    return choice?.delta?.content ?? choice?.text ?? '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Run a prompt against the configured endpoint
+ * @param {string} prompt - Prompt to send as a single user message
+ * @param {Object} [options]
+ * @param {(token: string, text: string) => void} [options.onToken] - Called with each delta and the text so far
+ * @param {AbortSignal} [options.signal] - Abort signal to cancel the request
+ * @param {AIRunnerConfig} [options.config] - Config override (defaults to the saved config)
+ * @returns {Promise<string>} Full response text
+ */
+export async function runChatCompletion(prompt, options = {}) {
+  const config = options.config || getAIRunnerConfig();
+  if (!config.baseUrl || !config.model) {
+    throw new Error('AI runner is not configured: set an endpoint URL and model');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(buildChatCompletionsUrl(config.baseUrl), {
+      method: 'POST',
+      headers,
+      signal: options.signal,
+      body: JSON.stringify({
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: config.temperature,
+        stream: config.stream
+      })
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new Error(`Could not reach ${config.baseUrl}. Is the server running and does it allow requests from this page (CORS)?`, { cause: error });
+  }
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`AI endpoint returned ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+
+  if (!config.stream || !response.body) {
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content ?? data.choices?.[0]?.text ?? '';
+    options.onToken?.(text, text);
+    return text;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+    // Flush the trailing line once the stream ends
+    const parsed = parseSSEBuffer(done ? `${buffer}\n` : buffer);
+    buffer = parsed.rest;
+
+    for (const payload of parsed.events) {
+      if (payload === '[DONE]') {
+        return text;
+      }
+      const delta = extractDelta(payload);
+      if (delta) {
+        text += delta;
+        options.onToken?.(delta, text);
+      }
+    }
+
+    if (done) return text;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * AI Targets Settings Module
+ * Modal for choosing the chat assistant each phase is meant for, adding
+ * custom providers and editing per-provider prompt preambles.
+ * @module ai-targets-settings
+ */
+
+import { getAITargets, saveAITargets, getAllProviders, getPhaseTarget, getPhaseTargetKey } from './ai-targets.js';
+import { getAllPipelines, getPipeline } from './prompts.js';
+import { escapeHtml } from './ui-formatters.js';
+
+/**
+ * Element id suffix for a phase's target select
+ * @param {import('./types.js').PhaseConfig} phase
+ * @returns {string} e.g. 'double-adversarial-4'
+ */
+function getPhaseSelectId(phase) {
+  return `${phase.pipelineId}-${phase.number}`;
+}
+
+/**
+ * Read the settings form into a settings object
+ * @param {HTMLElement} modal - Settings modal element
+ * @returns {import('./ai-targets.js').AITargetSettings}
+ */
+function readForm(modal) {
+  const value = (el) => /** @type {HTMLInputElement} */ (el).value;
+  return {
+    phases: Object.fromEntries([...modal.querySelectorAll('select[data-phase-key]')].map(el => [el.dataset.phaseKey, value(el)])),
+    preambles: Object.fromEntries([...modal.querySelectorAll('textarea[data-preamble]')].map(el => [el.dataset.preamble, value(el)])),
+    customProviders: [...modal.querySelectorAll('.ai-target-custom')].map(el => ({
+      id: el.dataset.providerId,
+      name: value(el.querySelector('.ai-target-name')),
+      url: value(el.querySelector('.ai-target-url'))
+    }))
+  };
+}
+
+/**
+ * Show the AI targets settings modal
+ * @returns {Promise<import('./ai-targets.js').AITargetSettings | null>} Saved settings, or null if cancelled
+ */
+export function showAITargetsSettingsModal() {
+  const pipelines = getAllPipelines().map(({ id }) => getPipeline(id));
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white text-sm';
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+  let settings = getAITargets();
+
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.id = 'ai-targets-settings-modal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+
+    const close = (result) => {
+      modal.remove();
+      document.removeEventListener('keydown', handleEscape);
+      resolve(result);
+    };
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') close(null);
+    };
+
+    function render() {
+      const providers = getAllProviders(settings);
+      modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+          <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+            <h3 class="text-lg font-bold text-gray-900 dark:text-white">🎯 AI Targets</h3>
+            <button id="ai-targets-close-btn" class="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none" aria-label="Close">&times;</button>
+          </div>
+          <div class="p-4 space-y-6 overflow-y-auto">
+            <div class="space-y-3">
+              <p class="text-sm text-gray-600 dark:text-gray-400">
+                Pick the chat assistant each phase's prompt is pasted into. The phase's "Open" button and instructions follow the choice.
+              </p>
+              ${pipelines.map(pipeline => `
+              <div class="space-y-2">
+                <h4 class="text-sm font-semibold text-gray-900 dark:text-white">${escapeHtml(pipeline.name)}</h4>
+                ${pipeline.phases.map(phase => `
+                <div class="flex items-center justify-between gap-3">
+                  <label for="ai-target-phase-${escapeHtml(getPhaseSelectId(phase))}" class="text-sm text-gray-700 dark:text-gray-300">${phase.number}. ${escapeHtml(phase.name)}</label>
+                  <select id="ai-target-phase-${escapeHtml(getPhaseSelectId(phase))}" data-phase-key="${escapeHtml(getPhaseTargetKey(phase))}" class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm">
+                    ${providers.map(p => `<option value="${escapeHtml(p.id)}" ${getPhaseTarget(phase, settings).provider === p.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+                  </select>
+                </div>
+                `).join('')}
+              </div>
+              `).join('')}
+            </div>
+            <div class="space-y-4">
+              <h4 class="text-sm font-semibold text-gray-900 dark:text-white">Providers</h4>
+              ${providers.map(p => `
+              <div class="${p.custom ? 'ai-target-custom ' : ''}p-3 border border-gray-200 dark:border-gray-700 rounded-lg space-y-2" ${p.custom ? `data-provider-id="${escapeHtml(p.id)}"` : ''}>
+                ${p.custom ? `
+                <div class="grid grid-cols-2 gap-3">
+                  <div>
+                    <label for="ai-target-name-${escapeHtml(p.id)}" class="${labelClass}">Name</label>
+                    <input type="text" id="ai-target-name-${escapeHtml(p.id)}" class="ai-target-name ${inputClass}" value="${escapeHtml(p.name)}" placeholder="Company GPT">
+                  </div>
+                  <div>
+                    <label for="ai-target-url-${escapeHtml(p.id)}" class="${labelClass}">Chat URL</label>
+                    <input type="url" id="ai-target-url-${escapeHtml(p.id)}" class="ai-target-url ${inputClass}" value="${escapeHtml(p.url)}" placeholder="https://gpt.example.com/">
+                  </div>
+                </div>
+                ` : `<p class="text-sm font-medium text-gray-700 dark:text-gray-300">${escapeHtml(p.name)} <span class="font-normal text-gray-500 dark:text-gray-400">· ${escapeHtml(p.url)}</span></p>`}
+                <div>
+                  <label for="ai-target-preamble-${escapeHtml(p.id)}" class="${labelClass}">Preamble (put before every prompt for this provider)</label>
+                  <textarea id="ai-target-preamble-${escapeHtml(p.id)}" data-preamble="${escapeHtml(p.id)}" rows="2" class="${inputClass}" placeholder="Optional, e.g. Do not browse the web.">${escapeHtml(settings.preambles[p.id] || '')}</textarea>
+                </div>
+                ${p.custom ? `<button class="ai-target-remove-btn text-sm text-red-600 dark:text-red-400 hover:underline" data-provider-id="${escapeHtml(p.id)}">Remove provider</button>` : ''}
+              </div>
+              `).join('')}
+              <button id="ai-targets-add-custom-btn" class="px-4 py-2 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">+ Add Custom Provider</button>
+            </div>
+            <p id="ai-targets-error" class="text-sm text-red-600 dark:text-red-400"></p>
+          </div>
+          <div class="flex justify-end gap-2 p-4 border-t border-gray-200 dark:border-gray-700">
+            <button id="ai-targets-cancel-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Cancel</button>
+            <button id="ai-targets-save-btn" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Save</button>
+          </div>
+        </div>
+      `;
+
+      modal.querySelector('#ai-targets-close-btn').addEventListener('click', () => close(null));
+      modal.querySelector('#ai-targets-cancel-btn').addEventListener('click', () => close(null));
+
+      modal.querySelector('#ai-targets-add-custom-btn').addEventListener('click', () => {
+        settings = readForm(modal);
+        settings.customProviders.push({ id: `custom-${crypto.randomUUID().slice(0, 8)}`, name: '', url: '' });
+        render();
+      });
+
+      modal.querySelectorAll('.ai-target-remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          settings = readForm(modal);
+          settings.customProviders = settings.customProviders.filter(p => p.id !== /** @type {HTMLElement} */ (btn).dataset.providerId);
+          render();
+        });
+      });
+
+      modal.querySelector('#ai-targets-save-btn').addEventListener('click', async () => {
+        try {
+          close(await saveAITargets(readForm(modal)));
+        } catch (error) {
+          modal.querySelector('#ai-targets-error').textContent = error.message;
+        }
+      });
+    }
+
+    render();
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close(null);
+    });
+    document.addEventListener('keydown', handleEscape);
+    document.body.appendChild(modal);
+  });
+}
@@ -0,0 +1,223 @@
+/**
+ * AI Targets Module
+ * Which chat assistant each phase's prompt is meant for: a built-in provider
+ * or a custom one with its own URL, with an optional preamble per provider
+ * that is put at the top of its prompts. Stored in the IndexedDB `settings`
+ * store and cached here so phase rendering can stay synchronous.
+ * @module ai-targets
+ */
+
+import storage from './storage.js';
+import { getAllPipelines, getPipeline } from './prompts.js';
+
+/** Settings key holding the AI target settings */
+export const AI_TARGETS_KEY = 'ai-targets';
+
+/** Built-in providers by id */
+export const AI_PROVIDERS = {
+  chatgpt: { name: 'ChatGPT', url: 'https://chatgpt.com/' },
+  claude: { name: 'Claude', url: 'https://claude.ai/new' },
+  gemini: { name: 'Gemini', url: 'https://gemini.google.com/app' },
+  copilot: { name: 'Copilot', url: 'https://copilot.microsoft.com/' }
+};
+
+/**
+ * @typedef {Object} CustomAIProvider
+ * @property {string} id - Provider id (starts with "custom-")
+ * @property {string} name - Display name, e.g. "Acme GPT"
+ * @property {string} url - Chat URL opened by "Open <name>"
+ */
+
+/**
+ * @typedef {Object} AITargetSettings
+ * @property {Object.<string, string>} phases - Provider id per phase, keyed by getPhaseTargetKey()
+ * @property {Object.<string, string>} preambles - Prompt preamble per provider id
+ * @property {CustomAIProvider[]} customProviders - User-defined providers
+ */
+
+/**
+ * @typedef {Object} AITarget
+ * @property {string | null} provider - Provider id (null for an unlisted default model)
+ * @property {string} name - Provider name shown on buttons and help text
+ * @property {string} url - Chat URL
+ * @property {string} preamble - Text put before the prompt ('' for none)
+ */
+
+/** @type {AITargetSettings} */
+export const DEFAULT_AI_TARGETS = {
+  phases: {},
+  preambles: {},
+  customProviders: []
+};
+
+/**
+ * Key of a phase's target choice. Choices are per pipeline phase, so phases
+ * that share a prompt template can still go to different assistants.
+ * @param {import('./types.js').PhaseConfig} phase - Phase config from getPipeline()
+ * @returns {string} e.g. 'double-adversarial:4'
+ */
+export function getPhaseTargetKey(phase) {
+  return `${phase.pipelineId}:${phase.number}`;
+}
+
+/**
+ * Check whether a stored choice is keyed by prompt template id, as saved
+ * before targets were chosen per phase
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isTemplateKey(key) {
+  return !key.includes(':');
+}
+
+/**
+ * Move choices keyed by prompt template to every pipeline phase that uses
+ * the template. A choice already saved for the phase itself wins.
+ * @param {Object.<string, string>} phases - Stored phase choices
+ * @returns {Object.<string, string>}
+ */
+function migrateTemplateChoices(phases) {
+  if (!Object.keys(phases).some(isTemplateKey)) return phases;
+  const migrated = Object.fromEntries(Object.entries(phases).filter(([key]) => !isTemplateKey(key)));
+  for (const { id } of getAllPipelines()) {
+    for (const phase of getPipeline(id).phases) {
+      const key = getPhaseTargetKey(phase);
+      const choice = phases[String(phase.template)];
+      if (choice && !(key in migrated)) migrated[key] = choice;
+    }
+  }
+  return migrated;
+}
+
+/**
+ * Fill in missing parts of stored settings
+ * @param {Partial<AITargetSettings>} [settings]
+ * @returns {AITargetSettings}
+ */
+function normalizeSettings(settings) {
+  return {
+    phases: migrateTemplateChoices({ ...settings?.phases }),
+    preambles: { ...settings?.preambles },
+    customProviders: Array.isArray(settings?.customProviders) ? settings.customProviders.map(p => ({ ...p })) : []
+  };
+}
+
+/** @type {AITargetSettings} */
+let cachedSettings = normalizeSettings(DEFAULT_AI_TARGETS);
+
+/**
+ * Read the AI target settings from storage into the cache.
+ * Falls back to the defaults when storage is unavailable.
+ * @returns {Promise<AITargetSettings>}
+ */
+export async function loadAITargets() {
+  if (!storage.db) return cachedSettings;
+  try {
+    const stored = await storage.getSetting(AI_TARGETS_KEY);
+    cachedSettings = normalizeSettings(stored);
+    if (Object.keys(stored?.phases || {}).some(isTemplateKey)) {
+      await storage.saveSetting(AI_TARGETS_KEY, cachedSettings);
+    }
+  } catch (error) {
+    console.warn('Failed to load AI target settings:', error);
+  }
+  return cachedSettings;
+}
+
+/**
+ * Get the cached AI target settings (call loadAITargets() first)
+ * @returns {AITargetSettings}
+ */
+export function getAITargets() {
+  return cachedSettings;
+}
+
+/**
+ * List built-in and custom providers
+ * @param {AITargetSettings} [settings]
+ * @returns {Array<{ id: string, name: string, url: string, custom: boolean }>}
+ */
+export function getAllProviders(settings = cachedSettings) {
+  return [
+    ...Object.entries(AI_PROVIDERS).map(([id, p]) => ({ id, ...p, custom: false })),
+    ...settings.customProviders.map(p => ({ ...p, custom: true }))
+  ];
+}
+
+/**
+ * Save the AI target settings and update the cache.
+ * Custom providers need a name and an http(s) URL; phase choices and
+ * preambles for providers that no longer exist are dropped.
+ * @param {Partial<AITargetSettings>} settings
+ * @returns {Promise<AITargetSettings>} Saved settings
+ */
+export async function saveAITargets(settings) {
+  const normalized = normalizeSettings(settings);
+  normalized.customProviders = normalized.customProviders.map(p => ({ id: p.id, name: (p.name || '').trim(), url: (p.url || '').trim() }));
+
+  for (const provider of normalized.customProviders) {
+    if (!provider.name) {
+      throw new Error('Custom providers need a name');
+    }
+    if (!/^https?:\/\/\S+$/i.test(provider.url)) {
+      throw new Error(`The URL for ${provider.name} must start with http:// or https://`);
+    }
+  }
+
+  const ids = new Set(getAllProviders(normalized).map(p => p.id));
+  normalized.phases = Object.fromEntries(Object.entries(normalized.phases).filter(([, id]) => ids.has(id)));
+  normalized.preambles = Object.fromEntries(
+    Object.entries(normalized.preambles)
+      .map(([id, text]) => [id, (text || '').trim()])
+      .filter(([id, text]) => ids.has(id) && text)
+  );
+
+  await storage.saveSetting(AI_TARGETS_KEY, normalized);
+  cachedSettings = normalized;
+  return normalized;
+}
+
+/**
+ * Find the built-in provider for a phase's default `aiModel`
+ * @param {string} aiModel - e.g. 'Claude'
+ * @returns {string | null} Provider id
+ */
+export function getDefaultProviderId(aiModel) {
+  return Object.keys(AI_PROVIDERS).find(id => AI_PROVIDERS[id].name === aiModel) || null;
+}
+
+/**
+ * Resolve the provider a phase's prompt is meant for.
+ * Without a saved choice the phase keeps its own aiModel and aiUrl.
+ * @param {import('./types.js').PhaseConfig} phase - Phase config from getPipeline(), with `aiModel` and `aiUrl`
+ * @param {AITargetSettings} [settings]
+ * @returns {AITarget}
+ */
+export function getPhaseTarget(phase, settings = cachedSettings) {
+  const chosen = getAllProviders(settings).find(p => p.id === settings.phases[getPhaseTargetKey(phase)]);
+  if (chosen) {
+    return { provider: chosen.id, name: chosen.name, url: chosen.url, preamble: settings.preambles[chosen.id] || '' };
+  }
+  const provider = getDefaultProviderId(phase.aiModel);
+  return { provider, name: phase.aiModel, url: phase.aiUrl, preamble: (provider && settings.preambles[provider]) || '' };
+}
+
+/**
+ * Copy a phase config with its aiModel and aiUrl replaced by the chosen target
+ * @param {import('./types.js').PhaseConfig} phase
+ * @returns {import('./types.js').PhaseConfig}
+ */
+export function applyAITarget(phase) {
+  const target = getPhaseTarget(phase);
+  return { ...phase, aiModel: target.name, aiUrl: target.url, aiProvider: target.provider };
+}
+
+/**
+ * Put a provider preamble before a prompt
+ * @param {string} prompt
+ * @param {string} preamble
+ * @returns {string}
+ */
+export function addPreamble(prompt, preamble) {
+  return preamble?.trim() ? `${preamble.trim()}\n\n${prompt}` : prompt;
+}
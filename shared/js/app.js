@@ -5,10 +5,16 @@
  */
 
 import storage from './storage.js';
-import { initRouter } from './router.js';
+import { initRouter, navigateTo, getCurrentRoute } from './router.js';
 import { loadDefaultPrompts } from './workflow.js';
-import { exportAllProjects, importProjects } from './projects.js';
+import { exportAllProjects, previewProjectImport, applyProjectImport } from './projects.js';
+import { showImportPreviewModal, showImportErrorModal, describeImportResult } from './import-preview.js';
+import { showExportOptionsModal, promptBackupPassphrase } from './backup-passphrase.js';
 import { showToast, showLoading, hideLoading, formatBytes } from './ui.js';
+import { showAIRunnerSettingsModal } from './ai-runner-settings.js';
+import { showRedactionSettingsModal } from './redaction-settings.js';
+import { showAITargetsSettingsModal } from './ai-targets-settings.js';
+import { loadAITargets } from './ai-targets.js';
 
 /**
  * Initialize the application
@@ -24,6 +30,9 @@ async function init() {
     await loadDefaultPrompts();
     console.log('✓ Prompts loaded');
 
+    await loadAITargets();
+    console.log('✓ AI targets loaded');
+
     initRouter();
     console.log('✓ Router initialized');
 
@@ -52,6 +61,35 @@ function setupGlobalEventListeners() {
     themeToggle.addEventListener('click', toggleTheme);
   }
 
+  // Local AI endpoint settings; re-render an open project so its Run button reflects the change
+  document.getElementById('ai-runner-settings-btn')?.addEventListener('click', async () => {
+    const saved = await showAIRunnerSettingsModal();
+    if (!saved) return;
+    showToast(saved.enabled ? `Run buttons enabled for ${saved.model}` : 'Local AI endpoint disabled', 'success');
+    const { route, params } = getCurrentRoute();
+    if (route === 'project') {
+      await navigateTo(route, ...params);
+    }
+  });
+
+  // AI target per phase; re-render an open project so its buttons name the chosen assistant
+  document.getElementById('ai-targets-settings-btn')?.addEventListener('click', async () => {
+    const saved = await showAITargetsSettingsModal();
+    if (!saved) return;
+    showToast('AI targets saved', 'success');
+    const { route, params } = getCurrentRoute();
+    if (route === 'project') {
+      await navigateTo(route, ...params);
+    }
+  });
+
+  // Redaction settings for prompts sent to external AI
+  document.getElementById('redaction-settings-btn')?.addEventListener('click', async () => {
+    const saved = await showRedactionSettingsModal();
+    if (!saved) return;
+    showToast(saved.enabled ? 'Prompts will be redacted before copying' : 'Redaction disabled: prompts are copied as-is', saved.enabled ? 'success' : 'warning');
+  });
+
   // Related projects dropdown
   const relatedBtn = document.getElementById('related-projects-btn');
   const relatedMenu = document.getElementById('related-projects-menu');
@@ -67,10 +105,15 @@ function setupGlobalEventListeners() {
   const exportAllBtn = document.getElementById('export-all-btn');
   if (exportAllBtn) {
     exportAllBtn.addEventListener('click', async () => {
+      const options = await showExportOptionsModal('Export All Proposals');
+      if (!options) return;
       try {
-        await exportAllProjects();
-        showToast('All proposals exported successfully!', 'success');
+        if (options.passphrase) showLoading('Encrypting...');
+        await exportAllProjects(options);
+        hideLoading();
+        showToast(options.passphrase ? 'All proposals exported and encrypted!' : 'All proposals exported successfully!', 'success');
       } catch (error) {
+        hideLoading();
         console.error('Export failed:', error);
         showToast('Failed to export proposals', 'error');
       }
@@ -89,15 +132,34 @@ function setupGlobalEventListeners() {
         const file = target.files?.[0];
         if (file) {
           try {
+            showLoading('Reading file...');
+            const items = await previewProjectImport(file, {
+              getPassphrase: async (error) => {
+                hideLoading();
+                const passphrase = await promptBackupPassphrase(error);
+                if (passphrase !== null) showLoading('Decrypting...');
+                return passphrase;
+              }
+            });
+            hideLoading();
+            if (!items) return;
+            const choices = await showImportPreviewModal(items);
+            if (!choices) return;
+
             showLoading('Importing...');
-            const count = await importProjects(file);
+            const result = await applyProjectImport(items, choices);
             hideLoading();
-            showToast(`Imported ${count} proposal${count > 1 ? 's' : ''} successfully!`, 'success');
+            showToast(describeImportResult(result), 'success');
             window.location.hash = '';
+            if (getCurrentRoute().route === 'home') await navigateTo('home');
           } catch (error) {
             hideLoading();
             console.error('Import failed:', error);
-            showToast('Failed to import proposals. Please check the file format.', 'error');
+            if (error.message.startsWith('Invalid file format')) {
+              showImportErrorModal(error.message);
+            } else {
+              showToast('Failed to import proposals. Please check the file format.', 'error');
+            }
           }
         }
       };
@@ -0,0 +1,108 @@
+/**
+ * Attachment Manager Module
+ * Lists a proposal's stored attachments with include-in-prompt toggles,
+ * re-ordering, deletion and upload of further files.
+ * @module attachment-manager
+ */
+
+import {
+  getProposalAttachments,
+  addAttachment,
+  updateAttachment,
+  moveAttachment,
+  deleteAttachment
+} from './attachment-store.js';
+import { validateFile, readAttachmentFile, describeUnreadablePages, ATTACHMENT_CONFIG } from './attachments.js';
+import { escapeHtml, formatBytes, showToast, confirm } from './ui.js';
+
+/**
+ * Render the attachment manager into a container and wire up its controls
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} proposalId - Proposal whose attachments are managed
+ * @returns {Promise<void>}
+ */
+export async function renderAttachmentManager(container, proposalId) {
+  const attachments = await getProposalAttachments(proposalId);
+  const rerender = () => renderAttachmentManager(container, proposalId);
+
+  container.innerHTML = `
+        <ul id="attachment-list" class="space-y-2">
+            ${attachments.length === 0 ? `
+            <li class="text-sm text-gray-500 dark:text-gray-400">No files attached yet.</li>
+            ` : attachments.map((a, index) => `
+            <li class="attachment-item flex items-center gap-3 p-3 bg-gray-100 dark:bg-gray-700 rounded-lg" data-attachment-id="${a.id}">
+                <input type="checkbox" class="attachment-enabled w-4 h-4" ${a.enabled ? 'checked' : ''} title="Include in prompt" aria-label="Include ${escapeHtml(a.filename)} in prompt">
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm text-gray-700 dark:text-gray-300 truncate ${a.enabled ? '' : 'line-through opacity-60'}">${escapeHtml(a.filename)}</p>
+                    <p class="text-xs text-gray-500 dark:text-gray-400">
+                        ${formatBytes(a.size)}${a.pageCount ? ` · ${a.pageCount} page(s)` : ''} · ${a.content ? `${a.content.length.toLocaleString()} chars of text` : 'No text extracted'}${a.truncated ? ' · truncated' : ''}
+                    </p>
+                    ${describeUnreadablePages(a) ? `<p class="attachment-unreadable text-xs text-yellow-700 dark:text-yellow-400">⚠️ ${escapeHtml(describeUnreadablePages(a))}</p>` : ''}
+                </div>
+                <button type="button" class="attachment-move-btn px-2 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200 disabled:opacity-30" data-offset="-1" ${index === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+                <button type="button" class="attachment-move-btn px-2 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200 disabled:opacity-30" data-offset="1" ${index === attachments.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+                <button type="button" class="attachment-delete-btn text-red-500 hover:text-red-700 text-sm">Delete</button>
+            </li>
+            `).join('')}
+        </ul>
+        <label class="mt-3 inline-flex items-center px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors text-sm cursor-pointer">
+            + Add files
+            <input type="file" id="attachment-add-input" accept="${ATTACHMENT_CONFIG.allowedExtensions.join(',')}" multiple class="hidden">
+        </label>
+        <p class="mt-2 text-xs text-gray-500 dark:text-gray-400">Checked files are added to the Phase 1 prompt in this order.</p>
+    `;
+
+  const itemId = (el) => /** @type {HTMLElement} */ (el.closest('.attachment-item')).dataset.attachmentId;
+
+  container.querySelectorAll('.attachment-enabled').forEach(checkbox => {
+    checkbox.addEventListener('change', async () => {
+      await updateAttachment(proposalId, itemId(checkbox), { enabled: /** @type {HTMLInputElement} */ (checkbox).checked });
+      await rerender();
+    });
+  });
+
+  container.querySelectorAll('.attachment-move-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await moveAttachment(proposalId, itemId(btn), /** @type {-1 | 1} */ (parseInt(/** @type {HTMLElement} */ (btn).dataset.offset)));
+      await rerender();
+    });
+  });
+
+  container.querySelectorAll('.attachment-delete-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const attachment = attachments.find(a => a.id === itemId(btn));
+      if (await confirm(`Delete ${attachment.filename}? Its text will no longer be part of the prompt.`, 'Delete Attachment')) {
+        await deleteAttachment(attachment.id);
+        showToast(`Deleted ${attachment.filename}`, 'info');
+        await rerender();
+      }
+    });
+  });
+
+  container.querySelector('#attachment-add-input').addEventListener('change', async (e) => {
+    const input = /** @type {HTMLInputElement} */ (e.target);
+    let added = 0;
+    for (const file of Array.from(input.files || [])) {
+      if (attachments.length + added >= ATTACHMENT_CONFIG.maxFileCount) {
+        showToast(`Maximum of ${ATTACHMENT_CONFIG.maxFileCount} files allowed`, 'error');
+        break;
+      }
+      const validation = validateFile(file);
+      if (!validation.valid) {
+        showToast(validation.error, 'error');
+        continue;
+      }
+      try {
+        const attachment = await readAttachmentFile(file);
+        await addAttachment(proposalId, attachment);
+        added++;
+        const warning = describeUnreadablePages(attachment);
+        if (warning) showToast(warning, 'warning');
+      } catch (error) {
+        showToast(error.message, 'error');
+      }
+    }
+    if (added) showToast(`Added ${added} file(s)`, 'success');
+    await rerender();
+  });
+}
@@ -0,0 +1,175 @@
+/**
+ * Attachment Store Module
+ * Per-proposal attachment records in the IndexedDB `attachments` store.
+ * Each uploaded file keeps its extracted text, an "include in prompt" flag
+ * and a position; ATTACHMENT_TEXT is assembled from the enabled ones.
+ * @module attachment-store
+ */
+
+import storage from './storage.js';
+
+/** Longest extracted text kept per attachment (characters) */
+export const MAX_ATTACHMENT_TEXT_LENGTH = 500000;
+
+/**
+ * @typedef {Object} AttachmentInput
+ * @property {string} filename - Original filename
+ * @property {string} content - Extracted text
+ * @property {number} size - File size in bytes
+ * @property {string} [type] - MIME type
+ * @property {number} [pageCount] - Number of pages (PDFs only)
+ * @property {number[]} [unreadablePages] - Pages with no extractable text (PDFs only)
+ * @property {boolean} [passwordProtected] - Whether the PDF needs a password to open (PDFs only)
+ */
+
+/**
+ * Get a proposal's attachments in prompt order.
+ * Returns an empty list when storage is unavailable so prompt generation still works.
+ * @param {string} proposalId
+ * @returns {Promise<import('./types.js').Attachment[]>}
+ */
+export async function getProposalAttachments(proposalId) {
+  if (!storage.db || !proposalId) return [];
+  const attachments = await storage.getAttachments(proposalId);
+  return attachments.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Store a new attachment at the end of a proposal's list
+ * @param {string} proposalId
+ * @param {AttachmentInput} input
+ * @returns {Promise<import('./types.js').Attachment>}
+ */
+export async function addAttachment(proposalId, input) {
+  const existing = await getProposalAttachments(proposalId);
+  const truncated = input.content.length > MAX_ATTACHMENT_TEXT_LENGTH;
+
+  /** @type {import('./types.js').Attachment} */
+  const attachment = {
+    id: crypto.randomUUID(),
+    proposalId,
+    filename: input.filename,
+    type: input.type || '',
+    size: input.size,
+    content: truncated ? input.content.substring(0, MAX_ATTACHMENT_TEXT_LENGTH) : input.content,
+    truncated,
+    ...(input.pageCount !== undefined && { pageCount: input.pageCount, unreadablePages: input.unreadablePages || [] }),
+    ...(input.passwordProtected && { passwordProtected: true }),
+    enabled: true,
+    order: existing.length ? existing[existing.length - 1].order + 1 : 0,
+    createdAt: new Date().toISOString()
+  };
+  return await storage.saveAttachment(attachment);
+}
+
+/**
+ * Update an attachment's editable fields
+ * @param {string} proposalId
+ * @param {string} attachmentId
+ * @param {Partial<Pick<import('./types.js').Attachment, 'enabled' | 'content'>>} updates
+ * @returns {Promise<import('./types.js').Attachment>}
+ */
+export async function updateAttachment(proposalId, attachmentId, updates) {
+  const attachment = (await getProposalAttachments(proposalId)).find(a => a.id === attachmentId);
+  if (!attachment) throw new Error('Attachment not found');
+  return await storage.saveAttachment({ ...attachment, ...updates });
+}
+
+/**
+ * Move an attachment one place up or down in the prompt order
+ * @param {string} proposalId
+ * @param {string} attachmentId
+ * @param {-1 | 1} offset - -1 moves it earlier, 1 later
+ * @returns {Promise<import('./types.js').Attachment[]>} Attachments in their new order
+ */
+export async function moveAttachment(proposalId, attachmentId, offset) {
+  const attachments = await getProposalAttachments(proposalId);
+  const from = attachments.findIndex(a => a.id === attachmentId);
+  if (from === -1) throw new Error('Attachment not found');
+
+  const to = from + offset;
+  if (to < 0 || to >= attachments.length) return attachments;
+
+  const [moved] = attachments.splice(from, 1);
+  attachments.splice(to, 0, moved);
+  for (const [index, attachment] of attachments.entries()) {
+    if (attachment.order !== index) {
+      attachment.order = index;
+      await storage.saveAttachment(attachment);
+    }
+  }
+  return attachments;
+}
+
+/**
+ * Delete one attachment
+ * @param {string} attachmentId
+ * @returns {Promise<void>}
+ */
+export async function deleteAttachment(attachmentId) {
+  await storage.deleteAttachment(attachmentId);
+}
+
+/**
+ * Delete every attachment of a proposal
+ * @param {string} proposalId
+ * @returns {Promise<void>}
+ */
+export async function deleteProposalAttachments(proposalId) {
+  for (const attachment of await getProposalAttachments(proposalId)) {
+    await storage.deleteAttachment(attachment.id);
+  }
+}
+
+/**
+ * Copy a proposal's attachments to another proposal (used when forking)
+ * @param {string} fromProposalId
+ * @param {string} toProposalId
+ * @returns {Promise<void>}
+ */
+export async function copyProposalAttachments(fromProposalId, toProposalId) {
+  for (const attachment of await getProposalAttachments(fromProposalId)) {
+    await storage.saveAttachment({ ...attachment, id: crypto.randomUUID(), proposalId: toProposalId });
+  }
+}
+
+/**
+ * Assemble ATTACHMENT_TEXT: text pasted into the form, then each enabled attachment under its filename
+ * @param {string} pastedText - The proposal's `attachmentText` field
+ * @param {import('./types.js').Attachment[]} attachments - Attachments in prompt order
+ * @returns {string}
+ */
+export function assembleAttachmentText(pastedText, attachments) {
+  const sections = attachments
+    .filter(a => a.enabled && a.content.trim())
+    .map(a => `--- ${a.filename}${a.truncated ? ` (truncated to ${MAX_ATTACHMENT_TEXT_LENGTH} chars)` : ''} ---\n${a.content.trim()}`);
+  return [pastedText?.trim(), ...sections].filter(Boolean).join('\n\n');
+}
+
+/** FILENAME of the pasted attachment text in the ATTACHMENTS list */
+export const PASTED_ATTACHMENT_LABEL = 'Pasted notes';
+
+/**
+ * Assemble the ATTACHMENTS template list: the pasted text, then each enabled attachment
+ * @param {string} pastedText - The proposal's `attachmentText` field
+ * @param {import('./types.js').Attachment[]} attachments - Attachments in prompt order
+ * @returns {Array<{ FILENAME: string, CONTENT: string }>}
+ */
+export function assembleAttachmentList(pastedText, attachments) {
+  const items = attachments
+    .filter(a => a.enabled && a.content.trim())
+    .map(a => ({
+      FILENAME: `${a.filename}${a.truncated ? ` (truncated to ${MAX_ATTACHMENT_TEXT_LENGTH} chars)` : ''}`,
+      CONTENT: a.content.trim()
+    }));
+  return pastedText?.trim() ? [{ FILENAME: PASTED_ATTACHMENT_LABEL, CONTENT: pastedText.trim() }, ...items] : items;
+}
+
+/**
+ * Build ATTACHMENT_TEXT for a proposal from its stored attachments
+ * @param {import('./types.js').Project} project
+ * @returns {Promise<string>}
+ */
+export async function getAttachmentPromptText(project) {
+  return assembleAttachmentText(project.attachmentText, await getProposalAttachments(project.id));
+}
@@ -5,6 +5,7 @@
  */
 
 import { showToast, formatBytes, escapeHtml } from './ui.js';
+import { extractPdfText } from './pdf-extract.js';
 
 /**
  * @typedef {Object} AttachmentConfig
@@ -57,6 +58,12 @@ let totalAttachmentSize = 0;
 /** @type {number} */
 let attachedFileCount = 0;
 
+/** @type {import('./attachment-store.js').AttachmentInput[]} Files added to the new-proposal form, stored on submit */
+let pendingAttachments = [];
+
+/** @type {Promise<void>[]} Reads of the pending attachments that may still be running */
+let pendingReads = [];
+
 /**
  * Reset attachment tracking (called when form is reset or page changes)
  * @returns {void}
@@ -64,6 +71,86 @@ let attachedFileCount = 0;
 export function resetAttachmentTracking() {
   totalAttachmentSize = 0;
   attachedFileCount = 0;
+  pendingAttachments = [];
+  pendingReads = [];
+}
+
+/**
+ * Get the files added to the new-proposal form, in the order they were added
+ * @returns {import('./attachment-store.js').AttachmentInput[]}
+ */
+export function getPendingAttachments() {
+  return [...pendingAttachments];
+}
+
+/**
+ * Wait for the files added to the new-proposal form to be read. Files that
+ * could not be read are dropped from the list.
+ * @returns {Promise<import('./attachment-store.js').AttachmentInput[]>} The pending attachments with their content
+ */
+export async function waitForPendingAttachments() {
+  // Files may be added while earlier ones are still being read
+  let count;
+  do {
+    count = pendingReads.length;
+    await Promise.all(pendingReads);
+  } while (pendingReads.length !== count);
+  return getPendingAttachments();
+}
+
+/**
+ * Read a file into an attachment record.
+ * Text files are read as-is; PDFs go through the built-in text extractor,
+ * which also reports the pages it could not read.
+ * @param {File} file
+ * @returns {Promise<import('./attachment-store.js').AttachmentInput>}
+ */
+export function readAttachmentFile(file) {
+  const input = { filename: file.name, size: file.size, type: file.type, content: '' };
+  const isPdf = file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      if (!isPdf) {
+        resolve({ ...input, content: String(e.target.result) });
+        return;
+      }
+      try {
+        const { text, pageCount, unreadablePages, passwordProtected } = await extractPdfText(/** @type {ArrayBuffer} */ (e.target.result));
+        resolve({
+          ...input,
+          content: unreadablePages.length === pageCount ? '' : text,
+          pageCount,
+          unreadablePages,
+          ...(passwordProtected && { passwordProtected })
+        });
+      } catch (error) {
+        reject(new Error(`Could not read text from ${file.name}: ${error.message}`));
+      }
+    };
+    reader.onerror = () => reject(new Error(`Error reading ${file.name}`));
+    if (isPdf) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  });
+}
+
+/**
+ * Describe the pages of a PDF attachment that had no extractable text
+ * @param {{ filename: string, pageCount?: number, unreadablePages?: number[], passwordProtected?: boolean }} attachment
+ * @returns {string} Empty when every page was read
+ */
+export function describeUnreadablePages({ filename, pageCount, unreadablePages, passwordProtected }) {
+  if (passwordProtected) return `${filename} needs a password to open, so its text could not be read`;
+  if (!unreadablePages?.length) return '';
+  if (unreadablePages.length === pageCount) {
+    return `${filename} has no extractable text (scanned or image-only)`;
+  }
+  const label = unreadablePages.length === 1 ? 'page' : 'pages';
+  return `${filename}: ${label} ${unreadablePages.join(', ')} could not be read (scanned or image-only)`;
 }
 
 /**
@@ -173,9 +260,8 @@ export function validateFiles(files) {
  */
 export function handleFiles(files) {
   const fileList = document.getElementById('file-list');
-  const attachmentText = document.getElementById('attachmentText');
 
-  if (!fileList || !attachmentText) {
+  if (!fileList) {
     showToast('Error: Form elements not found', 'error');
     return { processed: 0, errors: ['Form elements not found'] };
   }
@@ -192,6 +278,10 @@ export function handleFiles(files) {
     totalAttachmentSize += file.size;
     attachedFileCount++;
 
+    // Keep the slot now so files stay in the order they were added
+    const pending = { filename: file.name, size: file.size, type: file.type, content: '' };
+    pendingAttachments.push(pending);
+
     const fileItem = document.createElement('div');
     fileItem.className = 'flex items-center justify-between p-3 bg-gray-100 dark:bg-gray-700 rounded-lg';
 
@@ -216,6 +306,7 @@ export function handleFiles(files) {
     removeBtn.addEventListener('click', () => {
       totalAttachmentSize -= file.size;
       attachedFileCount--;
+      pendingAttachments = pendingAttachments.filter(p => p !== pending);
       fileItem.remove();
       showToast(`Removed ${escapeHtml(file.name)}`, 'info');
     });
@@ -224,34 +315,27 @@ export function handleFiles(files) {
     fileItem.appendChild(removeBtn);
     fileList.appendChild(fileItem);
 
-    if (file.type === 'text/plain' || file.name.endsWith('.txt')) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const content = e.target.result;
-        const maxTextLength = 500000;
-        if (content.length > maxTextLength) {
-          const truncated = content.substring(0, maxTextLength);
-          attachmentText.value += `\n\n--- ${file.name} (truncated to ${maxTextLength} chars) ---\n${truncated}\n\n[Content truncated...]`;
-          showToast(`Text from ${file.name} was truncated due to size`, 'warning');
-        } else {
-          attachmentText.value += `\n\n--- ${file.name} ---\n${content}`;
+    pendingReads.push(readAttachmentFile(file)
+      .then((attachment) => {
+        Object.assign(pending, attachment);
+        const warning = describeUnreadablePages(attachment);
+        if (warning) showToast(warning, 'warning');
+      })
+      .catch((error) => {
+        showToast(error.message, 'error');
+        errors.push(error.message);
+        // Don't store an empty attachment for a file that could not be read
+        if (pendingAttachments.includes(pending)) {
+          totalAttachmentSize -= file.size;
+          attachedFileCount--;
+          pendingAttachments = pendingAttachments.filter(p => p !== pending);
+          fileItem.remove();
         }
-      };
-      reader.onerror = () => {
-        showToast(`Error reading ${file.name}`, 'error');
-        errors.push(`Error reading ${file.name}`);
-      };
-      reader.readAsText(file);
-    }
+      }));
   });
 
   if (valid.length > 0) {
-    const pdfCount = valid.filter(f => f.name.endsWith('.pdf')).length;
-    let message = `Added ${valid.length} file(s).`;
-    if (pdfCount > 0) {
-      message += ` For ${pdfCount} PDF(s), please paste extracted text manually.`;
-    }
-    showToast(message, 'info');
+    showToast(`Added ${valid.length} file(s).`, 'info');
   }
 
   return {
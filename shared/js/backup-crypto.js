@@ -0,0 +1,180 @@
+/**
+ * Backup Encryption Module
+ * Passphrase-encrypted export files: the plain JSON export is encrypted with
+ * AES-GCM under a key derived from the passphrase with PBKDF2, and wrapped in
+ * a versioned envelope that records everything needed to decrypt it except
+ * the passphrase. The envelope header is authenticated along with the data.
+ * @module backup-crypto
+ */
+
+/** Marks a file as an encrypted export */
+export const ENCRYPTED_BACKUP_FORMAT = 'strategic-proposals-encrypted-backup';
+
+/** Envelope version written by this module */
+export const ENCRYPTED_BACKUP_VERSION = 1;
+
+/** Shortest passphrase accepted for new encrypted exports */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/** Thrown when decryption fails, which is indistinguishable from a damaged file */
+export const WRONG_PASSPHRASE = 'Wrong passphrase, or the file is damaged';
+
+/** PBKDF2-SHA256 rounds for new exports (OWASP 2023 recommendation) */
+const PBKDF2_ITERATIONS = 600000;
+
+/** Most rounds accepted from a file, so a damaged or hostile header can't lock up the tab */
+const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * @typedef {Object} EncryptedBackup
+ * @property {string} format - ENCRYPTED_BACKUP_FORMAT
+ * @property {number} version - Envelope version
+ * @property {{name: 'PBKDF2', hash: 'SHA-256', iterations: number, salt: string}} kdf - Key derivation, salt in base64
+ * @property {{name: 'AES-GCM', iv: string}} cipher - Cipher, IV in base64
+ * @property {string} data - Ciphertext with the GCM tag, in base64
+ */
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  // Chunked so large backups don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Header fields bound to the ciphertext as additional authenticated data,
+ * so a tampered header fails decryption like a tampered body
+ * @param {Omit<EncryptedBackup, 'data'>} envelope
+ * @returns {Uint8Array}
+ */
+function encodeHeader({ format, version, kdf, cipher }) {
+  return new TextEncoder().encode(JSON.stringify([
+    format, version, kdf.name, kdf.hash, kdf.iterations, kdf.salt, cipher.name, cipher.iv
+  ]));
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether file content is an encrypted export
+ * @param {string} text - File content
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(text) {
+  try {
+    return JSON.parse(text)?.format === ENCRYPTED_BACKUP_FORMAT;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encrypt export file content with a passphrase
+ * @param {string} text - Plain export JSON
+ * @param {string} passphrase
+ * @returns {Promise<string>} Encrypted envelope JSON
+ * @throws {Error} If the passphrase is too short
+ */
+export async function encryptBackup(text, passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const header = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) }
+  };
+
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encodeHeader(header) },
+    key,
+    new TextEncoder().encode(text)
+  );
+
+  /** @type {EncryptedBackup} */
+  const envelope = { ...header, data: toBase64(new Uint8Array(data)) };
+  return JSON.stringify(envelope, null, 2);
+}
+
+/**
+ * Decrypt an encrypted export
+ * @param {string} text - Encrypted envelope JSON
+ * @param {string} passphrase
+ * @returns {Promise<string>} Plain export JSON
+ * @throws {Error} WRONG_PASSPHRASE if decryption fails, 'Invalid file format: ...' if the envelope is unusable
+ */
+export async function decryptBackup(text, passphrase) {
+  /** @type {EncryptedBackup} */
+  const envelope = JSON.parse(text);
+  if (envelope?.format !== ENCRYPTED_BACKUP_FORMAT) {
+    throw new Error('Invalid file format: not an encrypted backup');
+  }
+  if (envelope.version !== ENCRYPTED_BACKUP_VERSION) {
+    throw new Error(`Invalid file format: encrypted backup version ${envelope.version} is not supported by this version of the app`);
+  }
+
+  const { kdf, cipher } = envelope;
+  if (Number.isInteger(kdf?.iterations) && kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new Error(`Invalid file format: encrypted backups with more than ${MAX_PBKDF2_ITERATIONS} key derivation iterations are not supported`);
+  }
+  if (kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 ||
+      cipher?.name !== 'AES-GCM' || typeof kdf.salt !== 'string' || typeof cipher.iv !== 'string' || typeof envelope.data !== 'string') {
+    throw new Error('Invalid file format: the encrypted backup header is incomplete');
+  }
+
+  let salt, iv, data;
+  try {
+    salt = fromBase64(kdf.salt);
+    iv = fromBase64(cipher.iv);
+    data = fromBase64(envelope.data);
+  } catch (error) {
+    throw new Error('Invalid file format: the encrypted backup is damaged', { cause: error });
+  }
+
+  const key = await deriveKey(passphrase, salt, kdf.iterations);
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: encodeHeader(envelope) }, key, data);
+    return new TextDecoder().decode(plain);
+  } catch (error) {
+    throw new Error(WRONG_PASSPHRASE, { cause: error });
+  }
+}
@@ -0,0 +1,483 @@
+/**
+ * Backup Import Module
+ * Validates exported proposals and backups, sorts the proposals they hold
+ * into new, identical and conflicting (same id as a local proposal, with
+ * different content), and saves them according to the choice made for each.
+ * @module backup-import
+ */
+
+import { migrateProject } from './migrations.js';
+
+/**
+ * What to do with an incoming proposal that has the same id as a local one:
+ * keep the local copy, replace it with the incoming one, save the incoming
+ * one under a new id, or merge phase by phase keeping the newer of each.
+ * @typedef {'keep-local' | 'take-incoming' | 'keep-both' | 'merge'} ImportChoice
+ */
+
+/** Conflict choices with their labels, in the order they are offered */
+export const IMPORT_CHOICES = [
+  { id: 'keep-both', label: 'Keep both' },
+  { id: 'keep-local', label: 'Keep local' },
+  { id: 'take-incoming', label: 'Take incoming' },
+  { id: 'merge', label: 'Merge by phase (newest wins)' }
+];
+
+/**
+ * @typedef {Object} ImportItem
+ * @property {'new' | 'identical' | 'conflict'} status - How the incoming proposal relates to local data
+ * @property {import('./types.js').Project} incoming - Incoming proposal, migrated to the current schema
+ * @property {import('./types.js').Project} [local] - Local proposal with the same id
+ * @property {string[]} [differences] - Fields and phases that differ (conflicts only)
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {number} added - New proposals saved
+ * @property {number} replaced - Local proposals replaced by incoming ones
+ * @property {number} duplicated - Incoming proposals saved next to the local ones under a new id
+ * @property {number} merged - Proposals merged phase by phase
+ * @property {number} skipped - Identical or kept-local proposals
+ */
+
+/** Fields that must be text when present */
+const TEXT_FIELDS = [
+  'title', 'organizationName', 'dealershipName', 'organizationLocation', 'dealershipLocation', 'currentVendor',
+  'decisionMakerName', 'decisionMakerRole', 'conversationTranscripts', 'meetingNotes', 'attachmentText', 'painPoints',
+  'additionalContext', 'workingDraft', 'pipelineId', 'branchName', 'folder', 'salesStatus'
+];
+
+/** Fields that must be timestamps when present */
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'deletedAt'];
+
+/** Most errors listed in one message; the rest are counted */
+const MAX_LISTED_ERRORS = 10;
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep copy of a JSON record
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Describe a JSON value's type for error messages
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+  if (value === null) return 'empty';
+  if (Array.isArray(value)) return 'a list';
+  return { string: 'text', number: 'a number', boolean: 'true/false', object: 'an object' }[typeof value] || typeof value;
+}
+
+/**
+ * Check that fields of a record are text
+ * @param {Object} data
+ * @param {string[]} fields
+ * @param {string} path - Field path used in messages
+ * @param {boolean} [required=false] - Also report fields that are missing
+ * @returns {string[]}
+ */
+function validateText(data, fields, path, required = false) {
+  const errors = [];
+  for (const field of fields) {
+    if (data[field] === undefined) {
+      if (required) errors.push(`"${path}.${field}" is missing`);
+    } else if (typeof data[field] !== 'string') {
+      errors.push(`"${path}.${field}" must be text, not ${describeType(data[field])}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a list of records, each against its own schema
+ * @param {*} list
+ * @param {string} path - Field path used in messages
+ * @param {(item: Object, path: string) => string[]} validateItem
+ * @returns {string[]}
+ */
+function validateList(list, path, validateItem) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) return [`"${path}" must be a list`];
+  return list.flatMap((item, index) => {
+    const itemPath = `${path}[${index}]`;
+    return isObject(item) ? validateItem(item, itemPath) : [`"${itemPath}" must be an object, not ${describeType(item)}`];
+  });
+}
+
+/**
+ * Check review panel critiques keyed by persona id
+ * @param {*} panel
+ * @param {string} path - Field path used in messages
+ * @returns {string[]}
+ */
+function validatePanel(panel, path) {
+  if (panel === undefined) return [];
+  if (!isObject(panel)) return [`"${path}" must be an object, not ${describeType(panel)}`];
+  return Object.entries(panel).flatMap(([id, critique]) => isObject(critique)
+    ? validateText(critique, ['prompt', 'response', 'updatedAt'], `${path}.${id}`)
+    : [`"${path}.${id}" must be an object, not ${describeType(critique)}`]);
+}
+
+/**
+ * Check one review panel persona
+ * @param {Object} persona
+ * @param {string} path - Field path used in messages
+ * @returns {string[]}
+ */
+function validatePersona(persona, path) {
+  return [
+    ...validateText(persona, ['id', 'name', 'role', 'icon'], path, true),
+    ...validateText(persona, ['priorities'], path)
+  ];
+}
+
+/**
+ * Check one saved response version
+ * @param {Object} version
+ * @param {string} path - Field path used in messages
+ * @returns {string[]}
+ */
+function validateVersion(version, path) {
+  return validateText(version, ['response', 'savedAt', 'source'], path, true);
+}
+
+/**
+ * Check one clarification turn
+ * @param {Object} turn
+ * @param {string} path - Field path used in messages
+ * @returns {string[]}
+ */
+function validateTurn(turn, path) {
+  const errors = [
+    ...validateText(turn, ['message', 'askedAt'], path, true),
+    ...validateText(turn, ['answeredAt'], path)
+  ];
+  for (const field of ['questions', 'answers']) {
+    if (!(Array.isArray(turn[field]) && turn[field].every(item => typeof item === 'string'))) {
+      errors.push(`"${path}.${field}" must be a list of text`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check one archived review round
+ * @param {Object} round
+ * @param {string} path - Field path used in messages
+ * @returns {string[]}
+ */
+function validateRound(round, path) {
+  const errors = validateText(round, ['completedAt'], path, true);
+  if (!(Number.isInteger(round.round) && round.round >= 1)) errors.push(`"${path}.round" must be a whole number from 1`);
+  if (round.score !== undefined && typeof round.score !== 'number') errors.push(`"${path}.score" must be a number`);
+
+  if (!isObject(round.phases)) {
+    errors.push(`"${path}.phases" must be an object, not ${describeType(round.phases)}`);
+    return errors;
+  }
+  for (const [number, data] of Object.entries(round.phases)) {
+    const phasePath = `${path}.phases.${number}`;
+    if (!isObject(data)) {
+      errors.push(`"${phasePath}" must be an object, not ${describeType(data)}`);
+      continue;
+    }
+    errors.push(
+      ...validateText(data, ['prompt', 'response', 'savedAt'], phasePath),
+      ...validatePanel(data.panel, `${phasePath}.panel`),
+      ...validateList(data.thread, `${phasePath}.thread`, validateTurn)
+    );
+  }
+  return errors;
+}
+
+/**
+ * Check one phase record
+ * @param {*} data
+ * @param {string} path - Field path used in messages
+ * @returns {string[]}
+ */
+function validatePhase(data, path) {
+  if (!isObject(data)) return [`"${path}" must be an object, not ${describeType(data)}`];
+  const errors = validateText(data, ['prompt', 'response', 'updatedAt'], path);
+  if (data.completed !== undefined && typeof data.completed !== 'boolean') {
+    errors.push(`"${path}.completed" must be true or false`);
+  }
+  errors.push(
+    ...validatePanel(data.panel, `${path}.panel`),
+    ...validateList(data.history, `${path}.history`, validateVersion),
+    ...validateList(data.thread, `${path}.thread`, validateTurn)
+  );
+  return errors;
+}
+
+/**
+ * Check one exported proposal against the record schema. Legacy field names
+ * and phase arrays are accepted, since they are migrated on import.
+ * @param {*} project
+ * @returns {string[]} Problems, empty when the proposal is valid
+ */
+export function validateProjectRecord(project) {
+  if (!isObject(project)) return [`must be an object, not ${describeType(project)}`];
+  const errors = [];
+
+  if (typeof project.id !== 'string' || !project.id.trim()) errors.push('"id" is missing');
+  if (!project.organizationName && !project.dealershipName) errors.push('"organizationName" is missing');
+
+  for (const field of TEXT_FIELDS) {
+    if (project[field] !== undefined && typeof project[field] !== 'string') {
+      errors.push(`"${field}" must be text, not ${describeType(project[field])}`);
+    }
+  }
+  for (const field of ['siteCount', 'storeCount']) {
+    if (project[field] !== undefined && !['string', 'number'].includes(typeof project[field])) {
+      errors.push(`"${field}" must be text or a number`);
+    }
+  }
+  for (const field of DATE_FIELDS) {
+    if (project[field] !== undefined && (typeof project[field] !== 'string' || Number.isNaN(Date.parse(project[field])))) {
+      errors.push(`"${field}" must be a date, not ${JSON.stringify(project[field])}`);
+    }
+  }
+  errors.push(
+    ...validateList(project.reviewRounds, 'reviewRounds', validateRound),
+    ...validateList(project.reviewPanel, 'reviewPanel', validatePersona)
+  );
+
+  const phase = project.phase ?? project.currentPhase;
+  if (phase !== undefined && !(Number.isInteger(phase) && phase >= 1)) errors.push('"phase" must be a whole number from 1');
+
+  if (project.phases !== undefined) {
+    if (Array.isArray(project.phases)) {
+      project.phases.forEach((data, index) => {
+        if (data) errors.push(...validatePhase(data, `phases[${index}]`));
+      });
+    } else if (isObject(project.phases)) {
+      for (const [number, data] of Object.entries(project.phases)) {
+        if (!/^\d+$/.test(number)) errors.push(`"phases.${number}" is not a phase number`);
+        else errors.push(...validatePhase(data, `phases.${number}`));
+      }
+    } else {
+      errors.push(`"phases" must be an object, not ${describeType(project.phases)}`);
+    }
+  }
+
+  if (project.tags !== undefined && !(Array.isArray(project.tags) && project.tags.every(tag => typeof tag === 'string'))) {
+    errors.push('"tags" must be a list of text');
+  }
+  if (project.statusDates !== undefined && !isObject(project.statusDates)) errors.push('"statusDates" must be an object');
+  return errors;
+}
+
+/**
+ * Check a parsed export file: a single proposal, or a backup with a
+ * `projects` list as written by exportAllProjects()
+ * @param {*} content - Parsed JSON
+ * @returns {{ projects: Object[], errors: string[] }} The proposals found and every problem, by proposal
+ */
+export function validateBackup(content) {
+  if (!isObject(content)) {
+    return { projects: [], errors: [`expected a proposal or a backup, not ${describeType(content)}`] };
+  }
+
+  let projects;
+  const errors = [];
+  if ('projects' in content) {
+    if (!Array.isArray(content.projects)) return { projects: [], errors: ['"projects" must be a list'] };
+    projects = content.projects;
+    if (typeof content.version !== 'string' || !content.version) errors.push('the backup has no "version"');
+    if (content.projectCount !== undefined && content.projectCount !== projects.length) {
+      errors.push(`the backup should hold ${content.projectCount} proposals but holds ${projects.length}; the file may be cut off`);
+    }
+  } else if ('id' in content || 'organizationName' in content || 'dealershipName' in content) {
+    projects = [content];
+  } else {
+    return { projects: [], errors: ['expected a proposal or a backup with a "projects" list'] };
+  }
+
+  /** @type {Map<string, number>} */
+  const seen = new Map();
+  projects.forEach((project, index) => {
+    const name = isObject(project) && (project.organizationName || project.dealershipName || project.title);
+    const label = `Proposal ${index + 1}${name ? ` (${name})` : ''}`;
+    errors.push(...validateProjectRecord(project).map(error => `${label}: ${error}`));
+
+    if (isObject(project) && typeof project.id === 'string') {
+      if (seen.has(project.id)) errors.push(`${label}: has the same id as proposal ${seen.get(project.id) + 1}`);
+      else seen.set(project.id, index);
+    }
+  });
+  return { projects, errors };
+}
+
+/**
+ * Parse and validate an export file's text
+ * @param {string} text - File contents
+ * @returns {import('./types.js').Project[]} Proposals migrated to the current schema
+ * @throws {Error} 'Invalid file format: ...' listing what is wrong
+ */
+export function parseBackup(text) {
+  let content;
+  try {
+    content = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid file format: the file is not valid JSON (${error.message})`, { cause: error });
+  }
+
+  const { projects, errors } = validateBackup(content);
+  if (errors.length) {
+    const listed = errors.slice(0, MAX_LISTED_ERRORS).map(error => `\n- ${error}`).join('');
+    const more = errors.length > MAX_LISTED_ERRORS ? `\n- and ${errors.length - MAX_LISTED_ERRORS} more` : '';
+    throw new Error(`Invalid file format:${listed}${more}`);
+  }
+  return projects.map(migrateProject);
+}
+
+/**
+ * Stable JSON for comparing records: object keys sorted, `updatedAt` and
+ * `schemaVersion` ignored at the top level
+ * @param {Object} project
+ * @returns {string}
+ */
+function fingerprint(project) {
+  const content = { ...project };
+  delete content.updatedAt;
+  delete content.schemaVersion;
+  return JSON.stringify(content, (key, value) =>
+    isObject(value) ? Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]])) : value
+  );
+}
+
+/**
+ * List the top-level fields and phases that differ between two records
+ * @param {import('./types.js').Project} local
+ * @param {import('./types.js').Project} incoming
+ * @returns {string[]} e.g. ['meetingNotes', 'Phase 2']
+ */
+export function describeDifferences(local, incoming) {
+  const differences = [];
+  const fields = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+  for (const field of fields) {
+    if (['updatedAt', 'schemaVersion', 'phases'].includes(field) || /^phase\d+_output$/.test(field)) continue;
+    if (JSON.stringify(local[field]) !== JSON.stringify(incoming[field])) differences.push(field);
+  }
+
+  const phases = new Set([...Object.keys(local.phases || {}), ...Object.keys(incoming.phases || {})]);
+  for (const number of [...phases].sort((a, b) => Number(a) - Number(b))) {
+    if (fingerprint(local.phases?.[number] || {}) !== fingerprint(incoming.phases?.[number] || {})) {
+      differences.push(`Phase ${number}`);
+    }
+  }
+  return differences;
+}
+
+/**
+ * Sort incoming proposals against the local ones
+ * @param {import('./types.js').Project[]} incoming - Parsed proposals (see parseBackup)
+ * @param {import('./types.js').Project[]} localProjects - Every stored proposal, trashed ones included
+ * @returns {ImportItem[]}
+ */
+export function previewImport(incoming, localProjects) {
+  const local = new Map(localProjects.map(project => [project.id, project]));
+  return incoming.map(project => {
+    const existing = local.get(project.id);
+    if (!existing) return { status: 'new', incoming: project };
+    if (fingerprint(existing) === fingerprint(project)) return { status: 'identical', incoming: project, local: existing };
+    return { status: 'conflict', incoming: project, local: existing, differences: describeDifferences(existing, project) };
+  });
+}
+
+/**
+ * Choice preselected for a conflict: a backup restores proposals that are
+ * in the local trash, and is kept next to live ones so nothing is lost
+ * @param {ImportItem} item
+ * @returns {ImportChoice}
+ */
+export function getDefaultChoice(item) {
+  return item.local?.deletedAt ? 'take-incoming' : 'keep-both';
+}
+
+/**
+ * Merge two versions of a proposal. Each phase comes from the side that saved
+ * it last (by the phase's `updatedAt`, else the proposal's; a phase with no
+ * prompt or response counts as never saved); everything else comes from the
+ * version updated last.
+ * @param {import('./types.js').Project} local
+ * @param {import('./types.js').Project} incoming
+ * @returns {import('./types.js').Project}
+ */
+export function mergeProjects(local, incoming) {
+  const incomingNewer = (incoming.updatedAt || '') > (local.updatedAt || '');
+  const merged = clone(incomingNewer ? incoming : local);
+  const phaseTime = (project, number) => {
+    const data = project.phases?.[number];
+    return data?.prompt || data?.response ? data.updatedAt || project.updatedAt || '' : '';
+  };
+
+  const numbers = new Set([...Object.keys(local.phases || {}), ...Object.keys(incoming.phases || {})]);
+  merged.phases = {};
+  for (const number of numbers) {
+    const source = !local.phases?.[number] || (incoming.phases?.[number] && phaseTime(incoming, number) > phaseTime(local, number))
+      ? incoming
+      : local;
+    merged.phases[number] = clone(source.phases[number]);
+    merged[`phase${number}_output`] = merged.phases[number].response || '';
+  }
+  merged.phase = Math.max(local.phase || 1, incoming.phase || 1);
+  return merged;
+}
+
+/**
+ * Save the incoming proposals
+ * @param {ImportItem[]} items - From previewImport()
+ * @param {Object.<string, ImportChoice>} choices - Choice per conflicting proposal id (getDefaultChoice() when missing)
+ * @param {(project: import('./types.js').Project) => Promise<*>} save - Stores one proposal
+ * @returns {Promise<ImportResult>}
+ */
+export async function applyImport(items, choices, save) {
+  /** @type {ImportResult} */
+  const result = { added: 0, replaced: 0, duplicated: 0, merged: 0, skipped: 0 };
+
+  for (const item of items) {
+    if (item.status === 'new') {
+      await save(item.incoming);
+      result.added++;
+      continue;
+    }
+    if (item.status === 'identical') {
+      result.skipped++;
+      continue;
+    }
+
+    const choice = choices[item.incoming.id] || getDefaultChoice(item);
+    if (choice === 'take-incoming') {
+      await save(item.incoming);
+      result.replaced++;
+    } else if (choice === 'keep-both') {
+      const copy = { ...clone(item.incoming), id: crypto.randomUUID() };
+      delete copy.deletedAt;
+      copy.title = `${copy.title || `Proposal - ${copy.organizationName}`} (imported)`;
+      await save(copy);
+      result.duplicated++;
+    } else if (choice === 'merge') {
+      await save(mergeProjects(item.local, item.incoming));
+      result.merged++;
+    } else {
+      result.skipped++;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,144 @@
+/**
+ * Backup Passphrase Module
+ * Dialogs for encrypted exports: the export dialog with its optional
+ * passphrase, and the passphrase prompt shown when importing an encrypted file.
+ * @module backup-passphrase
+ */
+
+import { MIN_PASSPHRASE_LENGTH } from './backup-crypto.js';
+import { escapeHtml } from './ui.js';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+/**
+ * Show a modal and settle it with the first result passed to close()
+ * @param {string} id - Modal element id
+ * @param {string} html - Modal content
+ * @param {(modal: HTMLElement, close: (result: any) => void) => void} setup - Wires the modal's own controls
+ * @returns {Promise<any>} The result, or null if dismissed
+ */
+function openModal(id, html, setup) {
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.id = id;
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = html;
+
+    const close = (result) => {
+      modal.remove();
+      document.removeEventListener('keydown', handleEscape);
+      resolve(result);
+    };
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') close(null);
+    };
+
+    document.body.appendChild(modal);
+    document.addEventListener('keydown', handleEscape);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close(null);
+    });
+    setup(modal, close);
+  });
+}
+
+/**
+ * Ask how to export, with the option to encrypt the file with a passphrase
+ * @param {string} title - e.g. 'Export All Proposals'
+ * @returns {Promise<import('./projects.js').ExportOptions | null>} Options for exportAllProjects()/exportProject(), or null if cancelled
+ */
+export function showExportOptionsModal(title) {
+  return openModal('export-options-modal', `
+      <div class="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full">
+        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-2">📤 ${escapeHtml(title)}</h3>
+        <p class="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          Exports hold customer names, transcripts and pricing. Encrypt the file if it will be emailed or shared.
+        </p>
+        <label class="flex items-center gap-2 text-sm text-gray-900 dark:text-white mb-3">
+          <input type="checkbox" id="encrypt-export" class="rounded">
+          Encrypt with a passphrase
+        </label>
+        <div id="export-passphrase-fields" class="space-y-2 mb-2 hidden">
+          <input type="password" id="export-passphrase" class="${INPUT_CLASS}" placeholder="Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)" autocomplete="new-password">
+          <input type="password" id="export-passphrase-confirm" class="${INPUT_CLASS}" placeholder="Repeat passphrase" autocomplete="new-password">
+          <p class="text-xs text-gray-500 dark:text-gray-400">The passphrase cannot be recovered. Without it the file cannot be imported.</p>
+        </div>
+        <p id="export-passphrase-error" class="text-sm text-red-600 dark:text-red-400 mb-2 hidden"></p>
+        <div class="flex justify-end gap-3 mt-4">
+          <button id="cancel-export-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+            Cancel
+          </button>
+          <button id="confirm-export-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+            Export
+          </button>
+        </div>
+      </div>
+    `, (modal, close) => {
+    const encrypt = /** @type {HTMLInputElement} */ (modal.querySelector('#encrypt-export'));
+    const passphrase = /** @type {HTMLInputElement} */ (modal.querySelector('#export-passphrase'));
+    const repeated = /** @type {HTMLInputElement} */ (modal.querySelector('#export-passphrase-confirm'));
+    const errorText = modal.querySelector('#export-passphrase-error');
+
+    encrypt.addEventListener('change', () => {
+      modal.querySelector('#export-passphrase-fields').classList.toggle('hidden', !encrypt.checked);
+      errorText.classList.add('hidden');
+      if (encrypt.checked) passphrase.focus();
+    });
+
+    modal.querySelector('#cancel-export-btn').addEventListener('click', () => close(null));
+    modal.querySelector('#confirm-export-btn').addEventListener('click', () => {
+      if (!encrypt.checked) {
+        close({});
+        return;
+      }
+      let error = '';
+      if (passphrase.value.length < MIN_PASSPHRASE_LENGTH) {
+        error = `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+      } else if (passphrase.value !== repeated.value) {
+        error = 'The passphrases do not match';
+      }
+      if (error) {
+        errorText.textContent = error;
+        errorText.classList.remove('hidden');
+        return;
+      }
+      close({ passphrase: passphrase.value });
+    });
+  });
+}
+
+/**
+ * Ask for the passphrase of an encrypted file being imported
+ * @param {string} [error] - Why the previous attempt failed, shown above the field
+ * @returns {Promise<string | null>} The passphrase, or null if cancelled
+ */
+export function promptBackupPassphrase(error = '') {
+  return openModal('backup-passphrase-modal', `
+      <div class="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full">
+        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-2">🔒 Encrypted File</h3>
+        <p class="text-sm text-gray-600 dark:text-gray-400 mb-4">Enter the passphrase the file was exported with.</p>
+        ${error ? `<p class="text-sm text-red-600 dark:text-red-400 mb-2">${escapeHtml(error)}</p>` : ''}
+        <input type="password" id="backup-passphrase" class="${INPUT_CLASS}" placeholder="Passphrase" autocomplete="current-password">
+        <div class="flex justify-end gap-3 mt-6">
+          <button id="cancel-passphrase-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+            Cancel
+          </button>
+          <button id="confirm-passphrase-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+            Decrypt
+          </button>
+        </div>
+      </div>
+    `, (modal, close) => {
+    const input = /** @type {HTMLInputElement} */ (modal.querySelector('#backup-passphrase'));
+    const submit = () => {
+      if (input.value) close(input.value);
+    };
+
+    modal.querySelector('#cancel-passphrase-btn').addEventListener('click', () => close(null));
+    modal.querySelector('#confirm-passphrase-btn').addEventListener('click', submit);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submit();
+    });
+    input.focus();
+  });
+}
@@ -0,0 +1,129 @@
+/**
+ * Branch Compare Module
+ * Modal comparing the final outputs of a proposal and its branches
+ * @module branch-compare
+ */
+
+import { getFinalMarkdown } from './workflow.js';
+import { getProjectPipeline } from './prompts.js';
+import { computeWordDiff, renderDiffHtml, getDiffStats } from './diff-view.js';
+import { escapeHtml } from './ui.js';
+import { validateDocument, getScoreColor } from '../../validator/js/validator.js';
+
+/**
+ * Label a proposal within its branch group
+ * @param {import('./types.js').Project} project
+ * @returns {string}
+ */
+export function getBranchLabel(project) {
+  return project.forkedFrom ? (project.branchName || 'Branch') : 'Original';
+}
+
+/**
+ * Show the branch comparison modal for a proposal group
+ * @param {import('./types.js').ProjectGroup} group - Origin proposal and its branches
+ * @returns {void}
+ */
+export function showBranchCompareModal(group) {
+  const members = [group.origin, ...group.branches].map(project => {
+    const { phaseCount } = getProjectPipeline(project);
+    const output = getFinalMarkdown(project) || '';
+    const finished = Boolean(project.phases?.[phaseCount]?.completed);
+    return {
+      project,
+      output,
+      finished,
+      score: finished ? validateDocument(project.phases[phaseCount].response).totalScore : null
+    };
+  });
+
+  // Default to the origin against the newest branch
+  let leftIndex = 0;
+  let rightIndex = members.length - 1;
+
+  const modal = document.createElement('div');
+  modal.id = 'branch-compare-modal';
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+
+  const renderScore = (member) => {
+    if (member.score === null) {
+      return '<span class="px-2 py-1 text-xs rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">In progress</span>';
+    }
+    const color = getScoreColor(member.score);
+    return `<span class="px-2 py-1 text-xs rounded bg-${color}-100 dark:bg-${color}-900/30 text-${color}-700 dark:text-${color}-300">${member.score}/100</span>`;
+  };
+
+  function render() {
+    const left = members[leftIndex];
+    const right = members[rightIndex];
+    const diff = computeWordDiff(left.output, right.output);
+    const stats = getDiffStats(diff);
+
+    const optionsHtml = members.map((m, i) =>
+      `<option value="${i}">${escapeHtml(getBranchLabel(m.project))}${m.finished ? '' : ' (in progress)'}</option>`
+    ).join('');
+
+    modal.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col">
+        <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div class="flex-1">
+            <h3 class="text-lg font-bold text-gray-900 dark:text-white mb-3">
+              🌿 Compare Branches · ${escapeHtml(group.origin.organizationName || group.origin.title)}
+            </h3>
+            <div class="flex items-center gap-2 flex-wrap">
+              <select id="branch-left" class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm">
+                ${optionsHtml}
+              </select>
+              ${renderScore(left)}
+              <span class="text-gray-500 dark:text-gray-400 font-medium">→</span>
+              <select id="branch-right" class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm">
+                ${optionsHtml}
+              </select>
+              ${renderScore(right)}
+              <div class="flex gap-2 ml-4 text-sm">
+                <span class="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded">+${stats.additions} added</span>
+                <span class="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded">-${stats.deletions} removed</span>
+              </div>
+            </div>
+          </div>
+          <button id="close-branch-compare-btn" class="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none ml-4" aria-label="Close">&times;</button>
+        </div>
+        <div class="p-4 overflow-y-auto flex-1">
+          ${left.output || right.output ? `
+          <div id="branch-diff" class="prose prose-sm dark:prose-invert max-w-none text-gray-700 dark:text-gray-300 leading-relaxed whitespace-pre-wrap">${renderDiffHtml(diff)}</div>
+          ` : `
+          <p class="text-gray-600 dark:text-gray-400">Neither proposal has any output yet.</p>
+          `}
+        </div>
+      </div>
+    `;
+
+    /** @type {HTMLSelectElement} */ (modal.querySelector('#branch-left')).value = String(leftIndex);
+    /** @type {HTMLSelectElement} */ (modal.querySelector('#branch-right')).value = String(rightIndex);
+
+    modal.querySelector('#branch-left').addEventListener('change', (e) => {
+      leftIndex = parseInt(/** @type {HTMLSelectElement} */ (e.target).value);
+      render();
+    });
+    modal.querySelector('#branch-right').addEventListener('change', (e) => {
+      rightIndex = parseInt(/** @type {HTMLSelectElement} */ (e.target).value);
+      render();
+    });
+    modal.querySelector('#close-branch-compare-btn').addEventListener('click', closeModal);
+  }
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+  render();
+  document.body.appendChild(modal);
+}
@@ -0,0 +1,88 @@
+/**
+ * Clarifications Module
+ * The clarifying-question thread of a phase. Each turn holds a message in
+ * which the AI asked questions, the questions found in it, and the user's
+ * answers. Helpers build the follow-up message pasted back into the chat and
+ * the clarified facts that later phases' prompts include as CLARIFICATIONS.
+ * @module clarifications
+ */
+
+const QUESTION_LINE = /\?\s*(\*\*|__|_|\))?$/;
+const LIST_MARKER = /^(\d+[.)]|[-*•]|#{1,6})\s+/;
+
+/**
+ * Whether a line ends with a question mark (ignoring closing bold or parentheses)
+ * @param {string} line - Trimmed line
+ * @returns {boolean}
+ */
+export function isQuestionLine(line) {
+  return QUESTION_LINE.test(line);
+}
+
+/**
+ * Pull the questions out of an AI message, without list markers or bold.
+ * A message with no question lines is kept whole as a single question.
+ * @param {string} message - AI message
+ * @returns {string[]}
+ */
+export function extractQuestions(message) {
+  const questions = (message || '').split('\n')
+    .map(line => line.trim())
+    .filter(isQuestionLine)
+    .map(line => line.replace(LIST_MARKER, '').replace(/\*\*|__/g, '').trim());
+  return questions.length ? questions : [(message || '').trim()].filter(Boolean);
+}
+
+/**
+ * Start a turn for an AI message, with an empty answer per question
+ * @param {string} message - AI message with clarifying questions
+ * @returns {import('./types.js').ClarificationTurn}
+ */
+export function createClarificationTurn(message) {
+  const questions = extractQuestions(message);
+  return {
+    message: message.trim(),
+    questions,
+    answers: questions.map(() => ''),
+    askedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Build the reply that gives the AI the user's answers.
+ * Unanswered questions ask the AI to assume and say so.
+ * @param {import('./types.js').ClarificationTurn} turn
+ * @returns {string}
+ */
+export function buildFollowUpMessage(turn) {
+  const items = turn.questions.map((question, i) => {
+    const answer = (turn.answers[i] || '').trim() || 'No answer. Make a reasonable assumption and state it in your response.';
+    return `${i + 1}. ${question}\n   ${answer.replace(/\n/g, '\n   ')}`;
+  });
+  return `Here are my answers to your questions:\n\n${items.join('\n\n')}\n\nPlease continue with the task using these answers.`;
+}
+
+/**
+ * List the answered questions of a thread
+ * @param {import('./types.js').ClarificationTurn[]} [thread]
+ * @returns {Array<{ question: string, answer: string }>}
+ */
+export function getClarifiedFacts(thread = []) {
+  return thread.flatMap(turn => turn.questions
+    .map((question, i) => ({ question, answer: (turn.answers[i] || '').trim() }))
+    .filter(fact => fact.answer));
+}
+
+/**
+ * Format the answered questions of phases before `beforePhase` for a prompt
+ * @param {Object.<string, import('./types.js').PhaseData>} phases - Phase data by phase number
+ * @param {number} beforePhase - Only phases with a lower number are included
+ * @returns {string} Markdown list, or '' when nothing was clarified
+ */
+export function formatClarifiedFacts(phases, beforePhase) {
+  const facts = [];
+  for (let n = 1; n < beforePhase; n++) {
+    facts.push(...getClarifiedFacts(phases?.[n]?.thread));
+  }
+  return facts.map(({ question, answer }) => `- **${question}** ${answer.replace(/\n+/g, ' ')}`).join('\n');
+}
@@ -0,0 +1,257 @@
+/**
+ * Critique Parser Module
+ * Splits an adversarial critique into numbered issues using the section
+ * headings the review prompts ask for, and checks which issues a final
+ * proposal visibly addresses.
+ *
+ * Resolution checking is a keyword heuristic: an issue counts as addressed
+ * when enough of its distinctive terms show up in the final proposal.
+ * @module critique-parser
+ */
+
+/**
+ * @typedef {'high' | 'medium' | 'low'} CritiqueSeverity
+ */
+
+/**
+ * @typedef {Object} CritiqueIssue
+ * @property {number} id - 1-based issue number across the whole critique
+ * @property {string} category - Category id (key of CRITIQUE_CATEGORIES)
+ * @property {string} categoryLabel - Heading the issue was found under
+ * @property {CritiqueSeverity} severity - Estimated severity
+ * @property {string} title - First sentence of the issue
+ * @property {string} text - Full issue text (markdown stripped)
+ */
+
+/**
+ * @typedef {Object} CritiqueResolution
+ * @property {CritiqueIssue} issue - The critique issue
+ * @property {boolean} resolved - Whether the proposal visibly addresses it
+ * @property {string[]} matchedTerms - Issue terms found in the proposal
+ * @property {string[]} terms - Distinctive terms extracted from the issue
+ */
+
+/**
+ * Issue-bearing sections, keyed by category id. `headings` are matched
+ * against section titles (case-insensitive, numbering and emoji ignored).
+ * Summary, strengths and recommendation sections carry no issues and are skipped.
+ */
+export const CRITIQUE_CATEGORIES = {
+  financial: { label: 'Financial Projections', headings: ['financial projections scrutiny', 'financial projections', 'financial'], severity: 'high' },
+  'pain-points': { label: 'Pain Points', headings: ['pain point validation', 'pain points'], severity: 'medium' },
+  solution: { label: 'Solution Claims', headings: ['solution claims assessment', 'solution claims'], severity: 'medium' },
+  'missing-info': { label: 'Missing Information', headings: ['missing information'], severity: 'medium' },
+  risk: { label: 'Risk', headings: ['risk analysis', 'risks'], severity: 'high' },
+  competitive: { label: 'Competitive Considerations', headings: ['competitive considerations'], severity: 'medium' },
+  timing: { label: 'Timing & Urgency', headings: ['timing and urgency', 'timing & urgency'], severity: 'low' },
+  weaknesses: { label: 'Weaknesses', headings: ['weaknesses', 'concerns'], severity: 'medium' },
+  questions: { label: 'Open Questions', headings: ['questions that must be answered', 'questions for counsel', 'questions'], severity: 'medium' },
+  slop: { label: 'AI Slop', headings: ['ai slop detected', 'ai slop'], severity: 'low' },
+  contract: { label: 'Contract Risks', headings: ['contract risks'], severity: 'high' },
+  compliance: { label: 'Compliance Gaps', headings: ['compliance gaps'], severity: 'high' },
+  procurement: { label: 'Procurement Blockers', headings: ['procurement blockers'], severity: 'medium' }
+};
+
+const HIGH_SEVERITY_PATTERN = /\b(critical|deal[- ]?breaker|fatal|unacceptable|blocker|major|severe|no evidence|unsupported|unsubstantiated|cannot|must)\b/i;
+const LOW_SEVERITY_PATTERN = /\b(minor|small|cosmetic|nice to have|slight|nitpick)\b/i;
+const EXPLICIT_SEVERITY_PATTERN = /(?:severity:\s*|\[)(high|medium|low)\b|\b(high|medium|low)\s+severity\b/i;
+
+/** Words too common in critiques to show whether a proposal addressed an issue */
+const STOPWORDS = new Set(`
+  about above after again against also although among another because been before being below between both
+  cannot could does doing done down during each either else enough even every from further have having here
+  however into itself just least less like made make many might more most much must need needs neither never
+  none only other otherwise ours over perhaps quite rather really same seem seems should since some still such
+  than that their them then there these they this those though through thus together under until upon very
+  well were what when where whether which while whom whose will with within without would your yours
+  proposal proposed claim claims claimed state states stated statement document section mention mentions
+  mentioned provide provided provides explain explained clear clearly specific specifically actually real
+  really significant issue issues concern concerns question questions point points evidence data information
+  missing unclear vague lacks lack lacking
+`.trim().split(/\s+/));
+
+/**
+ * Normalize a heading for category lookup
+ * @param {string} heading
+ * @returns {string}
+ */
+function normalizeHeading(heading) {
+  return heading
+    .replace(/[*_`]/g, '')
+    .replace(/^[^a-z0-9]*(\d+[.)]\s*)?/i, '')
+    .replace(/[:\s]+$/, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Find the category for a section heading
+ * @param {string} heading - Raw heading text
+ * @returns {string | null} Category id, or null for non-issue sections
+ */
+export function matchCritiqueCategory(heading) {
+  const normalized = normalizeHeading(heading);
+  for (const [id, category] of Object.entries(CRITIQUE_CATEGORIES)) {
+    if (category.headings.some(h => normalized === h || normalized.startsWith(`${h} `))) {
+      return id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a section heading from a line: markdown headings or a line that is only bold text
+ * @param {string} line
+ * @returns {string | null} Heading text, or null when the line is not a heading
+ */
+export function readHeading(line) {
+  const atx = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+  if (atx) return atx[1];
+  const bold = line.match(/^\*\*([^*]+)\*\*:?\s*$/);
+  return bold ? bold[1] : null;
+}
+
+/**
+ * Strip inline markdown from issue text
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .replace(/^\[[ x]\]\s*/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Estimate an issue's severity from explicit markers, then wording, then its category
+ * @param {string} text - Issue text
+ * @param {string} category - Category id
+ * @returns {CritiqueSeverity}
+ */
+export function estimateSeverity(text, category) {
+  const explicit = text.match(EXPLICIT_SEVERITY_PATTERN);
+  if (explicit) {
+    return /** @type {CritiqueSeverity} */ ((explicit[1] || explicit[2]).toLowerCase());
+  }
+  if (HIGH_SEVERITY_PATTERN.test(text)) return 'high';
+  if (LOW_SEVERITY_PATTERN.test(text)) return 'low';
+  return /** @type {CritiqueSeverity} */ (CRITIQUE_CATEGORIES[category]?.severity || 'medium');
+}
+
+/**
+ * Split a critique into numbered issues
+ * @param {string} markdown - Critique markdown (a Phase 2 response)
+ * @returns {CritiqueIssue[]}
+ */
+export function parseCritique(markdown) {
+  if (!markdown) return [];
+
+  /** @type {{category: string, categoryLabel: string, lines: string[]}[]} */
+  const rawIssues = [];
+  let category = null;
+  let categoryLabel = '';
+  let current = null;
+  let inList = false;
+
+  const flush = () => {
+    if (current && current.lines.join(' ').trim()) rawIssues.push(current);
+    current = null;
+  };
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const heading = readHeading(line.trim());
+    if (heading !== null) {
+      flush();
+      inList = false;
+      category = matchCritiqueCategory(heading);
+      categoryLabel = stripMarkdown(heading).replace(/^\d+[.)]\s*/, '').replace(/:$/, '');
+      continue;
+    }
+    if (!category) continue;
+
+    const item = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/);
+    if (item && item[1].length < 2) {
+      // Top-level list item starts a new issue
+      flush();
+      inList = true;
+      current = { category, categoryLabel, lines: [item[2]] };
+    } else if (!line.trim()) {
+      // Blank line ends a paragraph issue; list items may continue after it
+      if (!inList) flush();
+    } else if (current) {
+      current.lines.push(line.trim());
+    } else {
+      current = { category, categoryLabel, lines: [line.trim()] };
+    }
+  }
+  flush();
+
+  return rawIssues.map((raw, index) => {
+    const text = stripMarkdown(raw.lines.join(' '));
+    const title = (text.match(/^.+?[.?!](?=\s|$)/) || [text])[0];
+    return {
+      id: index + 1,
+      category: raw.category,
+      categoryLabel: raw.categoryLabel,
+      severity: estimateSeverity(text, raw.category),
+      title: title.length > 160 ? `${title.slice(0, 157)}...` : title,
+      text
+    };
+  });
+}
+
+/**
+ * Reduce a word to a crude stem so "projections" matches "projected"
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+  return word.length > 6 ? word.slice(0, 6) : word;
+}
+
+/**
+ * Extract the distinctive terms of an issue: numbers and uncommon words
+ * @param {string} text - Issue text
+ * @param {number} [limit=8] - Maximum terms
+ * @returns {string[]}
+ */
+export function extractIssueTerms(text, limit = 8) {
+  const numbers = text.match(/\$?\d[\d,.]*%?/g) || [];
+  const words = (text.toLowerCase().match(/[a-z][a-z'-]{3,}/g) || [])
+    .map(w => w.replace(/'s$/, ''))
+    .filter(w => !STOPWORDS.has(w));
+
+  const terms = [];
+  for (const term of [...numbers.map(n => n.replace(/[.,]$/, '')), ...words]) {
+    if (!terms.includes(term)) terms.push(term);
+  }
+  return terms.slice(0, limit);
+}
+
+/**
+ * Check which critique issues a final proposal visibly addresses
+ * @param {CritiqueIssue[]} issues - Parsed critique issues
+ * @param {string} proposal - Final proposal markdown
+ * @param {number} [threshold=0.5] - Share of an issue's terms that must appear
+ * @returns {CritiqueResolution[]}
+ */
+export function checkCritiqueResolution(issues, proposal, threshold = 0.5) {
+  const proposalText = (proposal || '').toLowerCase();
+  const proposalStems = new Set((proposalText.match(/[a-z][a-z'-]{3,}/g) || []).map(stem));
+
+  return issues.map(issue => {
+    const terms = extractIssueTerms(issue.text);
+    const matchedTerms = terms.filter(term =>
+      /^[a-z]/.test(term) ? proposalStems.has(stem(term)) : proposalText.includes(term.toLowerCase())
+    );
+    return {
+      issue,
+      resolved: terms.length > 0 && matchedTerms.length / terms.length >= threshold,
+      matchedTerms,
+      terms
+    };
+  });
+}
@@ -0,0 +1,394 @@
+/**
+ * DOCX Import Module
+ * Converts Word documents to HTML in the browser so they can go through the
+ * same Turndown conversion as pasted content.
+ *
+ * A .docx file is a zip archive; the body is read from word/document.xml,
+ * heading levels from the paragraph styles in word/styles.xml, list types
+ * from word/numbering.xml and link targets from the document relationships.
+ * Tables, nested lists, headings, bold/italic and links are kept.
+ * @module docx-import
+ */
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/** Zip parts read from a .docx */
+const DOCX_PARTS = {
+  document: 'word/document.xml',
+  styles: 'word/styles.xml',
+  numbering: 'word/numbering.xml',
+  rels: 'word/_rels/document.xml.rels'
+};
+
+/** Zip record signatures */
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+
+/**
+ * Inflate raw deflate data (zip entries carry no zlib header)
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(bytes) {
+  // Piped rather than written, so corrupt data rejects the read below and nothing else
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    }
+  }).pipeThrough(new DecompressionStream('deflate-raw'));
+
+  const reader = stream.getReader();
+  const chunks = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * Read selected files from a zip archive
+ * @param {ArrayBuffer | Uint8Array} buffer - Zip file contents
+ * @param {string[]} names - Entry names to read
+ * @returns {Promise<Map<string, string>>} UTF-8 text of each entry that exists
+ */
+async function readZipEntries(buffer, names) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-central-directory record sits at the end, before an optional comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a valid .docx file');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) break;
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localHeader = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!names.includes(name)) continue;
+
+    // Local header name/extra lengths can differ from the central directory's
+    const dataStart = localHeader + 30 + view.getUint16(localHeader + 26, true) + view.getUint16(localHeader + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.set(name, decoder.decode(data));
+    } else if (method === 8) {
+      let inflated;
+      try {
+        inflated = await inflateRaw(data);
+      } catch (error) {
+        throw new Error('Not a valid .docx file', { cause: error });
+      }
+      entries.set(name, decoder.decode(inflated));
+    } else {
+      throw new Error(`Unsupported compression in ${name}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Parse an XML part
+ * @param {string} [xml]
+ * @returns {Document | null}
+ */
+function parseXml(xml) {
+  return xml ? new DOMParser().parseFromString(xml, 'application/xml') : null;
+}
+
+/**
+ * Direct children of an element in the WordprocessingML namespace
+ * @param {Element} element
+ * @param {string} localName
+ * @returns {Element[]}
+ */
+function wordChildren(element, localName) {
+  return Array.from(element?.children || []).filter(c => c.localName === localName && c.namespaceURI === WORD_NS);
+}
+
+/**
+ * First direct child in the WordprocessingML namespace
+ * @param {Element} element
+ * @param {string} localName
+ * @returns {Element | undefined}
+ */
+function wordChild(element, localName) {
+  return wordChildren(element, localName)[0];
+}
+
+/**
+ * A w:* attribute value
+ * @param {Element} [element]
+ * @param {string} name
+ * @returns {string | null}
+ */
+function wordAttr(element, name) {
+  return element ? element.getAttributeNS(WORD_NS, name) : null;
+}
+
+/**
+ * Whether an on/off property like w:b is switched on
+ * @param {Element} [element]
+ * @returns {boolean}
+ */
+function isOn(element) {
+  if (!element) return false;
+  const val = wordAttr(element, 'val');
+  return val === null || val === '' || !['0', 'false', 'off', 'none'].includes(val);
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Map paragraph style ids to heading levels (Title and "heading N" styles)
+ * @param {Document | null} styles
+ * @returns {Map<string, number>}
+ */
+function readHeadingStyles(styles) {
+  const levels = new Map();
+  for (const style of styles ? Array.from(styles.getElementsByTagNameNS(WORD_NS, 'style')) : []) {
+    const id = wordAttr(style, 'styleId');
+    const name = (wordAttr(wordChild(style, 'name'), 'val') || '').toLowerCase();
+    const heading = name.match(/^heading (\d)$/);
+    if (heading && Number(heading[1]) <= 6) levels.set(id, Number(heading[1]));
+    else if (name === 'title') levels.set(id, 1);
+  }
+  return levels;
+}
+
+/**
+ * Heading level of a style id without a styles part (Word's built-in ids)
+ * @param {string} styleId
+ * @returns {number | null}
+ */
+function builtInHeadingLevel(styleId) {
+  if (styleId === 'Title') return 1;
+  const match = styleId.match(/^Heading([1-6])$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Map list ids and levels to ordered/unordered
+ * @param {Document | null} numbering
+ * @returns {(numId: string, level: number) => boolean} Whether the list level is ordered
+ */
+function readNumbering(numbering) {
+  const abstractFormats = new Map();
+  const numToAbstract = new Map();
+  if (numbering) {
+    for (const abstract of Array.from(numbering.getElementsByTagNameNS(WORD_NS, 'abstractNum'))) {
+      const formats = new Map();
+      for (const lvl of wordChildren(abstract, 'lvl')) {
+        formats.set(Number(wordAttr(lvl, 'ilvl')), wordAttr(wordChild(lvl, 'numFmt'), 'val'));
+      }
+      abstractFormats.set(wordAttr(abstract, 'abstractNumId'), formats);
+    }
+    for (const num of Array.from(numbering.getElementsByTagNameNS(WORD_NS, 'num'))) {
+      numToAbstract.set(wordAttr(num, 'numId'), wordAttr(wordChild(num, 'abstractNumId'), 'val'));
+    }
+  }
+  return (numId, level) => {
+    const format = abstractFormats.get(numToAbstract.get(numId))?.get(level);
+    return Boolean(format) && !['bullet', 'none'].includes(format);
+  };
+}
+
+/**
+ * Map relationship ids to hyperlink targets
+ * @param {Document | null} rels
+ * @returns {Map<string, string>}
+ */
+function readLinks(rels) {
+  const links = new Map();
+  for (const rel of rels ? Array.from(rels.getElementsByTagName('Relationship')) : []) {
+    if ((rel.getAttribute('Type') || '').endsWith('/hyperlink')) {
+      links.set(rel.getAttribute('Id'), rel.getAttribute('Target'));
+    }
+  }
+  return links;
+}
+
+/**
+ * @typedef {Object} DocxContext
+ * @property {Map<string, number>} headingStyles - Style id to heading level
+ * @property {(numId: string, level: number) => boolean} isOrdered - List type lookup
+ * @property {Map<string, string>} links - Relationship id to URL
+ */
+
+/**
+ * Render a run (w:r) to HTML
+ * @param {Element} run
+ * @returns {string}
+ */
+function renderRun(run) {
+  let html = '';
+  for (const child of Array.from(run.children)) {
+    if (child.namespaceURI !== WORD_NS) continue;
+    if (child.localName === 't') html += escapeText(child.textContent);
+    else if (child.localName === 'tab') html += ' ';
+    else if (child.localName === 'br' || child.localName === 'cr') html += '<br>';
+    else if (child.localName === 'noBreakHyphen') html += '-';
+  }
+  if (!html.trim()) return html;
+
+  const props = wordChild(run, 'rPr');
+  if (isOn(wordChild(props, 'i'))) html = `<em>${html}</em>`;
+  if (isOn(wordChild(props, 'b'))) html = `<strong>${html}</strong>`;
+  return html;
+}
+
+/**
+ * Render the inline content of a paragraph
+ * @param {Element} paragraph
+ * @param {DocxContext} context
+ * @returns {string}
+ */
+function renderInline(paragraph, context) {
+  let html = '';
+  for (const child of Array.from(paragraph.children)) {
+    if (child.namespaceURI !== WORD_NS) continue;
+    if (child.localName === 'r') {
+      html += renderRun(child);
+    } else if (child.localName === 'hyperlink') {
+      const text = wordChildren(child, 'r').map(renderRun).join('');
+      const href = context.links.get(child.getAttributeNS(REL_NS, 'id'));
+      html += href ? `<a href="${escapeText(href)}">${text}</a>` : text;
+    } else if (['ins', 'smartTag', 'fldSimple', 'sdt'].includes(child.localName)) {
+      // Tracked insertions, smart tags, simple fields and content controls wrap ordinary runs
+      html += renderInline(wordChild(child, 'sdtContent') || child, context);
+    }
+  }
+  return html;
+}
+
+/**
+ * Render a table (w:tbl); cells keep their paragraphs separated by line breaks
+ * @param {Element} table
+ * @param {DocxContext} context
+ * @returns {string}
+ */
+function renderTable(table, context) {
+  const rows = wordChildren(table, 'tr').map(row => {
+    const cells = wordChildren(row, 'tc').map(cell => {
+      const text = wordChildren(cell, 'p').map(p => renderInline(p, context)).filter(Boolean).join('<br>');
+      return `<td>${text}</td>`;
+    });
+    return `<tr>${cells.join('')}</tr>`;
+  });
+  return `<table>${rows.join('')}</table>`;
+}
+
+/**
+ * Render the block content of the document body.
+ * Numbered paragraphs are grouped into lists, nested by their w:ilvl.
+ * @param {Element} body
+ * @param {DocxContext} context
+ * @returns {string}
+ */
+function renderBody(body, context) {
+  const output = [];
+  /** @type {{tag: string, level: number}[]} */
+  const openLists = [];
+
+  const closeLists = (toLevel) => {
+    while (openLists.length && openLists[openLists.length - 1].level > toLevel) {
+      output.push(`</li></${openLists.pop().tag}>`);
+    }
+  };
+
+  for (const block of Array.from(body.children)) {
+    if (block.namespaceURI !== WORD_NS) continue;
+
+    if (block.localName === 'tbl') {
+      closeLists(-1);
+      output.push(renderTable(block, context));
+      continue;
+    }
+    if (block.localName !== 'p') continue;
+
+    const props = wordChild(block, 'pPr');
+    const numPr = wordChild(props, 'numPr');
+    const numId = wordAttr(wordChild(numPr, 'numId'), 'val');
+    const html = renderInline(block, context);
+
+    if (numId && numId !== '0') {
+      const level = Number(wordAttr(wordChild(numPr, 'ilvl'), 'val') || 0);
+      const tag = context.isOrdered(numId, level) ? 'ol' : 'ul';
+      closeLists(level);
+      const current = openLists[openLists.length - 1];
+      if (current?.level === level && current.tag !== tag) {
+        closeLists(level - 1);
+      }
+      if (openLists[openLists.length - 1]?.level === level) {
+        output.push(`</li><li>${html}`);
+      } else {
+        output.push(`<${tag}><li>${html}`);
+        openLists.push({ tag, level });
+      }
+      continue;
+    }
+
+    closeLists(-1);
+    if (!html.trim()) continue;
+
+    const styleId = wordAttr(wordChild(props, 'pStyle'), 'val') || '';
+    const heading = context.headingStyles.get(styleId) ?? builtInHeadingLevel(styleId);
+    output.push(heading ? `<h${heading}>${html}</h${heading}>` : `<p>${html}</p>`);
+  }
+
+  closeLists(-1);
+  return output.join('\n');
+}
+
+/**
+ * Convert a .docx file to HTML
+ * @param {ArrayBuffer | Uint8Array} buffer - The .docx file contents
+ * @returns {Promise<string>} HTML with headings, paragraphs, lists, tables and links
+ * @throws {Error} If the file is not a Word document
+ */
+export async function docxToHtml(buffer) {
+  const parts = await readZipEntries(buffer, Object.values(DOCX_PARTS));
+  const doc = parseXml(parts.get(DOCX_PARTS.document));
+  const body = doc?.getElementsByTagNameNS(WORD_NS, 'body')[0];
+  if (!body) throw new Error('Not a valid .docx file');
+
+  return renderBody(body, {
+    headingStyles: readHeadingStyles(parseXml(parts.get(DOCX_PARTS.styles))),
+    isOrdered: readNumbering(parseXml(parts.get(DOCX_PARTS.numbering))),
+    links: readLinks(parseXml(parts.get(DOCX_PARTS.rels)))
+  });
+}
@@ -2,17 +2,23 @@
  * Import Document Module
  * @module import-document
  * Handles importing existing Strategic Proposals from Word/Google Docs via paste
+ * or file upload (.docx, .md, .html, .txt)
  */
 
 import { validateDocument, getScoreColor, getScoreLabel } from '../../validator/js/validator.js';
 import { createProject } from './projects.js';
 import { navigateTo } from './router.js';
 import { showToast } from './ui.js';
+import { docxToHtml } from './docx-import.js';
+import { redactText, restoreText, collectPersonalNames, describeRedaction } from './redaction.js';
 
 const DOC_TYPE = 'Strategic Proposal';
 const DOC_TYPE_SHORT = 'Proposal';
 const MINIMUM_VIABLE_SCORE = 30;
 
+/** File types accepted by the import file picker */
+export const IMPORT_FILE_EXTENSIONS = ['.docx', '.md', '.html', '.htm', '.txt'];
+
 /**
  * Extract title from markdown using multiple strategies
  * Tries: H1 header, H2 header, first bold text, first non-empty line
@@ -90,6 +96,24 @@ const LLM_CLEANUP_PROMPT = `You are a documentation assistant. Convert this past
 **Content to convert:**
 `;
 
+/**
+ * Render a table element as a Markdown table. The first row is the header;
+ * cell line breaks become <br> so each row stays on one line.
+ * @param {HTMLTableElement} table
+ * @param {{ turndown: (html: string) => string }} turndownService
+ * @returns {string}
+ */
+function tableToMarkdown(table, turndownService) {
+  const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell =>
+    turndownService.turndown(cell.innerHTML).trim().replace(/\s*\n+\s*/g, '<br>').replace(/\|/g, '\\|')
+  ));
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
 export function convertHtmlToMarkdown(html) {
   if (typeof TurndownService === 'undefined') {
     const temp = document.createElement('div');
@@ -97,10 +121,55 @@ export function convertHtmlToMarkdown(html) {
     return temp.textContent || temp.innerText || '';
   }
   const turndownService = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-' });
-  turndownService.addRule('tables', { filter: ['table'], replacement: (content) => '\n\n' + content + '\n\n' });
+  turndownService.addRule('tables', {
+    filter: ['table'],
+    replacement: (content, node) => '\n\n' + tableToMarkdown(/** @type {HTMLTableElement} */ (node), turndownService) + '\n\n'
+  });
   return turndownService.turndown(html);
 }
 
+/**
+ * Read a file with FileReader
+ * @param {File} file
+ * @param {'text' | 'arrayBuffer'} as - How to read it
+ * @returns {Promise<string | ArrayBuffer>}
+ */
+function readFile(file, as) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error(`Error reading ${file.name}`));
+    if (as === 'arrayBuffer') {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  });
+}
+
+/**
+ * Convert an uploaded file to Markdown.
+ * Word documents are parsed locally to HTML, then converted like pasted content;
+ * HTML goes through the same conversion; Markdown and text are used as-is.
+ * @param {File} file
+ * @returns {Promise<string>}
+ * @throws {Error} If the file type is not supported or the file cannot be read
+ */
+export async function convertFileToMarkdown(file) {
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+  if (!IMPORT_FILE_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported file type: ${extension}. Use ${IMPORT_FILE_EXTENSIONS.join(', ')}`);
+  }
+
+  if (extension === '.docx') {
+    const html = await docxToHtml(/** @type {ArrayBuffer} */ (await readFile(file, 'arrayBuffer')));
+    return convertHtmlToMarkdown(html);
+  }
+
+  const text = /** @type {string} */ (await readFile(file, 'text'));
+  return extension === '.html' || extension === '.htm' ? convertHtmlToMarkdown(text) : text;
+}
+
 export function getImportModalHtml() {
   return `
     <div id="import-modal" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -112,11 +181,18 @@ export function getImportModalHtml() {
           </button>
         </div>
         <div class="p-4 overflow-y-auto flex-1">
-          <p class="text-sm text-gray-600 dark:text-gray-400 mb-4">Paste your ${DOC_TYPE_SHORT} from Word, Google Docs, or any source below.</p>
+          <p class="text-sm text-gray-600 dark:text-gray-400 mb-4">Paste your ${DOC_TYPE_SHORT} from Word, Google Docs, or any source below, or upload the file.</p>
           <div id="import-paste-step">
             <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Paste your content here</label>
             <div id="import-paste-area" contenteditable="true" class="w-full h-48 p-4 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg focus:border-blue-500 focus:outline-none overflow-y-auto bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white"></div>
-            <button id="import-convert-btn" class="mt-4 px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Convert to Markdown</button>
+            <div class="mt-4 flex flex-wrap items-center gap-3">
+              <button id="import-convert-btn" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Convert to Markdown</button>
+              <label class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors cursor-pointer">
+                📄 Upload File
+                <input type="file" id="import-doc-file-input" accept="${IMPORT_FILE_EXTENSIONS.join(',')}" class="hidden">
+              </label>
+              <span class="text-xs text-gray-500 dark:text-gray-400">${IMPORT_FILE_EXTENSIONS.filter(ext => ext !== '.htm').join(', ')}</span>
+            </div>
           </div>
           <div id="import-preview-step" class="hidden">
             <div class="flex items-center justify-between mb-2">
@@ -147,6 +223,7 @@ export function showImportModal() {
   const modal = document.getElementById('import-modal');
   const pasteArea = document.getElementById('import-paste-area');
   const convertBtn = document.getElementById('import-convert-btn');
+  const fileInput = /** @type {HTMLInputElement} */ (document.getElementById('import-doc-file-input'));
   const previewStep = document.getElementById('import-preview-step');
   const pasteStep = document.getElementById('import-paste-step');
   const previewArea = document.getElementById('import-preview-area');
@@ -160,10 +237,7 @@ export function showImportModal() {
   document.getElementById('import-cancel-btn').addEventListener('click', closeModal);
   modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
 
-  convertBtn.addEventListener('click', () => {
-    const html = pasteArea.innerHTML;
-    if (!html || html === '<br>' || html.trim() === '') { showToast('Please paste some content first', 'error'); return; }
-    const markdown = convertHtmlToMarkdown(html);
+  const showPreview = (markdown) => {
     pasteStep.classList.add('hidden');
     previewStep.classList.remove('hidden');
     previewArea.value = markdown;
@@ -172,10 +246,34 @@ export function showImportModal() {
     scoreBadge.innerHTML = `<span class="px-2 py-1 rounded text-${getScoreColor(score)}-700 dark:text-${getScoreColor(score)}-400 bg-${getScoreColor(score)}-100 dark:bg-${getScoreColor(score)}-900/30">${score}% · ${getScoreLabel(score)}</span>`;
     saveBtn.classList.remove('hidden');
     if (score < MINIMUM_VIABLE_SCORE) llmSuggestion.classList.remove('hidden');
+  };
+
+  convertBtn.addEventListener('click', () => {
+    const html = pasteArea.innerHTML;
+    if (!html || html === '<br>' || html.trim() === '') { showToast('Please paste some content first', 'error'); return; }
+    showPreview(convertHtmlToMarkdown(html));
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+    try {
+      const markdown = await convertFileToMarkdown(file);
+      if (!markdown.trim()) { showToast(`No text found in ${file.name}`, 'error'); return; }
+      showPreview(markdown);
+    } catch (error) {
+      showToast(error.message, 'error');
+    } finally {
+      fileInput.value = '';
+    }
   });
 
+  // Placeholders used in the cleanup prompt, mapped back when the cleaned text is saved
+  let redactionMap = {};
   copyPromptBtn.addEventListener('click', () => {
-    navigator.clipboard.writeText(LLM_CLEANUP_PROMPT + previewArea.value).then(() => showToast('Prompt copied! Paste into Claude or ChatGPT.', 'success'));
+    const { text, map, count } = redactText(previewArea.value, { names: collectPersonalNames({ meetingNotes: previewArea.value }), map: redactionMap });
+    redactionMap = map;
+    navigator.clipboard.writeText(LLM_CLEANUP_PROMPT + text).then(() => showToast(`Prompt copied! Paste into Claude or ChatGPT.${describeRedaction(count)}`, 'success'));
   });
 
   let isSaving = false;
@@ -183,13 +281,13 @@ export function showImportModal() {
     if (isSaving) return;
     isSaving = true; saveBtn.disabled = true; saveBtn.textContent = 'Saving...';
     try {
-      const markdown = previewArea.value;
+      const markdown = restoreText(previewArea.value, redactionMap);
       if (!markdown.trim()) { showToast('No content to save', 'error'); return; }
       const title = extractTitleFromMarkdown(markdown) || `Imported ${DOC_TYPE_SHORT}`;
       const project = await createProject({ title, problems: `(Imported from existing ${DOC_TYPE_SHORT})`, context: `(Imported from existing ${DOC_TYPE_SHORT})` });
       if (!project || !project.id) { showToast('Failed to create project', 'error'); return; }
       const { updateProject } = await import('./projects.js');
-      await updateProject(project.id, { phases: { ...project.phases, 1: { ...project.phases[1], response: markdown, completed: false, startedAt: new Date().toISOString() } }, importedContent: markdown, isImported: true });
+      await updateProject(project.id, { phases: { ...project.phases, 1: { ...project.phases[1], response: markdown, completed: false, startedAt: new Date().toISOString(), history: [{ response: markdown, savedAt: new Date().toISOString(), source: 'imported' }] } }, importedContent: markdown, isImported: true });
       closeModal();
       showToast(`${DOC_TYPE_SHORT} imported! Review and refine in Phase 1.`, 'success');
       navigateTo('project/' + project.id);
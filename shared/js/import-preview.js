@@ -0,0 +1,165 @@
+/**
+ * Import Preview Module
+ * Modal listing what an import will do before anything is saved: new
+ * proposals, identical ones (skipped) and conflicts, each conflict with its
+ * own choice of keep local, take incoming, keep both or merge by phase.
+ * @module import-preview
+ */
+
+import { IMPORT_CHOICES, getDefaultChoice } from './backup-import.js';
+import { escapeHtml, formatDate } from './ui.js';
+
+/**
+ * Name shown for a proposal
+ * @param {import('./types.js').Project} project
+ * @returns {string}
+ */
+function getProjectName(project) {
+  return project.organizationName || project.title || project.id;
+}
+
+/**
+ * Summarize an import for the toast shown afterwards
+ * @param {import('./backup-import.js').ImportResult} result
+ * @returns {string}
+ */
+export function describeImportResult(result) {
+  const parts = [
+    result.added && `${result.added} added`,
+    result.replaced && `${result.replaced} replaced`,
+    result.duplicated && `${result.duplicated} kept as copies`,
+    result.merged && `${result.merged} merged`,
+    result.skipped && `${result.skipped} skipped`
+  ].filter(Boolean);
+  return parts.length ? `Import complete: ${parts.join(', ')}` : 'The file holds no proposals';
+}
+
+/**
+ * Show what an import will do and let the user resolve each conflict
+ * @param {import('./backup-import.js').ImportItem[]} items - From previewProjectImport()
+ * @returns {Promise<Object.<string, import('./backup-import.js').ImportChoice> | null>} Choice per conflicting proposal id, or null if cancelled
+ */
+export function showImportPreviewModal(items) {
+  const newItems = items.filter(item => item.status === 'new');
+  const identical = items.filter(item => item.status === 'identical');
+  const conflicts = items.filter(item => item.status === 'conflict');
+
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.id = 'import-preview-modal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 class="text-lg font-bold text-gray-900 dark:text-white">📥 Import Proposals</h3>
+          <button id="close-import-preview-btn" class="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none" aria-label="Close">&times;</button>
+        </div>
+        <div class="p-4 overflow-y-auto flex-1 space-y-6 text-sm">
+          <p class="text-gray-600 dark:text-gray-400">
+            ${newItems.length} new · ${identical.length} identical · ${conflicts.length} conflicting
+          </p>
+
+          ${conflicts.length ? `
+          <section>
+            <h4 class="font-semibold text-gray-900 dark:text-white mb-2">Conflicts</h4>
+            <p class="text-gray-600 dark:text-gray-400 mb-3">These proposals already exist here with different content. Choose what to keep for each.</p>
+            <ul class="space-y-3">
+              ${conflicts.map(item => `
+              <li class="import-conflict p-3 border border-gray-200 dark:border-gray-700 rounded-lg" data-project-id="${escapeHtml(item.incoming.id)}">
+                <div class="flex flex-wrap items-center justify-between gap-3">
+                  <div class="min-w-0">
+                    <p class="font-medium text-gray-900 dark:text-white truncate">${escapeHtml(getProjectName(item.incoming))}${item.local.deletedAt ? ' <span class="text-xs text-gray-500 dark:text-gray-400">(in the trash here)</span>' : ''}</p>
+                    <p class="text-xs text-gray-500 dark:text-gray-400">
+                      Local updated ${formatDate(item.local.updatedAt)} · incoming updated ${formatDate(item.incoming.updatedAt)}
+                    </p>
+                    <p class="text-xs text-gray-500 dark:text-gray-400">Differs in: ${escapeHtml(item.differences.join(', ') || 'metadata only')}</p>
+                  </div>
+                  <select class="import-choice px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white" aria-label="What to keep for ${escapeHtml(getProjectName(item.incoming))}">
+                    ${IMPORT_CHOICES.map(choice => `<option value="${choice.id}" ${choice.id === getDefaultChoice(item) ? 'selected' : ''}>${choice.label}</option>`).join('')}
+                  </select>
+                </div>
+              </li>
+              `).join('')}
+            </ul>
+          </section>
+          ` : ''}
+
+          ${newItems.length ? `
+          <section>
+            <h4 class="font-semibold text-gray-900 dark:text-white mb-2">New</h4>
+            <ul class="list-disc pl-5 text-gray-700 dark:text-gray-300">
+              ${newItems.map(item => `<li>${escapeHtml(getProjectName(item.incoming))}</li>`).join('')}
+            </ul>
+          </section>
+          ` : ''}
+
+          ${identical.length ? `
+          <section>
+            <h4 class="font-semibold text-gray-900 dark:text-white mb-2">Identical (skipped)</h4>
+            <ul class="list-disc pl-5 text-gray-500 dark:text-gray-400">
+              ${identical.map(item => `<li>${escapeHtml(getProjectName(item.incoming))}</li>`).join('')}
+            </ul>
+          </section>
+          ` : ''}
+        </div>
+        <div class="flex justify-end gap-3 p-4 border-t border-gray-200 dark:border-gray-700">
+          <button id="cancel-import-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+            Cancel
+          </button>
+          <button id="confirm-import-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed" ${newItems.length || conflicts.length ? '' : 'disabled'}>
+            Import
+          </button>
+        </div>
+      </div>
+    `;
+
+    const close = (result) => {
+      modal.remove();
+      document.removeEventListener('keydown', handleEscape);
+      resolve(result);
+    };
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') close(null);
+    };
+
+    document.body.appendChild(modal);
+    document.addEventListener('keydown', handleEscape);
+
+    modal.querySelector('#close-import-preview-btn').addEventListener('click', () => close(null));
+    modal.querySelector('#cancel-import-btn').addEventListener('click', () => close(null));
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close(null);
+    });
+    modal.querySelector('#confirm-import-btn').addEventListener('click', () => {
+      const choices = {};
+      modal.querySelectorAll('.import-conflict').forEach(row => {
+        choices[/** @type {HTMLElement} */ (row).dataset.projectId] = /** @type {HTMLSelectElement} */ (row.querySelector('.import-choice')).value;
+      });
+      close(choices);
+    });
+  });
+}
+
+/**
+ * Explain why a file could not be imported
+ * @param {string} message - Error message (one problem per line)
+ * @returns {void}
+ */
+export function showImportErrorModal(message) {
+  const modal = document.createElement('div');
+  modal.id = 'import-error-modal';
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+  modal.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-lg w-full">
+        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4">Import Failed</h3>
+        <p class="text-sm text-gray-600 dark:text-gray-400 mb-6 whitespace-pre-line max-h-[60vh] overflow-y-auto">${escapeHtml(message)}</p>
+        <div class="flex justify-end">
+          <button id="close-import-error-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+            Close
+          </button>
+        </div>
+      </div>
+    `;
+  document.body.appendChild(modal);
+  modal.querySelector('#close-import-error-btn').addEventListener('click', () => modal.remove());
+}
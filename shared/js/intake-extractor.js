@@ -0,0 +1,238 @@
+/**
+ * Intake Extractor Module
+ * Rule-based suggestions for the intake form, pulled from the transcripts,
+ * meeting notes and attachment text: pain points, vendors, named people with
+ * their roles and quoted numbers. Everything runs locally; the user accepts
+ * or rejects each candidate.
+ * @module intake-extractor
+ */
+
+import { PROBLEM_PATTERNS, STAKEHOLDER_PATTERNS } from '../../validator/js/validator.js';
+
+/**
+ * @typedef {'conversationTranscripts' | 'meetingNotes' | 'attachmentText'} IntakeSource
+ */
+
+/**
+ * @typedef {Object} PainPointCandidate
+ * @property {string} text - The sentence describing the problem
+ * @property {IntakeSource} source - Field it came from
+ * @property {number} score - Strength of the match (higher is stronger)
+ */
+
+/**
+ * @typedef {Object} VendorCandidate
+ * @property {string} name - Vendor or product name
+ * @property {string} context - Sentence it was mentioned in
+ * @property {IntakeSource} source
+ */
+
+/**
+ * @typedef {Object} PersonCandidate
+ * @property {string} name - Person's name
+ * @property {string} role - Their role or title
+ * @property {boolean} decisionMaker - Whether the role usually signs off (executives, finance, GM)
+ * @property {IntakeSource} source
+ */
+
+/**
+ * @typedef {Object} NumberCandidate
+ * @property {string} value - The quoted figure, e.g. "$40,000" or "30% of calls"
+ * @property {string} context - Sentence it was quoted in
+ * @property {IntakeSource} source
+ */
+
+/**
+ * @typedef {Object} IntakeCandidates
+ * @property {PainPointCandidate[]} painPoints
+ * @property {VendorCandidate[]} vendors
+ * @property {PersonCandidate[]} people
+ * @property {NumberCandidate[]} numbers
+ */
+
+/** Fields read by the extractor, in the order results are listed */
+export const INTAKE_SOURCES = ['conversationTranscripts', 'meetingNotes', 'attachmentText'];
+
+/** Most pain points suggested at once */
+export const MAX_PAIN_POINTS = 8;
+
+/**
+ * Make the letters of a pattern match either case, leaving escapes and
+ * character classes alone (names must stay case-sensitive in the same regex)
+ * @param {string} source - Regex source
+ * @returns {string}
+ */
+function anyCase(source) {
+  let out = '';
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      out += ch + source[++i];
+      continue;
+    }
+    if (ch === '[') inClass = true;
+    else if (ch === ']') inClass = false;
+    out += !inClass && /[a-z]/.test(ch) ? `[${ch}${ch.toUpperCase()}]` : ch;
+  }
+  return out;
+}
+
+const NAME = '[A-Z][a-z]+(?:[ \'-][A-Z][a-z]+){1,2}';
+const ROLE = anyCase('(?:(?:vice )?president|vp(?: of [A-Za-z]+)?|c(?:e|f|i|o|t)o|gm|general manager|dealer principal|owner|controller|head of [A-Za-z]+|'
+  + '(?:(?:service|sales|operations|it|fixed ops|bdc|marketing|finance|office|parts|internet sales|variable ops|procurement) )?(?:director|manager|lead|coordinator|supervisor))');
+
+// Extraction patterns - complement the validator's PROBLEM_PATTERNS and STAKEHOLDER_PATTERNS
+const EXTRACTION_PATTERNS = {
+  complaint: /\b(miss(?:ed|es|ing)?|los(?:e|es|ing|t)|frustrat\w*|complain\w*|slow|delay\w*|too (?:many|much|long|slow)|can'?t|cannot|doesn'?t|don'?t|never|fail\w*|broken|manual(?:ly)?|expensive|churn\w*|drop(?:ped|s)?|wast\w*|struggl\w*|backlog|unanswered|no one|nobody|hate|worst|unhappy)\b/gi,
+  vendorMention: /\b(?:current (?:vendor|provider|partner|system|platform) (?:is |was )?|(?:vendor|provider)(?: is|:) |(?:we|they|currently|still) (?:use|are using|run|are on|pay)\s+|using |switch(?:ed|ing)? (?:from|away from|to) |mov(?:e|ed|ing) (?:off|away from) |replac(?:e|ing) |contract with |signed with )([A-Z][\w&.+-]*(?:\s+[A-Z][\w&.+-]*){0,2})/g,
+  personThenRole: new RegExp(`\\b(${NAME})\\s*(?:,\\s*(?:the |our |their |a )?|\\(\\s*|\\s+(?:is|was)\\s+(?:the|our|their)\\s+)(${ROLE})\\b`, 'g'),
+  roleThenPerson: new RegExp(`\\b(${ROLE}),?\\s+(${NAME})\\b`, 'g'),
+  figure: /(?:\$\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:k|m|million|thousand|billion)\b)?(?:\s+(?:per|a|an|each)\s+\w+)?|\b\d[\d,]*(?:\.\d+)?\s?(?:%|percent\b)(?:\s+of\s+(?:our\s+|the\s+|their\s+)?\w+)?|\b\d[\d,]*(?:\.\d+)?\s+(?:(?:missed|inbound|outbound|unanswered|new|open|lost)\s+)?(?:calls?|leads?|stores?|rooftops?|sites?|locations?|users?|customers?|agents?|hours?|days?|weeks?|months?|minutes?|appointments?|vehicles?|cars?|units?|employees?|seats?|tickets?)\b(?:\s+(?:per|a|an|each)\s+(?:day|week|month|year|store|rooftop|site|location))?)/gi
+};
+
+/** Capitalized words that start sentences but are never vendors */
+const NOT_VENDORS = new Set(['The', 'We', 'Our', 'It', 'They', 'This', 'That', 'I', 'A', 'An', 'Them', 'Their', 'He', 'She', 'You', 'Your', 'Monday', 'Friday', 'Excel', 'Email', 'Phone']);
+
+/**
+ * Count regex matches without disturbing the shared pattern's lastIndex
+ * @param {string} text
+ * @param {RegExp} pattern - A global pattern
+ * @returns {number}
+ */
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Split a field into sentences, dropping transcript speaker labels
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+  return text
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*(?:[-*•]\s+|\d+[.)]\s+)?(?:[A-Z][\w.' -]{0,40}(?:\s\([^)]*\))?:\s+)?/, ''))
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z"'])/))
+    .map(s => s.trim())
+    .filter(s => s.length >= 12);
+}
+
+/**
+ * Score a sentence as a pain point (0 when it does not describe a problem)
+ * @param {string} sentence
+ * @returns {number}
+ */
+function scorePainPoint(sentence) {
+  const complaints = countMatches(sentence, EXTRACTION_PATTERNS.complaint);
+  const problems = countMatches(sentence, PROBLEM_PATTERNS.problemLanguage);
+  if (complaints + problems === 0) return 0;
+  return complaints + problems
+    + countMatches(sentence, PROBLEM_PATTERNS.urgency)
+    + (countMatches(sentence, PROBLEM_PATTERNS.quantified) + countMatches(sentence, EXTRACTION_PATTERNS.figure) > 0 ? 1 : 0);
+}
+
+/**
+ * Normalize a string for duplicate checks
+ * @param {string} text
+ * @returns {string}
+ */
+function dedupeKey(text) {
+  return text.toLowerCase().replace(/[^a-z0-9$%]+/g, ' ').trim();
+}
+
+/**
+ * Title-case a role for the form ("service director" -> "Service Director")
+ * @param {string} role
+ * @returns {string}
+ */
+function formatRole(role) {
+  const trimmed = role.trim();
+  if (/^(?:c[efiot]o|gm|vp)$/i.test(trimmed)) return trimmed.toUpperCase();
+  return trimmed.replace(/\b(?:it|bdc|vp)\b/gi, w => w.toUpperCase()).replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+/**
+ * Extract intake suggestions from a proposal's materials
+ * @param {Partial<Record<IntakeSource, string>>} materials - Transcripts, notes and attachment text
+ * @returns {IntakeCandidates}
+ */
+export function extractIntakeCandidates(materials) {
+  /** @type {IntakeCandidates} */
+  const result = { painPoints: [], vendors: [], people: [], numbers: [] };
+  const seen = { painPoints: new Set(), vendors: new Set(), people: new Set(), numbers: new Set() };
+
+  for (const source of INTAKE_SOURCES) {
+    const text = materials[source] || '';
+    if (!text.trim()) continue;
+
+    for (const match of text.matchAll(EXTRACTION_PATTERNS.personThenRole)) {
+      addPerson(match[1], match[2], source);
+    }
+    for (const match of text.matchAll(EXTRACTION_PATTERNS.roleThenPerson)) {
+      addPerson(match[2], match[1], source);
+    }
+
+    for (const sentence of splitSentences(text)) {
+      const score = scorePainPoint(sentence);
+      if (score > 0 && !seen.painPoints.has(dedupeKey(sentence))) {
+        seen.painPoints.add(dedupeKey(sentence));
+        result.painPoints.push({ text: sentence, source, score });
+      }
+
+      for (const match of sentence.matchAll(EXTRACTION_PATTERNS.vendorMention)) {
+        const name = match[1].replace(/[.,]+$/, '');
+        if (NOT_VENDORS.has(name.split(/\s+/)[0]) || seen.vendors.has(name.toLowerCase())) continue;
+        seen.vendors.add(name.toLowerCase());
+        result.vendors.push({ name, context: sentence, source });
+      }
+
+      for (const match of sentence.matchAll(EXTRACTION_PATTERNS.figure)) {
+        const value = match[0].trim();
+        const key = `${dedupeKey(value)}|${dedupeKey(sentence)}`;
+        if (seen.numbers.has(key)) continue;
+        seen.numbers.add(key);
+        result.numbers.push({ value, context: sentence, source });
+      }
+    }
+  }
+
+  // A name that is also a person is not a vendor ("switching to Dana Lee" is unlikely)
+  const peopleNames = new Set(result.people.map(p => p.name.toLowerCase()));
+  result.vendors = result.vendors.filter(v => !peopleNames.has(v.name.toLowerCase()));
+
+  // Strongest pain points first, ties in document order
+  result.painPoints = result.painPoints
+    .map((candidate, index) => ({ candidate, index }))
+    .sort((a, b) => b.candidate.score - a.candidate.score || a.index - b.index)
+    .slice(0, MAX_PAIN_POINTS)
+    .map(({ candidate }) => candidate);
+
+  return result;
+
+  /**
+   * @param {string} name
+   * @param {string} role
+   * @param {IntakeSource} source
+   */
+  function addPerson(name, role, source) {
+    const key = name.toLowerCase();
+    if (seen.people.has(key)) return;
+    seen.people.add(key);
+    result.people.push({
+      name,
+      role: formatRole(role),
+      decisionMaker: Boolean(role.match(STAKEHOLDER_PATTERNS.stakeholderConcerns)),
+      source
+    });
+  }
+}
+
+/**
+ * Whether any intake material has text to extract from
+ * @param {Partial<Record<IntakeSource, string>>} materials
+ * @returns {boolean}
+ */
+export function hasIntakeMaterials(materials) {
+  return INTAKE_SOURCES.some(source => (materials[source] || '').trim());
+}
@@ -0,0 +1,127 @@
+/**
+ * Intake Suggestions Module
+ * Lists the extractor's candidates under the intake form with accept/reject
+ * buttons; accepted candidates are written into the matching form fields.
+ * @module intake-suggestions
+ */
+
+import { escapeHtml } from './ui.js';
+
+/** @typedef {import('./intake-extractor.js').IntakeCandidates} IntakeCandidates */
+
+/** Section headings and the form field each kind of candidate fills */
+const SECTIONS = [
+  { kind: 'painPoints', title: 'Pain points', target: 'Known Pain Points' },
+  { kind: 'vendors', title: 'Vendors', target: 'Current Vendor' },
+  { kind: 'people', title: 'People', target: 'Decision Maker' },
+  { kind: 'numbers', title: 'Numbers', target: 'Additional Context' }
+];
+
+/**
+ * Get a form field by id
+ * @param {string} id
+ * @returns {HTMLInputElement | HTMLTextAreaElement}
+ */
+function field(id) {
+  return /** @type {HTMLInputElement | HTMLTextAreaElement} */ (document.getElementById(id));
+}
+
+/**
+ * Append a line to a textarea, on its own line
+ * @param {string} id
+ * @param {string} line
+ */
+function appendLine(id, line) {
+  const el = field(id);
+  el.value = [el.value.trimEnd(), line].filter(Boolean).join('\n');
+}
+
+/**
+ * Write an accepted candidate into the form.
+ * The first person fills the decision maker fields (decision makers are listed
+ * first); further people are added to Additional Context as stakeholders.
+ * @param {string} kind - Key of IntakeCandidates
+ * @param {Object} candidate
+ */
+export function applyCandidate(kind, candidate) {
+  if (kind === 'painPoints') {
+    appendLine('painPoints', `- ${candidate.text}`);
+  } else if (kind === 'vendors') {
+    const vendor = field('currentVendor');
+    const existing = vendor.value.split(',').map(v => v.trim().toLowerCase());
+    if (!existing.includes(candidate.name.toLowerCase())) {
+      vendor.value = [vendor.value.trim(), candidate.name].filter(Boolean).join(', ');
+    }
+  } else if (kind === 'people') {
+    if (!field('decisionMakerName').value.trim()) {
+      field('decisionMakerName').value = candidate.name;
+      field('decisionMakerRole').value = candidate.role;
+    } else {
+      appendLine('additionalContext', `Stakeholder: ${candidate.name} (${candidate.role})`);
+    }
+  } else if (kind === 'numbers') {
+    appendLine('additionalContext', `Key figure: ${candidate.value} (${candidate.context})`);
+  }
+}
+
+/**
+ * Describe a candidate for the list
+ * @param {string} kind
+ * @param {Object} candidate
+ * @returns {string} HTML
+ */
+function describeCandidate(kind, candidate) {
+  if (kind === 'painPoints') return escapeHtml(candidate.text);
+  if (kind === 'vendors') return `<strong>${escapeHtml(candidate.name)}</strong> <span class="text-gray-500 dark:text-gray-400">· ${escapeHtml(candidate.context)}</span>`;
+  if (kind === 'people') {
+    return `<strong>${escapeHtml(candidate.name)}</strong> · ${escapeHtml(candidate.role)}${candidate.decisionMaker ? ' <span class="px-1.5 py-0.5 text-xs rounded bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300">decision maker</span>' : ''}`;
+  }
+  return `<strong>${escapeHtml(candidate.value)}</strong> <span class="text-gray-500 dark:text-gray-400">· ${escapeHtml(candidate.context)}</span>`;
+}
+
+/**
+ * Render candidates with accept/reject buttons into a container
+ * @param {HTMLElement} container
+ * @param {IntakeCandidates} candidates - Consumed as the user accepts or rejects
+ * @returns {void}
+ */
+export function renderIntakeSuggestions(container, candidates) {
+  // Likely decision makers first, so accepting the top person fills the decision maker fields
+  candidates.people.sort((a, b) => Number(b.decisionMaker) - Number(a.decisionMaker));
+
+  const render = () => {
+    const sections = SECTIONS.filter(s => candidates[s.kind].length);
+    container.classList.remove('hidden');
+    container.innerHTML = sections.length === 0 ? `
+        <p class="text-sm text-gray-500 dark:text-gray-400">No more suggestions. Add transcripts, notes or attachments and try again.</p>
+    ` : sections.map(({ kind, title, target }) => `
+        <div class="mb-4">
+            <h4 class="text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">${title} <span class="font-normal text-gray-500 dark:text-gray-400">→ ${target}</span></h4>
+            <ul class="space-y-2">
+                ${candidates[kind].map((candidate, index) => `
+                <li class="intake-candidate flex items-start gap-3 p-2 bg-gray-50 dark:bg-gray-900 rounded-lg text-sm text-gray-700 dark:text-gray-300" data-kind="${kind}" data-index="${index}">
+                    <span class="flex-1">${describeCandidate(kind, candidate)}</span>
+                    <button type="button" class="intake-accept-btn px-2 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700">Accept</button>
+                    <button type="button" class="intake-reject-btn px-2 py-1 text-xs bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded hover:bg-gray-300 dark:hover:bg-gray-600">Reject</button>
+                </li>
+                `).join('')}
+            </ul>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.intake-candidate').forEach(item => {
+      const { kind, index } = /** @type {HTMLElement} */ (item).dataset;
+      const take = () => candidates[kind].splice(Number(index), 1)[0];
+      item.querySelector('.intake-accept-btn').addEventListener('click', () => {
+        applyCandidate(kind, take());
+        render();
+      });
+      item.querySelector('.intake-reject-btn').addEventListener('click', () => {
+        take();
+        render();
+      });
+    });
+  };
+
+  render();
+}
@@ -0,0 +1,192 @@
+/**
+ * Schema Migrations Module
+ * Brings stored and imported proposal records up to the current schema.
+ *
+ * Each migration has a version number matching the IndexedDB version that
+ * introduced it. `upgradeStore` changes the proposals store (indexes) and
+ * runs in `onupgradeneeded`; `migrate` rewrites one record and runs both
+ * during the upgrade and when importing exported JSON. Records carry the
+ * `schemaVersion` they were last migrated to (1 if absent).
+ * @module migrations
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version this migration produces
+ * @property {string} description - What the migration changes
+ * @property {(store: IDBObjectStore) => void} [upgradeStore] - Structural changes to the proposals store
+ * @property {(project: Object) => Object} migrate - Rewrite one record (receives a copy; may mutate it)
+ */
+
+/** Legacy dealership field names and their canonical organization equivalents */
+const LEGACY_FIELD_NAMES = {
+  dealershipName: 'organizationName',
+  dealershipLocation: 'organizationLocation',
+  storeCount: 'siteCount'
+};
+
+/**
+ * v2: rename dealership fields to organization fields
+ * @param {Object} project
+ * @returns {Object}
+ */
+function renameOrganizationFields(project) {
+  for (const [legacy, canonical] of Object.entries(LEGACY_FIELD_NAMES)) {
+    if (legacy in project) {
+      if (!project[canonical]) project[canonical] = project[legacy];
+      delete project[legacy];
+    }
+  }
+  return project;
+}
+
+/**
+ * v3: store phase data only as `phases` keyed by phase number, mirrored in
+ * the flat `phaseN_output` fields, and the current phase only as `phase`
+ * @param {Object} project
+ * @returns {Object}
+ */
+function normalizePhases(project) {
+  /** @type {Object.<string, Object>} */
+  const phases = {};
+  if (Array.isArray(project.phases)) {
+    project.phases.forEach((data, index) => {
+      if (data) phases[index + 1] = data;
+    });
+  } else if (project.phases && typeof project.phases === 'object') {
+    Object.assign(phases, project.phases);
+  }
+
+  // Flat outputs without a phase record (the oldest format)
+  for (const key of Object.keys(project)) {
+    const match = key.match(/^phase(\d+)_output$/);
+    if (match && !phases[match[1]]) phases[match[1]] = {};
+  }
+
+  for (const [number, data] of Object.entries(phases)) {
+    const response = data.response || project[`phase${number}_output`] || '';
+    phases[number] = {
+      ...data,
+      prompt: data.prompt || '',
+      response,
+      completed: data.completed ?? Boolean(response)
+    };
+    project[`phase${number}_output`] = response;
+  }
+  project.phases = phases;
+
+  if (!project.phase) project.phase = project.currentPhase || 1;
+  delete project.currentPhase;
+  return project;
+}
+
+/**
+ * v5: give every record tags, a folder and a sales status. Proposals are
+ * Draft as of the day they were created.
+ * @param {Object} project
+ * @returns {Object}
+ */
+function addTrackingFields(project) {
+  if (!Array.isArray(project.tags)) project.tags = [];
+  if (typeof project.folder !== 'string') project.folder = '';
+  if (!project.salesStatus) project.salesStatus = 'draft';
+  if (!project.statusDates) {
+    project.statusDates = project.salesStatus === 'draft' && project.createdAt ? { draft: project.createdAt.slice(0, 10) } : {};
+  }
+  return project;
+}
+
+/** @type {Migration[]} Ordered by version */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Rename dealership fields to organization fields',
+    upgradeStore(store) {
+      if (store.indexNames.contains('dealershipName')) store.deleteIndex('dealershipName');
+      if (!store.indexNames.contains('organizationName')) {
+        store.createIndex('organizationName', 'organizationName', { unique: false });
+      }
+    },
+    migrate: renameOrganizationFields
+  },
+  {
+    version: 3,
+    description: 'Normalize phase data to numbered phase records',
+    migrate: normalizePhases
+  },
+  {
+    // The searchIndex store is created in storage.js; entries are built on first use
+    version: 4,
+    description: 'Add the proposal search index store',
+    migrate: project => project
+  },
+  {
+    version: 5,
+    description: 'Add tags, folders and sales status',
+    upgradeStore(store) {
+      if (!store.indexNames.contains('tags')) store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      if (!store.indexNames.contains('folder')) store.createIndex('folder', 'folder', { unique: false });
+      if (!store.indexNames.contains('salesStatus')) store.createIndex('salesStatus', 'salesStatus', { unique: false });
+    },
+    migrate: addTrackingFields
+  }
+];
+
+/** Current record schema version (also the IndexedDB version) */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Check whether a record predates the current schema
+ * @param {Object} project
+ * @returns {boolean}
+ */
+export function needsMigration(project) {
+  return (project.schemaVersion || 1) < SCHEMA_VERSION;
+}
+
+/**
+ * Bring one proposal record up to the current schema
+ * @param {Object} project - Stored or imported record (not modified)
+ * @returns {import('./types.js').Project} Migrated copy
+ */
+export function migrateProject(project) {
+  const fromVersion = project.schemaVersion || 1;
+  let migrated = JSON.parse(JSON.stringify(project));
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      migrated = migration.migrate(migrated);
+    }
+  }
+  migrated.schemaVersion = Math.max(fromVersion, SCHEMA_VERSION);
+  return migrated;
+}
+
+/**
+ * Run pending migrations inside an `onupgradeneeded` transaction:
+ * structural changes first, then every stored record is rewritten.
+ * @param {IDBTransaction} transaction - The version change transaction
+ * @param {number} oldVersion - Database version before the upgrade (0 for a new database)
+ * @param {string} storeName - Proposals store name
+ * @returns {void}
+ */
+export function runUpgradeMigrations(transaction, oldVersion, storeName) {
+  const store = transaction.objectStore(storeName);
+  for (const migration of MIGRATIONS) {
+    if (migration.version > oldVersion) {
+      migration.upgradeStore?.(store);
+    }
+  }
+
+  // A new database has no records to rewrite
+  if (oldVersion === 0) return;
+
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    if (needsMigration(cursor.value)) {
+      cursor.update(migrateProject(cursor.value));
+    }
+    cursor.continue();
+  };
+}
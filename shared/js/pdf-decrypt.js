@@ -0,0 +1,309 @@
+/**
+ * PDF Decryption Module
+ * Stream decryption for PDFs protected by the Standard security handler
+ * that open without a password. Such files only have an owner password,
+ * which restricts printing or copying; the empty user password still
+ * unlocks the content.
+ *
+ * Supports RC4 (40 to 128-bit), AES-128 and AES-256 (revisions 2 to 6).
+ * AES runs through WebCrypto; MD5 and RC4, which WebCrypto lacks, are
+ * implemented here. Only streams are decrypted, since text extraction
+ * never reads the encrypted strings in object dictionaries.
+ * @module pdf-decrypt
+ */
+
+/**
+ * Decrypts the raw data of one stream object
+ * @callback StreamDecryptor
+ * @param {Uint8Array} data - Encrypted stream data
+ * @param {number} objectNumber
+ * @param {number} generation
+ * @returns {Promise<Uint8Array>}
+ */
+
+/** Pads passwords to 32 bytes (ISO 32000-1, 7.6.3.3); all of it for the empty password */
+const PASSWORD_PADDING = new Uint8Array([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+  0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+
+/** Appended to the object key for AES-128 ("sAlT") */
+const AES_SALT = [0x73, 0x41, 0x6c, 0x54];
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32));
+
+/**
+ * Join byte sequences
+ * @param {...(Uint8Array | number[])} parts
+ * @returns {Uint8Array}
+ */
+function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Bytes of a parsed PDF string
+ * @param {*} value - `{str}` as read by the PDF lexer
+ * @returns {Uint8Array}
+ */
+function stringBytes(value) {
+  return Uint8Array.from(typeof value?.str === 'string' ? value.str : '', ch => ch.charCodeAt(0) & 0xff);
+}
+
+/**
+ * MD5 digest
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function md5(bytes) {
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (bytes.length * 8) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(bytes.length / 0x20000000), true);
+
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  for (let block = 0; block < padded.length; block += 64) {
+    let [a, b, c, d] = state;
+    for (let i = 0; i < 64; i++) {
+      let f, word;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        word = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        word = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        word = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        word = (7 * i) % 16;
+      }
+      const sum = (a + f + MD5_CONSTANTS[i] + view.getUint32(block + word * 4, true)) | 0;
+      const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+    }
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  state.forEach((word, i) => digestView.setUint32(i * 4, word, true));
+  return digest;
+}
+
+/**
+ * RC4 encryption, which is its own inverse
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function rc4(key, data) {
+  const s = Uint8Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+
+  const output = new Uint8Array(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+    output[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return output;
+}
+
+/**
+ * @param {Uint8Array} key
+ * @param {KeyUsage} usage
+ * @returns {Promise<CryptoKey>}
+ */
+function importAesKey(key, usage) {
+  return crypto.subtle.importKey('raw', key, 'AES-CBC', false, [usage]);
+}
+
+/**
+ * Decrypt AES-CBC stream data: a 16-byte IV, then the padded ciphertext
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function aesDecrypt(key, data) {
+  if (data.length <= 16) return new Uint8Array(0);
+  const plain = await crypto.subtle.decrypt({ name: 'AES-CBC', iv: data.subarray(0, 16) }, await importAesKey(key, 'decrypt'), data.subarray(16));
+  return new Uint8Array(plain);
+}
+
+/**
+ * AES-CBC encryption of whole blocks, without padding
+ * @param {Uint8Array} key
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data - A multiple of 16 bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function aesEncryptBlocks(key, iv, data) {
+  const encrypted = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, await importAesKey(key, 'encrypt'), data);
+  // WebCrypto always appends a padding block
+  return new Uint8Array(encrypted, 0, data.length);
+}
+
+/**
+ * AES-CBC decryption of whole blocks, without padding
+ * @param {Uint8Array} key
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data - A multiple of 16 bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function aesDecryptBlocks(key, iv, data) {
+  // WebCrypto only decrypts padded data, so add the block that a full padding block encrypts to
+  const padding = await aesEncryptBlocks(key, data.subarray(-16), new Uint8Array(16).fill(16));
+  const plain = await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, await importAesKey(key, 'decrypt'), concat(data, padding));
+  return new Uint8Array(plain);
+}
+
+/**
+ * Hash of the empty password for revisions 5 and 6 (ISO 32000-2, algorithm 2.B)
+ * @param {Uint8Array} salt - Validation or key salt from /U
+ * @param {number} revision
+ * @returns {Promise<Uint8Array>} 32 bytes
+ */
+async function hashEmptyPassword(salt, revision) {
+  const digest = async (algorithm, data) => new Uint8Array(await crypto.subtle.digest(algorithm, data));
+  let k = await digest('SHA-256', salt);
+  if (revision === 5) return k;
+
+  let e = new Uint8Array(0);
+  for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+    const repeated = new Uint8Array(k.length * 64);
+    for (let i = 0; i < 64; i++) repeated.set(k, i * k.length);
+    e = await aesEncryptBlocks(k.subarray(0, 16), k.subarray(16, 32), repeated);
+    const remainder = e.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    k = await digest(['SHA-256', 'SHA-384', 'SHA-512'][remainder], e);
+  }
+  return k.subarray(0, 32);
+}
+
+/**
+ * File key for revisions 5 and 6, if the empty password is the user password
+ * @param {Object} encrypt - Encryption dictionary
+ * @returns {Promise<Uint8Array | null>}
+ */
+async function getAes256Key(encrypt) {
+  const user = stringBytes(encrypt.U);
+  const userKey = stringBytes(encrypt.UE);
+  if (user.length < 48 || userKey.length < 32) return null;
+
+  const hash = await hashEmptyPassword(user.subarray(32, 40), encrypt.R);
+  if (!bytesEqual(hash, user.subarray(0, 32))) return null;
+  const intermediate = await hashEmptyPassword(user.subarray(40, 48), encrypt.R);
+  return aesDecryptBlocks(intermediate, new Uint8Array(16), userKey.subarray(0, 32));
+}
+
+/**
+ * File key for revisions 2 to 4, if the empty password is the user password
+ * (ISO 32000-1, algorithms 2, 4 and 5)
+ * @param {Object} encrypt - Encryption dictionary
+ * @param {Uint8Array} fileId - First part of the trailer /ID
+ * @param {number} length - Key length in bytes
+ * @returns {Uint8Array | null}
+ */
+function getRc4Key(encrypt, fileId, length) {
+  const revision = encrypt.R;
+  const permissions = encrypt.P | 0;
+  const parts = [
+    PASSWORD_PADDING,
+    stringBytes(encrypt.O).subarray(0, 32),
+    [permissions & 0xff, (permissions >> 8) & 0xff, (permissions >> 16) & 0xff, (permissions >>> 24) & 0xff],
+    fileId
+  ];
+  if (revision >= 4 && encrypt.EncryptMetadata === false) parts.push([0xff, 0xff, 0xff, 0xff]);
+
+  const keyLength = revision === 2 ? 5 : length;
+  let hash = md5(concat(...parts));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, keyLength));
+  }
+  const key = hash.subarray(0, keyLength);
+
+  const user = stringBytes(encrypt.U);
+  if (revision === 2) {
+    return bytesEqual(rc4(key, PASSWORD_PADDING), user.subarray(0, 32)) ? key : null;
+  }
+  let check = rc4(key, md5(concat(PASSWORD_PADDING, fileId)));
+  for (let i = 1; i <= 19; i++) check = rc4(key.map(byte => byte ^ i), check);
+  return bytesEqual(check, user.subarray(0, 16)) ? key : null;
+}
+
+/**
+ * Cipher used for streams
+ * @param {Object} encrypt - Encryption dictionary
+ * @returns {'rc4' | 'aes128' | 'aes256' | 'none' | null} null when unsupported
+ */
+function getStreamCipher(encrypt) {
+  if (encrypt.V === 1 || encrypt.V === 2) return 'rc4';
+  if (encrypt.V !== 4 && encrypt.V !== 5) return null;
+
+  const filter = encrypt.StmF?.name || 'Identity';
+  if (filter === 'Identity') return 'none';
+  const method = encrypt.CF?.[filter]?.CFM?.name;
+  return { None: 'none', V2: 'rc4', AESV2: 'aes128', AESV3: 'aes256' }[method] || null;
+}
+
+/**
+ * Set up stream decryption for a PDF that opens without a password
+ * @param {Object} encrypt - Encryption dictionary as parsed by pdf-extract, with references resolved
+ * @param {Uint8Array} fileId - First part of the trailer /ID
+ * @returns {Promise<StreamDecryptor | null>} null if the file needs a password or uses an unsupported security handler
+ */
+export async function createStreamDecryptor(encrypt, fileId) {
+  if (encrypt?.Filter?.name !== 'Standard') return null;
+  const cipher = getStreamCipher(encrypt);
+  if (cipher === null) return null;
+  if (cipher === 'none') return async (data) => data;
+
+  if (encrypt.R >= 5) {
+    const key = cipher === 'aes256' ? await getAes256Key(encrypt) : null;
+    return key && ((data) => aesDecrypt(key, data));
+  }
+  if (cipher === 'aes256') return null;
+
+  const cryptFilter = encrypt.CF?.[encrypt.StmF?.name];
+  const bits = (cryptFilter?.Length < 40 ? cryptFilter.Length * 8 : cryptFilter?.Length) || encrypt.Length || (encrypt.V === 4 ? 128 : 40);
+  const key = getRc4Key(encrypt, fileId, Math.min(16, Math.max(5, Math.floor(bits / 8))));
+  if (!key) return null;
+
+  return async (data, objectNumber, generation) => {
+    const objectKey = md5(concat(
+      key,
+      [objectNumber & 0xff, (objectNumber >> 8) & 0xff, (objectNumber >> 16) & 0xff, generation & 0xff, (generation >> 8) & 0xff],
+      cipher === 'aes128' ? AES_SALT : []
+    )).subarray(0, Math.min(key.length + 5, 16));
+    return cipher === 'aes128' ? aesDecrypt(objectKey, data) : rc4(objectKey, data);
+  };
+}
@@ -0,0 +1,772 @@
+/**
+ * PDF Text Extraction Module
+ * Offline text extraction for uploaded PDFs (RFPs, requirement documents).
+ *
+ * Reads the page tree, decodes Flate-compressed content and object streams
+ * with the browser's DecompressionStream, maps glyphs through each font's
+ * ToUnicode CMap and rebuilds lines from the text positioning operators.
+ * Lines set noticeably larger than the body text are marked as headings.
+ * Pages that yield no text (scanned or image-only) are reported rather
+ * than guessed at. Encrypted PDFs that open without a password are
+ * decrypted (see pdf-decrypt.js); those that need one have every page
+ * reported as unreadable.
+ * @module pdf-extract
+ */
+
+import { createStreamDecryptor } from './pdf-decrypt.js';
+
+/**
+ * @typedef {Object} PdfPage
+ * @property {number} number - 1-based page number
+ * @property {string} text - Extracted text ('' for unreadable pages)
+ * @property {boolean} readable - Whether any text could be extracted
+ */
+
+/**
+ * @typedef {Object} PdfExtractionResult
+ * @property {string} text - Text of all pages with page markers and markdown headings
+ * @property {PdfPage[]} pages - Per-page results
+ * @property {number} pageCount - Number of pages
+ * @property {number[]} unreadablePages - Pages with content but no extractable text
+ * @property {boolean} passwordProtected - Whether the file needs a password to open, so no page could be read
+ */
+
+/**
+ * @typedef {{ref: [number, number]}} PdfRef
+ */
+
+/**
+ * @typedef {Object} PdfObject
+ * @property {*} value - Parsed object
+ * @property {string} [stream] - Raw stream data (stream objects only)
+ * @property {number} [number] - Object number (objects outside object streams only)
+ * @property {number} [generation] - Generation number (objects outside object streams only)
+ */
+
+/** Characters that end a PDF token */
+const DELIMITERS = '()<>[]{}/%';
+const WHITESPACE = ' \t\r\n\f\0';
+
+/**
+ * Convert bytes to a string with one character per byte
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBinaryString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode.apply(null, Array.from(bytes.subarray(i, i + 0x8000)));
+  }
+  return result;
+}
+
+/**
+ * Convert a one-character-per-byte string back to bytes
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function binaryStringToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+/**
+ * Inflate zlib data. Data after the end of the compressed stream is ignored,
+ * since PDF writers often leave padding bytes.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(bytes) {
+  const stream = new DecompressionStream('deflate');
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+  } catch (error) {
+    if (chunks.length === 0) throw error;
+  }
+
+  const output = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * Tokenizer and object parser for PDF syntax (also used for content streams)
+ */
+class PdfLexer {
+  /**
+   * @param {string} data - Binary string
+   * @param {number} [pos=0] - Start offset
+   */
+  constructor(data, pos = 0) {
+    this.data = data;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const { data } = this;
+    while (this.pos < data.length) {
+      const ch = data[this.pos];
+      if (WHITESPACE.includes(ch)) {
+        this.pos++;
+      } else if (ch === '%') {
+        while (this.pos < data.length && data[this.pos] !== '\n' && data[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the next value or operator
+   * @returns {*} Parsed value, `{op}` for operators, or undefined at the end
+   */
+  next() {
+    this.skipWhitespace();
+    const { data } = this;
+    if (this.pos >= data.length) return undefined;
+    const ch = data[this.pos];
+
+    if (ch === '/') return { name: this.readName() };
+    if (ch === '(') return this.readString();
+    if (ch === '<') {
+      if (data[this.pos + 1] === '<') {
+        this.pos += 2;
+        return this.readDict();
+      }
+      return this.readHexString();
+    }
+    if (ch === '[') {
+      this.pos++;
+      const items = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (this.pos >= data.length) return items;
+        if (data[this.pos] === ']') {
+          this.pos++;
+          return this.collapseRefs(items);
+        }
+        items.push(this.next());
+      }
+    }
+    if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') {
+      this.pos++;
+      return { op: ch };
+    }
+
+    const start = this.pos;
+    while (this.pos < data.length && !WHITESPACE.includes(data[this.pos]) && !DELIMITERS.includes(data[this.pos])) this.pos++;
+    const word = data.slice(start, this.pos);
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return { op: word };
+  }
+
+  readName() {
+    const start = ++this.pos;
+    while (this.pos < this.data.length && !WHITESPACE.includes(this.data[this.pos]) && !DELIMITERS.includes(this.data[this.pos])) this.pos++;
+    return this.data.slice(start, this.pos).replace(/#([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readString() {
+    const { data } = this;
+    let depth = 1;
+    let result = '';
+    this.pos++;
+    while (this.pos < data.length) {
+      const ch = data[this.pos++];
+      if (ch === '\\') {
+        const esc = data[this.pos++];
+        const simple = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (esc in simple) {
+          result += simple[esc];
+        } else if (esc >= '0' && esc <= '7') {
+          let octal = esc;
+          while (octal.length < 3 && data[this.pos] >= '0' && data[this.pos] <= '7') octal += data[this.pos++];
+          result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (esc === '\r') {
+          if (data[this.pos] === '\n') this.pos++;
+        } else if (esc !== '\n') {
+          result += esc;
+        }
+      } else if (ch === '(') {
+        depth++;
+        result += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) break;
+        result += ch;
+      } else {
+        result += ch;
+      }
+    }
+    return { str: result };
+  }
+
+  readHexString() {
+    const end = this.data.indexOf('>', this.pos);
+    const hex = this.data.slice(this.pos + 1, end === -1 ? undefined : end).replace(/[^0-9a-f]/gi, '');
+    this.pos = end === -1 ? this.data.length : end + 1;
+    let result = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      result += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+    }
+    return { str: result, hex: true };
+  }
+
+  readDict() {
+    const dict = {};
+    for (;;) {
+      this.skipWhitespace();
+      if (this.pos >= this.data.length) return dict;
+      if (this.data.startsWith('>>', this.pos)) {
+        this.pos += 2;
+        return dict;
+      }
+      const key = this.next();
+      if (!key?.name) continue;
+      const value = this.next();
+      // Indirect reference: "N G R"
+      if (typeof value === 'number') {
+        const save = this.pos;
+        const gen = this.next();
+        const r = this.next();
+        if (typeof gen === 'number' && r?.op === 'R') {
+          dict[key.name] = { ref: [value, gen] };
+          continue;
+        }
+        this.pos = save;
+      }
+      dict[key.name] = value;
+    }
+  }
+
+  /**
+   * Turn "N G R" sequences inside arrays into references
+   * @param {Array} items
+   * @returns {Array}
+   */
+  collapseRefs(items) {
+    const result = [];
+    for (let i = 0; i < items.length; i++) {
+      if (typeof items[i] === 'number' && typeof items[i + 1] === 'number' && items[i + 2]?.op === 'R') {
+        result.push({ ref: [items[i], items[i + 1]] });
+        i += 2;
+      } else {
+        result.push(items[i]);
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Indirect objects of a PDF file, including those packed in object streams
+ */
+class PdfDocument {
+  /**
+   * @param {string} data - Binary string of the whole file
+   */
+  constructor(data) {
+    this.data = data;
+    /** @type {Map<number, PdfObject>} */
+    this.objects = new Map();
+    /** @type {import('./pdf-decrypt.js').StreamDecryptor | null} */
+    this.decrypt = null;
+    this.scanObjects();
+  }
+
+  scanObjects() {
+    const { data } = this;
+    const header = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = header.exec(data)) !== null) {
+      const lexer = new PdfLexer(data, match.index + match[0].length);
+      const value = lexer.next();
+      const entry = { value, number: parseInt(match[1]), generation: parseInt(match[2]) };
+
+      lexer.skipWhitespace();
+      if (data.startsWith('stream', lexer.pos)) {
+        let start = lexer.pos + 6;
+        if (data[start] === '\r') start++;
+        if (data[start] === '\n') start++;
+        const length = value?.Length;
+        let end = typeof length === 'number' && data.startsWith('endstream', this.skipEol(start + length))
+          ? start + length
+          : data.indexOf('endstream', start);
+        if (end === -1) end = data.length;
+        entry.stream = data.slice(start, end);
+        header.lastIndex = end;
+      } else {
+        header.lastIndex = lexer.pos;
+      }
+      // Later definitions (incremental updates) replace earlier ones
+      this.objects.set(entry.number, entry);
+    }
+  }
+
+  skipEol(pos) {
+    while (this.data[pos] === '\r' || this.data[pos] === '\n' || this.data[pos] === ' ') pos++;
+    return pos;
+  }
+
+  /**
+   * Set up stream decryption if the file is encrypted
+   * @returns {Promise<boolean>} False if the file needs a password or uses an unsupported security handler
+   */
+  async unlock() {
+    const trailers = [...this.data.matchAll(/trailer\s*<</g)].map(m => new PdfLexer(this.data, m.index + 7).next());
+    // PDF 1.5+ files may keep the trailer entries in a cross-reference stream instead
+    for (const entry of this.objects.values()) {
+      if (entry.value?.Type?.name === 'XRef') trailers.push(entry.value);
+    }
+    const trailer = trailers.reverse().find(t => t?.Encrypt);
+    if (!trailer) return true;
+
+    const encrypt = this.resolve(trailer.Encrypt);
+    const fileId = this.resolve(this.resolve(trailer.ID)?.[0]);
+    this.decrypt = await createStreamDecryptor(
+      Object.fromEntries(Object.entries(encrypt || {}).map(([key, value]) => [key, this.resolve(value)])),
+      binaryStringToBytes(fileId?.str || '')
+    );
+    return this.decrypt !== null;
+  }
+
+  /**
+   * Unpack compressed object streams (PDF 1.5+) into the object table
+   * @returns {Promise<void>}
+   */
+  async loadObjectStreams() {
+    for (const entry of [...this.objects.values()]) {
+      if (entry.value?.Type?.name !== 'ObjStm' || entry.stream === undefined) continue;
+      const decoded = await this.decodeStream(entry);
+      if (decoded === null) continue;
+
+      const count = this.resolve(entry.value.N);
+      const first = this.resolve(entry.value.First);
+      const lexer = new PdfLexer(decoded);
+      const offsets = [];
+      for (let i = 0; i < count; i++) offsets.push([lexer.next(), lexer.next()]);
+
+      for (const [number, offset] of offsets) {
+        if (!this.objects.has(number)) {
+          this.objects.set(number, { value: new PdfLexer(decoded, first + offset).next() });
+        }
+      }
+    }
+  }
+
+  /**
+   * Follow an indirect reference
+   * @param {*} value
+   * @returns {*}
+   */
+  resolve(value) {
+    let current = value;
+    for (let i = 0; i < 10 && current?.ref; i++) {
+      current = this.objects.get(current.ref[0])?.value;
+    }
+    return current;
+  }
+
+  /**
+   * Get the object entry (value and raw stream) for a reference
+   * @param {*} value
+   * @returns {PdfObject | undefined}
+   */
+  entry(value) {
+    return value?.ref ? this.objects.get(value.ref[0]) : undefined;
+  }
+
+  /**
+   * Decrypt and decode a stream's data
+   * @param {PdfObject} entry
+   * @returns {Promise<string | null>} Decoded binary string, or null for unsupported filters and undecryptable data
+   */
+  async decodeStream(entry) {
+    if (entry?.stream === undefined) return null;
+    const filter = this.resolve(entry.value?.Filter);
+    const filters = (Array.isArray(filter) ? filter : filter ? [filter] : []).map(f => this.resolve(f)?.name);
+
+    let data = entry.stream;
+    if (this.decrypt) {
+      try {
+        data = bytesToBinaryString(await this.decrypt(binaryStringToBytes(data), entry.number, entry.generation));
+      } catch {
+        return null;
+      }
+    }
+    for (const name of filters) {
+      if (name === 'FlateDecode' || name === 'Fl') {
+        try {
+          data = bytesToBinaryString(await inflate(binaryStringToBytes(data)));
+        } catch {
+          return null;
+        }
+      } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+        data = new PdfLexer(`<${data.replace(/>.*$/s, '')}>`).readHexString().str;
+      } else {
+        return null;
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Page dictionaries in reading order, each with its inherited resources
+   * @returns {{page: Object, resources: Object}[]}
+   */
+  getPages() {
+    const catalog = [...this.objects.values()].map(e => e.value).find(v => v?.Type?.name === 'Catalog');
+    const pages = [];
+    const seen = new Set();
+
+    const walk = (node, inheritedResources) => {
+      const dict = this.resolve(node);
+      if (!dict || seen.has(dict)) return;
+      seen.add(dict);
+      const resources = this.resolve(dict.Resources) || inheritedResources;
+      if (dict.Type?.name === 'Pages' || Array.isArray(this.resolve(dict.Kids))) {
+        for (const kid of this.resolve(dict.Kids) || []) walk(kid, resources);
+      } else {
+        pages.push({ page: dict, resources: resources || {} });
+      }
+    };
+
+    if (catalog) walk(catalog.Pages, null);
+    if (pages.length === 0) {
+      // No usable page tree: fall back to every page object in file order
+      for (const [, entry] of [...this.objects.entries()].sort((a, b) => a[0] - b[0])) {
+        if (entry.value?.Type?.name === 'Page') {
+          pages.push({ page: entry.value, resources: this.resolve(entry.value.Resources) || {} });
+        }
+      }
+    }
+    return pages;
+  }
+}
+
+/**
+ * Decode a UTF-16BE byte string
+ * @param {string} bytes
+ * @returns {string}
+ */
+function decodeUtf16(bytes) {
+  let result = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    result += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  }
+  return result;
+}
+
+/**
+ * Parse a ToUnicode CMap
+ * @param {string} cmap - Decoded CMap stream
+ * @returns {{map: Map<number, string>, codeLength: number}}
+ */
+export function parseToUnicodeCMap(cmap) {
+  const map = new Map();
+  let codeLength = 1;
+
+  const codespace = cmap.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+  if (codespace) codeLength = Math.max(1, Math.ceil(codespace[1].length / 2));
+
+  const hexToInt = (hex) => parseInt(hex, 16);
+  const hexToStr = (hex) => decodeUtf16(new PdfLexer(`<${hex}>`).readHexString().str);
+
+  for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(hexToInt(src), hexToStr(dst));
+    }
+  }
+  for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, lo, hi, dst] of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+      const start = hexToInt(lo);
+      const end = hexToInt(hi);
+      if (dst.startsWith('[')) {
+        const targets = [...dst.matchAll(/<([0-9a-f]*)>/gi)].map(m => hexToStr(m[1]));
+        targets.forEach((target, i) => map.set(start + i, target));
+      } else {
+        const base = hexToStr(dst.slice(1, -1));
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = start; code <= end && code - start < 0x10000; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - start));
+        }
+      }
+    }
+  }
+  return { map, codeLength };
+}
+
+/**
+ * Build a decoder from a font's string bytes to text
+ * @param {PdfDocument} doc
+ * @param {Object} font - Font dictionary
+ * @returns {Promise<(bytes: string) => string>}
+ */
+async function createFontDecoder(doc, font) {
+  const toUnicode = doc.entry(font?.ToUnicode);
+  if (toUnicode) {
+    const cmap = await doc.decodeStream(toUnicode);
+    if (cmap) {
+      const { map, codeLength } = parseToUnicodeCMap(cmap);
+      return (bytes) => {
+        let text = '';
+        for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+          let code = 0;
+          for (let j = 0; j < codeLength; j++) code = (code << 8) | bytes.charCodeAt(i + j);
+          text += map.get(code) ?? '';
+        }
+        return text;
+      };
+    }
+  }
+  // Composite fonts without a ToUnicode map use glyph ids we cannot map to text
+  if (font?.Subtype?.name === 'Type0') return () => '';
+  // Simple fonts: treat codes as Latin-1 (close to WinAnsi/Standard encoding for text)
+  return (bytes) => Array.from(bytes).filter(isPrintable).join('');
+}
+
+/**
+ * Whether a decoded character belongs in text (drops control codes other than tab and newlines)
+ * @param {string} ch
+ * @returns {boolean}
+ */
+function isPrintable(ch) {
+  const code = ch.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0c || code === 0x0d;
+}
+
+/**
+ * @typedef {Object} TextLine
+ * @property {string} text
+ * @property {number} size - Largest effective font size on the line
+ * @property {boolean} gapBefore - Whether a paragraph gap precedes the line
+ */
+
+/**
+ * Run a page's content stream and collect its text lines
+ * @param {PdfDocument} doc
+ * @param {string} content - Decoded content stream
+ * @param {Object} resources - Page resources
+ * @returns {Promise<TextLine[]>}
+ */
+async function extractLines(doc, content, resources) {
+  const fontDicts = doc.resolve(resources.Font) || {};
+  /** @type {Map<string, (bytes: string) => string>} */
+  const decoders = new Map();
+  const getDecoder = async (name) => {
+    if (!decoders.has(name)) decoders.set(name, await createFontDecoder(doc, doc.resolve(fontDicts[name])));
+    return decoders.get(name);
+  };
+
+  /** @type {TextLine[]} */
+  const lines = [];
+  let line = { text: '', size: 0, gapBefore: false };
+  let decode = (bytes) => bytes;
+  let fontSize = 12;
+  let scale = 1;
+  let leading = 0;
+  let lineY = null;
+  let y = 0;
+
+  const endLine = (gap) => {
+    if (line.text.trim()) lines.push({ ...line, text: line.text.replace(/\s+/g, ' ').trim() });
+    line = { text: '', size: 0, gapBefore: gap || (line.text.trim() === '' && line.gapBefore) };
+  };
+  const moveTo = (newY) => {
+    const size = fontSize * scale || 12;
+    if (lineY !== null && Math.abs(newY - lineY) > size * 0.4) {
+      endLine(Math.abs(newY - lineY) > size * 1.8);
+    }
+    y = newY;
+    lineY = newY;
+  };
+  const show = (text) => {
+    if (!text) return;
+    line.text += text;
+    line.size = Math.max(line.size, Math.abs(fontSize * scale));
+  };
+
+  const lexer = new PdfLexer(content);
+  let operands = [];
+  for (;;) {
+    const token = lexer.next();
+    if (token === undefined) break;
+    if (!token?.op || token.op === ']' || token.op === '>') {
+      operands.push(token);
+      continue;
+    }
+
+    switch (token.op) {
+    case 'BT':
+      // Each text object starts from the identity text matrix
+      y = 0;
+      scale = 1;
+      break;
+    case 'Tf':
+      decode = await getDecoder(operands[0]?.name);
+      fontSize = operands[1] || fontSize;
+      break;
+    case 'Tm':
+      scale = Math.hypot(operands[2] || 0, operands[3] || 0) || 1;
+      moveTo(operands[5] || 0);
+      break;
+    case 'Td':
+    case 'TD':
+      if (token.op === 'TD') leading = -(operands[1] || 0);
+      if (operands[1]) {
+        moveTo(y + operands[1] * scale);
+      } else if ((operands[0] || 0) > 0 && !/\s$/.test(line.text)) {
+        line.text += ' ';
+      }
+      break;
+    case 'TL':
+      leading = operands[0] || 0;
+      break;
+    case 'T*':
+      moveTo(y - (leading || fontSize) * scale);
+      break;
+    case 'Tj':
+      show(decode(operands[0]?.str || ''));
+      break;
+    case '\'':
+    case '"':
+      moveTo(y - (leading || fontSize) * scale);
+      show(decode(operands[operands.length - 1]?.str || ''));
+      break;
+    case 'TJ':
+      for (const part of Array.isArray(operands[0]) ? operands[0] : []) {
+        if (typeof part === 'number') {
+          // Large negative kerning is how many writers encode a word space
+          if (part < -200 && !/\s$/.test(line.text)) line.text += ' ';
+        } else {
+          show(decode(part?.str || ''));
+        }
+      }
+      break;
+    case 'ET':
+      break;
+    case 'ID': {
+      // Inline image data: skip to the end marker
+      const end = content.indexOf('EI', lexer.pos);
+      lexer.pos = end === -1 ? content.length : end + 2;
+      break;
+    }
+    default:
+      break;
+    }
+    operands = [];
+  }
+  endLine(false);
+  return lines;
+}
+
+/**
+ * Turn a page's lines into text, marking lines set larger than the body as headings
+ * @param {TextLine[]} lines
+ * @param {number} bodySize - Most common font size in the document
+ * @returns {string}
+ */
+function formatLines(lines, bodySize) {
+  const output = [];
+  for (const line of lines) {
+    const isHeading = bodySize > 0 && line.text.length <= 120 && !/[.,;:]$/.test(line.text);
+    if (isHeading && line.size >= bodySize * 1.6) {
+      output.push('', `# ${line.text}`, '');
+    } else if (isHeading && line.size >= bodySize * 1.2) {
+      output.push('', `## ${line.text}`, '');
+    } else {
+      if (line.gapBefore && output.length && output[output.length - 1] !== '') output.push('');
+      output.push(line.text);
+    }
+  }
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Find the font size used for most of the text
+ * @param {TextLine[]} lines
+ * @returns {number}
+ */
+function findBodySize(lines) {
+  const weights = new Map();
+  for (const line of lines) {
+    const size = Math.round(line.size * 2) / 2;
+    weights.set(size, (weights.get(size) || 0) + line.text.length);
+  }
+  let best = 0;
+  let bestWeight = -1;
+  for (const [size, weight] of weights) {
+    if (weight > bestWeight || (weight === bestWeight && size < best)) {
+      best = size;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+/**
+ * Extract the text of a PDF
+ * @param {ArrayBuffer | Uint8Array} buffer - PDF file contents
+ * @returns {Promise<PdfExtractionResult>}
+ */
+export async function extractPdfText(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const data = bytesToBinaryString(bytes);
+  if (!data.startsWith('%PDF-')) {
+    throw new Error('Not a PDF file');
+  }
+
+  const doc = new PdfDocument(data);
+  const passwordProtected = !(await doc.unlock());
+  if (!passwordProtected) await doc.loadObjectStreams();
+
+  const pageLines = [];
+  for (const { page, resources } of doc.getPages()) {
+    if (passwordProtected) {
+      pageLines.push([]);
+      continue;
+    }
+    const contents = doc.resolve(page.Contents);
+    const refs = Array.isArray(contents) ? contents : [page.Contents];
+    let content = '';
+    for (const ref of refs) {
+      const decoded = await doc.decodeStream(doc.entry(ref));
+      if (decoded !== null) content += `${decoded}\n`;
+    }
+    pageLines.push(content ? await extractLines(doc, content, resources) : []);
+  }
+
+  const bodySize = findBodySize(pageLines.flat());
+  /** @type {PdfPage[]} */
+  const pages = pageLines.map((lines, index) => {
+    const text = formatLines(lines, bodySize);
+    return { number: index + 1, text, readable: text.replace(/[^\p{L}\p{N}]/gu, '').length > 0 };
+  });
+
+  return {
+    text: pages
+      .map(p => `[Page ${p.number}]\n${p.readable ? p.text : `[No extractable text: ${passwordProtected ? 'the PDF needs a password to open' : 'scanned or image-only page'}]`}`)
+      .join('\n\n'),
+    pages,
+    pageCount: pages.length,
+    unreadablePages: pages.filter(p => !p.readable).map(p => p.number),
+    passwordProtected
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Persona Library Module
+ * Modal for managing the reviewer personas offered for the Phase 2 review panel.
+ * Proposals keep a copy of their panel, so edits here only affect new proposals.
+ * @module persona-library
+ */
+
+import { getPersonaLibrary, savePersona, deletePersona, resetPersonaLibrary } from './personas.js';
+import { escapeHtml, showToast, confirm } from './ui.js';
+
+/**
+ * Show the persona library editor
+ * @param {Function} [onChange] - Called after the library is modified
+ * @returns {Promise<void>}
+ */
+export async function showPersonaLibraryModal(onChange = null) {
+  let library = await getPersonaLibrary();
+  /** @type {string | null} Selected persona id; null while adding a new persona */
+  let selectedId = library[0]?.id ?? null;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white text-sm';
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+  const modal = document.createElement('div');
+  modal.id = 'persona-library-modal';
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+  const changed = async () => {
+    library = await getPersonaLibrary();
+    onChange?.();
+  };
+
+  function render() {
+    const persona = library.find(p => p.id === selectedId) || { id: '', icon: '👤', name: '', role: '', priorities: '' };
+
+    modal.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 class="text-lg font-bold text-gray-900 dark:text-white">👥 Review Panel Personas</h3>
+          <button id="persona-close-btn" class="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none" aria-label="Close">&times;</button>
+        </div>
+        <div class="flex flex-1 overflow-hidden">
+          <ul class="w-56 border-r border-gray-200 dark:border-gray-700 overflow-y-auto p-2 space-y-1">
+            ${library.map(p => `
+              <li>
+                <button class="persona-select-btn w-full text-left px-3 py-2 rounded-lg text-sm ${p.id === selectedId ? 'bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-300' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}" data-persona-id="${escapeHtml(p.id)}">
+                  ${escapeHtml(p.icon)} ${escapeHtml(p.name)}
+                </button>
+              </li>
+            `).join('')}
+            <li>
+              <button id="persona-new-btn" class="w-full text-left px-3 py-2 rounded-lg text-sm text-blue-600 dark:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700 ${selectedId === null ? 'font-semibold' : ''}">+ New persona</button>
+            </li>
+          </ul>
+          <form id="persona-form" class="flex-1 p-4 space-y-4 overflow-y-auto">
+            <div class="grid grid-cols-4 gap-3">
+              <div>
+                <label for="persona-icon" class="${labelClass}">Icon</label>
+                <input type="text" id="persona-icon" class="${inputClass}" value="${escapeHtml(persona.icon)}" maxlength="4">
+              </div>
+              <div class="col-span-3">
+                <label for="persona-name" class="${labelClass}">Name</label>
+                <input type="text" id="persona-name" class="${inputClass}" value="${escapeHtml(persona.name)}" placeholder="e.g., Chief Financial Officer" required>
+              </div>
+            </div>
+            <div>
+              <label for="persona-role" class="${labelClass}">Role on the buying committee</label>
+              <input type="text" id="persona-role" class="${inputClass}" value="${escapeHtml(persona.role)}" placeholder="e.g., Finance">
+            </div>
+            <div>
+              <label for="persona-priorities" class="${labelClass}">What this reviewer scrutinizes first</label>
+              <textarea id="persona-priorities" rows="4" class="${inputClass}" placeholder="e.g., Total cost of ownership, payback period...">${escapeHtml(persona.priorities)}</textarea>
+            </div>
+            <div class="flex justify-between">
+              ${persona.id ? '<button type="button" id="persona-delete-btn" class="px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg">Delete</button>' : '<span></span>'}
+              <button type="submit" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">${persona.id ? 'Save Persona' : 'Add Persona'}</button>
+            </div>
+          </form>
+        </div>
+        <div class="flex justify-between items-center p-4 border-t border-gray-200 dark:border-gray-700">
+          <button id="persona-reset-btn" class="px-4 py-2 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Restore Defaults</button>
+          <button id="persona-done-btn" class="px-6 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Done</button>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('#persona-close-btn').addEventListener('click', closeModal);
+    modal.querySelector('#persona-done-btn').addEventListener('click', closeModal);
+
+    modal.querySelectorAll('.persona-select-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        selectedId = /** @type {HTMLElement} */ (btn).dataset.personaId;
+        render();
+      });
+    });
+
+    modal.querySelector('#persona-new-btn').addEventListener('click', () => {
+      selectedId = null;
+      render();
+    });
+
+    modal.querySelector('#persona-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const value = (id) => /** @type {HTMLInputElement} */ (modal.querySelector(`#${id}`)).value.trim();
+      try {
+        const saved = await savePersona({
+          ...(persona.id && { id: persona.id }),
+          icon: value('persona-icon') || '👤',
+          name: value('persona-name'),
+          role: value('persona-role'),
+          priorities: value('persona-priorities')
+        });
+        selectedId = saved.id;
+        await changed();
+        render();
+        showToast(`Saved ${saved.name}`, 'success');
+      } catch (error) {
+        showToast(error.message, 'error');
+      }
+    });
+
+    modal.querySelector('#persona-delete-btn')?.addEventListener('click', async () => {
+      if (await confirm(`Delete the ${persona.name} persona? Existing proposals keep their panel.`, 'Delete Persona')) {
+        await deletePersona(persona.id);
+        await changed();
+        selectedId = library[0]?.id ?? null;
+        render();
+        showToast('Persona deleted', 'info');
+      }
+    });
+
+    modal.querySelector('#persona-reset-btn').addEventListener('click', async () => {
+      if (await confirm('Restore the built-in personas? Your edits and added personas will be removed.', 'Restore Defaults')) {
+        await resetPersonaLibrary();
+        await changed();
+        selectedId = library[0]?.id ?? null;
+        render();
+        showToast('Personas restored to defaults', 'success');
+      }
+    });
+  }
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+  render();
+  document.body.appendChild(modal);
+}
@@ -0,0 +1,157 @@
+/**
+ * Reviewer Personas Module
+ * Persona library for the multi-persona Phase 2 review panel and
+ * merging of the panel's critiques into a single Phase 2 output.
+ * @module personas
+ */
+
+import storage from './storage.js';
+
+/** Settings key holding the persona library */
+export const PERSONA_LIBRARY_KEY = 'persona-library';
+
+/** @type {import('./types.js').Persona[]} */
+export const DEFAULT_PERSONAS = [
+  {
+    id: 'cfo',
+    name: 'Chief Financial Officer',
+    role: 'Finance',
+    icon: '💰',
+    priorities: 'Total cost of ownership, ROI assumptions, payback period, cash-flow timing, contract liabilities and budget approval.'
+  },
+  {
+    id: 'coo',
+    name: 'Chief Operating Officer',
+    role: 'Operations',
+    icon: '⚙️',
+    priorities: 'Transition disruption, staffing and training load, process changes, vendor support quality and day-to-day reliability.'
+  },
+  {
+    id: 'it',
+    name: 'IT Director',
+    role: 'Technology & Security',
+    icon: '🖥️',
+    priorities: 'Integrations, data migration, security and compliance, vendor lock-in, uptime commitments and the exit path.'
+  },
+  {
+    id: 'end-user',
+    name: 'Front-line User',
+    role: 'Daily user of the current system',
+    icon: '🙋',
+    priorities: 'Whether the pain points are real in daily work, learning curve, workflow changes and what gets worse during the switch.'
+  }
+];
+
+/**
+ * Load the persona library (defaults until the user edits it)
+ * @returns {Promise<import('./types.js').Persona[]>}
+ */
+export async function getPersonaLibrary() {
+  const saved = await storage.getSetting(PERSONA_LIBRARY_KEY);
+  return Array.isArray(saved) ? saved : DEFAULT_PERSONAS.map(p => ({ ...p }));
+}
+
+/**
+ * Derive a persona id from its name, unique within the library
+ * @param {string} name - Persona name
+ * @param {import('./types.js').Persona[]} library - Existing personas
+ * @returns {string}
+ */
+function createPersonaId(name, library) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'persona';
+  let id = base;
+  for (let i = 2; library.some(p => p.id === id); i++) {
+    id = `${base}-${i}`;
+  }
+  return id;
+}
+
+/**
+ * Add or update a persona in the library
+ * @param {Partial<import('./types.js').Persona> & {name: string}} persona - Persona to save (no id = new)
+ * @returns {Promise<import('./types.js').Persona>} Saved persona
+ */
+export async function savePersona(persona) {
+  if (!persona.name?.trim()) {
+    throw new Error('Persona name is required');
+  }
+
+  const library = await getPersonaLibrary();
+  const index = persona.id ? library.findIndex(p => p.id === persona.id) : -1;
+  const saved = {
+    icon: '👤',
+    role: '',
+    priorities: '',
+    ...persona,
+    name: persona.name.trim(),
+    id: index >= 0 ? persona.id : createPersonaId(persona.name, library)
+  };
+
+  if (index >= 0) {
+    library[index] = saved;
+  } else {
+    library.push(saved);
+  }
+  await storage.saveSetting(PERSONA_LIBRARY_KEY, library);
+  return saved;
+}
+
+/**
+ * Remove a persona from the library. Existing proposals keep their copy.
+ * @param {string} personaId
+ * @returns {Promise<void>}
+ */
+export async function deletePersona(personaId) {
+  const library = await getPersonaLibrary();
+  await storage.saveSetting(PERSONA_LIBRARY_KEY, library.filter(p => p.id !== personaId));
+}
+
+/**
+ * Restore the built-in personas, discarding edits
+ * @returns {Promise<import('./types.js').Persona[]>}
+ */
+export async function resetPersonaLibrary() {
+  const library = DEFAULT_PERSONAS.map(p => ({ ...p }));
+  await storage.saveSetting(PERSONA_LIBRARY_KEY, library);
+  return library;
+}
+
+/**
+ * Shift markdown headings down so a critique nests under its persona heading
+ * @param {string} markdown
+ * @param {number} levels - Levels to add
+ * @returns {string}
+ */
+function demoteHeadings(markdown, levels) {
+  return markdown.replace(/^(#{1,6})(\s)/gm, (_, hashes, space) => '#'.repeat(Math.min(6, hashes.length + levels)) + space);
+}
+
+/**
+ * Merge the panel's critiques into the structured PHASE2_OUTPUT block
+ * @param {import('./types.js').Persona[]} panel - Reviewers in panel order
+ * @param {Object.<string, {response: string}>} critiques - Critiques keyed by persona id
+ * @returns {string} Markdown block for the synthesis prompt
+ */
+export function mergePanelCritiques(panel, critiques) {
+  const sections = panel.map(persona => {
+    const critique = critiques[persona.id]?.response?.trim() || '[No critique provided]';
+    return `### ${persona.icon} ${persona.name} (${persona.role})\n\n` +
+      `**Focus:** ${persona.priorities}\n\n` +
+      demoteHeadings(critique, 2);
+  });
+
+  return `**Review panel:** ${panel.map(p => p.name).join(', ')}\n\n` +
+    'Each reviewer critiqued the proposal independently. Address every reviewer\'s objections; ' +
+    'where they conflict, state which concern you prioritized and why.\n\n' +
+    sections.join('\n\n---\n\n');
+}
+
+/**
+ * Check whether every panel member has a saved critique
+ * @param {import('./types.js').Persona[]} panel
+ * @param {Object.<string, {response: string}>} [critiques]
+ * @returns {boolean}
+ */
+export function isPanelComplete(panel, critiques = {}) {
+  return panel.length > 0 && panel.every(p => critiques[p.id]?.response?.trim());
+}
@@ -0,0 +1,160 @@
+/**
+ * Project List Filters Module
+ * Filtering and sorting for the My Proposals list. Works on proposal groups
+ * (an origin with its branches, see groupProjectBranches) so branches stay in
+ * their origin's card: a group is shown when its origin passes the filters
+ * and the origin or one of its branches matches the search.
+ * @module project-list-filters
+ */
+
+import { getProjectPipeline } from './prompts.js';
+import { validateDocument, getScoreColor, getScoreLabel } from '../../validator/js/validator.js';
+import { getSalesStatus, normalizeFolder, WITH_CUSTOMER_STATUSES, NO_FOLDER } from './project-tracking.js';
+
+/** Sort orders, by id */
+export const SORT_OPTIONS = {
+  updated: 'Last updated',
+  created: 'Newest first',
+  score: 'Highest score',
+  organization: 'Organization (A–Z)'
+};
+
+/** Score bands as named by the validator's getScoreLabel(), best first */
+export const SCORE_BANDS = ['Excellent', 'Ready', 'Needs Work', 'Draft', 'Incomplete'];
+
+/** Vendor filter value for proposals without a current vendor */
+export const NO_VENDOR = '__none__';
+
+/** Sales status filter value for proposals that are Sent or Negotiating */
+export const WITH_CUSTOMER = 'with-customer';
+
+/**
+ * @typedef {Object} ProjectListFilters
+ * @property {string} query - Search text
+ * @property {string} phase - Current phase number, or '' for any
+ * @property {'' | 'complete' | 'in-progress'} status - Completion
+ * @property {string} scoreBand - Score band (see SCORE_BANDS), 'unscored', or '' for any
+ * @property {string} vendor - Lower-case current vendor, NO_VENDOR, or '' for any
+ * @property {string} salesStatus - Sales status id, WITH_CUSTOMER, or '' for any
+ * @property {string} folder - Folder name, NO_FOLDER, or '' for any
+ * @property {string} tag - Tag (any case), or '' for any
+ * @property {string} sort - Sort order id (see SORT_OPTIONS)
+ */
+
+/** @type {ProjectListFilters} */
+export const DEFAULT_LIST_FILTERS = {
+  query: '',
+  phase: '',
+  status: '',
+  scoreBand: '',
+  vendor: '',
+  salesStatus: '',
+  folder: '',
+  tag: '',
+  sort: 'updated'
+};
+
+/**
+ * @typedef {Object} ProjectSummary
+ * @property {number[]} phaseNumbers - Phase numbers of the project's pipeline
+ * @property {number} completedPhases - Number of completed phases
+ * @property {boolean} isComplete - Whether every phase is complete
+ * @property {number} currentPhase - Phase the project is on
+ * @property {{ score: number, color: string, label: string } | null} score - Validator score of the final output (complete projects only)
+ */
+
+/**
+ * Work out a project's progress and score for the list
+ * @param {import('./types.js').Project} project
+ * @returns {ProjectSummary}
+ */
+export function summarizeProject(project) {
+  const pipeline = getProjectPipeline(project);
+  const phaseNumbers = pipeline.phases.map(p => p.number);
+  const completedPhases = phaseNumbers.filter(phase => project.phases?.[phase]?.completed).length;
+  const isComplete = completedPhases === pipeline.phaseCount;
+
+  let score = null;
+  const finalResponse = project.phases?.[pipeline.phaseCount]?.response;
+  if (isComplete && finalResponse) {
+    const { totalScore } = validateDocument(finalResponse);
+    score = { score: totalScore, color: getScoreColor(totalScore), label: getScoreLabel(totalScore) };
+  }
+
+  return { phaseNumbers, completedPhases, isComplete, currentPhase: project.phase || 1, score };
+}
+
+/**
+ * List the current vendors named across projects, one spelling each, A–Z
+ * @param {import('./types.js').Project[]} projects
+ * @returns {Array<{ value: string, label: string }>} Filter values (lower-case) with display names
+ */
+export function getVendorOptions(projects) {
+  const vendors = new Map();
+  for (const project of projects) {
+    const name = (project.currentVendor || '').trim();
+    if (name && !vendors.has(name.toLowerCase())) vendors.set(name.toLowerCase(), name);
+  }
+  return [...vendors].map(([value, label]) => ({ value, label })).sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Check a project against the non-search filters
+ * @param {import('./types.js').Project} project
+ * @param {ProjectSummary} summary
+ * @param {ProjectListFilters} filters
+ * @returns {boolean}
+ */
+function passesFilters(project, summary, filters) {
+  if (filters.phase && summary.currentPhase !== Number(filters.phase)) return false;
+  if (filters.status === 'complete' && !summary.isComplete) return false;
+  if (filters.status === 'in-progress' && summary.isComplete) return false;
+  if (filters.scoreBand && (summary.score?.label || 'unscored') !== filters.scoreBand) return false;
+
+  const vendor = (project.currentVendor || '').trim().toLowerCase();
+  if (filters.vendor && (vendor || NO_VENDOR) !== filters.vendor) return false;
+
+  const salesStatus = getSalesStatus(project.salesStatus).id;
+  if (filters.salesStatus === WITH_CUSTOMER) {
+    if (!WITH_CUSTOMER_STATUSES.has(salesStatus)) return false;
+  } else if (filters.salesStatus && salesStatus !== filters.salesStatus) {
+    return false;
+  }
+  if (filters.folder && (normalizeFolder(project.folder) || NO_FOLDER) !== filters.folder) return false;
+  if (filters.tag && !(project.tags || []).some(tag => tag.toLowerCase() === filters.tag.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Keep the groups whose origin passes the filters and that match the search
+ * @param {import('./types.js').ProjectGroup[]} groups
+ * @param {Map<string, ProjectSummary>} summaries - Summary by project id
+ * @param {ProjectListFilters} filters
+ * @param {Set<string> | null} matchingIds - Ids matching the search, or null when not searching
+ * @returns {import('./types.js').ProjectGroup[]}
+ */
+export function filterProjectGroups(groups, summaries, filters, matchingIds) {
+  return groups.filter(({ origin, branches }) =>
+    passesFilters(origin, summaries.get(origin.id), filters) &&
+    (!matchingIds || [origin, ...branches].some(project => matchingIds.has(project.id)))
+  );
+}
+
+/**
+ * Sort groups by their origin. Groups arrive in last-updated order, which is
+ * kept for ties; unscored proposals sort after scored ones.
+ * @param {import('./types.js').ProjectGroup[]} groups
+ * @param {Map<string, ProjectSummary>} summaries - Summary by project id
+ * @param {string} sort - Sort order id (see SORT_OPTIONS)
+ * @returns {import('./types.js').ProjectGroup[]} Sorted copy
+ */
+export function sortProjectGroups(groups, summaries, sort) {
+  const name = (project) => project.organizationName || project.title || '';
+  const score = (project) => summaries.get(project.id)?.score?.score ?? -1;
+  const compare = {
+    created: (a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''),
+    score: (a, b) => score(b) - score(a),
+    organization: (a, b) => name(a).localeCompare(name(b), undefined, { sensitivity: 'base' })
+  }[sort];
+  return compare ? [...groups].sort((a, b) => compare(a.origin, b.origin)) : [...groups];
+}
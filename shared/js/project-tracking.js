@@ -0,0 +1,120 @@
+/**
+ * Project Tracking Module
+ * Organizes proposals outside the phase workflow: free-form tags, a folder,
+ * and where the proposal stands with the customer (its sales status), with
+ * the date it reached each status.
+ * @module project-tracking
+ */
+
+/**
+ * @typedef {'draft' | 'sent' | 'negotiating' | 'won' | 'lost'} SalesStatus
+ */
+
+/** Sales statuses in the order a deal moves through them, with their badge colors */
+export const SALES_STATUSES = [
+  { id: 'draft', label: 'Draft', color: 'gray' },
+  { id: 'sent', label: 'Sent', color: 'blue' },
+  { id: 'negotiating', label: 'Negotiating', color: 'yellow' },
+  { id: 'won', label: 'Won', color: 'green' },
+  { id: 'lost', label: 'Lost', color: 'red' }
+];
+
+/** @type {SalesStatus} */
+export const DEFAULT_SALES_STATUS = 'draft';
+
+/** Statuses of proposals in front of the customer and awaiting a decision */
+export const WITH_CUSTOMER_STATUSES = new Set(['sent', 'negotiating']);
+
+/** Filter value for proposals without a folder */
+export const NO_FOLDER = '__none__';
+
+/**
+ * Look up a sales status, falling back to Draft for unknown ids
+ * @param {string} [id]
+ * @returns {{ id: SalesStatus, label: string, color: string }}
+ */
+export function getSalesStatus(id) {
+  return SALES_STATUSES.find(status => status.id === id) || SALES_STATUSES[0];
+}
+
+/**
+ * Parse comma-separated tags: trimmed, without a leading '#', one of each
+ * regardless of case (the first spelling wins)
+ * @param {string | string[]} input - Comma-separated text or a tag list
+ * @returns {string[]}
+ */
+export function parseTags(input) {
+  const raw = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = new Map();
+  for (const value of raw) {
+    const tag = String(value).trim().replace(/^#+/, '').replace(/\s+/g, ' ');
+    if (tag && !tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+  }
+  return [...tags.values()];
+}
+
+/**
+ * Clean up a folder name
+ * @param {string} [folder]
+ * @returns {string} Trimmed name with single spaces ('' for no folder)
+ */
+export function normalizeFolder(folder) {
+  return String(folder || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Today's date as YYYY-MM-DD in local time
+ * @returns {string}
+ */
+export function today() {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+}
+
+/**
+ * Date the project reached its current sales status
+ * @param {import('./types.js').Project} project
+ * @returns {string} YYYY-MM-DD, or '' when not recorded
+ */
+export function getStatusDate(project) {
+  return project.statusDates?.[getSalesStatus(project.salesStatus).id] || '';
+}
+
+/**
+ * Work out the tracking fields to save from the edit form
+ * @param {import('./types.js').Project} project - Project before the edit
+ * @param {Object} input - Form values
+ * @param {string} [input.tags] - Comma-separated tags
+ * @param {string} [input.folder] - Folder name
+ * @param {string} [input.salesStatus] - Sales status id
+ * @param {string} [input.statusDate] - YYYY-MM-DD the status was reached (today if empty)
+ * @returns {Pick<import('./types.js').Project, 'tags' | 'folder' | 'salesStatus' | 'statusDates'>}
+ */
+export function buildTrackingUpdate(project, { tags, folder, salesStatus, statusDate }) {
+  const status = getSalesStatus(salesStatus).id;
+  return {
+    tags: parseTags(tags),
+    folder: normalizeFolder(folder),
+    salesStatus: status,
+    statusDates: { ...project.statusDates, [status]: statusDate || today() }
+  };
+}
+
+/**
+ * List the tags used across projects, one spelling each, A–Z
+ * @param {import('./types.js').Project[]} projects
+ * @returns {string[]}
+ */
+export function getTagOptions(projects) {
+  return parseTags(projects.flatMap(project => project.tags || [])).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * List the folders used across projects, A–Z
+ * @param {import('./types.js').Project[]} projects
+ * @returns {string[]}
+ */
+export function getFolderOptions(projects) {
+  const folders = new Set(projects.map(project => normalizeFolder(project.folder)).filter(Boolean));
+  return [...folders].sort((a, b) => a.localeCompare(b));
+}
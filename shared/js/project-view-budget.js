@@ -0,0 +1,140 @@
+/**
+ * Project View Prompt Budget Module
+ * Shows how much of the phase model's context window the prompt uses, which
+ * inputs take the space, and lets the user pick how an oversized prompt is shrunk.
+ * @module project-view-budget
+ */
+
+import { updateProject } from './projects.js';
+import { measurePromptForPhase } from './workflow.js';
+import { buildIntakeVars } from './prompts.js';
+import { BUDGET_STRATEGIES, DEFAULT_ATTACHMENT_PAGES, buildSummaryPrompt } from './prompt-budget.js';
+import { redactProjectPrompt, restoreProjectResponse, describeRedaction } from './redaction.js';
+import { escapeHtml, showToast, copyToClipboardAsync } from './ui.js';
+
+/**
+ * Bar color for the share of the budget in use
+ * @param {number} ratio - Prompt tokens divided by budget
+ * @returns {string} Tailwind color name
+ */
+function budgetColor(ratio) {
+  if (ratio > 1) return 'red';
+  if (ratio > 0.75) return 'yellow';
+  return 'green';
+}
+
+/**
+ * Render the budget panel
+ * @param {import('./prompt-budget.js').BudgetReport} report
+ * @param {import('./prompt-budget.js').PromptBudgetSettings} settings
+ * @param {boolean} open - Whether the details element starts expanded
+ * @returns {string} HTML string
+ */
+export function renderPromptBudget(report, settings, open) {
+  const strategy = settings.strategy || 'none';
+  const ratio = report.tokens / report.budget;
+  const color = budgetColor(ratio);
+  const tokens = (n) => `~${n.toLocaleString()}`;
+
+  return `
+    <details id="prompt-budget-details" class="mb-6 p-4 bg-gray-50 dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700" ${open ? 'open' : ''}>
+        <summary class="cursor-pointer text-sm text-gray-700 dark:text-gray-300">
+            📏 Prompt size: <strong>${tokens(report.tokens)}</strong> of ${report.budget.toLocaleString()} tokens for ${escapeHtml(report.model)}
+            ${report.overBudget ? '<span class="ml-2 px-2 py-0.5 text-xs rounded bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300">Over budget</span>' : ''}
+            ${report.applied ? `<span class="ml-2 px-2 py-0.5 text-xs rounded bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300">Shortened from ${tokens(report.originalTokens)}</span>` : ''}
+        </summary>
+        <div class="mt-3 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div class="h-full bg-${color}-500" style="width: ${Math.min(100, Math.round(ratio * 100))}%"></div>
+        </div>
+        <ul id="prompt-budget-breakdown" class="mt-3 space-y-1 text-sm text-gray-700 dark:text-gray-300">
+            ${report.breakdown.filter(line => line.tokens > 0).map(line => `
+            <li class="flex justify-between" data-key="${line.key}">
+                <span>${escapeHtml(line.label)}</span>
+                <span class="text-gray-500 dark:text-gray-400">${tokens(line.tokens)} · ${Math.round((line.tokens / Math.max(1, report.tokens)) * 100)}%</span>
+            </li>
+            `).join('')}
+        </ul>
+        <div class="mt-4 flex flex-wrap items-center gap-3">
+            <label for="prompt-budget-strategy" class="text-sm font-medium text-gray-700 dark:text-gray-300">When over budget</label>
+            <select id="prompt-budget-strategy" class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg text-sm dark:bg-gray-700 dark:text-white">
+                ${Object.entries(BUDGET_STRATEGIES).map(([id, s]) => `
+                <option value="${id}" ${id === strategy ? 'selected' : ''} title="${escapeHtml(s.description)}">${escapeHtml(s.label)}</option>
+                `).join('')}
+            </select>
+            ${strategy === 'attachment-pages' ? `
+            <label class="text-sm text-gray-700 dark:text-gray-300">
+                Pages per attachment
+                <input type="number" id="prompt-budget-pages" min="1" value="${settings.attachmentPages || DEFAULT_ATTACHMENT_PAGES}" class="ml-1 w-20 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg text-sm dark:bg-gray-700 dark:text-white">
+            </label>
+            ` : ''}
+        </div>
+        ${strategy === 'summarize' ? `
+        <div class="mt-3 space-y-2">
+            <button id="prompt-budget-summary-copy" class="px-4 py-2 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">📋 Copy Summary Prompt</button>
+            <textarea id="prompt-budget-summary" rows="5" class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-mono dark:bg-gray-700 dark:text-white" placeholder="Paste the summary here...">${escapeHtml(settings.summary || '')}</textarea>
+            <button id="prompt-budget-summary-save" class="px-4 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors">Save Summary</button>
+        </div>
+        ` : ''}
+        ${report.notes.length ? `
+        <ul class="mt-3 text-sm text-gray-600 dark:text-gray-400 list-disc pl-5">
+            ${report.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}
+        </ul>
+        ` : ''}
+    </details>
+  `;
+}
+
+/**
+ * Measure the phase prompt and wire up the budget panel in #prompt-budget-panel
+ * @param {import('./types.js').Project} project - Project data
+ * @param {number} phase - Phase number
+ * @param {Object} handlers
+ * @param {() => Promise<boolean>} handlers.confirmCopy - Resolves true if the user agrees to copy a prompt
+ * @returns {Promise<void>}
+ */
+export async function attachPromptBudgetPanel(project, phase, { confirmCopy }) {
+  const container = document.getElementById('prompt-budget-panel');
+  if (!container) return;
+
+  const { report, formData } = await measurePromptForPhase(project, phase);
+  const settings = project.promptBudget || {};
+  const wasOpen = /** @type {HTMLDetailsElement | null} */ (container.querySelector('#prompt-budget-details'))?.open;
+  container.innerHTML = renderPromptBudget(report, settings, wasOpen ?? report.overBudget);
+
+  const save = async (changes) => {
+    project.promptBudget = { ...settings, ...changes };
+    await updateProject(project.id, { promptBudget: project.promptBudget });
+    await attachPromptBudgetPanel(project, phase, { confirmCopy });
+  };
+
+  container.querySelector('#prompt-budget-strategy').addEventListener('change', (e) => {
+    save({ strategy: /** @type {HTMLSelectElement} */ (e.target).value });
+  });
+
+  container.querySelector('#prompt-budget-pages')?.addEventListener('change', (e) => {
+    const pages = parseInt(/** @type {HTMLInputElement} */ (e.target).value, 10);
+    if (pages > 0) save({ attachmentPages: pages });
+  });
+
+  container.querySelector('#prompt-budget-summary-copy')?.addEventListener('click', async () => {
+    if (!(await confirmCopy())) return;
+    let redactedCount = 0;
+    const promptPromise = redactProjectPrompt(project, buildSummaryPrompt(buildIntakeVars(formData))).then(redacted => {
+      redactedCount = redacted.count;
+      return redacted.text;
+    });
+    copyToClipboardAsync(promptPromise)
+      .then(() => showToast(`Summary prompt copied to clipboard!${describeRedaction(redactedCount)}`, 'success'))
+      .catch((error) => {
+        console.error('Failed to copy prompt:', error);
+        showToast('Failed to copy to clipboard. Please check browser permissions.', 'error');
+      });
+  });
+
+  container.querySelector('#prompt-budget-summary-save')?.addEventListener('click', async () => {
+    const textarea = /** @type {HTMLTextAreaElement} */ (container.querySelector('#prompt-budget-summary'));
+    const summary = await restoreProjectResponse(project.id, textarea.value.trim());
+    await save({ summary });
+    showToast(summary ? 'Summary saved. It replaces the long inputs while the prompt is over budget.' : 'Summary cleared', 'success');
+  });
+}
@@ -6,18 +6,20 @@
 
 import { getPhaseMetadata } from './workflow.js';
 import { computeWordDiff, renderDiffHtml, getDiffStats } from './diff-view.js';
+import { escapeHtml } from './ui.js';
 
 /**
  * Show diff modal with phase selectors
- * @param {Object} phases - Object with phase outputs {1: string, 2: string, 3: string}
+ * @param {Object} phases - Object with phase outputs keyed by phase number
  * @param {number[]} completedPhases - Array of completed phase numbers
+ * @param {string} [pipelineId] - Project pipeline id (default pipeline if omitted)
  */
-export function showDiffModal(phases, completedPhases) {
-  // Build phase names dynamically from WORKFLOW_CONFIG
+export function showDiffModal(phases, completedPhases, pipelineId) {
+  // Build phase names dynamically from the project's pipeline
   const phaseNames = {};
   completedPhases.forEach(p => {
-    const meta = getPhaseMetadata(p);
-    phaseNames[p] = `Phase ${p}: ${meta.name} (${meta.aiModel})`;
+    const meta = getPhaseMetadata(p, pipelineId);
+    phaseNames[p] = `Phase ${p}: ${meta.name} (${escapeHtml(meta.aiModel)})`;
   });
 
   // Default to comparing first two completed phases
@@ -4,12 +4,23 @@
  * @module project-view-events
  */
 
-import { getProject, updatePhase, updateProject, deleteProject } from './projects.js';
+import { getProject, updatePhase, updateProject, deleteProject, startReviewRound, forkProject } from './projects.js';
 import { getPhaseMetadata, generatePromptForPhase, getFinalMarkdown, getExportFilename, detectPromptPaste } from './workflow.js';
 import { showToast, copyToClipboardAsync, showPromptModal, confirm, confirmWithRemember, showDocumentPreviewModal, createActionMenu } from './ui.js';
 import { navigateTo } from './router.js';
 import { renderPhaseContent } from './project-view-phase.js';
 import { showDiffModal } from './project-view-diff.js';
+import { showPromptEditorModal } from './prompt-editor.js';
+import { getProjectPipeline, getPipeline, isPanelPhase, PERSONA_REVIEW_TEMPLATE } from './prompts.js';
+import { getPhaseTarget } from './ai-targets.js';
+import { runChatCompletion } from './ai-runner.js';
+import { attachPanelEventListeners } from './project-view-panel.js';
+import { attachPromptBudgetPanel } from './project-view-budget.js';
+import { showResponseHistoryDrawer } from './project-view-history.js';
+import { redactProjectPrompt, restoreProjectResponse, describeRedaction } from './redaction.js';
+import { attachClarificationThreadListeners } from './project-view-thread.js';
+import { checkResponse, getDisabledResponseChecks, disableResponseChecks } from './response-sanity.js';
+import { showTrashedToast } from './trash-view.js';
 
 // Injected helpers to avoid circular imports
 let extractTitleFromMarkdownFn = null;
@@ -36,6 +47,7 @@ export function attachPhaseEventListeners(project, phase) {
   const saveResponseBtn = document.getElementById('save-response-btn');
   const responseTextarea = document.getElementById('response-textarea');
   const nextPhaseBtn = document.getElementById('next-phase-btn');
+  const confirmCopy = () => confirmExternalAIWarning(project, phase);
 
   /**
    * Enable workflow progression after prompt is copied
@@ -59,39 +71,22 @@ export function attachPhaseEventListeners(project, phase) {
 
   // CRITICAL: Safari transient activation fix - call copyToClipboardAsync synchronously
   copyPromptBtn?.addEventListener('click', async () => {
-    const warningAcknowledged = localStorage.getItem('external-ai-warning-acknowledged');
-
-    if (!warningAcknowledged) {
-      const result = await confirmWithRemember(
-        'You are about to copy a prompt that may contain proprietary data.\n\n' +
-                '• This prompt will be pasted into an external AI service (Claude/Gemini)\n' +
-                '• Data sent to these services is processed on third-party servers\n' +
-                '• For sensitive documents, use an internal tool like LibreGPT instead\n\n' +
-                'Do you want to continue?',
-        'External AI Warning',
-        { confirmText: 'Copy Prompt', cancelText: 'Cancel' }
-      );
-
-      if (!result.confirmed) {
-        showToast('Copy cancelled', 'info');
-        return;
-      }
-
-      if (result.remember) {
-        localStorage.setItem('external-ai-warning-acknowledged', 'true');
-      }
-    }
+    if (!(await confirmCopy())) return;
 
     let generatedPrompt = null;
+    let redactedCount = 0;
     const promptPromise = (async () => {
       const prompt = await generatePromptForPhase(project, phase);
       generatedPrompt = prompt;
-      return prompt;
+      // The stored prompt keeps the real values; only the copy is redacted
+      const redacted = await redactProjectPrompt(project, prompt);
+      redactedCount = redacted.count;
+      return redacted.text;
     })();
 
     copyToClipboardAsync(promptPromise)
       .then(() => {
-        showToast('Prompt copied to clipboard!', 'success');
+        showToast(`Prompt copied to clipboard!${describeRedaction(redactedCount)}`, 'success');
         return enableWorkflowProgression(generatedPrompt);
       })
       .catch((error) => {
@@ -106,11 +101,44 @@ export function attachPhaseEventListeners(project, phase) {
     if (saveResponseBtn) {
       saveResponseBtn.disabled = !hasEnoughContent;
     }
+    const logQuestionsBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('log-questions-btn'));
+    if (logQuestionsBtn) {
+      logQuestionsBtn.disabled = !hasEnoughContent;
+    }
+  });
+
+  // Clarifying questions asked by the AI before it answers
+  attachClarificationThreadListeners(project, phase, {
+    confirmCopy,
+    onChange: (updated) => {
+      updated.phase = phase;
+      document.getElementById('phase-content').innerHTML = renderPhaseContent(updated, phase);
+      attachPhaseEventListeners(updated, phase);
+    }
   });
 
+  // Prompt size against the phase model's budget (measured asynchronously)
+  attachPromptBudgetPanel(project, phase, { confirmCopy })
+    .catch(error => console.error('Failed to measure prompt:', error));
+
   // Save response handler
   attachSaveResponseHandler(project, phase, saveResponseBtn, responseTextarea);
 
+  // Run against the local AI endpoint (only rendered when enabled)
+  attachRunPhaseHandler(project, phase, responseTextarea, saveResponseBtn);
+
+  // Review panel phases: one prompt and critique per persona
+  if (isPanelPhase(project, phase)) {
+    attachPanelEventListeners(project, phase, {
+      confirmCopy,
+      confirmSave: (response, persona) => confirmResponseChecks(project, phase, response, persona),
+      onSaved: (updated) => {
+        document.getElementById('phase-content').innerHTML = renderPhaseContent(updated, phase);
+        attachPhaseEventListeners(updated, phase);
+      }
+    });
+  }
+
   // Next phase button
   if (nextPhaseBtn && project.phases && project.phases[phase] && project.phases[phase].completed) {
     nextPhaseBtn.addEventListener('click', async () => {
@@ -130,10 +158,46 @@ export function attachPhaseEventListeners(project, phase) {
   // Export button
   attachExportHandler(project);
 
+  // Another review round (completion banner)
+  attachReviewRoundHandler(project);
+
   // Compare phases button
   attachCompareHandler(project);
 }
 
+/**
+ * Warn before a prompt with proprietary data is copied to an external AI service
+ * @param {import('./types.js').Project} project - Project data
+ * @param {import('./types.js').PhaseNumber} phase - Phase whose AI target gets the prompt
+ * @returns {Promise<boolean>} True if the copy should go ahead
+ */
+async function confirmExternalAIWarning(project, phase) {
+  if (localStorage.getItem('external-ai-warning-acknowledged')) {
+    return true;
+  }
+
+  const phaseConfig = getPipeline(project.pipelineId).phases.find(p => p.number === phase);
+  const result = await confirmWithRemember(
+    'You are about to copy a prompt that may contain proprietary data.\n\n' +
+            `• This prompt will be pasted into an external AI service (${getPhaseTarget(phaseConfig).name})\n` +
+            '• Data sent to these services is processed on third-party servers\n' +
+            '• For sensitive documents, use an internal tool like LibreGPT instead\n\n' +
+            'Do you want to continue?',
+    'External AI Warning',
+    { confirmText: 'Copy Prompt', cancelText: 'Cancel' }
+  );
+
+  if (!result.confirmed) {
+    showToast('Copy cancelled', 'info');
+    return false;
+  }
+
+  if (result.remember) {
+    localStorage.setItem('external-ai-warning-acknowledged', 'true');
+  }
+  return true;
+}
+
 /**
  * Attach save response handler
  */
@@ -141,42 +205,150 @@ function attachSaveResponseHandler(project, phase, saveResponseBtn, responseText
   saveResponseBtn?.addEventListener('click', async () => {
     const response = responseTextarea.value.trim();
     if (response && response.length >= 3) {
-      const promptCheck = detectPromptPaste(response);
-      if (promptCheck.isPrompt) {
-        showToast(promptCheck.reason, 'error');
-        return;
+      await saveResponse(project, phase, response);
+    } else {
+      showToast('Please enter at least 3 characters', 'warning');
+    }
+  });
+}
+
+/**
+ * Warn about a response that looks like the wrong thing to save and let the user go back.
+ * Checks the user turned off are skipped.
+ * @param {import('./types.js').Project} project - Project data
+ * @param {number} phase - Phase the response belongs to
+ * @param {string} response - Response text
+ * @param {import('./types.js').Persona} [persona] - Panel member the critique is from
+ * @returns {Promise<boolean>} True if the response should be saved
+ */
+async function confirmResponseChecks(project, phase, response, persona) {
+  const meta = getPhaseMetadata(phase, project.pipelineId);
+  const earlierOutputs = [];
+  for (let n = 1; n < phase; n++) {
+    earlierOutputs.push({ phase: n, name: getPhaseMetadata(n, project.pipelineId)?.name || '', text: project.phases?.[n]?.response || '' });
+  }
+
+  const disabled = getDisabledResponseChecks();
+  const issues = checkResponse(response, {
+    template: persona ? PERSONA_REVIEW_TEMPLATE : meta.template,
+    phaseName: `Phase ${phase} (${meta.name})`,
+    aiName: meta.aiModel,
+    earlierOutputs
+  }).filter(issue => !disabled.includes(issue.code));
+  if (!issues.length) return true;
+
+  const result = await confirmWithRemember(
+    `${issues.map(issue => `• ${issue.message}`).join('\n\n')}\n\nSave it anyway?`,
+    'Check This Response',
+    { confirmText: 'Save Anyway', cancelText: 'Go Back', checkboxLabel: 'Don\'t warn me about this again' }
+  );
+  if (result.confirmed && result.remember) {
+    disableResponseChecks(issues.map(issue => issue.code));
+  }
+  return result.confirmed;
+}
+
+/**
+ * Save a phase response and move the view on to the next phase
+ * @param {import('./types.js').Project} project - Project data
+ * @param {number} phase - Phase the response belongs to
+ * @param {string} response - Response text
+ * @param {string} [prompt] - Prompt that produced the response (defaults to the stored prompt)
+ * @param {import('./types.js').ResponseSource} [source] - Where the response came from (pasted/edited if omitted)
+ * @returns {Promise<void>}
+ */
+async function saveResponse(project, phase, response, prompt = project.phases[phase]?.prompt || '', source) {
+  response = await restoreProjectResponse(project.id, response);
+  const promptCheck = detectPromptPaste(response);
+  if (promptCheck.isPrompt) {
+    showToast(promptCheck.reason, 'error');
+    return;
+  }
+  if (!(await confirmResponseChecks(project, phase, response))) return;
+
+  try {
+    await updatePhase(project.id, phase, prompt, response, { source });
+
+    if (phase < getProjectPipeline(project).phaseCount) {
+      showToast('Response saved! Moving to next phase...', 'success');
+      const updatedProject = await getProject(project.id);
+      updatedProject.phase = phase + 1;
+      updatePhaseTabStylesFn(phase + 1);
+      document.getElementById('phase-content').innerHTML = renderPhaseContent(updatedProject, phase + 1);
+      attachPhaseEventListeners(updatedProject, phase + 1);
+    } else {
+      // Final phase complete - extract and update project title if changed
+      const extractedTitle = extractTitleFromMarkdownFn(response);
+      if (extractedTitle && extractedTitle !== project.organizationName) {
+        await updateProject(project.id, {
+          organizationName: extractedTitle,
+          title: `Proposal - ${extractedTitle}`
+        });
+        showToast(`Phase ${phase} complete! Title updated to "${extractedTitle}"`, 'success');
+      } else {
+        showToast(`Phase ${phase} complete! Your proposal is ready.`, 'success');
       }
+      renderProjectViewFn(project.id);
+    }
+  } catch (error) {
+    console.error('Error saving response:', error);
+    showToast(`Failed to save response: ${error.message}`, 'error');
+  }
+}
 
-      try {
-        await updatePhase(project.id, phase, project.phases[phase]?.prompt || '', response);
-
-        if (phase < 3) {
-          showToast('Response saved! Moving to next phase...', 'success');
-          const updatedProject = await getProject(project.id);
-          updatedProject.phase = phase + 1;
-          updatePhaseTabStylesFn(phase + 1);
-          document.getElementById('phase-content').innerHTML = renderPhaseContent(updatedProject, phase + 1);
-          attachPhaseEventListeners(updatedProject, phase + 1);
-        } else {
-          // Phase 3 complete - extract and update project title if changed
-          const extractedTitle = extractTitleFromMarkdownFn(response);
-          if (extractedTitle && extractedTitle !== project.dealershipName) {
-            await updateProject(project.id, {
-              dealershipName: extractedTitle,
-              title: `Proposal - ${extractedTitle}`
-            });
-            showToast(`Phase 3 complete! Title updated to "${extractedTitle}"`, 'success');
-          } else {
-            showToast('Phase 3 complete! Your proposal is ready.', 'success');
-          }
-          renderProjectViewFn(project.id);
+/**
+ * Attach the "Run" handler that sends the phase prompt to the configured
+ * OpenAI-compatible endpoint, streams the reply into the textarea and saves it.
+ * Clicking again while a run is in progress cancels it.
+ */
+function attachRunPhaseHandler(project, phase, responseTextarea, saveResponseBtn) {
+  const runPhaseBtn = document.getElementById('run-phase-btn');
+  if (!runPhaseBtn || !responseTextarea) return;
+
+  const idleLabel = runPhaseBtn.innerHTML;
+  /** @type {AbortController | null} */
+  let controller = null;
+
+  runPhaseBtn.addEventListener('click', async () => {
+    if (controller) {
+      controller.abort();
+      return;
+    }
+
+    controller = new AbortController();
+    runPhaseBtn.innerHTML = '■ Stop';
+
+    try {
+      const prompt = await generatePromptForPhase(project, phase);
+      await updatePhase(project.id, phase, prompt, project.phases?.[phase]?.response || '', { skipAutoAdvance: true });
+
+      responseTextarea.disabled = false;
+      responseTextarea.value = '';
+      const { text: redactedPrompt } = await redactProjectPrompt(project, prompt);
+      const response = await runChatCompletion(redactedPrompt, {
+        signal: controller.signal,
+        onToken: (_token, text) => {
+          responseTextarea.value = text;
+          responseTextarea.scrollTop = responseTextarea.scrollHeight;
         }
-      } catch (error) {
-        console.error('Error saving response:', error);
-        showToast(`Failed to save response: ${error.message}`, 'error');
+      });
+
+      if (response.trim().length < 3) {
+        throw new Error('The endpoint returned an empty response');
       }
-    } else {
-      showToast('Please enter at least 3 characters', 'warning');
+      if (saveResponseBtn) saveResponseBtn.disabled = false;
+      await saveResponse(project, phase, response.trim(), prompt, 'run');
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        showToast('Run cancelled. Partial output kept in the response box.', 'info');
+        if (saveResponseBtn) saveResponseBtn.disabled = responseTextarea.value.trim().length < 3;
+      } else {
+        console.error('Failed to run phase:', error);
+        showToast(`Run failed: ${error.message}`, 'error', 6000);
+      }
+    } finally {
+      controller = null;
+      runPhaseBtn.innerHTML = idleLabel;
     }
   });
 }
@@ -188,7 +360,7 @@ function attachMoreActionsMenu(project, phase) {
   const moreActionsBtn = document.getElementById('more-actions-btn');
   if (!moreActionsBtn) return;
 
-  const meta = getPhaseMetadata(phase);
+  const meta = getPhaseMetadata(phase, project.pipelineId);
   const phaseData = project.phases && project.phases[phase] ? project.phases[phase] : {};
   const hasPrompt = !!phaseData.prompt;
   const menuItems = [];
@@ -197,32 +369,75 @@ function attachMoreActionsMenu(project, phase) {
     menuItems.push({
       label: 'View Prompt',
       icon: '👁️',
-      onClick: () => {
-        showPromptModal(project.phases[phase].prompt, `Phase ${phase}: ${meta.name}`);
+      onClick: async () => {
+        // Show what would be sent, so the modal's copy button is redacted too
+        const { text } = await redactProjectPrompt(project, project.phases[phase].prompt);
+        showPromptModal(text, `Phase ${phase}: ${meta.name}`);
       }
     });
   }
 
+  const historyCount = phaseData.history?.length || 0;
+  if (historyCount > 0) {
+    menuItems.push({
+      label: `Response History (${historyCount})`,
+      icon: '🕘',
+      onClick: () => showResponseHistoryDrawer(project, phase, (updated) => {
+        updated.phase = phase;
+        document.getElementById('phase-content').innerHTML = renderPhaseContent(updated, phase);
+        attachPhaseEventListeners(updated, phase);
+      })
+    });
+  }
+
   menuItems.push({
     label: 'Edit Details',
     icon: '✏️',
     onClick: () => navigateTo('edit', project.id)
   });
 
-  const completedCount = [1, 2, 3].filter(p => project.phases?.[p]?.response).length;
-  if (completedCount >= 2) {
+  if (isPanelPhase(project, phase)) {
+    menuItems.push({
+      label: 'Customize Panel Prompt Template',
+      icon: '🧩',
+      onClick: () => showPromptEditorModal(phase, null, project.pipelineId, PERSONA_REVIEW_TEMPLATE)
+    });
+  } else {
+    menuItems.push({
+      label: 'Customize Prompt Template',
+      icon: '🧩',
+      onClick: () => showPromptEditorModal(phase, null, project.pipelineId)
+    });
+  }
+
+  menuItems.push({
+    label: 'Fork from here',
+    icon: '🌿',
+    onClick: async () => {
+      const kept = phase === 1 ? 'The intake details are' : phase === 2 ? 'Phase 1 is' : `Phases 1-${phase - 1} are`;
+      const confirmed = await confirm(
+        `${kept} copied into a new branch, where Phase ${phase} starts over. This proposal is not changed.`,
+        `Fork at Phase ${phase}?`
+      );
+      if (!confirmed) return;
+      try {
+        const branch = await forkProject(project.id, phase);
+        showToast(`Created ${branch.branchName}`, 'success');
+        navigateTo('project', branch.id);
+      } catch (error) {
+        console.error('Failed to fork proposal:', error);
+        showToast(`Failed to fork proposal: ${error.message}`, 'error');
+      }
+    }
+  });
+
+  const phasesData = getPhaseResponses(project);
+  const completedPhases = Object.entries(phasesData).filter(([, v]) => v).map(([k]) => parseInt(k));
+  if (completedPhases.length >= 2) {
     menuItems.push({
       label: 'Compare Phases',
       icon: '🔄',
-      onClick: () => {
-        const phasesData = {
-          1: project.phases?.[1]?.response || '',
-          2: project.phases?.[2]?.response || '',
-          3: project.phases?.[3]?.response || ''
-        };
-        const completedPhases = Object.entries(phasesData).filter(([, v]) => v).map(([k]) => parseInt(k));
-        showDiffModal(phasesData, completedPhases);
-      }
+      onClick: () => showDiffModal(phasesData, completedPhases, project.pipelineId)
     });
   }
 
@@ -234,15 +449,13 @@ function attachMoreActionsMenu(project, phase) {
     destructive: true,
     onClick: async () => {
       const confirmed = await confirm(
-        '🗑️ Delete Proposal?',
-        'Are you sure you want to delete this proposal? This cannot be undone.',
-        'Delete',
-        'Cancel'
+        'Move this proposal to the trash? You can restore it from the trash.',
+        '🗑️ Delete Proposal?'
       );
       if (confirmed) {
-        await deleteProject(project.id);
-        showToast('Proposal deleted', 'success');
-        navigateTo('');
+        const trashed = await deleteProject(project.id);
+        showTrashedToast(trashed, () => navigateTo('project', project.id));
+        navigateTo('home');
       }
     }
   });
@@ -271,6 +484,26 @@ function attachExportHandler(project) {
   }
 }
 
+/**
+ * Attach "Run Another Review Round" handler
+ */
+function attachReviewRoundHandler(project) {
+  const reviewRoundBtn = document.getElementById('start-review-round-btn');
+  if (reviewRoundBtn) {
+    reviewRoundBtn.addEventListener('click', async () => {
+      try {
+        const updated = await startReviewRound(project.id);
+        const archived = updated.reviewRounds[updated.reviewRounds.length - 1];
+        showToast(`Round ${archived.round} archived (score ${archived.score}). Starting round ${updated.currentRound}.`, 'success');
+        renderProjectViewFn(project.id);
+      } catch (error) {
+        console.error('Failed to start review round:', error);
+        showToast(error.message, 'error');
+      }
+    });
+  }
+}
+
 /**
  * Attach compare phases handler
  */
@@ -278,19 +511,27 @@ function attachCompareHandler(project) {
   const comparePhasesBtn = document.getElementById('compare-phases-btn');
   if (comparePhasesBtn) {
     comparePhasesBtn.addEventListener('click', () => {
-      const phasesData = {
-        1: project.phases?.[1]?.response || '',
-        2: project.phases?.[2]?.response || '',
-        3: project.phases?.[3]?.response || ''
-      };
-
+      const phasesData = getPhaseResponses(project);
       const completedPhases = Object.entries(phasesData).filter(([, v]) => v).map(([k]) => parseInt(k));
       if (completedPhases.length < 2) {
         showToast('At least 2 phases must be completed to compare', 'warning');
         return;
       }
 
-      showDiffModal(phasesData, completedPhases);
+      showDiffModal(phasesData, completedPhases, project.pipelineId);
     });
   }
 }
+
+/**
+ * Collect each pipeline phase's response, keyed by phase number
+ * @param {import('./types.js').Project} project - Project data
+ * @returns {Object.<number, string>}
+ */
+function getPhaseResponses(project) {
+  const responses = {};
+  for (const { number } of getProjectPipeline(project).phases) {
+    responses[number] = project.phases?.[number]?.response || '';
+  }
+  return responses;
+}
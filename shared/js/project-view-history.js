@@ -0,0 +1,131 @@
+/**
+ * Project View Response History Module
+ * Drawer listing every saved response for a phase, with a word diff
+ * between any two versions and restore.
+ * @module project-view-history
+ */
+
+import { restoreResponseVersion } from './projects.js';
+import { getPhaseMetadata } from './workflow.js';
+import { computeWordDiff, renderDiffHtml, getDiffStats } from './diff-view.js';
+import { escapeHtml, showToast, confirm } from './ui.js';
+
+/** Display labels for response sources */
+export const RESPONSE_SOURCE_LABELS = {
+  pasted: { label: 'Pasted', color: 'blue' },
+  edited: { label: 'Edited', color: 'yellow' },
+  imported: { label: 'Imported', color: 'purple' },
+  run: { label: 'Local AI', color: 'indigo' },
+  restored: { label: 'Restored', color: 'green' }
+};
+
+/**
+ * Show the response history drawer for a phase
+ * @param {import('./types.js').Project} project - Project data
+ * @param {number} phase - Phase number
+ * @param {(project: import('./types.js').Project) => void} [onRestore] - Called with the updated project after a restore
+ * @returns {void}
+ */
+export function showResponseHistoryDrawer(project, phase, onRestore = null) {
+  const history = project.phases?.[phase]?.history || [];
+  const meta = getPhaseMetadata(phase, project.pipelineId);
+  const latestIndex = history.length - 1;
+
+  // Compare the previous version with the latest by default
+  let fromIndex = Math.max(0, latestIndex - 1);
+  let toIndex = latestIndex;
+
+  const drawer = document.createElement('div');
+  drawer.id = 'response-history-drawer';
+  drawer.className = 'fixed inset-0 bg-black bg-opacity-50 flex justify-end z-50';
+
+  const close = () => {
+    drawer.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') close();
+  };
+
+  function render() {
+    const diff = computeWordDiff(history[fromIndex]?.response || '', history[toIndex]?.response || '');
+    const stats = getDiffStats(diff);
+
+    drawer.innerHTML = `
+      <aside class="bg-white dark:bg-gray-800 shadow-xl w-full max-w-3xl h-full flex flex-col">
+        <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h3 class="text-lg font-bold text-gray-900 dark:text-white">🕘 Response History</h3>
+            <p class="text-sm text-gray-600 dark:text-gray-400">Phase ${phase}: ${escapeHtml(meta?.name || '')} · ${history.length} version${history.length === 1 ? '' : 's'}</p>
+          </div>
+          <button id="history-close-btn" class="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none" aria-label="Close">&times;</button>
+        </div>
+        <ol class="border-b border-gray-200 dark:border-gray-700 max-h-64 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+          ${history.map((version, index) => ({ version, index })).reverse().map(({ version, index }) => {
+    const source = RESPONSE_SOURCE_LABELS[version.source] || { label: version.source || 'Unknown', color: 'gray' };
+    const words = version.response.trim().split(/\s+/).filter(Boolean).length;
+    return `
+            <li class="flex items-center gap-3 px-4 py-2 text-sm">
+              <label class="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400" title="Compare from">
+                <input type="radio" name="history-from" value="${index}" ${index === fromIndex ? 'checked' : ''}> A
+              </label>
+              <label class="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400" title="Compare to">
+                <input type="radio" name="history-to" value="${index}" ${index === toIndex ? 'checked' : ''}> B
+              </label>
+              <span class="font-medium text-gray-900 dark:text-white">v${index + 1}</span>
+              <span class="px-2 py-0.5 text-xs rounded-full bg-${source.color}-100 dark:bg-${source.color}-900/30 text-${source.color}-700 dark:text-${source.color}-300">${escapeHtml(source.label)}</span>
+              <span class="text-gray-500 dark:text-gray-400">${new Date(version.savedAt).toLocaleString()} · ${words} words</span>
+              <span class="flex-1"></span>
+              ${index === latestIndex
+    ? '<span class="text-xs text-green-600 dark:text-green-400">Current</span>'
+    : `<button class="history-restore-btn text-xs text-blue-600 dark:text-blue-400 hover:underline" data-index="${index}">Restore</button>`}
+            </li>`;
+  }).join('')}
+        </ol>
+        <div class="flex items-center gap-2 px-4 py-2 text-sm">
+          <span class="text-gray-600 dark:text-gray-400">v${fromIndex + 1} → v${toIndex + 1}</span>
+          <span class="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded">+${stats.additions} added</span>
+          <span class="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded">-${stats.deletions} removed</span>
+          <span class="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded">${stats.unchanged} unchanged</span>
+        </div>
+        <div id="history-diff" class="flex-1 overflow-y-auto p-4 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap leading-relaxed">${renderDiffHtml(diff)}</div>
+      </aside>
+    `;
+
+    drawer.querySelector('#history-close-btn').addEventListener('click', close);
+
+    drawer.querySelectorAll('input[name="history-from"], input[name="history-to"]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const target = /** @type {HTMLInputElement} */ (e.target);
+        if (target.name === 'history-from') fromIndex = parseInt(target.value);
+        else toIndex = parseInt(target.value);
+        render();
+      });
+    });
+
+    drawer.querySelectorAll('.history-restore-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const index = parseInt(/** @type {HTMLElement} */ (btn).dataset.index);
+        const confirmed = await confirm(`Restore version ${index + 1}? The current response stays in the history.`, 'Restore Version');
+        if (!confirmed) return;
+
+        try {
+          const updated = await restoreResponseVersion(project.id, phase, index);
+          showToast(`Version ${index + 1} restored`, 'success');
+          close();
+          onRestore?.(updated);
+        } catch (error) {
+          console.error('Failed to restore version:', error);
+          showToast(`Failed to restore version: ${error.message}`, 'error');
+        }
+      });
+    });
+  }
+
+  drawer.addEventListener('click', (e) => {
+    if (e.target === drawer) close();
+  });
+  document.addEventListener('keydown', handleEscape);
+  render();
+  document.body.appendChild(drawer);
+}
@@ -0,0 +1,163 @@
+/**
+ * Project View Review Panel Module
+ * Renders and wires up adversarial phases reviewed by a persona panel:
+ * one prompt and one pasted critique per persona, merged once all are in.
+ * @module project-view-panel
+ */
+
+import { savePanelCritique } from './projects.js';
+import { generatePromptForPhase, detectPromptPaste } from './workflow.js';
+import { escapeHtml, showToast, copyToClipboardAsync } from './ui.js';
+import { redactProjectPrompt, restoreProjectResponse, describeRedaction } from './redaction.js';
+
+/**
+ * Render the review panel steps for a panel phase
+ * @param {import('./types.js').Project} project - Project data
+ * @param {import('./types.js').PhaseConfig} meta - Phase metadata
+ * @param {import('./types.js').PhaseData} phaseData - Phase data
+ * @returns {string} HTML string
+ */
+export function renderPanelSteps(project, meta, phaseData) {
+  const panel = project.reviewPanel || [];
+  const critiques = phaseData.panel || {};
+  const savedCount = panel.filter(p => critiques[p.id]?.response).length;
+
+  return `
+            <div class="mb-4 flex items-center justify-between flex-wrap gap-2">
+                <p class="text-sm text-gray-600 dark:text-gray-400">
+                    Each reviewer gets their own prompt. Paste every critique; they are merged into one review for the synthesis.
+                </p>
+                <span id="panel-progress" class="text-sm font-medium text-gray-700 dark:text-gray-300">${savedCount}/${panel.length} critiques saved</span>
+            </div>
+
+            <div class="space-y-4">
+                ${panel.map(persona => {
+    const critique = critiques[persona.id];
+    return `
+                <div class="panel-persona p-4 border border-gray-200 dark:border-gray-700 rounded-lg" data-persona-id="${escapeHtml(persona.id)}">
+                    <div class="flex items-start justify-between gap-3 mb-3">
+                        <div>
+                            <h4 class="text-lg font-semibold text-gray-900 dark:text-white">
+                                ${escapeHtml(persona.icon)} ${escapeHtml(persona.name)}
+                                <span class="text-sm font-normal text-gray-500 dark:text-gray-400">· ${escapeHtml(persona.role)}</span>
+                            </h4>
+                            <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">${escapeHtml(persona.priorities)}</p>
+                        </div>
+                        ${critique?.response ? '<span class="text-green-500 text-sm whitespace-nowrap">✓ Saved</span>' : ''}
+                    </div>
+                    <div class="flex gap-3 flex-wrap mb-3">
+                        <button class="panel-copy-btn px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium" data-persona-id="${escapeHtml(persona.id)}">
+                            📋 ${critique?.prompt ? 'Copy Prompt Again' : 'Generate & Copy Prompt'}
+                        </button>
+                        <a href="${escapeHtml(meta.aiUrl)}" target="ai-assistant-tab" rel="noopener noreferrer" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm font-medium">
+                            🔗 Open ${escapeHtml(meta.aiModel)}
+                        </a>
+                    </div>
+                    <textarea
+                        class="panel-response w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white font-mono text-sm"
+                        data-persona-id="${escapeHtml(persona.id)}"
+                        rows="6"
+                        placeholder="Paste the ${escapeHtml(persona.name)}'s critique here..."
+                    >${escapeHtml(critique?.response || '')}</textarea>
+                    <div class="mt-2 flex justify-end">
+                        <button class="panel-save-btn px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm" data-persona-id="${escapeHtml(persona.id)}">
+                            Save Critique
+                        </button>
+                    </div>
+                </div>
+                `;
+  }).join('')}
+            </div>
+
+            ${phaseData.completed ? `
+            <details class="mt-4">
+                <summary class="text-sm text-blue-600 dark:text-blue-400 cursor-pointer">Show merged critique (sent to the synthesis)</summary>
+                <pre class="mt-2 p-3 bg-gray-50 dark:bg-gray-900 rounded-lg text-xs text-gray-700 dark:text-gray-300 whitespace-pre-wrap max-h-96 overflow-y-auto">${escapeHtml(phaseData.response)}</pre>
+            </details>
+            ` : ''}
+
+            <div class="mt-4 flex justify-between items-center">
+                ${phaseData.completed ? `
+                    <button id="next-phase-btn" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+                        Next Phase →
+                    </button>
+                ` : `
+                    <span class="text-sm text-gray-600 dark:text-gray-400">
+                        Save a critique from every reviewer to complete this phase
+                    </span>
+                `}
+            </div>
+    `;
+}
+
+/**
+ * Attach copy/save handlers for each panel member
+ * @param {import('./types.js').Project} project - Project data
+ * @param {number} phase - Panel phase number
+ * @param {Object} handlers
+ * @param {() => Promise<boolean>} handlers.confirmCopy - Resolves true if the user agrees to copy a prompt
+ * @param {(response: string, persona: import('./types.js').Persona) => Promise<boolean>} [handlers.confirmSave] - Resolves true if a critique passes the response checks or the user saves it anyway
+ * @param {(project: import('./types.js').Project) => void} handlers.onSaved - Called with the updated project after a save
+ * @returns {void}
+ */
+export function attachPanelEventListeners(project, phase, { confirmCopy, confirmSave, onSaved }) {
+  /** @type {Object.<string, string>} Prompts generated in this view, by persona id */
+  const generatedPrompts = {};
+  const findPersona = (id) => (project.reviewPanel || []).find(p => p.id === id);
+
+  document.querySelectorAll('.panel-copy-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const persona = findPersona(btn.dataset.personaId);
+      if (!persona || !(await confirmCopy())) return;
+
+      let redactedCount = 0;
+      const promptPromise = generatePromptForPhase(project, phase, persona).then(async prompt => {
+        generatedPrompts[persona.id] = prompt;
+        const redacted = await redactProjectPrompt(project, prompt);
+        redactedCount = redacted.count;
+        return redacted.text;
+      });
+
+      copyToClipboardAsync(promptPromise)
+        .then(() => showToast(`${persona.name} prompt copied to clipboard!${describeRedaction(redactedCount)}`, 'success'))
+        .catch((error) => {
+          console.error('Failed to copy prompt:', error);
+          showToast('Failed to copy to clipboard. Please check browser permissions.', 'error');
+        });
+    });
+  });
+
+  document.querySelectorAll('.panel-save-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const persona = findPersona(btn.dataset.personaId);
+      const textarea = /** @type {HTMLTextAreaElement | null} */ (btn.closest('.panel-persona')?.querySelector('.panel-response'));
+      if (!persona || !textarea) return;
+
+      const response = await restoreProjectResponse(project.id, textarea.value.trim());
+      if (response.length < 3) {
+        showToast('Please enter at least 3 characters', 'warning');
+        return;
+      }
+      const promptCheck = detectPromptPaste(response);
+      if (promptCheck.isPrompt) {
+        showToast(promptCheck.reason, 'error');
+        return;
+      }
+      if (confirmSave && !(await confirmSave(response, persona))) return;
+
+      try {
+        const prompt = generatedPrompts[persona.id] ||
+          project.phases[phase]?.panel?.[persona.id]?.prompt ||
+          await generatePromptForPhase(project, phase, persona);
+        const updated = await savePanelCritique(project.id, phase, persona.id, prompt, response);
+        showToast(updated.phases[phase].completed
+          ? `All critiques saved. Phase ${phase} complete!`
+          : `${persona.name} critique saved`, 'success');
+        onSaved(updated);
+      } catch (error) {
+        console.error('Error saving critique:', error);
+        showToast(`Failed to save critique: ${error.message}`, 'error');
+      }
+    });
+  });
+}
@@ -5,7 +5,12 @@
  */
 
 import { getPhaseMetadata } from './workflow.js';
+import { getProjectPipeline, isPanelPhase } from './prompts.js';
+import { isAIRunnerEnabled, getAIRunnerConfig } from './ai-runner.js';
 import { escapeHtml } from './ui.js';
+import { renderPanelSteps } from './project-view-panel.js';
+import { renderClarificationThread } from './project-view-thread.js';
+import { parseCritique, checkCritiqueResolution } from './critique-parser.js';
 import { validateDocument, getScoreColor, getScoreLabel } from '../../validator/js/validator.js';
 
 /**
@@ -15,16 +20,20 @@ import { validateDocument, getScoreColor, getScoreLabel } from '../../validator/
  * @returns {string} HTML string
  */
 export function renderPhaseContent(project, phaseNumber) {
-  const meta = getPhaseMetadata(phaseNumber);
+  const meta = getPhaseMetadata(phaseNumber, project.pipelineId);
+  const { phaseCount } = getProjectPipeline(project);
+  const isFinalPhase = phaseNumber === phaseCount;
   const phaseData = project.phases && project.phases[phaseNumber] ? project.phases[phaseNumber] : { prompt: '', response: '', completed: false };
-  // Color mapping for phases (canonical WORKFLOW_CONFIG doesn't include colors)
-  const colorMap = { 1: 'blue', 2: 'green', 3: 'purple' };
-  const color = colorMap[phaseNumber] || 'blue';
+  const color = meta.color || 'blue';
+  const runnerModel = isAIRunnerEnabled() ? getAIRunnerConfig().model : null;
+  const steps = isPanelPhase(project, phaseNumber)
+    ? renderPanelSteps(project, meta, phaseData)
+    : renderPromptSteps(meta, phaseData, isFinalPhase, runnerModel);
 
-  // Completion banner with inline scoring when Phase 3 is complete
+  // Completion banner with inline scoring when the final phase is complete
   let completionBanner = '';
-  if (phaseNumber === 3 && phaseData.completed) {
-    completionBanner = renderCompletionBanner(phaseData.response || '');
+  if (isFinalPhase && phaseData.completed) {
+    completionBanner = renderCompletionBanner(project, phaseData.response || '');
   }
 
   return `
@@ -39,9 +48,9 @@ export function renderPhaseContent(project, phaseNumber) {
                     <p class="text-gray-600 dark:text-gray-400 mb-2">
                         ${meta.description}
                     </p>
-                    <div class="inline-flex items-center px-3 py-1 bg-${color}-100 dark:bg-${color}-900/20 text-${color}-800 dark:text-${color}-300 rounded-full text-sm">
+                    <div class="inline-flex items-center px-3 py-1 bg-${color}-100 dark:bg-${color}-900/20 text-${color}-800 dark:text-${color}-300 rounded-full text-sm" title="Change the AI used for each phase with 🎯 in the header">
                         <span class="mr-2">🤖</span>
-                        Use with ${meta.aiModel}
+                        Use with ${escapeHtml(meta.aiModel)}
                     </div>
                 </div>
                 <!-- Overflow Menu (top-right) -->
@@ -52,6 +61,23 @@ export function renderPhaseContent(project, phaseNumber) {
                 </button>
             </div>
 
+            <div id="prompt-budget-panel"></div>
+
+            ${steps}
+        </div>
+    `;
+}
+
+/**
+ * Render the copy-prompt and paste-response steps for a single-prompt phase
+ * @param {import('./types.js').PhaseConfig} meta - Phase metadata
+ * @param {import('./types.js').PhaseData} phaseData - Phase data
+ * @param {boolean} isFinalPhase - Whether this is the pipeline's last phase
+ * @param {string | null} runnerModel - Local AI model name when the runner is enabled
+ * @returns {string} HTML string
+ */
+function renderPromptSteps(meta, phaseData, isFinalPhase, runnerModel) {
+  return `
             <!-- Step A: Generate Prompt -->
              <div class="mb-6">
                  <h4 class="text-lg font-semibold text-gray-900 dark:text-white mb-3">
@@ -63,55 +89,68 @@ export function renderPhaseContent(project, phaseNumber) {
                      </button>
                      <a
                          id="open-ai-btn"
-                         href="${meta.aiUrl}"
+                         href="${escapeHtml(meta.aiUrl)}"
                          target="ai-assistant-tab"
                          rel="noopener noreferrer"
                          class="px-6 py-3 bg-green-600 text-white rounded-lg transition-colors font-medium ${phaseData.prompt ? 'hover:bg-green-700' : 'opacity-50 cursor-not-allowed pointer-events-none'}"
                          ${phaseData.prompt ? '' : 'aria-disabled="true"'}
                      >
-                         🔗 Open ${meta.aiModel.includes('Claude') ? 'Claude' : 'Gemini'}
+                         🔗 Open ${escapeHtml(meta.aiModel)}
                      </a>
+                     ${runnerModel ? `
+                     <button id="run-phase-btn" class="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium" title="Send the prompt to your local AI endpoint and stream the reply below">
+                         ⚡ Run with ${escapeHtml(runnerModel)}
+                     </button>
+                     ` : ''}
                  </div>
              </div>
 
+            ${renderClarificationThread(meta, phaseData)}
+
             <!-- Step B: Paste Response -->
             <div>
                 <h4 class="text-lg font-semibold text-gray-900 dark:text-white mb-3">
-                    Step B: Paste ${meta.aiModel}'s Response
+                    Step B: Paste ${escapeHtml(meta.aiModel)}'s Response
                 </h4>
                 <textarea
                     id="response-textarea"
                     rows="12"
                     class="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white font-mono text-sm disabled:opacity-50 disabled:cursor-not-allowed disabled:bg-gray-100 dark:disabled:bg-gray-800"
-                    placeholder="Paste ${meta.aiModel}'s response here..."
+                    placeholder="Paste ${escapeHtml(meta.aiModel)}'s response here..."
                     ${!phaseData.response ? 'disabled' : ''}
                 >${escapeHtml(phaseData.response || '')}</textarea>
 
                 <div class="mt-3 flex justify-between items-center">
-                    ${phaseData.completed && phaseNumber < 3 ? `
+                    ${phaseData.completed && !isFinalPhase ? `
                         <button id="next-phase-btn" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
                             Next Phase →
                         </button>
-                    ` : phaseNumber < 3 ? `
+                    ` : !isFinalPhase ? `
                         <span class="text-sm text-gray-600 dark:text-gray-400">
                             Paste response to complete this phase
                         </span>
                     ` : '<span></span>'}
-                    <button id="save-response-btn" class="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-green-600" ${!phaseData.response || phaseData.response.trim().length < 3 ? 'disabled' : ''}>
-                        Save Response
-                    </button>
+                    <div class="flex gap-2">
+                        <button id="log-questions-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed" title="The AI asked clarifying questions: answer them here before it writes the response" ${!phaseData.response || phaseData.response.trim().length < 3 ? 'disabled' : ''}>
+                            ❓ Log as Questions
+                        </button>
+                        <button id="save-response-btn" class="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-green-600" ${!phaseData.response || phaseData.response.trim().length < 3 ? 'disabled' : ''}>
+                            Save Response
+                        </button>
+                    </div>
                 </div>
             </div>
-        </div>
-    `;
+  `;
 }
 
 /**
  * Render completion banner with inline score
+ * @param {import('./types.js').Project} project - Project data
  * @param {string} content - The document content
  * @returns {string} HTML string
  */
-function renderCompletionBanner(content) {
+function renderCompletionBanner(project, content) {
+  const round = project.currentRound || 1;
   const validationResult = validateDocument(content);
   const scoreColor = getScoreColor(validationResult.totalScore);
   const scoreLabel = getScoreLabel(validationResult.totalScore);
@@ -129,7 +168,7 @@ function renderCompletionBanner(content) {
             <div class="flex items-center justify-between flex-wrap gap-4">
                 <div>
                     <h4 class="text-lg font-semibold text-green-800 dark:text-green-300 flex items-center">
-                        <span class="mr-2">🎉</span> Your Proposal is Complete!
+                        <span class="mr-2">🎉</span> Your Proposal is Complete!${round > 1 ? ` (Round ${round})` : ''}
                     </h4>
                     <p class="text-green-700 dark:text-green-400 mt-1">
                         <strong>Next steps:</strong> Preview & copy, then validate your document.
@@ -139,6 +178,9 @@ function renderCompletionBanner(content) {
                     <button id="export-complete-btn" class="px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium text-lg">
                         📄 Preview & Copy
                     </button>
+                    <button id="start-review-round-btn" class="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium text-lg" title="Archive this round and critique the result again">
+                        🔁 Run Another Review Round
+                    </button>
                     <a href="./validator/" target="_blank" rel="noopener noreferrer" class="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-lg">
                         📋 Full Validation ↗
                     </a>
@@ -149,6 +191,8 @@ function renderCompletionBanner(content) {
 
             ${allIssues.length > 0 && validationResult.totalScore < 70 ? renderIssuesSummary(allIssues) : ''}
 
+            ${renderCritiqueChecklist(getCritiqueResolution(project, content))}
+
             ${renderHelpSection()}
         </div>
     `;
@@ -215,6 +259,61 @@ function renderIssuesSummary(allIssues) {
     `;
 }
 
+/**
+ * Parse the critiques that fed the final phase and check them against the final proposal
+ * @param {import('./types.js').Project} project - Project data
+ * @param {string} content - Final proposal
+ * @returns {import('./critique-parser.js').CritiqueResolution[]}
+ */
+export function getCritiqueResolution(project, content) {
+  const pipeline = getProjectPipeline(project);
+  const finalPhase = pipeline.phases[pipeline.phaseCount - 1];
+  const critiquePhases = [finalPhase.inputs?.PHASE2_OUTPUT ?? []].flat();
+  const issues = critiquePhases
+    .flatMap(n => parseCritique(project.phases?.[n]?.response || ''))
+    .map((issue, index) => ({ ...issue, id: index + 1 }));
+  return checkCritiqueResolution(issues, content);
+}
+
+/**
+ * Render the resolved/unresolved checklist of critique issues
+ * @param {import('./critique-parser.js').CritiqueResolution[]} resolutions
+ * @returns {string} HTML string
+ */
+function renderCritiqueChecklist(resolutions) {
+  if (resolutions.length === 0) return '';
+
+  const severityOrder = { high: 0, medium: 1, low: 2 };
+  const severityColor = { high: 'red', medium: 'yellow', low: 'gray' };
+  const resolvedCount = resolutions.filter(r => r.resolved).length;
+  const sorted = [...resolutions].sort((a, b) =>
+    Number(a.resolved) - Number(b.resolved) || severityOrder[a.issue.severity] - severityOrder[b.issue.severity] || a.issue.id - b.issue.id
+  );
+
+  return `
+            <!-- Critique Resolution -->
+            <div id="critique-checklist" class="mt-4 p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+                <div class="flex items-center justify-between mb-1">
+                    <h5 class="font-semibold text-gray-900 dark:text-white">🧾 Critique Resolution</h5>
+                    <span class="text-sm font-medium ${resolvedCount === resolutions.length ? 'text-green-600 dark:text-green-400' : 'text-gray-700 dark:text-gray-300'}">${resolvedCount}/${resolutions.length} addressed</span>
+                </div>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mb-3">Each issue from the review is checked for its key terms in the final proposal. Unresolved issues are listed first.</p>
+                <ul class="space-y-1 max-h-64 overflow-y-auto">
+                    ${sorted.map(({ issue, resolved, terms, matchedTerms }) => {
+    const color = severityColor[issue.severity];
+    return `
+                    <li class="critique-issue flex items-start gap-2 text-sm ${resolved ? 'text-gray-500 dark:text-gray-400' : 'text-gray-800 dark:text-gray-200'}" data-resolved="${resolved}" title="Matched ${matchedTerms.length}/${terms.length} terms: ${escapeHtml(terms.join(', '))}">
+                        <span aria-label="${resolved ? 'Resolved' : 'Unresolved'}">${resolved ? '✅' : '⬜'}</span>
+                        <span class="px-1.5 py-0.5 text-xs rounded bg-${color}-100 dark:bg-${color}-900/30 text-${color}-700 dark:text-${color}-300">${issue.severity}</span>
+                        <span>#${issue.id} ${escapeHtml(issue.title)} <span class="text-xs text-gray-400 dark:text-gray-500">(${escapeHtml(issue.categoryLabel)})</span></span>
+                    </li>
+                    `;
+  }).join('')}
+                </ul>
+            </div>
+    `;
+}
+
 /**
  * Render help section
  */
@@ -0,0 +1,80 @@
+/**
+ * Project View Review Rounds Module
+ * Renders the round selector and read-only views of archived review rounds
+ * @module project-view-rounds
+ */
+
+import { getPhaseMetadata } from './workflow.js';
+import { escapeHtml, formatDate } from './ui.js';
+import { getScoreColor, getScoreLabel } from '../../validator/js/validator.js';
+
+/**
+ * Render the review round selector (only when at least one round is archived)
+ * @param {import('./types.js').Project} project - Project data
+ * @returns {string} HTML string
+ */
+export function renderRoundSelector(project) {
+  const rounds = project.reviewRounds || [];
+  if (rounds.length === 0) return '';
+
+  const currentRound = project.currentRound || rounds.length + 1;
+
+  return `
+        <div class="mb-4 flex items-center gap-3">
+            <label for="review-round-select" class="text-sm font-medium text-gray-700 dark:text-gray-300">Review round</label>
+            <select id="review-round-select" class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm">
+                <option value="current" selected>Round ${currentRound} (current)</option>
+                ${[...rounds].reverse().map(r => `
+                    <option value="${r.round}">Round ${r.round} · score ${r.score} · ${formatDate(r.completedAt)}</option>
+                `).join('')}
+            </select>
+        </div>
+    `;
+}
+
+/**
+ * Render an archived review round as a read-only record
+ * @param {import('./types.js').Project} project - Project data
+ * @param {number} roundNumber - Round to render
+ * @returns {string} HTML string
+ */
+export function renderArchivedRound(project, roundNumber) {
+  const round = (project.reviewRounds || []).find(r => r.round === roundNumber);
+  if (!round) {
+    return '<p class="text-gray-600 dark:text-gray-400">Round not found.</p>';
+  }
+
+  const scoreColor = getScoreColor(round.score);
+
+  return `
+        <div class="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+            <div class="mb-6 flex items-center justify-between flex-wrap gap-3">
+                <div>
+                    <h3 class="text-2xl font-bold text-gray-900 dark:text-white mb-1">🗂️ Review Round ${round.round}</h3>
+                    <p class="text-sm text-gray-600 dark:text-gray-400">Archived ${new Date(round.completedAt).toLocaleString()} · read-only</p>
+                </div>
+                <span class="px-3 py-1 text-sm font-medium rounded-full bg-${scoreColor}-100 dark:bg-${scoreColor}-900/30 text-${scoreColor}-700 dark:text-${scoreColor}-300">
+                    ${round.score}/100 · ${getScoreLabel(round.score)}
+                </span>
+            </div>
+            <div class="space-y-6">
+                ${Object.entries(round.phases).map(([phaseNumber, data]) => {
+    const meta = getPhaseMetadata(parseInt(phaseNumber), project.pipelineId);
+    return `
+                    <section>
+                        <h4 class="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                            ${meta?.icon || ''} Phase ${phaseNumber}: ${escapeHtml(meta?.name || '')}
+                        </h4>
+                        <p class="text-xs text-gray-500 dark:text-gray-400 mb-2">Saved ${new Date(data.savedAt).toLocaleString()}</p>
+                        <details class="mb-2">
+                            <summary class="text-sm text-blue-600 dark:text-blue-400 cursor-pointer">Show prompt</summary>
+                            <pre class="mt-2 p-3 bg-gray-50 dark:bg-gray-900 rounded-lg text-xs text-gray-700 dark:text-gray-300 whitespace-pre-wrap max-h-64 overflow-y-auto">${escapeHtml(data.prompt || '')}</pre>
+                        </details>
+                        <div class="p-4 bg-gray-50 dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap font-mono max-h-96 overflow-y-auto">${escapeHtml(data.response || '')}</div>
+                    </section>
+                `;
+  }).join('')}
+            </div>
+        </div>
+    `;
+}
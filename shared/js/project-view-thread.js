@@ -0,0 +1,136 @@
+/**
+ * Project View Clarification Thread Module
+ * Renders and wires up a phase's clarifying-question thread: log the AI's
+ * questions from the response box, answer them one by one, and copy the
+ * answers back to the chat. The AI's final answer is saved as the phase
+ * response as usual.
+ * @module project-view-thread
+ */
+
+import { addClarificationTurn, answerClarificationTurn, removeClarificationTurn } from './projects.js';
+import { buildFollowUpMessage } from './clarifications.js';
+import { escapeHtml, showToast, copyToClipboardAsync, confirm } from './ui.js';
+import { redactProjectPrompt, restoreProjectResponse, describeRedaction } from './redaction.js';
+
+/**
+ * Render a phase's clarification thread
+ * @param {import('./types.js').PhaseConfig} meta - Phase metadata
+ * @param {import('./types.js').PhaseData} phaseData - Phase data
+ * @returns {string} HTML string ('' when no questions were logged)
+ */
+export function renderClarificationThread(meta, phaseData) {
+  const thread = phaseData.thread || [];
+  if (thread.length === 0) return '';
+
+  return `
+            <!-- Clarifying Questions -->
+            <div id="clarification-thread" class="mb-6">
+                <h4 class="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                    Clarifying Questions
+                </h4>
+                <p class="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                    Answer ${escapeHtml(meta.aiModel)}'s questions and copy the answers back to the chat. Answered questions are passed on to later phases.
+                </p>
+                <div class="space-y-4">
+                    ${thread.map((turn, turnIndex) => `
+                    <div class="clarification-turn p-4 border border-gray-200 dark:border-gray-700 rounded-lg" data-turn="${turnIndex}">
+                        <div class="flex items-center justify-between gap-3 mb-3">
+                            <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Round ${turnIndex + 1} · ${turn.questions.length} question${turn.questions.length === 1 ? '' : 's'}</span>
+                            ${turn.answeredAt ? '<span class="text-green-500 text-sm whitespace-nowrap">✓ Answered</span>' : ''}
+                        </div>
+                        <div class="space-y-3">
+                            ${turn.questions.map((question, questionIndex) => `
+                            <div>
+                                <label for="clarification-answer-${turnIndex}-${questionIndex}" class="block text-sm text-gray-800 dark:text-gray-200 mb-1">${escapeHtml(question)}</label>
+                                <textarea
+                                    id="clarification-answer-${turnIndex}-${questionIndex}"
+                                    class="clarification-answer w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white text-sm"
+                                    rows="2"
+                                    placeholder="Your answer (leave blank to let the AI assume)"
+                                >${escapeHtml(turn.answers[questionIndex] || '')}</textarea>
+                            </div>
+                            `).join('')}
+                        </div>
+                        <div class="mt-3 flex justify-between items-center">
+                            <button class="clarification-remove-btn text-sm text-red-600 dark:text-red-400 hover:underline" data-turn="${turnIndex}">Remove</button>
+                            <button class="clarification-copy-btn px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium" data-turn="${turnIndex}">
+                                📋 Save & Copy Answers
+                            </button>
+                        </div>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+  `;
+}
+
+/**
+ * Attach the log, answer and remove handlers of the clarification thread
+ * @param {import('./types.js').Project} project - Project data
+ * @param {number} phase - Phase number
+ * @param {Object} handlers
+ * @param {() => Promise<boolean>} handlers.confirmCopy - Resolves true if the user agrees to copy text for an external AI
+ * @param {(project: import('./types.js').Project) => void} handlers.onChange - Called with the updated project after the thread changes
+ * @returns {void}
+ */
+export function attachClarificationThreadListeners(project, phase, { confirmCopy, onChange }) {
+  const logBtn = document.getElementById('log-questions-btn');
+  const responseTextarea = /** @type {HTMLTextAreaElement | null} */ (document.getElementById('response-textarea'));
+
+  logBtn?.addEventListener('click', async () => {
+    const message = responseTextarea?.value.trim() || '';
+    if (message.length < 3) {
+      showToast('Paste the AI\'s questions first', 'warning');
+      return;
+    }
+    try {
+      const updated = await addClarificationTurn(project.id, phase, await restoreProjectResponse(project.id, message));
+      showToast('Questions logged. Answer them, then copy your answers back to the chat.', 'success');
+      onChange(updated);
+    } catch (error) {
+      console.error('Error logging questions:', error);
+      showToast(`Failed to log questions: ${error.message}`, 'error');
+    }
+  });
+
+  document.querySelectorAll('.clarification-copy-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const turnIndex = Number(/** @type {HTMLElement} */ (btn).dataset.turn);
+      const answers = [...document.querySelectorAll(`.clarification-turn[data-turn="${turnIndex}"] .clarification-answer`)]
+        .map(el => /** @type {HTMLTextAreaElement} */ (el).value);
+      if (!(await confirmCopy())) return;
+
+      let updated = null;
+      let redactedCount = 0;
+      const messagePromise = answerClarificationTurn(project.id, phase, turnIndex, answers).then(async saved => {
+        updated = saved;
+        const redacted = await redactProjectPrompt(saved, buildFollowUpMessage(saved.phases[phase].thread[turnIndex]));
+        redactedCount = redacted.count;
+        return redacted.text;
+      });
+
+      copyToClipboardAsync(messagePromise)
+        .then(() => {
+          showToast(`Answers copied! Paste them into the chat.${describeRedaction(redactedCount)}`, 'success');
+          onChange(updated);
+        })
+        .catch((error) => {
+          console.error('Failed to copy answers:', error);
+          showToast('Failed to copy to clipboard. Please check browser permissions.', 'error');
+        });
+    });
+  });
+
+  document.querySelectorAll('.clarification-remove-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const turnIndex = Number(/** @type {HTMLElement} */ (btn).dataset.turn);
+      if (!(await confirm('Remove these questions and their answers? Later phases will no longer see the answers.', 'Remove Questions'))) return;
+      try {
+        onChange(await removeClarificationTurn(project.id, phase, turnIndex));
+      } catch (error) {
+        console.error('Error removing questions:', error);
+        showToast(`Failed to remove questions: ${error.message}`, 'error');
+      }
+    });
+  });
+}
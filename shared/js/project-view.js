@@ -5,12 +5,13 @@
  */
 
 import { getProject } from './projects.js';
-import { getFinalMarkdown, getExportFilename, WORKFLOW_CONFIG } from './workflow.js';
+import { getFinalMarkdown, getExportFilename } from './workflow.js';
 import { escapeHtml, showToast, showDocumentPreviewModal } from './ui.js';
 import { navigateTo } from './router.js';
-import { preloadPromptTemplates } from './prompts.js';
+import { preloadPromptTemplates, getProjectPipeline } from './prompts.js';
 import { renderPhaseContent } from './project-view-phase.js';
 import { attachPhaseEventListeners, setHelpers } from './project-view-events.js';
+import { renderRoundSelector, renderArchivedRound } from './project-view-rounds.js';
 
 // Re-export sub-modules for backward compatibility
 export { renderPhaseContent } from './project-view-phase.js';
@@ -69,10 +70,6 @@ setHelpers({
  * @returns {Promise<void>}
  */
 export async function renderProjectView(projectId) {
-  // Preload prompt templates to avoid network delay on first clipboard operation
-  // Fire-and-forget: don't await, let it run in parallel with project load
-  preloadPromptTemplates().catch(() => {});
-
   const project = await getProject(projectId);
 
   if (!project) {
@@ -81,6 +78,12 @@ export async function renderProjectView(projectId) {
     return;
   }
 
+  // Preload the pipeline's prompt templates to avoid network delay on first clipboard operation
+  // Fire-and-forget: don't await, let it run in parallel with rendering
+  preloadPromptTemplates(project.pipelineId, Boolean(project.reviewPanel?.length)).catch(() => {});
+
+  const pipeline = getProjectPipeline(project);
+
   const container = document.getElementById('app-container');
   container.innerHTML = `
         <div class="mb-6">
@@ -94,14 +97,19 @@ export async function renderProjectView(projectId) {
             <div class="flex items-start justify-between">
                 <div>
                     <h2 class="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-                        ${escapeHtml(project.dealershipName || project.title)}
+                        ${escapeHtml(project.organizationName || project.title)}
                     </h2>
                     <p class="text-gray-600 dark:text-gray-400">
-                        ${escapeHtml(project.dealershipLocation || '')} ${project.storeCount ? `• ${project.storeCount} stores` : ''}
+                        ${escapeHtml(project.organizationLocation || '')} ${project.siteCount ? `• ${project.siteCount} stores` : ''}
                         ${project.currentVendor ? `• Currently with ${escapeHtml(project.currentVendor)}` : ''}
                     </p>
+                    ${project.forkedFrom ? `
+                    <p class="mt-1 text-sm text-green-700 dark:text-green-400">
+                        🌿 ${escapeHtml(project.branchName || 'Branch')} · forked at Phase ${project.forkedFrom.phase}
+                    </p>
+                    ` : ''}
                 </div>
-                ${project.phases && project.phases[3] && project.phases[3].completed ? `
+                ${project.phases?.[pipeline.phaseCount]?.completed || project.reviewRounds?.length ? `
                 <button id="export-document-btn" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors">
                     📄 Preview & Copy
                 </button>
@@ -109,10 +117,12 @@ export async function renderProjectView(projectId) {
             </div>
         </div>
 
+        ${renderRoundSelector(project)}
+
         <!-- Phase Tabs -->
         <div class="mb-6 border-b border-gray-200 dark:border-gray-700">
             <div class="flex space-x-1">
-                ${WORKFLOW_CONFIG.phases.map(phase => {
+                ${pipeline.phases.map(phase => {
     const isActive = project.phase === phase.number;
     const isCompleted = project.phases[phase.number]?.completed;
 
@@ -143,7 +153,7 @@ export async function renderProjectView(projectId) {
   // Event listeners
   document.getElementById('back-btn').addEventListener('click', () => navigateTo('home'));
 
-  // Export button only exists when phase 3 is complete (Preview & Copy)
+  // Export button only exists once a final draft exists (Preview & Copy)
   const exportBtn = document.getElementById('export-document-btn');
   if (exportBtn) {
     exportBtn.addEventListener('click', () => {
@@ -175,6 +185,9 @@ export async function renderProjectView(projectId) {
         }
       }
 
+      const roundSelect = document.getElementById('review-round-select');
+      if (roundSelect) roundSelect.value = 'current';
+
       freshProject.phase = targetPhase;
       updatePhaseTabStyles(targetPhase);
       document.getElementById('phase-content').innerHTML = renderPhaseContent(freshProject, targetPhase);
@@ -182,5 +195,21 @@ export async function renderProjectView(projectId) {
     });
   });
 
+  // Round selector - archived rounds are read-only, "current" returns to the live phase
+  document.getElementById('review-round-select')?.addEventListener('change', async (e) => {
+    const value = /** @type {HTMLSelectElement} */ (e.target).value;
+    const freshProject = await getProject(project.id);
+    const phaseContent = document.getElementById('phase-content');
+
+    if (value === 'current') {
+      updatePhaseTabStyles(freshProject.phase);
+      phaseContent.innerHTML = renderPhaseContent(freshProject, freshProject.phase);
+      attachPhaseEventListeners(freshProject, freshProject.phase);
+    } else {
+      updatePhaseTabStyles(null);
+      phaseContent.innerHTML = renderArchivedRound(freshProject, parseInt(value));
+    }
+  });
+
   attachPhaseEventListeners(project, project.phase);
 }
@@ -5,6 +5,17 @@
  */
 
 import storage from './storage.js';
+import { getPipeline, getProjectPipeline } from './prompts.js';
+import { validateDocument } from '../../validator/js/validator.js';
+import { getPersonaLibrary, mergePanelCritiques, isPanelComplete } from './personas.js';
+import { SCHEMA_VERSION } from './migrations.js';
+import { deleteProposalAttachments, copyProposalAttachments } from './attachment-store.js';
+import { createClarificationTurn } from './clarifications.js';
+import { buildSearchEntry, isSearchEntryCurrent, extractTerms } from './search-index.js';
+import { DEFAULT_SALES_STATUS, today } from './project-tracking.js';
+import { getTrashRetentionDays, isTrashExpired } from './trash.js';
+import { parseBackup, previewImport, applyImport } from './backup-import.js';
+import { encryptBackup, decryptBackup, isEncryptedBackup, WRONG_PASSPHRASE } from './backup-crypto.js';
 
 /**
  * Extract title from final document markdown content
@@ -52,14 +63,48 @@ export function extractTitleFromMarkdown(markdown) {
 /**
  * @typedef {Object} UpdatePhaseOptions
  * @property {boolean} [skipAutoAdvance] - If true, don't auto-advance to next phase
+ * @property {import('./types.js').ResponseSource} [source] - Where the response came from
+ *   (defaults to 'edited' when replacing a response, otherwise 'pasted')
  */
 
+/**
+ * Append a response to a phase's version history.
+ * Responses saved before history existed are kept as the first version.
+ * @param {import('./types.js').PhaseData | undefined} previous - Phase data before the update
+ * @param {string} response - New response
+ * @param {import('./types.js').ResponseSource} [source] - Where the response came from
+ * @returns {import('./types.js').ResponseVersion[]} Updated history
+ */
+function appendResponseVersion(previous, response, source) {
+  const history = previous?.history ? [...previous.history] : [];
+  if (history.length === 0 && previous?.response) {
+    history.push({ response: previous.response, savedAt: previous.updatedAt || new Date().toISOString(), source: 'pasted' });
+  }
+
+  const latest = history[history.length - 1];
+  if (response && latest?.response !== response) {
+    history.push({
+      response,
+      savedAt: new Date().toISOString(),
+      source: source || (previous?.response ? 'edited' : 'pasted')
+    });
+  }
+  return history;
+}
+
 /**
  * Create a new proposal project with organization-specific fields
  * @param {import('./types.js').ProjectFormData} formData
  * @returns {Promise<import('./types.js').Project>}
  */
 export async function createProject(formData) {
+  const pipeline = getPipeline(formData.pipelineId);
+
+  // Copy the chosen personas so later library edits don't change this proposal's panel
+  const panelIds = formData.reviewPanel || [];
+  const library = panelIds.length ? await getPersonaLibrary() : [];
+  const reviewPanel = library.filter(p => panelIds.includes(p.id));
+
   /** @type {import('./types.js').Project} */
   const project = {
     id: crypto.randomUUID(),
@@ -83,32 +128,83 @@ export async function createProject(formData) {
     // Working Draft (for refinement workflow)
     workingDraft: formData.workingDraft || '',
 
-    // Phase outputs
-    phase1_output: '',
-    phase2_output: '',
-    phase3_output: '',
+    // Tracking
+    tags: [],
+    folder: '',
+    salesStatus: DEFAULT_SALES_STATUS,
+    statusDates: { [DEFAULT_SALES_STATUS]: today() },
 
     // Workflow state
+    schemaVersion: SCHEMA_VERSION,
+    pipelineId: pipeline.id,
+    reviewPanel,
     phase: 1,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
-    phases: {
-      1: { prompt: '', response: '', completed: false },
-      2: { prompt: '', response: '', completed: false },
-      3: { prompt: '', response: '', completed: false }
-    }
+    phases: {}
   };
 
+  // Phase outputs and per-phase state, one entry per pipeline phase
+  for (const { number } of pipeline.phases) {
+    project[`phase${number}_output`] = '';
+    project.phases[number] = { prompt: '', response: '', completed: false };
+  }
+
   await storage.saveProject(project);
   return project;
 }
 
 /**
- * Get all projects
+ * Get all projects, except those in the trash
  * @returns {Promise<import('./types.js').Project[]>}
  */
 export async function getAllProjects() {
-  return await storage.getAllProjects();
+  return (await storage.getAllProjects()).filter(project => !project.deletedAt);
+}
+
+/**
+ * Get the projects in the trash, most recently deleted first
+ * @returns {Promise<import('./types.js').Project[]>}
+ */
+export async function getTrashedProjects() {
+  const projects = (await storage.getAllProjects()).filter(project => project.deletedAt);
+  return projects.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Bring the search index up to date with the given projects: entries that
+ * are missing or older than their project are rebuilt, and entries of
+ * deleted projects removed. Saves keep the index current; this catches
+ * records written before the index existed or by migrations.
+ * @param {import('./types.js').Project[]} projects - Every stored project
+ * @returns {Promise<number>} Number of entries rebuilt
+ */
+export async function refreshSearchIndex(projects) {
+  const entries = new Map((await storage.getSearchEntries()).map(entry => [entry.id, entry]));
+  const stale = projects.filter(project => !isSearchEntryCurrent(entries.get(project.id), project));
+  const ids = new Set(projects.map(project => project.id));
+  const orphaned = [...entries.keys()].filter(id => !ids.has(id));
+
+  if (stale.length || orphaned.length) {
+    const rebuilt = [];
+    for (const project of stale) {
+      rebuilt.push(buildSearchEntry(project, await storage.getAttachments(project.id)));
+    }
+    await storage.updateSearchEntries(rebuilt, orphaned);
+  }
+  return stale.length;
+}
+
+/**
+ * Find the projects matching a search query. Every word of the query must
+ * start one of the project's terms (titles, intake fields, phase outputs and attachments).
+ * @param {string} query
+ * @returns {Promise<Set<string> | null>} Matching project ids, or null for a query with no searchable words
+ */
+export async function searchProjects(query) {
+  const terms = extractTerms(query);
+  if (terms.length === 0) return null;
+  return storage.findProjectIdsByTerms(terms);
 }
 
 /**
@@ -133,23 +229,30 @@ export async function updatePhase(projectId, phase, prompt, response, options =
   const project = await storage.getProject(projectId);
   if (!project) throw new Error('Project not found');
 
+  const previous = project.phases[phase];
+  const history = appendResponseVersion(previous, response || '', options.source);
   project.phases[phase] = {
     prompt: prompt || '',
     response: response || '',
-    completed: !!response
+    completed: !!response,
+    updatedAt: new Date().toISOString(),
+    ...(history.length > 0 && { history }),
+    ...(previous?.panel && { panel: previous.panel }),
+    ...(previous?.thread && { thread: previous.thread })
   };
 
   // Store phase output
-  const phaseKey = /** @type {'phase1_output' | 'phase2_output' | 'phase3_output'} */ (`phase${phase}_output`);
-  project[phaseKey] = response || '';
+  project[`phase${phase}_output`] = response || '';
+
+  const { phaseCount } = getProjectPipeline(project);
 
   // Auto-advance to next phase if current phase is completed (unless skipAutoAdvance is set)
-  if (response && phase < 3 && !options.skipAutoAdvance) {
+  if (response && phase < phaseCount && !options.skipAutoAdvance) {
     project.phase = phase + 1;
   }
 
-  // Phase 3: Extract title from final document and update project title
-  if (phase === 3 && response) {
+  // Final phase: Extract title from final document and update project title
+  if (phase === phaseCount && response) {
     const extractedTitle = extractTitleFromMarkdown(response);
     if (extractedTitle) {
       project.title = extractedTitle;
@@ -161,6 +264,240 @@ export async function updatePhase(projectId, phase, prompt, response, options =
   return project;
 }
 
+/**
+ * Restore an earlier response version. The restored text is saved as a new
+ * version so the history itself is never rewritten.
+ * @param {string} projectId
+ * @param {number} phase
+ * @param {number} versionIndex - Index into the phase's history array
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function restoreResponseVersion(projectId, phase, versionIndex) {
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+
+  const version = project.phases?.[phase]?.history?.[versionIndex];
+  if (!version) throw new Error(`Version ${versionIndex + 1} not found for phase ${phase}`);
+
+  return updatePhase(projectId, phase, project.phases[phase].prompt, version.response, { source: 'restored', skipAutoAdvance: true });
+}
+
+/**
+ * Add an AI message that asks clarifying questions to a phase's thread
+ * @param {string} projectId
+ * @param {number} phase
+ * @param {string} message - AI message with the questions
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function addClarificationTurn(projectId, phase, message) {
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+  if (!message?.trim()) throw new Error('Paste the AI\'s questions first');
+
+  const phaseData = project.phases[phase] || { prompt: '', response: '', completed: false };
+  phaseData.thread = [...(phaseData.thread || []), createClarificationTurn(message)];
+  project.phases[phase] = phaseData;
+  project.updatedAt = new Date().toISOString();
+  await storage.saveProject(project);
+  return project;
+}
+
+/**
+ * Save the answers to one turn of a phase's clarification thread
+ * @param {string} projectId
+ * @param {number} phase
+ * @param {number} turnIndex - Index into the phase's thread
+ * @param {string[]} answers - Answer per question of the turn
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function answerClarificationTurn(projectId, phase, turnIndex, answers) {
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+
+  const turn = project.phases?.[phase]?.thread?.[turnIndex];
+  if (!turn) throw new Error(`Question set ${turnIndex + 1} not found for phase ${phase}`);
+
+  turn.answers = turn.questions.map((_, i) => (answers[i] || '').trim());
+  turn.answeredAt = new Date().toISOString();
+  project.updatedAt = turn.answeredAt;
+  await storage.saveProject(project);
+  return project;
+}
+
+/**
+ * Remove a turn from a phase's clarification thread
+ * @param {string} projectId
+ * @param {number} phase
+ * @param {number} turnIndex - Index into the phase's thread
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function removeClarificationTurn(projectId, phase, turnIndex) {
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+
+  const thread = project.phases?.[phase]?.thread;
+  if (!thread?.[turnIndex]) throw new Error(`Question set ${turnIndex + 1} not found for phase ${phase}`);
+
+  project.phases[phase].thread = thread.filter((_, i) => i !== turnIndex);
+  project.updatedAt = new Date().toISOString();
+  await storage.saveProject(project);
+  return project;
+}
+
+/**
+ * Save one review panel member's critique for a panel phase.
+ * Once every panel member has a critique, the merged critiques become the
+ * phase response (and PHASE2_OUTPUT for the synthesis).
+ * @param {string} projectId
+ * @param {number} phase - Adversarial phase number
+ * @param {string} personaId - Panel member id
+ * @param {string} prompt - Prompt generated for the persona
+ * @param {string} response - Pasted critique
+ * @param {UpdatePhaseOptions} [options]
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function savePanelCritique(projectId, phase, personaId, prompt, response, options = {}) {
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+
+  const panel = project.reviewPanel || [];
+  if (!panel.some(p => p.id === personaId)) {
+    throw new Error(`Persona "${personaId}" is not on this proposal's review panel`);
+  }
+
+  const phaseData = project.phases[phase] || { prompt: '', response: '', completed: false };
+  phaseData.panel = {
+    ...phaseData.panel,
+    [personaId]: { prompt: prompt || '', response: response || '', updatedAt: new Date().toISOString() }
+  };
+  project.phases[phase] = phaseData;
+  await storage.saveProject(project);
+
+  if (!isPanelComplete(panel, phaseData.panel)) {
+    return updatePhase(projectId, phase, '', '', { skipAutoAdvance: true });
+  }
+  return updatePhase(projectId, phase, '', mergePanelCritiques(panel, phaseData.panel), options);
+}
+
+/**
+ * Archive the current review round and start the next one.
+ * The review phases (every phase after the draft) are copied into
+ * `project.reviewRounds` as a record that is never modified again, then
+ * cleared so the next critique reviews this round's final synthesis.
+ * @param {string} projectId
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function startReviewRound(projectId) {
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+
+  const { phaseCount } = getProjectPipeline(project);
+  const finalResponse = project.phases?.[phaseCount]?.response;
+  if (!finalResponse) {
+    throw new Error('Complete the final phase before starting another review round');
+  }
+
+  const now = new Date().toISOString();
+  /** @type {import('./types.js').ReviewRound} */
+  const round = {
+    round: project.currentRound || 1,
+    completedAt: now,
+    score: validateDocument(finalResponse).totalScore,
+    phases: {}
+  };
+
+  for (let n = 2; n <= phaseCount; n++) {
+    const data = project.phases[n] || {};
+    round.phases[n] = {
+      prompt: data.prompt || '',
+      response: data.response || '',
+      savedAt: data.updatedAt || now,
+      ...(data.panel && { panel: data.panel }),
+      ...(data.thread && { thread: data.thread })
+    };
+    // Versions span rounds, so earlier rounds' responses stay restorable
+    project.phases[n] = { prompt: '', response: '', completed: false, ...(data.history && { history: data.history }) };
+    project[`phase${n}_output`] = '';
+  }
+
+  project.reviewRounds = [...(project.reviewRounds || []), round];
+  project.currentRound = round.round + 1;
+  project.phase = 2;
+  project.updatedAt = now;
+  await storage.saveProject(project);
+  return project;
+}
+
+/**
+ * Fork a proposal into a linked branch that redoes a phase.
+ * The branch keeps the intake data and every phase before `phase`;
+ * `phase` and the phases after it start empty so the branch can take a
+ * different direction from the same inputs.
+ * @param {string} projectId - Project to fork
+ * @param {number} phase - Phase to redo in the branch
+ * @param {string} [branchName] - Branch label (defaults to "Branch N")
+ * @returns {Promise<import('./types.js').Project>} The new branch
+ */
+export async function forkProject(projectId, phase, branchName) {
+  const source = await storage.getProject(projectId);
+  if (!source) throw new Error('Project not found');
+
+  const { phaseCount } = getProjectPipeline(source);
+  if (phase < 1 || phase > phaseCount) {
+    throw new Error(`Phase ${phase} is not part of this proposal`);
+  }
+
+  const rootId = source.forkedFrom?.rootId || source.id;
+  const siblings = (await storage.getAllProjects()).filter(p => p.forkedFrom?.rootId === rootId);
+  const now = new Date().toISOString();
+
+  /** @type {import('./types.js').Project} */
+  const branch = JSON.parse(JSON.stringify(source));
+  branch.id = crypto.randomUUID();
+  branch.branchName = branchName?.trim() || `Branch ${siblings.length + 1}`;
+  branch.forkedFrom = { projectId: source.id, rootId, phase, forkedAt: now };
+  branch.phase = phase;
+  branch.createdAt = now;
+  branch.updatedAt = now;
+  delete branch.reviewRounds;
+  delete branch.currentRound;
+
+  for (let n = phase; n <= phaseCount; n++) {
+    branch.phases[n] = { prompt: '', response: '', completed: false };
+    branch[`phase${n}_output`] = '';
+  }
+
+  await storage.saveProject(branch);
+  await copyProposalAttachments(source.id, branch.id);
+  return branch;
+}
+
+/**
+ * Group proposals with their branches.
+ * Branches whose origin no longer exists are listed as their own group.
+ * @param {import('./types.js').Project[]} projects - Projects in display order
+ * @returns {import('./types.js').ProjectGroup[]} Groups in the order their origins appear
+ */
+export function groupProjectBranches(projects) {
+  const ids = new Set(projects.map(p => p.id));
+  const groups = new Map();
+
+  for (const project of projects) {
+    const rootId = project.forkedFrom?.rootId;
+    if (!rootId || !ids.has(rootId)) {
+      groups.set(project.id, { origin: project, branches: [] });
+    }
+  }
+  for (const project of projects) {
+    const group = groups.get(project.forkedFrom?.rootId);
+    if (group && group.origin !== project) group.branches.push(project);
+  }
+  for (const group of groups.values()) {
+    group.branches.sort((a, b) => a.forkedFrom.forkedAt.localeCompare(b.forkedFrom.forkedAt));
+  }
+  return [...groups.values()];
+}
+
 /**
  * Update project with partial data
  * @param {string} projectId
@@ -178,38 +515,119 @@ export async function updateProject(projectId, updates) {
 }
 
 /**
- * Delete a project by ID
+ * Move a project to the trash. It keeps its attachments until it is purged.
  * @param {string} id
- * @returns {Promise<void>}
+ * @returns {Promise<import('./types.js').Project>}
  */
 export async function deleteProject(id) {
-  await storage.deleteProject(id);
+  const project = await storage.getProject(id);
+  if (!project) throw new Error('Project not found');
+
+  project.deletedAt = new Date().toISOString();
+  await storage.saveProject(project);
+  return project;
 }
 
 /**
- * Export a single project as JSON file
- * @param {string} projectId
+ * Take a project out of the trash
+ * @param {string} id
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function restoreProject(id) {
+  const project = await storage.getProject(id);
+  if (!project?.deletedAt) throw new Error('Project not found in the trash');
+
+  delete project.deletedAt;
+  await storage.saveProject(project);
+  return project;
+}
+
+/**
+ * Delete a project and its attachments for good
+ * @param {string} id
  * @returns {Promise<void>}
  */
-export async function exportProject(projectId) {
-  const project = await storage.getProject(projectId);
-  if (!project) throw new Error('Project not found');
+export async function purgeProject(id) {
+  await deleteProposalAttachments(id);
+  await storage.deleteProject(id);
+}
 
-  const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+/**
+ * Delete every project in the trash for good
+ * @returns {Promise<number>} Number of projects deleted
+ */
+export async function emptyTrash() {
+  const trashed = await getTrashedProjects();
+  for (const project of trashed) {
+    await purgeProject(project.id);
+  }
+  return trashed.length;
+}
+
+/**
+ * Delete the trashed projects that are past the retention period
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of projects deleted
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  const retentionDays = await getTrashRetentionDays();
+  const expired = (await getTrashedProjects()).filter(project => isTrashExpired(project, retentionDays, now));
+  for (const project of expired) {
+    await purgeProject(project.id);
+  }
+  return expired.length;
+}
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [passphrase] - Encrypt the file with this passphrase (see backup-crypto.js)
+ */
+
+/**
+ * @typedef {Object} ImportOptions
+ * @property {string} [passphrase] - Passphrase for an encrypted file
+ * @property {(error: string) => Promise<string | null>} [getPassphrase] - Asks for the passphrase of an encrypted
+ *   file, with the previous attempt's error ('' at first); asked again after a wrong one until it returns null
+ */
+
+/**
+ * Download export file content, encrypted if a passphrase is given
+ * @param {string} json - Plain export JSON
+ * @param {string} basename - File name without extension
+ * @param {ExportOptions} options
+ * @returns {Promise<void>}
+ */
+async function downloadExport(json, basename, { passphrase } = {}) {
+  const content = passphrase ? await encryptBackup(json, passphrase) : json;
+  const blob = new Blob([content], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `proposal-${sanitizeFilename(project.organizationName)}.json`;
+  a.download = `${basename}${passphrase ? '.encrypted' : ''}.json`;
   a.click();
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Export a single project as JSON file
+ * @param {string} projectId
+ * @param {ExportOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function exportProject(projectId, options = {}) {
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+
+  await downloadExport(JSON.stringify(project, null, 2), `proposal-${sanitizeFilename(project.organizationName)}`, options);
+}
+
 /**
  * Export all projects as a backup JSON file
+ * @param {ExportOptions} [options]
  * @returns {Promise<void>}
  */
-export async function exportAllProjects() {
-  const projects = await storage.getAllProjects();
+export async function exportAllProjects(options = {}) {
+  const projects = await getAllProjects();
 
   /** @type {import('./types.js').ProjectBackup} */
   const backup = {
@@ -219,48 +637,24 @@ export async function exportAllProjects() {
     projects: projects
   };
 
-  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `strategic-proposals-backup-${new Date().toISOString().split('T')[0]}.json`;
-  a.click();
-  URL.revokeObjectURL(url);
+  await downloadExport(JSON.stringify(backup, null, 2), `strategic-proposals-backup-${new Date().toISOString().split('T')[0]}`, options);
 }
 
 /**
- * Import projects from a JSON file
+ * Read a file as text
  * @param {File} file
- * @returns {Promise<number>} Number of projects imported
+ * @returns {Promise<string>}
  */
-export async function importProjects(file) {
+function readFileText(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
 
-    reader.onload = async (e) => {
-      try {
-        const result = e.target?.result;
-        if (typeof result !== 'string') {
-          throw new Error('Failed to read file');
-        }
-        const content = JSON.parse(result);
-        let imported = 0;
-
-        if (content.version && content.projects) {
-          for (const project of content.projects) {
-            await storage.saveProject(project);
-            imported++;
-          }
-        } else if (content.id && content.organizationName) {
-          await storage.saveProject(content);
-          imported = 1;
-        } else {
-          throw new Error('Invalid file format');
-        }
-
-        resolve(imported);
-      } catch (error) {
-        reject(error);
+    reader.onload = (e) => {
+      const result = e.target?.result;
+      if (typeof result === 'string') {
+        resolve(result);
+      } else {
+        reject(new Error('Failed to read file'));
       }
     };
 
@@ -269,6 +663,85 @@ export async function importProjects(file) {
   });
 }
 
+/**
+ * Decrypt an encrypted export with the passphrase from the options
+ * @param {string} text - Encrypted envelope JSON
+ * @param {ImportOptions} options
+ * @returns {Promise<string | null>} Plain export JSON, or null if the passphrase prompt was cancelled
+ */
+async function decryptExport(text, { passphrase, getPassphrase }) {
+  if (passphrase !== undefined) return decryptBackup(text, passphrase);
+  if (!getPassphrase) throw new Error('This file is encrypted. A passphrase is needed to import it.');
+
+  let error = '';
+  for (;;) {
+    const answer = await getPassphrase(error);
+    if (answer === null) return null;
+    try {
+      return await decryptBackup(text, answer);
+    } catch (e) {
+      if (e.message !== WRONG_PASSPHRASE) throw e;
+      error = e.message;
+    }
+  }
+}
+
+/**
+ * Read and validate an exported proposal or backup file, decrypting it first
+ * if it is an encrypted export
+ * @param {File} file
+ * @param {ImportOptions} [options]
+ * @returns {Promise<import('./types.js').Project[] | null>} Proposals migrated to the current schema, or null if the passphrase prompt was cancelled
+ * @throws {Error} 'Invalid file format: ...' listing what is wrong with the file, or WRONG_PASSPHRASE
+ */
+export async function readBackupFile(file, options = {}) {
+  let text = await readFileText(file);
+  if (isEncryptedBackup(text)) {
+    text = await decryptExport(text, options);
+    if (text === null) return null;
+  }
+  // Exports from older versions are brought up to the current schema
+  return parseBackup(text);
+}
+
+/**
+ * Compare an export file with the stored proposals (trashed ones included)
+ * @param {File} file
+ * @param {ImportOptions} [options]
+ * @returns {Promise<import('./backup-import.js').ImportItem[] | null>} New, identical and conflicting proposals, or null if the passphrase prompt was cancelled
+ */
+export async function previewProjectImport(file, options = {}) {
+  const incoming = await readBackupFile(file, options);
+  if (!incoming) return null;
+  return previewImport(incoming, await storage.getAllProjects());
+}
+
+/**
+ * Save previewed proposals
+ * @param {import('./backup-import.js').ImportItem[]} items - From previewProjectImport()
+ * @param {Object.<string, import('./backup-import.js').ImportChoice>} [choices] - Choice per conflicting proposal id
+ * @returns {Promise<import('./backup-import.js').ImportResult>}
+ */
+export async function applyProjectImport(items, choices = {}) {
+  return applyImport(items, choices, project => storage.saveProject(project));
+}
+
+/**
+ * Import projects from a JSON file, plain or encrypted. Identical proposals
+ * are skipped and conflicts resolved with the given choices, else
+ * getDefaultChoice().
+ * @param {File} file
+ * @param {Object.<string, import('./backup-import.js').ImportChoice>} [choices] - Choice per conflicting proposal id
+ * @param {ImportOptions} [options]
+ * @returns {Promise<number>} Number of projects imported
+ */
+export async function importProjects(file, choices = {}, options = {}) {
+  const items = await previewProjectImport(file, options);
+  if (!items) return 0;
+  const result = await applyProjectImport(items, choices);
+  return result.added + result.replaced + result.duplicated + result.merged;
+}
+
 /**
  * Sanitize a filename for safe download
  * @param {string | undefined} filename
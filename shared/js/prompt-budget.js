@@ -0,0 +1,315 @@
+/**
+ * Prompt Budget Module
+ * Estimates how many tokens a phase prompt uses, per template variable,
+ * against the context window of the phase's AI model, and shrinks the
+ * largest inputs with the strategy chosen for the proposal when the prompt
+ * does not fit.
+ * @module prompt-budget
+ */
+
+/**
+ * Context window in tokens for each phase `aiModel`
+ * @type {Object.<string, number>}
+ */
+export const MODEL_CONTEXT_TOKENS = {
+  Claude: 200000,
+  Gemini: 1000000
+};
+
+/** Context window assumed for models not listed above */
+export const DEFAULT_CONTEXT_TOKENS = 128000;
+
+/** Tokens kept free for the model's reply */
+export const RESPONSE_RESERVE_TOKENS = 8000;
+
+/** Characters per token for the estimate (English prose averages about 4) */
+const CHARS_PER_TOKEN = 4;
+
+/** Characters counted as one page for attachments without page markers */
+export const APPROX_CHARS_PER_PAGE = 3000;
+
+/** Template variables listed separately in the breakdown, with display labels */
+export const BUDGET_FIELDS = {
+  CONVERSATION_TRANSCRIPTS: 'Call transcripts',
+  MEETING_NOTES: 'Meeting notes',
+  ATTACHMENT_TEXT: 'Attachments',
+  ATTACHMENTS: 'Attachments',
+  WORKING_DRAFT: 'Working draft',
+  PAIN_POINTS: 'Pain points',
+  ADDITIONAL_CONTEXT: 'Additional context',
+  PHASE1_OUTPUT: 'Draft under review',
+  PHASE2_OUTPUT: 'Critique'
+};
+
+/** Ways to shrink a prompt that is over budget */
+export const BUDGET_STRATEGIES = {
+  none: { label: 'Warn only', description: 'Leave the prompt as it is' },
+  'trim-transcript': { label: 'Trim oldest transcript turns', description: 'Drop the earliest transcript lines until the prompt fits' },
+  'attachment-pages': { label: 'Keep first pages of attachments', description: 'Keep only the first N pages of each attachment' },
+  summarize: { label: 'Summarize first', description: 'Run a summary prompt first and use its output in place of transcripts, notes and attachments' }
+};
+
+/**
+ * Per-proposal budget settings (stored as `promptBudget` on the project)
+ * @typedef {Object} PromptBudgetSettings
+ * @property {keyof typeof BUDGET_STRATEGIES} [strategy] - Strategy applied when over budget ('none' if absent)
+ * @property {number} [attachmentPages] - Pages kept per attachment by 'attachment-pages'
+ * @property {string} [summary] - Pasted output of the summary pre-prompt, used by 'summarize'
+ */
+
+/**
+ * @typedef {Object} BudgetLine
+ * @property {string} key - Template variable, or 'INSTRUCTIONS' / 'OTHER'
+ * @property {string} label - Display label
+ * @property {number} tokens - Estimated tokens
+ */
+
+/**
+ * @typedef {Object} BudgetReport
+ * @property {string} model - Phase aiModel the budget is for
+ * @property {number} budget - Tokens available for the prompt
+ * @property {number} tokens - Estimated prompt tokens after the strategy
+ * @property {number} originalTokens - Estimated prompt tokens before the strategy
+ * @property {BudgetLine[]} breakdown - Tokens per input, largest first
+ * @property {string | null} applied - Strategy that changed the prompt, if any
+ * @property {string[]} notes - What the strategy did, or why it could not
+ * @property {boolean} overBudget - Whether the prompt still exceeds the budget
+ */
+
+/** Default number of attachment pages kept */
+export const DEFAULT_ATTACHMENT_PAGES = 5;
+
+// Matches the markers written by attachment-store.js and pdf-extract.js
+const SECTION_HEADER = /^--- .+ ---$/;
+const PAGE_MARKER = /^\[Page (\d+)\]$/;
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Tokens available for a prompt sent to a model
+ * @param {string} aiModel - Phase aiModel (e.g. 'Claude')
+ * @returns {number}
+ */
+export function getTokenBudget(aiModel) {
+  return (MODEL_CONTEXT_TOKENS[aiModel] || DEFAULT_CONTEXT_TOKENS) - RESPONSE_RESERVE_TOKENS;
+}
+
+/**
+ * Count the places a template inserts a variable: {{KEY}}, {{KEY|fallback}} or {{#each KEY}}
+ * @param {string} template
+ * @param {string} key
+ * @returns {number}
+ */
+function countUses(template, key) {
+  return (template.match(new RegExp(`\\{\\{(?:#each )?${key}(?:\\|[^{}]*)?\\}\\}`, 'g')) || []).length;
+}
+
+/**
+ * Text a variable contributes; a list counts every field of every item
+ * @param {string | Array<Object.<string, string>>} value
+ * @returns {string}
+ */
+function valueText(value) {
+  if (Array.isArray(value)) return value.map(item => Object.values(item).join('\n')).join('\n');
+  return value || '[Not provided]';
+}
+
+/**
+ * Estimate the prompt size per input, counting each variable once per use in the template.
+ * Sections behind {{#if}} are counted as if present.
+ * @param {string} template - Prompt template (see template-engine.js)
+ * @param {Object.<string, *>} vars - Template variables
+ * @returns {{ total: number, breakdown: BudgetLine[] }}
+ */
+export function measurePrompt(template, vars) {
+  const instructions = estimateTokens(template.replace(/\{\{[^{}]*\}\}/g, ''));
+  const lines = [];
+  let other = 0;
+
+  for (const [key, value] of Object.entries(vars)) {
+    const uses = countUses(template, key);
+    if (uses === 0) continue;
+    const tokens = estimateTokens(valueText(value)) * uses;
+    if (BUDGET_FIELDS[key]) lines.push({ key, label: BUDGET_FIELDS[key], tokens });
+    else other += tokens;
+  }
+
+  lines.push({ key: 'INSTRUCTIONS', label: 'Prompt instructions', tokens: instructions });
+  if (other > 0) lines.push({ key: 'OTHER', label: 'Other form fields', tokens: other });
+  lines.sort((a, b) => b.tokens - a.tokens);
+
+  return { total: lines.reduce((sum, line) => sum + line.tokens, 0), breakdown: lines };
+}
+
+/**
+ * Drop the oldest transcript lines until the transcript fits
+ * @param {string} transcript
+ * @param {number} maxTokens - Tokens the transcript may use
+ * @returns {{ text: string, dropped: number }}
+ */
+export function trimTranscriptTurns(transcript, maxTokens) {
+  if (estimateTokens(transcript) <= maxTokens) return { text: transcript, dropped: 0 };
+
+  const turns = transcript.split('\n').filter(line => line.trim());
+  const note = (dropped) => `[${dropped} earlier transcript line(s) trimmed to fit the prompt budget]`;
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+
+  // Walk forward keeping a running length of the remaining lines (plus their newlines);
+  // the note counts against the budget too
+  let remaining = turns.reduce((sum, turn) => sum + turn.length + 1, 0);
+  let dropped = 0;
+  while (dropped < turns.length) {
+    remaining -= turns[dropped].length + 1;
+    dropped++;
+    if (note(dropped).length + remaining <= maxChars) break;
+  }
+  return { text: [note(dropped), ...turns.slice(dropped)].join('\n'), dropped };
+}
+
+/**
+ * Keep the first pages of each attachment section. PDF text is split on its
+ * [Page N] markers; other text counts APPROX_CHARS_PER_PAGE characters a page.
+ * @param {string} attachmentText - ATTACHMENT_TEXT as assembled by attachment-store.js
+ * @param {number} pages - Pages to keep per attachment
+ * @returns {{ text: string, omittedPages: number }}
+ */
+export function limitAttachmentPages(attachmentText, pages) {
+  /** @type {string[][]} */
+  const sections = [[]];
+  for (const line of attachmentText.split('\n')) {
+    if (SECTION_HEADER.test(line)) sections.push([]);
+    sections[sections.length - 1].push(line);
+  }
+
+  let omittedPages = 0;
+  const limited = sections.filter(lines => lines.length).map(lines => {
+    const header = SECTION_HEADER.test(lines[0]) ? lines.shift() : null;
+    const text = lines.join('\n');
+    const pageCount = lines.filter(line => PAGE_MARKER.test(line)).length;
+    let body = text;
+
+    if (pageCount > pages) {
+      const kept = [];
+      let skipping = false;
+      for (const line of lines) {
+        const marker = line.match(PAGE_MARKER);
+        if (marker) skipping = Number(marker[1]) > pages;
+        if (!skipping) kept.push(line);
+      }
+      omittedPages += pageCount - pages;
+      body = `${kept.join('\n').trimEnd()}\n[${pageCount - pages} more page(s) omitted to fit the prompt budget]\n`;
+    } else if (pageCount === 0 && text.trim().length > pages * APPROX_CHARS_PER_PAGE) {
+      const omitted = Math.ceil(text.trim().length / APPROX_CHARS_PER_PAGE) - pages;
+      omittedPages += omitted;
+      body = `${text.slice(0, pages * APPROX_CHARS_PER_PAGE).trimEnd()}\n[About ${omitted} more page(s) omitted to fit the prompt budget]\n`;
+    }
+    return header === null ? body : `${header}\n${body}`;
+  });
+
+  return { text: limited.join('\n').trimEnd(), omittedPages };
+}
+
+/**
+ * Build the pre-prompt that condenses transcripts, notes and attachments
+ * @param {Object.<string, string>} vars - Template variables from buildIntakeVars
+ * @returns {string}
+ */
+export function buildSummaryPrompt(vars) {
+  const section = (title, text) => `## ${title}\n\n${(text || '').trim() || '[Not provided]'}`;
+  return [
+    `Condense the sales discovery material below for ${vars.ORGANIZATION_NAME || 'the customer'} into a briefing that a proposal writer can work from.`,
+    'Keep every pain point, number, date, vendor, objection, decision criterion and named person with their role. Keep short direct quotes that show how the customer describes the problem. Drop small talk, repetition and scheduling details. Use headings and bullet points. Do not add anything that is not in the material.',
+    section('Call Transcripts', vars.CONVERSATION_TRANSCRIPTS),
+    section('Meeting Notes', vars.MEETING_NOTES),
+    section('Attachments', vars.ATTACHMENT_TEXT)
+  ].join('\n\n');
+}
+
+/**
+ * Fit a prompt's inputs into the model's budget using the proposal's strategy.
+ * Inputs are only changed when the prompt is over budget.
+ * @param {string} template - Prompt template (see template-engine.js)
+ * @param {Object.<string, *>} vars - Template variables
+ * @param {string} aiModel - Phase aiModel
+ * @param {PromptBudgetSettings} [settings]
+ * @returns {{ vars: Object.<string, *>, report: BudgetReport }}
+ */
+export function applyPromptBudget(template, vars, aiModel, settings = {}) {
+  const budget = getTokenBudget(aiModel);
+  const before = measurePrompt(template, vars);
+  const strategy = settings.strategy || 'none';
+  const notes = [];
+  let result = vars;
+  let applied = null;
+
+  const uses = (key) => countUses(template, key) > 0 && (Array.isArray(vars[key]) ? vars[key].length > 0 : (vars[key] || '').trim());
+
+  if (before.total > budget) {
+    const overflow = before.total - budget;
+
+    if (strategy === 'trim-transcript' && uses('CONVERSATION_TRANSCRIPTS')) {
+      const transcriptTokens = estimateTokens(vars.CONVERSATION_TRANSCRIPTS);
+      const { text, dropped } = trimTranscriptTurns(vars.CONVERSATION_TRANSCRIPTS, Math.max(0, transcriptTokens - overflow));
+      result = { ...vars, CONVERSATION_TRANSCRIPTS: text };
+      applied = strategy;
+      notes.push(`Trimmed the ${dropped} oldest transcript line(s).`);
+    } else if (strategy === 'attachment-pages' && (uses('ATTACHMENT_TEXT') || uses('ATTACHMENTS'))) {
+      const pages = settings.attachmentPages || DEFAULT_ATTACHMENT_PAGES;
+      let omittedPages = 0;
+      result = { ...vars };
+      if (uses('ATTACHMENT_TEXT')) {
+        const limited = limitAttachmentPages(vars.ATTACHMENT_TEXT, pages);
+        omittedPages += limited.omittedPages;
+        result.ATTACHMENT_TEXT = limited.text;
+      }
+      if (uses('ATTACHMENTS')) {
+        result.ATTACHMENTS = vars.ATTACHMENTS.map(item => {
+          const limited = limitAttachmentPages(item.CONTENT, pages);
+          omittedPages += limited.omittedPages;
+          return { ...item, CONTENT: limited.text };
+        });
+      }
+      applied = strategy;
+      notes.push(`Kept the first ${pages} page(s) of each attachment; ${omittedPages} page(s) left out.`);
+    } else if (strategy === 'summarize' && template.includes('{{CONVERSATION_TRANSCRIPTS}}')) {
+      if ((settings.summary || '').trim()) {
+        const covered = '[Covered by the summary under Call Transcripts]';
+        result = {
+          ...vars,
+          CONVERSATION_TRANSCRIPTS: `[Summary of the call transcripts, meeting notes and attachments]\n${settings.summary.trim()}`,
+          MEETING_NOTES: covered,
+          ATTACHMENT_TEXT: covered,
+          ATTACHMENTS: []
+        };
+        applied = strategy;
+        notes.push('Used the pasted summary in place of transcripts, meeting notes and attachments.');
+      } else {
+        notes.push('Copy the summary prompt, run it, and paste the summary to shrink this prompt.');
+      }
+    } else if (strategy !== 'none') {
+      notes.push(`"${BUDGET_STRATEGIES[strategy]?.label || strategy}" does not apply to this phase's inputs.`);
+    }
+  }
+
+  const after = applied ? measurePrompt(template, result) : before;
+  return {
+    vars: result,
+    report: {
+      model: aiModel,
+      budget,
+      tokens: after.total,
+      originalTokens: before.total,
+      breakdown: after.breakdown,
+      applied,
+      notes,
+      overBudget: after.total > budget
+    }
+  };
+}
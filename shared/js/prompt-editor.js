@@ -0,0 +1,195 @@
+/**
+ * Prompt Editor Module
+ * In-app editor for prompt template overrides.
+ * Overrides are stored per template, so a template used by several
+ * pipeline phases is customized for all of them at once.
+ * @module prompt-editor
+ */
+
+import {
+  getPhaseMetadata,
+  loadDefaultPromptTemplate,
+  getPromptOverride,
+  savePromptOverride,
+  resetPromptOverride,
+  validatePromptTemplate
+} from './prompts.js';
+import { computeWordDiff, renderDiffHtml, getDiffStats } from './diff-view.js';
+import { escapeHtml, showToast, confirm } from './ui.js';
+
+/**
+ * Extract the variable names used in a template, including {{#if}} / {{#each}} names and {{VAR|fallback}}
+ * @param {string} template - Template content
+ * @returns {string[]} Unique variable names in order of appearance
+ */
+export function extractTemplateVariables(template) {
+  const matches = (template || '').matchAll(/\{\{(?:#if |#each )?([A-Z0-9_]+)(?:\|[^{}]*)?\}\}/g);
+  return [...new Set([...matches].map(m => m[1]))];
+}
+
+/**
+ * Show the prompt template editor for a phase
+ * @param {number} phaseNumber - Phase whose template to edit
+ * @param {Function} [onChange] - Called after the override is saved, restored or reset
+ * @param {string} [pipelineId] - Pipeline the phase belongs to (default pipeline if omitted)
+ * @param {number|string} [templateOverride] - Template to edit instead of the phase's own (e.g. the review panel template)
+ * @returns {Promise<void>}
+ */
+export async function showPromptEditorModal(phaseNumber, onChange = null, pipelineId, templateOverride) {
+  const meta = getPhaseMetadata(phaseNumber, pipelineId);
+  const templateId = templateOverride ?? meta?.template ?? phaseNumber;
+  const defaultTemplate = await loadDefaultPromptTemplate(templateId);
+  let override = await getPromptOverride(templateId);
+  let showDiff = false;
+
+  const modal = document.createElement('div');
+  modal.id = 'prompt-editor-modal';
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+
+  function render(templateText) {
+    const isCustomized = Boolean(override?.template);
+    const versions = override?.versions || [];
+    const variables = extractTemplateVariables(defaultTemplate);
+    const diff = showDiff ? computeWordDiff(defaultTemplate, templateText) : [];
+    const stats = showDiff ? getDiffStats(diff) : null;
+
+    modal.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col">
+        <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h3 class="text-lg font-bold text-gray-900 dark:text-white">
+              ✏️ Phase ${phaseNumber} Prompt: ${escapeHtml(meta?.name || '')}${templateOverride ? ' · Review Panel' : ''}
+            </h3>
+            <span class="inline-block mt-1 px-2 py-0.5 text-xs rounded-full ${isCustomized ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'}">
+              ${isCustomized ? 'Customized' : 'Default'}
+            </span>
+          </div>
+          <button id="close-prompt-editor-btn" class="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none" aria-label="Close">&times;</button>
+        </div>
+        <div class="p-4 overflow-y-auto flex-1 space-y-4">
+          <p class="text-xs text-gray-500 dark:text-gray-400">
+            Available variables: ${variables.map(v => `<code class="px-1 bg-gray-100 dark:bg-gray-700 rounded">{{${v}}}</code>`).join(' ')}
+          </p>
+          <p class="text-xs text-gray-500 dark:text-gray-400">
+            Sections: <code>{{#if VAR}}…{{else}}…{{/if}}</code> keeps text only when VAR has content;
+            <code>{{#each ATTACHMENTS}}…{{/each}}</code> repeats it per attachment with <code>{{FILENAME}}</code>, <code>{{CONTENT}}</code> and <code>{{@number}}</code>;
+            <code>{{VAR|fallback}}</code> fills in an empty value.
+          </p>
+          <textarea id="prompt-editor-textarea" rows="18" class="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white font-mono text-sm">${escapeHtml(templateText)}</textarea>
+          ${showDiff ? `
+          <div>
+            <div class="flex gap-2 mb-2 text-sm">
+              <span class="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded">+${stats.additions} added</span>
+              <span class="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded">-${stats.deletions} removed</span>
+            </div>
+            <div id="prompt-editor-diff" class="p-4 bg-gray-50 dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap font-mono">${renderDiffHtml(diff)}</div>
+          </div>
+          ` : ''}
+          ${versions.length > 0 ? `
+          <div class="flex items-center gap-2">
+            <label for="prompt-editor-versions" class="text-sm text-gray-700 dark:text-gray-300">Saved versions</label>
+            <select id="prompt-editor-versions" class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm">
+              ${versions.map((v, i) => `<option value="${i}">Version ${i + 1} — ${new Date(v.savedAt).toLocaleString()}</option>`).reverse().join('')}
+            </select>
+            <button id="prompt-editor-load-version-btn" class="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Load into Editor</button>
+          </div>
+          ` : ''}
+        </div>
+        <div class="flex justify-between items-center p-4 border-t border-gray-200 dark:border-gray-700">
+          <div class="flex gap-2">
+            <button id="prompt-editor-diff-btn" class="px-4 py-2 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+              🔄 ${showDiff ? 'Hide Diff' : 'Diff vs Default'}
+            </button>
+            <button id="prompt-editor-reset-btn" class="px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors" ${isCustomized ? '' : 'disabled'}>
+              Reset to Default
+            </button>
+          </div>
+          <div class="flex gap-2">
+            <button id="prompt-editor-cancel-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Cancel</button>
+            <button id="prompt-editor-save-btn" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Save Template</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    attachHandlers();
+  }
+
+  function currentText() {
+    return /** @type {HTMLTextAreaElement} */ (modal.querySelector('#prompt-editor-textarea')).value;
+  }
+
+  function attachHandlers() {
+    modal.querySelector('#close-prompt-editor-btn').addEventListener('click', closeModal);
+    modal.querySelector('#prompt-editor-cancel-btn').addEventListener('click', closeModal);
+
+    modal.querySelector('#prompt-editor-diff-btn').addEventListener('click', () => {
+      showDiff = !showDiff;
+      render(currentText());
+    });
+
+    modal.querySelector('#prompt-editor-load-version-btn')?.addEventListener('click', () => {
+      const index = parseInt(/** @type {HTMLSelectElement} */ (modal.querySelector('#prompt-editor-versions')).value);
+      const version = override?.versions?.[index];
+      if (version) {
+        render(version.template);
+        showToast(`Loaded version ${index + 1}. Save to make it active.`, 'info');
+      }
+    });
+
+    modal.querySelector('#prompt-editor-reset-btn').addEventListener('click', async () => {
+      const confirmed = await confirm(
+        `Reset the ${meta?.name || `Phase ${phaseNumber}`} prompt to the shipped default? Your saved versions are kept.`,
+        'Reset Prompt Template'
+      );
+      if (!confirmed) return;
+      await resetPromptOverride(templateId);
+      override = await getPromptOverride(templateId);
+      render(defaultTemplate);
+      showToast(`Phase ${phaseNumber} prompt reset to default`, 'success');
+      if (onChange) onChange();
+    });
+
+    modal.querySelector('#prompt-editor-save-btn').addEventListener('click', async () => {
+      const text = currentText();
+      if (!text.trim()) {
+        showToast('Prompt template cannot be empty', 'warning');
+        return;
+      }
+      if (text === defaultTemplate && !override?.template) {
+        showToast('No changes from the default template', 'info');
+        return;
+      }
+      try {
+        override = await savePromptOverride(templateId, text);
+        const { unknownVariables } = validatePromptTemplate(templateId, text);
+        if (unknownVariables.length) {
+          showToast(`Phase ${phaseNumber} prompt saved, but these variables are never filled in: ${unknownVariables.join(', ')}`, 'warning');
+        } else {
+          showToast(`Phase ${phaseNumber} prompt saved`, 'success');
+        }
+        if (onChange) onChange();
+        closeModal();
+      } catch (error) {
+        console.error('Failed to save prompt template:', error);
+        showToast(`Failed to save prompt: ${error.message}`, 'error');
+      }
+    });
+  }
+
+  document.body.appendChild(modal);
+  render(override?.template || defaultTemplate);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+}
@@ -3,39 +3,151 @@
  * @module prompts
  *
  * Manages workflow configuration and prompt generation for Strategic Proposals.
- * Prompts are stored in prompts/ directory as markdown files.
- */
-
-export const WORKFLOW_CONFIG = {
-  phaseCount: 3,
-  phases: [
-    {
-      number: 1,
-      name: 'Initial Draft',
-      icon: '📝',
-      aiModel: 'Claude',
-      aiUrl: 'https://claude.ai/new',
-      description: 'Generate initial proposal from organization data and conversations'
-    },
-    {
-      number: 2,
-      name: 'Adversarial Review',
-      icon: '🔄',
-      aiModel: 'Gemini',
-      aiUrl: 'https://gemini.google.com/app',
-      description: 'Critique as a shrewd decision-maker evaluating the proposal'
-    },
-    {
-      number: 3,
-      name: 'Final Synthesis',
-      icon: '✨',
-      aiModel: 'Claude',
-      aiUrl: 'https://claude.ai/new',
-      description: 'Synthesize critique into compelling final proposal'
-    }
-  ]
+ * Each project follows a pipeline of phases; the default is the 3-phase
+ * draft/review/synthesis flow. Prompts are stored in prompts/ directory as
+ * markdown files. Users can override any template; overrides live in the
+ * IndexedDB `prompts` store.
+ */
+
+import storage from './storage.js';
+import { createWorkflowConfig } from './core/workflow.js';
+import { applyPromptBudget } from './prompt-budget.js';
+import { renderTemplate, validateTemplate } from './template-engine.js';
+import { assembleAttachmentList } from './attachment-store.js';
+import { applyAITarget, getPhaseTarget, addPreamble } from './ai-targets.js';
+
+/**
+ * Reusable phase definitions. `template` names the prompt template
+ * (numbers map to the shipped phaseN.md files, strings to <id>.md).
+ */
+const PHASE_LIBRARY = {
+  draft: {
+    name: 'Initial Draft',
+    icon: '📝',
+    aiModel: 'Claude',
+    aiUrl: 'https://claude.ai/new',
+    description: 'Generate initial proposal from organization data and conversations',
+    template: 1,
+    color: 'blue'
+  },
+  adversarial: {
+    name: 'Adversarial Review',
+    icon: '🔄',
+    aiModel: 'Gemini',
+    aiUrl: 'https://gemini.google.com/app',
+    description: 'Critique as a shrewd decision-maker evaluating the proposal',
+    template: 2,
+    color: 'green'
+  },
+  legal: {
+    name: 'Legal/Procurement Review',
+    icon: '⚖️',
+    aiModel: 'Claude',
+    aiUrl: 'https://claude.ai/new',
+    description: 'Review contract terms, compliance exposure and procurement hurdles',
+    template: 'legal-review',
+    color: 'orange'
+  },
+  synthesis: {
+    name: 'Final Synthesis',
+    icon: '✨',
+    aiModel: 'Claude',
+    aiUrl: 'https://claude.ai/new',
+    description: 'Synthesize critique into compelling final proposal',
+    template: 3,
+    color: 'purple'
+  }
+};
+
+/** Template used for each persona's critique when a proposal has a review panel */
+export const PERSONA_REVIEW_TEMPLATE = 'persona-review';
+
+/** Pipeline used when a project does not specify one */
+export const DEFAULT_PIPELINE_ID = 'standard';
+
+/**
+ * Available phase pipelines. Each phase's `inputs` maps template variables to
+ * the phase number(s) whose output fills them; multiple sources are concatenated.
+ */
+export const PIPELINES = {
+  standard: {
+    name: 'Standard',
+    description: 'Draft, adversarial review, final synthesis',
+    phases: [
+      { ...PHASE_LIBRARY.draft },
+      { ...PHASE_LIBRARY.adversarial, inputs: { PHASE1_OUTPUT: 1 } },
+      { ...PHASE_LIBRARY.synthesis, inputs: { PHASE1_OUTPUT: 1, PHASE2_OUTPUT: 2 } }
+    ]
+  },
+  'legal-review': {
+    name: 'With Legal/Procurement Review',
+    description: 'Adds a legal and procurement review before the final synthesis',
+    phases: [
+      { ...PHASE_LIBRARY.draft },
+      { ...PHASE_LIBRARY.adversarial, inputs: { PHASE1_OUTPUT: 1 } },
+      { ...PHASE_LIBRARY.legal, inputs: { PHASE1_OUTPUT: 1 } },
+      { ...PHASE_LIBRARY.synthesis, inputs: { PHASE1_OUTPUT: 1, PHASE2_OUTPUT: [2, 3] } }
+    ]
+  },
+  'double-adversarial': {
+    name: 'Two Adversarial Rounds',
+    description: 'Revises the draft, then runs a second adversarial review before the final synthesis',
+    phases: [
+      { ...PHASE_LIBRARY.draft },
+      { ...PHASE_LIBRARY.adversarial, inputs: { PHASE1_OUTPUT: 1 } },
+      { ...PHASE_LIBRARY.synthesis, name: 'Revised Draft', description: 'Address the first critique in a revised proposal', inputs: { PHASE1_OUTPUT: 1, PHASE2_OUTPUT: 2 } },
+      { ...PHASE_LIBRARY.adversarial, name: 'Second Adversarial Review', description: 'Critique the revised proposal with fresh eyes', inputs: { PHASE1_OUTPUT: 3 } },
+      { ...PHASE_LIBRARY.synthesis, inputs: { PHASE1_OUTPUT: 3, PHASE2_OUTPUT: 4 } }
+    ]
+  }
 };
 
+/** @type {Object.<string, import('./types.js').WorkflowConfig>} */
+const pipelineConfigCache = {};
+
+/**
+ * Get the workflow configuration for a pipeline
+ * Unknown ids fall back to the default pipeline so older projects keep working
+ * @param {string} [pipelineId] - Pipeline id from PIPELINES
+ * @returns {import('./types.js').WorkflowConfig}
+ */
+export function getPipeline(pipelineId) {
+  const id = PIPELINES[pipelineId] ? pipelineId : DEFAULT_PIPELINE_ID;
+  if (!pipelineConfigCache[id]) {
+    const definition = PIPELINES[id];
+    const config = createWorkflowConfig({ name: definition.name, phases: definition.phases });
+    pipelineConfigCache[id] = {
+      ...config,
+      phases: config.phases.map(phase => ({ ...phase, pipelineId: id })),
+      id,
+      description: definition.description
+    };
+  }
+  return pipelineConfigCache[id];
+}
+
+/**
+ * Get the workflow configuration for a project's pipeline
+ * @param {Object} [project] - Project with optional pipelineId
+ * @returns {import('./types.js').WorkflowConfig}
+ */
+export function getProjectPipeline(project) {
+  return getPipeline(project?.pipelineId);
+}
+
+/**
+ * List all available pipelines for selection
+ * @returns {Array<{id: string, name: string, description: string, phaseCount: number}>}
+ */
+export function getAllPipelines() {
+  return Object.keys(PIPELINES).map(id => {
+    const { name, description, phaseCount } = getPipeline(id);
+    return { id, name, description, phaseCount };
+  });
+}
+
+export const WORKFLOW_CONFIG = getPipeline(DEFAULT_PIPELINE_ID);
+
 // Cache for loaded prompt templates
 const promptCache = {};
 
@@ -53,75 +165,222 @@ function getSharedBasePath() {
   return 'shared/';
 }
 
+/** Maximum number of saved versions kept per prompt override */
+export const MAX_PROMPT_VERSIONS = 20;
+
 /**
- * Load prompt template from markdown file
- * @param {number} phaseNumber - Phase number (1, 2, or 3)
+ * Get the markdown filename for a template id
+ * @param {number|string} templateId - Core phase number (1-3) or named template id
+ * @returns {string} Filename within prompts/
+ */
+function getTemplateFilename(templateId) {
+  return typeof templateId === 'number' ? `phase${templateId}.md` : `${templateId}.md`;
+}
+
+/**
+ * Describe a template id for log and error messages
+ * @param {number|string} templateId - Template id
+ * @returns {string}
+ */
+function describeTemplate(templateId) {
+  return typeof templateId === 'number' ? `phase ${templateId}` : `template "${templateId}"`;
+}
+
+/**
+ * Load the shipped default prompt template from its markdown file
+ * @param {number|string} templateId - Phase number (1, 2, or 3) or named template id
  * @returns {Promise<string>} Prompt template
  */
-async function loadPromptTemplate(phaseNumber) {
-  if (promptCache[phaseNumber]) {
-    return promptCache[phaseNumber];
+export async function loadDefaultPromptTemplate(templateId) {
+  if (promptCache[templateId]) {
+    return promptCache[templateId];
   }
 
   try {
     const basePath = getSharedBasePath();
-    const response = await fetch(`${basePath}prompts/phase${phaseNumber}.md`);
+    const response = await fetch(`${basePath}prompts/${getTemplateFilename(templateId)}`);
     if (!response.ok) {
-      throw new Error(`Failed to load prompt template for phase ${phaseNumber}`);
+      throw new Error(`Failed to load prompt template for ${describeTemplate(templateId)}`);
     }
     const template = await response.text();
-    promptCache[phaseNumber] = template;
+    promptCache[templateId] = template;
     return template;
   } catch (error) {
-    console.error(`Error loading prompt template for phase ${phaseNumber}:`, error);
+    console.error(`Error loading prompt template for ${describeTemplate(templateId)}:`, error);
     throw error;
   }
 }
 
 /**
- * Preload all prompt templates to avoid network delay on first click.
+ * Get the stored override record for a template
+ * Returns null when storage is unavailable so prompt generation still works
+ * @param {number|string} templateId - Phase number or named template id
+ * @returns {Promise<import('./types.js').PromptOverride | null>}
+ */
+export async function getPromptOverride(templateId) {
+  if (!storage.db) return null;
+  try {
+    return (await storage.getPromptOverride(templateId)) || null;
+  } catch (error) {
+    console.warn(`Failed to read prompt override for ${describeTemplate(templateId)}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save a new version of a template override and make it active
+ * @param {number|string} templateId - Phase number or named template id
+ * @param {string} template - Template content
+ * @returns {Promise<import('./types.js').PromptOverride>}
+ */
+export async function savePromptOverride(templateId, template) {
+  if (!template || !template.trim()) {
+    throw new Error('Prompt template cannot be empty');
+  }
+  const { errors } = validatePromptTemplate(templateId, template);
+  if (errors.length) {
+    throw new Error(errors[0]);
+  }
+
+  const existing = await getPromptOverride(templateId);
+  const versions = existing?.versions ? [...existing.versions] : [];
+  const latest = versions[versions.length - 1];
+
+  if (!latest || latest.template !== template) {
+    versions.push({ template, savedAt: new Date().toISOString() });
+  }
+
+  return await storage.savePromptOverride({
+    phase: templateId,
+    template,
+    versions: versions.slice(-MAX_PROMPT_VERSIONS)
+  });
+}
+
+/**
+ * Reset a template to its shipped default.
+ * Version history is kept so a previous override can be restored later.
+ * @param {number|string} templateId - Phase number or named template id
+ * @returns {Promise<void>}
+ */
+export async function resetPromptOverride(templateId) {
+  const existing = await getPromptOverride(templateId);
+  if (!existing) return;
+  await storage.savePromptOverride({ ...existing, template: null });
+}
+
+/** Item fields available inside {{#each}} for each list variable */
+export const TEMPLATE_LIST_FIELDS = {
+  ATTACHMENTS: ['FILENAME', 'CONTENT']
+};
+
+/**
+ * Variables a template is rendered with: the intake fields, the inputs of every
+ * pipeline phase that uses it, and the persona fields for the review panel template
+ * @param {number|string} templateId - Phase number or named template id
+ * @returns {string[]}
+ */
+export function getTemplateVariables(templateId) {
+  const isPersona = templateId === PERSONA_REVIEW_TEMPLATE;
+  const phaseTemplate = isPersona ? PHASE_LIBRARY.adversarial.template : templateId;
+  const names = new Set(Object.keys(buildIntakeVars({})));
+  for (const pipeline of Object.values(PIPELINES)) {
+    pipeline.phases
+      .filter(phase => phase.template === phaseTemplate)
+      .forEach(phase => Object.keys(phase.inputs || {}).forEach(name => names.add(name)));
+  }
+  if (isPersona) {
+    ['PERSONA_NAME', 'PERSONA_ROLE', 'PERSONA_PRIORITIES'].forEach(name => names.add(name));
+  }
+  return [...names];
+}
+
+/**
+ * Check a template's syntax and variables
+ * @param {number|string} templateId - Phase number or named template id
+ * @param {string} template - Template content
+ * @returns {{ errors: string[], unknownVariables: string[] }}
+ */
+export function validatePromptTemplate(templateId, template) {
+  return validateTemplate(template, getTemplateVariables(templateId), TEMPLATE_LIST_FIELDS);
+}
+
+// Last template text checked per template id, so problems are logged once per change
+const validatedTemplates = {};
+
+/**
+ * Load the active prompt template, preferring a user override.
+ * Templates are validated when they change: unknown variables are logged,
+ * and an override that does not parse falls back to the shipped default.
+ * @param {number|string} templateId - Phase number (1, 2, or 3) or named template id
+ * @returns {Promise<string>} Prompt template
+ */
+export async function loadPromptTemplate(templateId) {
+  const override = await getPromptOverride(templateId);
+  const template = override?.template || await loadDefaultPromptTemplate(templateId);
+  if (validatedTemplates[templateId]?.template === template) {
+    return validatedTemplates[templateId].usable ? template : loadDefaultPromptTemplate(templateId);
+  }
+
+  const { errors, unknownVariables } = validatePromptTemplate(templateId, template);
+  if (unknownVariables.length) {
+    console.warn(`[prompts] Unknown variables in ${describeTemplate(templateId)}:`, unknownVariables);
+  }
+  const usable = errors.length === 0 || !override?.template;
+  validatedTemplates[templateId] = { template, usable };
+  if (!usable) {
+    console.warn(`[prompts] Custom ${describeTemplate(templateId)} has errors; using the shipped default:`, errors);
+    return loadDefaultPromptTemplate(templateId);
+  }
+  return template;
+}
+
+/**
+ * Preload a pipeline's prompt templates to avoid network delay on first click.
  * This ensures clipboard operations happen within Safari's transient activation window.
  * Call this when the app initializes or when entering a project view.
+ * @param {string} [pipelineId] - Pipeline whose templates to load (default pipeline if omitted)
+ * @param {boolean} [withPanel=false] - Also load the review panel persona template
  * @returns {Promise<void>}
  */
-export async function preloadPromptTemplates() {
-  const phases = Array.from({ length: WORKFLOW_CONFIG.phaseCount }, (_, i) => i + 1);
-  await Promise.all(phases.map(phase => loadPromptTemplate(phase)));
+export async function preloadPromptTemplates(pipelineId, withPanel = false) {
+  const templateIds = [...new Set(getPipeline(pipelineId).phases.map(phase => phase.template))];
+  if (withPanel) templateIds.push(PERSONA_REVIEW_TEMPLATE);
+  await Promise.all(templateIds.map(templateId => loadDefaultPromptTemplate(templateId)));
 }
 
 /**
- * Replace template variables with actual values
- * Uses {{VAR_NAME}} syntax (double braces, SCREAMING_SNAKE_CASE)
+ * Render a template with its variables (syntax in template-engine.js).
+ * Empty variables without a fallback read "[Not provided]"; unknown ones are
+ * logged and left out.
  * @param {string} template - Template string
  * @param {Object} vars - Variables to replace
  * @returns {string} Processed template
  */
 export function replaceTemplateVars(template, vars) {
-  let result = template;
-  for (const [key, value] of Object.entries(vars)) {
-    const regex = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-    result = result.replace(regex, value || '[Not provided]');
-  }
+  const missing = new Set();
+  const result = renderTemplate(template, vars, {
+    emptyValue: '[Not provided]',
+    onMissing: (name) => missing.add(name)
+  });
 
-  // Safety check: detect and remove any remaining placeholders
-  // Note: [A-Z0-9_]+ includes digits to match PHASE1_OUTPUT, PHASE2_OUTPUT, etc.
-  const remaining = result.match(/\{\{[A-Z0-9_]+\}\}/g);
-  if (remaining) {
-    console.warn('[prompts] Unsubstituted placeholders detected:', remaining);
-    result = result.replace(/\{\{[A-Z0-9_]+\}\}/g, '');
+  if (missing.size) {
+    console.warn('[prompts] Unsubstituted placeholders detected:', [...missing].map(name => `{{${name}}}`));
   }
 
   return result;
 }
 
 /**
- * Phase 1 Prompt: Initial Draft Generation
+ * Build the intake variables shared by every phase template.
+ * ATTACHMENTS lists the pasted attachment text and each attachment for
+ * {{#each}}; it is built from `attachmentText` when `attachments` is absent.
+ * CLARIFICATIONS holds the answers given to earlier phases' clarifying questions.
  * @param {Object} formData - Form data from project
- * @returns {Promise<string>} Generated prompt
+ * @returns {Object.<string, *>} Template variables
  */
-export async function generatePhase1Prompt(formData) {
-  const template = await loadPromptTemplate(1);
-  return replaceTemplateVars(template, {
+export function buildIntakeVars(formData) {
+  return {
     ORGANIZATION_NAME: formData.organizationName || '',
     ORGANIZATION_LOCATION: formData.organizationLocation || '',
     SITE_COUNT: formData.siteCount || '',
@@ -132,9 +391,86 @@ export async function generatePhase1Prompt(formData) {
     MEETING_NOTES: formData.meetingNotes || '',
     PAIN_POINTS: formData.painPoints || '',
     ATTACHMENT_TEXT: formData.attachmentText || '',
+    ATTACHMENTS: formData.attachments || assembleAttachmentList(formData.attachmentText, []),
     WORKING_DRAFT: formData.workingDraft || '',
-    ADDITIONAL_CONTEXT: formData.additionalContext || ''
-  });
+    ADDITIONAL_CONTEXT: formData.additionalContext || '',
+    CLARIFICATIONS: formData.clarifications || ''
+  };
+}
+
+/**
+ * Resolve a phase input to text. Multiple source phases are concatenated
+ * under their phase names so the model can tell them apart.
+ * @param {number|number[]} source - Source phase number(s)
+ * @param {Object.<number, string>} phaseOutputs - Outputs by phase number
+ * @param {import('./types.js').WorkflowConfig} pipeline - Pipeline config
+ * @returns {string}
+ */
+function resolvePhaseInput(source, phaseOutputs, pipeline) {
+  const output = (n) => phaseOutputs[n] || `[Phase ${n} output not yet generated]`;
+  if (!Array.isArray(source)) {
+    return output(source);
+  }
+  return source.map(n => {
+    const name = pipeline.phases.find(p => p.number === n)?.name || `Phase ${n}`;
+    return `### ${name}\n\n${output(n)}`;
+  }).join('\n\n---\n\n');
+}
+
+/**
+ * Load the template and variables for any phase of a pipeline, with the
+ * inputs fitted to the token budget of the phase's AI target (see prompt-budget.js
+ * and ai-targets.js)
+ * @param {import('./types.js').WorkflowConfig} pipeline - Pipeline config (from getPipeline)
+ * @param {number} phaseNumber - 1-based phase number within the pipeline
+ * @param {Object} formData - Form data from project (`promptBudget` holds the budget settings)
+ * @param {Object.<number, string>} phaseOutputs - Outputs of earlier phases by phase number
+ * @param {import('./types.js').Persona} [persona] - Review panel member; uses the persona template instead of the phase's own
+ * @returns {Promise<{ template: string, vars: Object.<string, *>, report: import('./prompt-budget.js').BudgetReport, preamble: string }>} `preamble` is the AI target's, put before the rendered prompt
+ */
+export async function preparePipelinePhasePrompt(pipeline, phaseNumber, formData, phaseOutputs, persona) {
+  const phase = pipeline.phases.find(p => p.number === phaseNumber);
+  if (!phase) {
+    throw new Error(`Invalid phase: ${phaseNumber}`);
+  }
+
+  const template = await loadPromptTemplate(persona ? PERSONA_REVIEW_TEMPLATE : phase.template);
+  const vars = buildIntakeVars(formData);
+  for (const [name, source] of Object.entries(phase.inputs || {})) {
+    vars[name] = resolvePhaseInput(source, phaseOutputs, pipeline);
+  }
+  if (persona) {
+    vars.PERSONA_NAME = persona.name;
+    vars.PERSONA_ROLE = persona.role;
+    vars.PERSONA_PRIORITIES = persona.priorities;
+  }
+  const target = getPhaseTarget(phase);
+  return { template, preamble: target.preamble, ...applyPromptBudget(template, vars, target.name, formData.promptBudget) };
+}
+
+/**
+ * Generate the prompt for any phase of a pipeline
+ * @param {import('./types.js').WorkflowConfig} pipeline - Pipeline config (from getPipeline)
+ * @param {number} phaseNumber - 1-based phase number within the pipeline
+ * @param {Object} formData - Form data from project
+ * @param {Object.<number, string>} phaseOutputs - Outputs of earlier phases by phase number
+ * @param {import('./types.js').Persona} [persona] - Review panel member; uses the persona template instead of the phase's own
+ * @returns {Promise<string>} Generated prompt
+ */
+export async function generatePipelinePhasePrompt(pipeline, phaseNumber, formData, phaseOutputs, persona) {
+  const { template, vars, preamble } = await preparePipelinePhasePrompt(pipeline, phaseNumber, formData, phaseOutputs, persona);
+  return addPreamble(replaceTemplateVars(template, vars), preamble);
+}
+
+/**
+ * Phase 1 Prompt: Initial Draft Generation
+ * @param {Object} formData - Form data from project
+ * @returns {Promise<string>} Generated prompt
+ */
+export async function generatePhase1Prompt(formData) {
+  const template = await loadPromptTemplate(1);
+  const { vars } = applyPromptBudget(template, buildIntakeVars(formData), getPhaseTarget(WORKFLOW_CONFIG.phases[0]).name, formData.promptBudget);
+  return replaceTemplateVars(template, vars);
 }
 
 /**
@@ -149,7 +485,8 @@ export async function generatePhase2Prompt(formData, phase1Output) {
     DECISION_MAKER_NAME: formData.decisionMakerName || '',
     DECISION_MAKER_ROLE: formData.decisionMakerRole || '',
     ORGANIZATION_NAME: formData.organizationName || '',
-    PHASE1_OUTPUT: phase1Output
+    PHASE1_OUTPUT: phase1Output,
+    CLARIFICATIONS: formData.clarifications || ''
   });
 }
 
@@ -165,16 +502,31 @@ export async function generatePhase3Prompt(formData, phase1Output, phase2Output)
   return replaceTemplateVars(template, {
     ORGANIZATION_NAME: formData.organizationName || '',
     PHASE1_OUTPUT: phase1Output,
-    PHASE2_OUTPUT: phase2Output
+    PHASE2_OUTPUT: phase2Output,
+    CLARIFICATIONS: formData.clarifications || ''
   });
 }
 
 /**
- * Get phase metadata
+ * Get phase metadata, with aiModel and aiUrl taken from the phase's AI target
  * @param {number} phaseNumber - Phase number
+ * @param {string} [pipelineId] - Pipeline id (default pipeline if omitted)
  * @returns {Object|undefined} Phase metadata
  */
-export function getPhaseMetadata(phaseNumber) {
-  return WORKFLOW_CONFIG.phases.find(p => p.number === phaseNumber);
+export function getPhaseMetadata(phaseNumber, pipelineId) {
+  const phase = getPipeline(pipelineId).phases.find(p => p.number === phaseNumber);
+  return phase && applyAITarget(phase);
+}
+
+/**
+ * Check whether a phase is reviewed by the project's persona panel.
+ * Every adversarial phase of the pipeline uses the panel when one is set.
+ * @param {import('./types.js').Project} project - Project
+ * @param {number} phaseNumber - Phase number
+ * @returns {boolean}
+ */
+export function isPanelPhase(project, phaseNumber) {
+  return Boolean(project.reviewPanel?.length) &&
+    getPhaseMetadata(phaseNumber, project.pipelineId)?.template === PHASE_LIBRARY.adversarial.template;
 }
 
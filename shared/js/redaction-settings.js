@@ -0,0 +1,117 @@
+/**
+ * Redaction Settings Module
+ * Modal for choosing which sensitive values are replaced with placeholders
+ * before prompts are copied, and for editing the deny-list.
+ * @module redaction-settings
+ */
+
+import { getRedactionConfig, saveRedactionConfig, redactText } from './redaction.js';
+import { escapeHtml } from './ui-formatters.js';
+
+/** Detector checkboxes: config key and label */
+const DETECTORS = [
+  { key: 'emails', label: 'Email addresses' },
+  { key: 'phones', label: 'Phone numbers' },
+  { key: 'accountNumbers', label: 'Account, card and routing numbers' },
+  { key: 'names', label: 'People\'s names (decision maker, transcript speakers, stakeholders)' }
+];
+
+/**
+ * Read the settings form into a config object
+ * @param {HTMLElement} modal - Settings modal element
+ * @returns {import('./redaction.js').RedactionConfig}
+ */
+function readForm(modal) {
+  const checked = (id) => /** @type {HTMLInputElement} */ (modal.querySelector(`#${id}`)).checked;
+  const denyList = /** @type {HTMLTextAreaElement} */ (modal.querySelector('#redaction-deny-list')).value;
+  return {
+    enabled: checked('redaction-enabled'),
+    ...Object.fromEntries(DETECTORS.map(({ key }) => [key, checked(`redaction-${key}`)])),
+    denyList: denyList.split('\n').map(term => term.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Show the redaction settings modal
+ * @returns {Promise<import('./redaction.js').RedactionConfig | null>} Saved config, or null if cancelled
+ */
+export function showRedactionSettingsModal() {
+  const config = getRedactionConfig();
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white text-sm';
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.id = 'redaction-settings-modal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full">
+        <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 class="text-lg font-bold text-gray-900 dark:text-white">🛡️ Redaction</h3>
+          <button id="redaction-close-btn" class="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none" aria-label="Close">&times;</button>
+        </div>
+        <div class="p-4 space-y-4">
+          <p class="text-sm text-gray-600 dark:text-gray-400">
+            Sensitive values are swapped for placeholders like <code>[EMAIL_1]</code> before a prompt is copied or run.
+            When you save the AI response, the placeholders are mapped back to the real values.
+          </p>
+          <label class="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+            <input type="checkbox" id="redaction-enabled" ${config.enabled ? 'checked' : ''}>
+            Redact prompts before they leave this browser
+          </label>
+          <div class="space-y-2 pl-6">
+            ${DETECTORS.map(({ key, label }) => `
+            <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input type="checkbox" id="redaction-${key}" ${config[key] ? 'checked' : ''}>
+              ${escapeHtml(label)}
+            </label>
+            `).join('')}
+          </div>
+          <div>
+            <label for="redaction-deny-list" class="${labelClass}">Always redact these terms (one per line)</label>
+            <textarea id="redaction-deny-list" rows="4" class="${inputClass}" placeholder="Customer or project code names">${escapeHtml(config.denyList.join('\n'))}</textarea>
+          </div>
+          <div>
+            <label for="redaction-test-input" class="${labelClass}">Try it</label>
+            <input type="text" id="redaction-test-input" class="${inputClass}" placeholder="Call Dr. Lee at 555-201-3344 or dana@example.com">
+            <p id="redaction-test-output" class="text-sm text-gray-600 dark:text-gray-400 mt-1 font-mono"></p>
+          </div>
+        </div>
+        <div class="flex justify-end gap-2 p-4 border-t border-gray-200 dark:border-gray-700">
+          <button id="redaction-cancel-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Cancel</button>
+          <button id="redaction-save-btn" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Save</button>
+        </div>
+      </div>
+    `;
+
+    const close = (result) => {
+      modal.remove();
+      document.removeEventListener('keydown', handleEscape);
+      resolve(result);
+    };
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') close(null);
+    };
+
+    const testInput = /** @type {HTMLInputElement} */ (modal.querySelector('#redaction-test-input'));
+    const renderTest = () => {
+      modal.querySelector('#redaction-test-output').textContent = testInput.value
+        ? redactText(testInput.value, { config: readForm(modal) }).text
+        : '';
+    };
+    testInput.addEventListener('input', renderTest);
+    modal.querySelectorAll('input[type="checkbox"], #redaction-deny-list').forEach(el => el.addEventListener('input', renderTest));
+
+    modal.querySelector('#redaction-close-btn').addEventListener('click', () => close(null));
+    modal.querySelector('#redaction-cancel-btn').addEventListener('click', () => close(null));
+    modal.querySelector('#redaction-save-btn').addEventListener('click', () => {
+      close(saveRedactionConfig(readForm(modal)));
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close(null);
+    });
+    document.addEventListener('keydown', handleEscape);
+    document.body.appendChild(modal);
+  });
+}
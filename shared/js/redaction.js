@@ -0,0 +1,247 @@
+/**
+ * Redaction Module
+ * Replaces sensitive values in a prompt with reversible placeholders before it
+ * leaves the browser (clipboard or AI endpoint): emails, phone numbers,
+ * account numbers, personal names and user-defined deny-list terms.
+ *
+ * Each proposal keeps its placeholder map, so the same value gets the same
+ * placeholder in every phase and saved responses can be mapped back.
+ * Configuration lives in localStorage next to the AI runner settings.
+ * @module redaction
+ */
+
+import { getProject, updateProject } from './projects.js';
+import { extractIntakeCandidates } from './intake-extractor.js';
+
+/** localStorage key holding the redaction configuration */
+export const REDACTION_STORAGE_KEY = 'redaction-config';
+
+/**
+ * @typedef {Object} RedactionConfig
+ * @property {boolean} enabled - Redact prompts before they are copied or run
+ * @property {boolean} emails - Redact email addresses
+ * @property {boolean} phones - Redact phone numbers
+ * @property {boolean} accountNumbers - Redact account, card and routing numbers
+ * @property {boolean} names - Redact names of people in the proposal
+ * @property {string[]} denyList - Extra terms to always redact (case-insensitive)
+ */
+
+/**
+ * Placeholder to original value, e.g. { '[EMAIL_1]': 'dana@example.com' }
+ * @typedef {Object.<string, string>} RedactionMap
+ */
+
+/**
+ * @typedef {Object} RedactionResult
+ * @property {string} text - Text with placeholders
+ * @property {RedactionMap} map - Placeholder map (existing entries plus new ones)
+ * @property {number} count - Number of values replaced
+ */
+
+/** @type {RedactionConfig} */
+export const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  emails: true,
+  phones: true,
+  accountNumbers: true,
+  names: true,
+  denyList: []
+};
+
+// Detection patterns - order matters: emails before names, phones before bare account numbers
+const REDACTION_PATTERNS = {
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  phone: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?!\d)/g,
+  labelledAccount: /\b(?:account|acct|routing|iban|card|policy|member)(?:\s*(?:number|no\.?|num|#|id))?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{4,}[A-Z0-9])\b/gi,
+  bareAccount: /\b(?:\d{9,19}|\d{4}(?:[ -]\d{4}){2,3}(?:[ -]\d{1,4})?)\b/g,
+  honorificName: /\b(?:Mr|Mrs|Ms|Dr)\.?\s+[A-Z][a-z]+(?:[ '-][A-Z][a-z]+)?/g,
+  speakerLabel: /^\s*(?:\[[\d:.]+\]\s*)?([A-Z][a-z]+(?:[ '-][A-Z][a-z]+){0,2})(?:\s+\([^)]*\))?:/gm,
+  stakeholderLine: /^Stakeholder:\s*([^(\n]+?)\s*(?:\(|$)/gm,
+  placeholder: /\[([A-Z]+)_(\d+)\]/g
+};
+
+/**
+ * Read the redaction configuration, filling in defaults for missing keys
+ * @returns {RedactionConfig}
+ */
+export function getRedactionConfig() {
+  try {
+    const saved = localStorage.getItem(REDACTION_STORAGE_KEY);
+    return { ...DEFAULT_REDACTION_CONFIG, ...(saved ? JSON.parse(saved) : {}) };
+  } catch (error) {
+    console.warn('Failed to read redaction config:', error);
+    return { ...DEFAULT_REDACTION_CONFIG };
+  }
+}
+
+/**
+ * Save the redaction configuration
+ * @param {Partial<RedactionConfig>} config - Settings to save (merged over current)
+ * @returns {RedactionConfig} Saved configuration
+ */
+export function saveRedactionConfig(config) {
+  const merged = { ...getRedactionConfig(), ...config };
+  merged.denyList = (merged.denyList || []).map(term => term.trim()).filter(Boolean);
+  localStorage.setItem(REDACTION_STORAGE_KEY, JSON.stringify(merged));
+  return merged;
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Collect the names of people mentioned in a proposal: the decision maker,
+ * transcript speakers, stakeholders and people the intake extractor finds
+ * @param {Partial<import('./types.js').Project>} project
+ * @returns {string[]} Names, longest first
+ */
+export function collectPersonalNames(project) {
+  const names = new Set();
+  const add = (name) => {
+    const trimmed = (name || '').trim();
+    if (trimmed.length >= 3) names.add(trimmed);
+  };
+
+  add(project.decisionMakerName);
+  for (const match of (project.conversationTranscripts || '').matchAll(REDACTION_PATTERNS.speakerLabel)) {
+    add(match[1]);
+  }
+  for (const match of (project.additionalContext || '').matchAll(REDACTION_PATTERNS.stakeholderLine)) {
+    add(match[1]);
+  }
+  const { people } = extractIntakeCandidates({
+    conversationTranscripts: project.conversationTranscripts,
+    meetingNotes: [project.meetingNotes, project.additionalContext].filter(Boolean).join('\n'),
+    attachmentText: project.attachmentText
+  });
+  people.forEach(person => add(person.name));
+
+  // First names on their own ("Dana said...") once the full name is known
+  for (const name of [...names]) {
+    const [first] = name.split(/\s+/);
+    if (first !== name && /^[A-Z][a-z]{2,}$/.test(first)) names.add(first);
+  }
+
+  return [...names].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Replace sensitive values with placeholders
+ * @param {string} text - Text to redact
+ * @param {Object} [options]
+ * @param {RedactionConfig} [options.config] - Detectors to use (saved config if omitted)
+ * @param {string[]} [options.names] - Personal names to redact
+ * @param {RedactionMap} [options.map] - Existing placeholders to reuse
+ * @returns {RedactionResult}
+ */
+export function redactText(text, { config = getRedactionConfig(), names = [], map = {} } = {}) {
+  /** @type {RedactionMap} */
+  const result = { ...map };
+  const byValue = new Map(Object.entries(result).map(([placeholder, value]) => [value, placeholder]));
+  const counters = {};
+  for (const match of Object.keys(result).join(' ').matchAll(REDACTION_PATTERNS.placeholder)) {
+    counters[match[1]] = Math.max(counters[match[1]] || 0, Number(match[2]));
+  }
+  let count = 0;
+
+  const placeholderFor = (kind, value) => {
+    let placeholder = byValue.get(value);
+    if (!placeholder) {
+      counters[kind] = (counters[kind] || 0) + 1;
+      placeholder = `[${kind}_${counters[kind]}]`;
+      result[placeholder] = value;
+      byValue.set(value, placeholder);
+    }
+    count++;
+    return placeholder;
+  };
+
+  let output = text || '';
+  if (!config.enabled || !output) return { text: output, map: result, count };
+
+  const terms = (config.denyList || []).map(term => term.trim()).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (terms.length) {
+    const pattern = new RegExp(`(?<!\\w)(?:${terms.map(escapeRegExp).join('|')})(?!\\w)`, 'gi');
+    output = output.replace(pattern, term => placeholderFor('TERM', term));
+  }
+  if (config.emails) {
+    output = output.replace(REDACTION_PATTERNS.email, email => placeholderFor('EMAIL', email));
+  }
+  if (config.phones) {
+    output = output.replace(REDACTION_PATTERNS.phone, phone => placeholderFor('PHONE', phone));
+  }
+  if (config.accountNumbers) {
+    output = output.replace(REDACTION_PATTERNS.labelledAccount, (match, value) => (/\d/.test(value)
+      ? match.slice(0, match.length - value.length) + placeholderFor('ACCOUNT', value)
+      : match));
+    output = output.replace(REDACTION_PATTERNS.bareAccount, digits => placeholderFor('ACCOUNT', digits));
+  }
+  if (config.names) {
+    if (names.length) {
+      const pattern = new RegExp(`\\b(?:${names.map(escapeRegExp).join('|')})\\b`, 'g');
+      output = output.replace(pattern, name => placeholderFor('NAME', name));
+    }
+    output = output.replace(REDACTION_PATTERNS.honorificName, name => placeholderFor('NAME', name));
+  }
+
+  return { text: output, map: result, count };
+}
+
+/**
+ * Put the original values back in place of placeholders
+ * @param {string} text - Text containing placeholders (e.g. an AI response)
+ * @param {RedactionMap} [map]
+ * @returns {string}
+ */
+export function restoreText(text, map = {}) {
+  if (!text) return text;
+  return text.replace(REDACTION_PATTERNS.placeholder, placeholder => map[placeholder] ?? placeholder);
+}
+
+/**
+ * Sentence appended to the "copied" toast when values were redacted
+ * @param {number} count - Values replaced with placeholders
+ * @returns {string} Leading space and sentence, or '' when nothing was redacted
+ */
+export function describeRedaction(count) {
+  return count > 0 ? ` ${count} sensitive value(s) replaced with placeholders.` : '';
+}
+
+/**
+ * Redact a prompt for a proposal and remember the new placeholders on it
+ * @param {import('./types.js').Project} project
+ * @param {string} prompt
+ * @returns {Promise<{ text: string, count: number }>}
+ */
+export async function redactProjectPrompt(project, prompt) {
+  const config = getRedactionConfig();
+  if (!config.enabled) return { text: prompt, count: 0 };
+
+  const current = (await getProject(project.id)) || project;
+  const { text, map, count } = redactText(prompt, {
+    config,
+    names: config.names ? collectPersonalNames(current) : [],
+    map: current.redactionMap
+  });
+  if (Object.keys(map).length !== Object.keys(current.redactionMap || {}).length) {
+    await updateProject(project.id, { redactionMap: map });
+  }
+  return { text, count };
+}
+
+/**
+ * Map placeholders in a response back to the proposal's real values
+ * @param {string} projectId
+ * @param {string} response
+ * @returns {Promise<string>}
+ */
+export async function restoreProjectResponse(projectId, response) {
+  const project = await getProject(projectId);
+  return restoreText(response, project?.redactionMap);
+}
@@ -0,0 +1,240 @@
+/**
+ * Response Sanity Module
+ * Checks a pasted phase response for the common mistakes that
+ * detectPromptPaste() does not catch: an AI that only asked clarifying
+ * questions, an answer that was cut off, a response pasted into the wrong
+ * phase, and a copy of an earlier phase's output.
+ *
+ * All checks are heuristics, so they produce warnings the user can override
+ * rather than errors.
+ * @module response-sanity
+ */
+
+import { readHeading } from './critique-parser.js';
+import { isQuestionLine } from './clarifications.js';
+
+/** localStorage key listing the checks the user asked not to run again */
+export const DISABLED_CHECKS_KEY = 'response-checks-disabled';
+
+/**
+ * @typedef {'questions-only' | 'truncated' | 'wrong-phase' | 'duplicate'} ResponseCheckCode
+ */
+
+/**
+ * @typedef {Object} ResponseIssue
+ * @property {ResponseCheckCode} code - Which check failed
+ * @property {string} message - Warning shown to the user
+ */
+
+/**
+ * @typedef {Object} ResponseCheckContext
+ * @property {number | string} template - Prompt template id of the phase (see prompts.js)
+ * @property {string} [phaseName] - Phase name used in warnings
+ * @property {string} [aiName] - Name of the AI the prompt was pasted into
+ * @property {Array<{ phase: number, name: string, text: string }>} [earlierOutputs] - Saved outputs of earlier phases
+ */
+
+/** What each shipped template asks the AI to write */
+const EXPECTED_KIND = {
+  1: 'proposal',
+  2: 'critique',
+  3: 'proposal',
+  'legal-review': 'critique',
+  'persona-review': 'critique'
+};
+
+/** Templates whose output ends with a Recommendation section */
+const ENDS_WITH_RECOMMENDATION = new Set(['2', '3', 'legal-review', 'persona-review']);
+
+/** Section headings only critiques use */
+const CRITIQUE_HEADINGS = [
+  'strengths', 'weaknesses', 'concerns', 'ai slop', 'questions that must be answered', 'questions for counsel',
+  'contract risks', 'compliance gaps', 'procurement blockers', 'financial projections', 'pain point validation',
+  'solution claims', 'missing information', 'competitive considerations'
+];
+
+/** Section headings only proposals use */
+const PROPOSAL_HEADINGS = [
+  'current situation', 'proposed solution', 'solution overview', 'financial analysis', 'financial impact',
+  'pricing', 'investment', 'risk assessment', 'implementation', 'timeline', 'next steps', 'why now'
+];
+
+const CONTINUE_PATTERN = /\b(would you like me to (continue|proceed)|shall i (continue|proceed)|should i (continue|keep going)|(type|say|reply) ["'“]?continue\b|to be continued|continued in (the )?next (message|response))|\((continued|cont\.?)\)|\[(continued|truncated)\]/i;
+
+/**
+ * Lower-case a heading and drop numbering, emoji and a trailing colon
+ * @param {string} heading
+ * @returns {string}
+ */
+function normalizeHeading(heading) {
+  return heading.toLowerCase().replace(/^[^a-z]+/, '').replace(/[\s:]+$/, '');
+}
+
+/**
+ * @param {string} heading - Normalized heading
+ * @param {string[]} list
+ * @returns {boolean}
+ */
+function matchesHeading(heading, list) {
+  return list.some(h => heading === h || heading.startsWith(`${h} `));
+}
+
+/**
+ * Non-empty, trimmed lines of a response
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Tell whether a response reads as a proposal or a critique from its section headings
+ * @param {string} text - Response text
+ * @returns {'proposal' | 'critique' | null} Null when the headings do not say
+ */
+export function classifyResponse(text) {
+  const headings = toLines(text).map(readHeading).filter(Boolean).map(normalizeHeading);
+  const critique = headings.filter(h => matchesHeading(h, CRITIQUE_HEADINGS)).length;
+  const proposal = headings.filter(h => matchesHeading(h, PROPOSAL_HEADINGS)).length;
+
+  if (critique >= 2 && critique > proposal) return 'critique';
+  if (proposal >= 2 && proposal > critique) return 'proposal';
+  return null;
+}
+
+/**
+ * Count the cells of a markdown table row
+ * @param {string} row
+ * @returns {number}
+ */
+function countCells(row) {
+  return row.replace(/^\|/, '').replace(/\|$/, '').split('|').length;
+}
+
+/**
+ * Find why a response looks cut off
+ * @param {string[]} lines - Non-empty response lines
+ * @param {ResponseCheckContext} context
+ * @returns {string | null} Reason, or null when the response looks complete
+ */
+function findTruncation(lines, context) {
+  const last = lines[lines.length - 1];
+
+  if (lines.slice(-2).some(line => CONTINUE_PATTERN.test(line))) return 'it ends by offering to continue';
+  if (lines.filter(line => line.startsWith('```')).length % 2 === 1) return 'a code block is never closed';
+
+  if (last.startsWith('|')) {
+    let start = lines.length - 1;
+    while (start > 0 && lines[start - 1].startsWith('|')) start--;
+    if (!last.endsWith('|') || countCells(last) < countCells(lines[start])) return 'the last table row is incomplete';
+  }
+  if (/[,;:(]$/.test(last)) return 'it stops mid-sentence';
+
+  const headings = lines.map(readHeading).filter(Boolean).map(normalizeHeading);
+  if (ENDS_WITH_RECOMMENDATION.has(String(context.template)) && headings.length >= 2 && !headings.some(h => h.startsWith('recommendation'))) {
+    return 'it has no Recommendation section';
+  }
+  return null;
+}
+
+/**
+ * Find the earlier phase a response copies
+ * @param {string} text - Response text
+ * @param {ResponseCheckContext['earlierOutputs']} earlierOutputs
+ * @returns {{ phase: number, name: string } | null}
+ */
+function findDuplicate(text, earlierOutputs = []) {
+  const normalize = (value) => toLines(value.toLowerCase()).map(line => line.replace(/\s+/g, ' '));
+  const lines = normalize(text);
+
+  for (const earlier of earlierOutputs) {
+    if (!earlier.text?.trim()) continue;
+    const earlierLines = normalize(earlier.text);
+    if (lines.join('\n') === earlierLines.join('\n')) return earlier;
+
+    const ratio = lines.length / earlierLines.length;
+    if (ratio < 0.8 || ratio > 1.25) continue;
+    const known = new Set(earlierLines);
+    if (lines.filter(line => known.has(line)).length >= lines.length * 0.9) return earlier;
+  }
+  return null;
+}
+
+/**
+ * Check a pasted response before it is saved
+ * @param {string} response - Response text
+ * @param {ResponseCheckContext} context - Phase the response is saved to
+ * @returns {ResponseIssue[]} Empty when nothing looks wrong
+ */
+export function checkResponse(response, context) {
+  const lines = toLines(response || '');
+  if (!lines.length) return [];
+
+  const aiName = context.aiName || 'the AI';
+  const phaseName = context.phaseName || 'this phase';
+  /** @type {ResponseIssue[]} */
+  const issues = [];
+
+  const duplicate = findDuplicate(response, context.earlierOutputs);
+  if (duplicate) {
+    issues.push({
+      code: 'duplicate',
+      message: `This is the same as the Phase ${duplicate.phase} (${duplicate.name}) output. Paste the new response from ${aiName} instead.`
+    });
+  }
+
+  const content = lines.filter(line => !readHeading(line) && !line.endsWith(':') && !/^[-*_]{3,}$/.test(line));
+  const questions = content.filter(isQuestionLine);
+  const words = response.split(/\s+/).filter(Boolean).length;
+  if (questions.length >= 2 && questions.length >= content.length / 2 && words < 600) {
+    issues.push({
+      code: 'questions-only',
+      message: `${aiName} only asked clarifying questions (${questions.length}). Log them as questions to answer them here, then paste the response that follows.`
+    });
+    return issues;
+  }
+
+  const expected = EXPECTED_KIND[String(context.template)];
+  const kind = classifyResponse(response);
+  if (expected && kind && kind !== expected) {
+    issues.push({
+      code: 'wrong-phase',
+      message: kind === 'critique'
+        ? `This looks like a critique, but ${phaseName} expects a proposal. Check that it was pasted into the right phase.`
+        : `This looks like a proposal draft, but ${phaseName} expects a critique. Check that it was pasted into the right phase.`
+    });
+    return issues;
+  }
+
+  const truncation = findTruncation(lines, context);
+  if (truncation) {
+    issues.push({
+      code: 'truncated',
+      message: `The response looks cut off: ${truncation}. Ask ${aiName} to continue and paste the complete answer.`
+    });
+  }
+  return issues;
+}
+
+/**
+ * List the checks the user turned off
+ * @returns {ResponseCheckCode[]}
+ */
+export function getDisabledResponseChecks() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DISABLED_CHECKS_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Stop running the given checks
+ * @param {ResponseCheckCode[]} codes
+ */
+export function disableResponseChecks(codes) {
+  const disabled = new Set([...getDisabledResponseChecks(), ...codes]);
+  localStorage.setItem(DISABLED_CHECKS_KEY, JSON.stringify([...disabled]));
+}
@@ -6,10 +6,11 @@
 
 import { renderProjectsList, renderNewProjectForm, renderEditProjectForm } from './views.js';
 import { renderProjectView } from './project-view.js';
+import { renderTrashView } from './trash-view.js';
 import storage from './storage.js';
 
 /**
- * @typedef {'home' | 'new-project' | 'project' | 'edit'} RouteName
+ * @typedef {'home' | 'new-project' | 'project' | 'edit' | 'trash'} RouteName
  */
 
 /**
@@ -23,7 +24,8 @@ const routes = {
   'home': renderProjectsList,
   'new-project': renderNewProjectForm,
   'project': renderProjectView,
-  'edit': renderEditProjectForm
+  'edit': renderEditProjectForm,
+  'trash': renderTrashView
 };
 
 /** @type {RouteName | null} */
@@ -40,7 +42,7 @@ let currentParams = [];
 export async function updateStorageInfo() {
   try {
     const estimate = await storage.getStorageEstimate();
-    const projects = await storage.getAllProjects();
+    const projects = (await storage.getAllProjects()).filter(project => !project.deletedAt);
 
     const storageInfo = document.getElementById('storage-info');
     if (storageInfo) {
@@ -75,6 +77,8 @@ export async function navigateTo(route, ...params) {
     window.location.hash = `#project/${params[0]}`;
   } else if (route === 'edit' && params[0]) {
     window.location.hash = `#edit/${params[0]}`;
+  } else if (route === 'trash') {
+    window.location.hash = '#trash';
   }
 
   const handler = routes[route];
@@ -114,6 +118,8 @@ async function handleHashChange() {
   } else if (hash.startsWith('edit/')) {
     const projectId = hash.split('/')[1];
     await navigateTo('edit', projectId);
+  } else if (hash === 'trash') {
+    await navigateTo('trash');
   } else {
     await navigateTo('home');
   }
@@ -0,0 +1,100 @@
+/**
+ * Search Index Module
+ * Turns proposals and their attachments into search terms for the My
+ * Proposals list. storage.js keeps one entry per proposal in the
+ * `searchIndex` store; its multi-entry `terms` index is the inverted index
+ * from term to proposals, updated whenever a proposal or one of its
+ * attachments is saved.
+ *
+ * Terms are lower-case words and numbers with accents removed. A query
+ * matches a proposal when every query word is the start of one of its terms.
+ * @module search-index
+ */
+
+/** Bump when tokenizing or the indexed fields change, so older entries are rebuilt */
+export const SEARCH_INDEX_VERSION = 3;
+
+/** Proposal fields covered by search, besides the phase outputs (`tags` is a list) */
+export const SEARCH_FIELDS = [
+  'title',
+  'organizationName',
+  'organizationLocation',
+  'siteCount',
+  'currentVendor',
+  'decisionMakerName',
+  'decisionMakerRole',
+  'conversationTranscripts',
+  'meetingNotes',
+  'attachmentText',
+  'painPoints',
+  'additionalContext',
+  'workingDraft',
+  'branchName',
+  'tags',
+  'folder'
+];
+
+/** Words too common to be worth indexing */
+const STOPWORDS = new Set(`
+  the and for are but not you with this that have from was were will would could should our your their they them
+  its has had been being into than then there these those what when where which who why how all any can may also
+  just about over more most such only other some very
+`.trim().split(/\s+/));
+
+/**
+ * @typedef {Object} SearchEntry
+ * @property {string} id - Proposal id
+ * @property {string} updatedAt - Proposal `updatedAt` when the entry was built
+ * @property {number} version - SEARCH_INDEX_VERSION the entry was built with
+ * @property {string[]} terms - Unique terms of the proposal
+ */
+
+/**
+ * Split text into lower-case words and numbers without accents
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Unique tokens worth indexing or searching for: no stopwords, and no
+ * single letters (single digits are kept)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractTerms(text) {
+  return [...new Set(tokenize(text).filter(token => (token.length > 1 || /\d/.test(token)) && !STOPWORDS.has(token)))];
+}
+
+/**
+ * Build the search index entry for a proposal
+ * @param {import('./types.js').Project} project
+ * @param {import('./types.js').Attachment[]} [attachments] - Stored attachments; filenames and text are indexed
+ * @returns {SearchEntry}
+ */
+export function buildSearchEntry(project, attachments = []) {
+  const outputs = Object.values(project.phases || {}).map(phase => phase?.response);
+  const files = attachments.flatMap(attachment => [attachment.filename, attachment.content]);
+  return {
+    id: project.id,
+    updatedAt: project.updatedAt,
+    version: SEARCH_INDEX_VERSION,
+    terms: extractTerms([...SEARCH_FIELDS.flatMap(field => project[field]), ...outputs, ...files].filter(Boolean).join('\n'))
+  };
+}
+
+/**
+ * Check whether an entry still describes the proposal
+ * @param {SearchEntry | undefined} entry
+ * @param {import('./types.js').Project} project
+ * @returns {boolean}
+ */
+export function isSearchEntryCurrent(entry, project) {
+  return Boolean(entry) && entry.version === SEARCH_INDEX_VERSION && entry.updatedAt === project.updatedAt;
+}
@@ -4,15 +4,21 @@
  * @module storage
  */
 
+import { SCHEMA_VERSION, migrateProject, runUpgradeMigrations } from './migrations.js';
+import { buildSearchEntry } from './search-index.js';
+
 /** @type {string} */
 const DB_NAME = 'strategic-proposal-db';
 
-/** @type {number} */
-const DB_VERSION = 1;
+/** @type {number} Bumped with each schema migration (see migrations.js) */
+const DB_VERSION = SCHEMA_VERSION;
 
 /** @type {string} */
 const STORE_NAME = 'proposals';
 
+/** @type {string} Search index entries by proposal id (see search-index.js) */
+const SEARCH_STORE = 'searchIndex';
+
 /**
  * Storage class for IndexedDB operations
  */
@@ -38,13 +44,12 @@ class Storage {
         const target = /** @type {IDBOpenDBRequest} */ (event.target);
         const db = target.result;
 
-        // Proposals store
+        // Proposals store (version 1 layout; later indexes come from migrations)
         if (!db.objectStoreNames.contains(STORE_NAME)) {
           const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
           store.createIndex('updatedAt', 'updatedAt', { unique: false });
           store.createIndex('title', 'title', { unique: false });
           store.createIndex('phase', 'phase', { unique: false });
-          store.createIndex('dealershipName', 'dealershipName', { unique: false });
         }
 
         // Prompts store
@@ -62,6 +67,14 @@ class Storage {
           const attachStore = db.createObjectStore('attachments', { keyPath: 'id' });
           attachStore.createIndex('proposalId', 'proposalId', { unique: false });
         }
+
+        // Search index: the multi-entry `terms` index maps each term to proposals
+        if (!db.objectStoreNames.contains(SEARCH_STORE)) {
+          const searchStore = db.createObjectStore(SEARCH_STORE, { keyPath: 'id' });
+          searchStore.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+        }
+
+        runUpgradeMigrations(target.transaction, event.oldVersion, STORE_NAME);
       };
     });
   }
@@ -120,45 +133,125 @@ class Storage {
   }
 
   /**
-     * Save or update a project
+     * Rebuild a project's search index entry from the project and its
+     * attachments as they stand in the transaction. Requests in a
+     * transaction complete in order, so earlier writes are seen.
+     * @param {IDBTransaction} tx - Transaction over the projects, attachments and search stores
+     * @param {string} projectId
+     * @returns {void}
+     */
+  indexProject(tx, projectId) {
+    const projectRequest = tx.objectStore(STORE_NAME).get(projectId);
+    const attachmentsRequest = tx.objectStore('attachments').index('proposalId').getAll(projectId);
+    attachmentsRequest.onsuccess = () => {
+      if (projectRequest.result) {
+        tx.objectStore(SEARCH_STORE).put(buildSearchEntry(projectRequest.result, attachmentsRequest.result));
+      }
+    };
+  }
+
+  /**
+     * Save or update a project, with its search index entry
      * @param {import('./types.js').Project} project
      * @returns {Promise<import('./types.js').Project>}
      */
   async saveProject(project) {
     project.updatedAt = new Date().toISOString();
 
-    const tx = this.db?.transaction(STORE_NAME, 'readwrite');
-    const store = tx?.objectStore(STORE_NAME);
+    const tx = this.db?.transaction([STORE_NAME, 'attachments', SEARCH_STORE], 'readwrite');
 
     return new Promise((resolve, reject) => {
-      if (!store) {
+      if (!tx) {
         reject(new Error('Database not initialized'));
         return;
       }
-      const request = store.put(project);
-      request.onsuccess = () => resolve(project);
-      request.onerror = () => reject(request.error);
+      tx.objectStore(STORE_NAME).put(project);
+      this.indexProject(tx, project.id);
+      tx.oncomplete = () => resolve(project);
+      tx.onerror = () => reject(tx.error);
     });
   }
 
   /**
-     * Delete a project by ID
+     * Delete a project by ID, with its search index entry
      * @param {string} id
      * @returns {Promise<void>}
      */
   async deleteProject(id) {
-    const tx = this.db?.transaction(STORE_NAME, 'readwrite');
-    const store = tx?.objectStore(STORE_NAME);
+    const tx = this.db?.transaction([STORE_NAME, SEARCH_STORE], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      if (!tx) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      tx.objectStore(STORE_NAME).delete(id);
+      tx.objectStore(SEARCH_STORE).delete(id);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+     * Get every search index entry
+     * @returns {Promise<import('./search-index.js').SearchEntry[]>}
+     */
+  async getSearchEntries() {
+    const tx = this.db?.transaction(SEARCH_STORE, 'readonly');
+    const store = tx?.objectStore(SEARCH_STORE);
 
     return new Promise((resolve, reject) => {
       if (!store) {
         reject(new Error('Database not initialized'));
         return;
       }
-      const request = store.delete(id);
-      request.onsuccess = () => resolve();
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Replace search index entries and remove entries by id
+     * @param {import('./search-index.js').SearchEntry[]} entries - Entries to save
+     * @param {string[]} [removeIds] - Ids of entries to delete
+     * @returns {Promise<void>}
+     */
+  async updateSearchEntries(entries, removeIds = []) {
+    const tx = this.db?.transaction(SEARCH_STORE, 'readwrite');
+    const store = tx?.objectStore(SEARCH_STORE);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      entries.forEach(entry => store.put(entry));
+      removeIds.forEach(id => store.delete(id));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+     * Find the projects that have a term starting with each of the given prefixes
+     * @param {string[]} prefixes - Search terms (see search-index.js)
+     * @returns {Promise<Set<string>>} Ids of projects matching every prefix (none for no prefixes)
+     */
+  async findProjectIdsByTerms(prefixes) {
+    const tx = this.db?.transaction(SEARCH_STORE, 'readonly');
+    const index = tx?.objectStore(SEARCH_STORE).index('terms');
+    if (!index) throw new Error('Database not initialized');
+
+    const lookup = (prefix) => new Promise((resolve, reject) => {
+      const request = index.getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+      request.onsuccess = () => resolve(new Set(/** @type {string[]} */ (request.result)));
       request.onerror = () => reject(request.error);
     });
+
+    if (prefixes.length === 0) return new Set();
+    const matches = await Promise.all(prefixes.map(lookup));
+    return matches.reduce((all, ids) => new Set([...all].filter(id => ids.has(id))));
   }
 
   /**
@@ -213,6 +306,133 @@ class Storage {
     });
   }
 
+  /**
+     * Get a user-defined prompt template override by phase
+     * @param {number} phase
+     * @returns {Promise<import('./types.js').PromptOverride | undefined>}
+     */
+  async getPromptOverride(phase) {
+    const tx = this.db?.transaction('prompts', 'readonly');
+    const store = tx?.objectStore('prompts');
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.get(phase);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Save a prompt template override (keyed by phase)
+     * @param {import('./types.js').PromptOverride} override
+     * @returns {Promise<import('./types.js').PromptOverride>}
+     */
+  async savePromptOverride(override) {
+    override.updatedAt = new Date().toISOString();
+
+    const tx = this.db?.transaction('prompts', 'readwrite');
+    const store = tx?.objectStore('prompts');
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.put(override);
+      request.onsuccess = () => resolve(override);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Delete a prompt template override and its history
+     * @param {number} phase
+     * @returns {Promise<void>}
+     */
+  async deletePromptOverride(phase) {
+    const tx = this.db?.transaction('prompts', 'readwrite');
+    const store = tx?.objectStore('prompts');
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.delete(phase);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Get every attachment stored for a proposal
+     * @param {string} proposalId
+     * @returns {Promise<import('./types.js').Attachment[]>}
+     */
+  async getAttachments(proposalId) {
+    const tx = this.db?.transaction('attachments', 'readonly');
+    const index = tx?.objectStore('attachments').index('proposalId');
+
+    return new Promise((resolve, reject) => {
+      if (!index) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = index.getAll(proposalId);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Save or update an attachment, updating its proposal's search index entry
+     * @param {import('./types.js').Attachment} attachment
+     * @returns {Promise<import('./types.js').Attachment>}
+     */
+  async saveAttachment(attachment) {
+    const tx = this.db?.transaction([STORE_NAME, 'attachments', SEARCH_STORE], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      if (!tx) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      tx.objectStore('attachments').put(attachment);
+      this.indexProject(tx, attachment.proposalId);
+      tx.oncomplete = () => resolve(attachment);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+     * Delete an attachment by ID, updating its proposal's search index entry
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+  async deleteAttachment(id) {
+    const tx = this.db?.transaction([STORE_NAME, 'attachments', SEARCH_STORE], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      if (!tx) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const store = tx.objectStore('attachments');
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        store.delete(id);
+        this.indexProject(tx, request.result.proposalId);
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   /**
    * Export all projects as JSON backup
    * @returns {Promise<{version: number, exportDate: string, projectCount: number, projects: Array}>}
@@ -242,7 +462,7 @@ class Storage {
 
     for (const project of data.projects) {
       await new Promise((resolve, reject) => {
-        const request = store.put(project);
+        const request = store.put(migrateProject(project));
         request.onsuccess = () => resolve();
         request.onerror = () => reject(request.error);
       });
@@ -0,0 +1,229 @@
+/**
+ * Template Engine Module
+ * A small, logic-light language for prompt templates:
+ *
+ * - `{{VAR}}` inserts a variable; `{{VAR|fallback}}` inserts the fallback when it is empty
+ * - `{{#if VAR}}…{{else}}…{{/if}}` keeps a section only when VAR has content
+ * - `{{#each LIST}}…{{/each}}` repeats a section per item; item fields such as
+ *   `{{FILENAME}}` resolve against the item first, and `{{@number}}` is the 1-based position
+ *
+ * A block tag alone on its line takes the whole line with it, so sections can
+ * be wrapped without leaving blank lines behind. Any other `{{...}}` text is
+ * left as it is. Templates never run code.
+ * @module template-engine
+ */
+
+const NAME = /^[A-Z0-9_]+$/;
+const TAG = /\{\{([^{}]*)\}\}/g;
+
+/**
+ * @typedef {Object} TemplateNode
+ * @property {'text'|'var'|'index'|'if'|'each'} type
+ * @property {string} [value] - Text content ('text')
+ * @property {string} [name] - Variable or list name
+ * @property {string} [fallback] - Value used when the variable is empty ('var')
+ * @property {TemplateNode[]} [body] - Section content ('if' and 'each')
+ * @property {TemplateNode[] | null} [otherwise] - {{else}} content ('if')
+ * @property {number} [line] - 1-based line of the tag
+ */
+
+/**
+ * Classify the content between `{{` and `}}`
+ * @param {string} content
+ * @returns {{ kind: string, name?: string, fallback?: string } | null} Null for text that is not a tag
+ */
+function classifyTag(content) {
+  const block = content.match(/^#(if|each) (.+)$/);
+  if (block) return { kind: block[1], name: block[2] };
+  if (content === 'else') return { kind: 'else' };
+  if (content === '/if' || content === '/each') return { kind: 'close', name: content.slice(1) };
+  if (content === '@number') return { kind: 'index' };
+  if (/^[#/]/.test(content)) return { kind: 'unknown' };
+
+  const pipe = content.indexOf('|');
+  const name = pipe === -1 ? content : content.slice(0, pipe);
+  if (!NAME.test(name)) return null;
+  return pipe === -1 ? { kind: 'var', name } : { kind: 'var', name, fallback: content.slice(pipe + 1) };
+}
+
+/**
+ * Parse a template into a node tree
+ * @param {string} source - Template text
+ * @returns {TemplateNode[]}
+ * @throws {Error} When a block is unbalanced or a tag is malformed; the message starts with the line number
+ */
+export function parseTemplate(source) {
+  /** @type {TemplateNode[]} */
+  const root = [];
+  /** @type {Array<{ node: TemplateNode, nodes: TemplateNode[] }>} */
+  const stack = [];
+  const current = () => (stack.length ? stack[stack.length - 1].nodes : root);
+  const fail = (line, message) => {
+    throw new Error(`Line ${line}: ${message}`);
+  };
+
+  let cursor = 0;
+  let line = 1;
+  let lineCursor = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const tag = classifyTag(match[1]);
+    if (!tag) continue;
+
+    let start = match.index;
+    let end = start + match[0].length;
+    for (; lineCursor < start; lineCursor++) {
+      if (source[lineCursor] === '\n') line++;
+    }
+
+    // A block tag alone on its line swallows the line
+    if (['if', 'each', 'else', 'close'].includes(tag.kind)) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline;
+      if (lineStart >= cursor && /^[ \t]*$/.test(source.slice(lineStart, start)) && /^[ \t]*$/.test(source.slice(end, lineEnd))) {
+        start = lineStart;
+        end = newline === -1 ? source.length : newline + 1;
+      }
+    }
+
+    if (start > cursor) current().push({ type: 'text', value: source.slice(cursor, start) });
+    cursor = end;
+
+    switch (tag.kind) {
+    case 'var':
+      current().push({ type: 'var', name: tag.name, fallback: tag.fallback, line });
+      break;
+    case 'index':
+      if (!stack.some(frame => frame.node.type === 'each')) fail(line, '{{@number}} can only be used inside {{#each}}');
+      current().push({ type: 'index', line });
+      break;
+    case 'if':
+    case 'each': {
+      if (!NAME.test(tag.name)) fail(line, `"${tag.name}" is not a variable name in {{#${tag.kind}}}`);
+      /** @type {TemplateNode} */
+      const node = { type: tag.kind, name: tag.name, body: [], line };
+      if (tag.kind === 'if') node.otherwise = null;
+      current().push(node);
+      stack.push({ node, nodes: node.body });
+      break;
+    }
+    case 'else': {
+      const frame = stack[stack.length - 1];
+      if (!frame || frame.node.type !== 'if') fail(line, '{{else}} without an open {{#if}}');
+      if (frame.node.otherwise) fail(line, `second {{else}} in {{#if ${frame.node.name}}}`);
+      frame.node.otherwise = [];
+      frame.nodes = frame.node.otherwise;
+      break;
+    }
+    case 'close': {
+      const frame = stack.pop();
+      if (!frame) fail(line, `{{/${tag.name}}} without an open {{#${tag.name}}}`);
+      if (frame.node.type !== tag.name) {
+        fail(line, `{{/${tag.name}}} closes {{#${frame.node.type} ${frame.node.name}}} from line ${frame.node.line}`);
+      }
+      break;
+    }
+    default:
+      fail(line, `unknown tag {{${match[1]}}}`);
+    }
+  }
+
+  if (stack.length) {
+    const { node } = stack[stack.length - 1];
+    fail(node.line, `{{#${node.type} ${node.name}}} is never closed`);
+  }
+  if (cursor < source.length) root.push({ type: 'text', value: source.slice(cursor) });
+  return root;
+}
+
+/**
+ * Whether a value counts as present for {{#if}}
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasContent(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'number') return true;
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Render a template with variables
+ * @param {string} source - Template text
+ * @param {Object.<string, *>} vars - Strings, numbers, or arrays of objects for {{#each}}
+ * @param {Object} [options]
+ * @param {string} [options.emptyValue=''] - Inserted for empty variables that have no fallback
+ * @param {(name: string) => void} [options.onMissing] - Called for each variable not found in vars
+ * @returns {string}
+ * @throws {Error} When the template does not parse
+ */
+export function renderTemplate(source, vars, { emptyValue = '', onMissing } = {}) {
+  const findScope = (name, scopes) => {
+    const scope = scopes.find(s => Object.prototype.hasOwnProperty.call(s, name));
+    if (!scope) onMissing?.(name);
+    return scope;
+  };
+  const lookup = (name, scopes) => findScope(name, scopes)?.[name];
+
+  const render = (nodes, scopes, index) => nodes.map(node => {
+    switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'index':
+      return String(index + 1);
+    case 'var': {
+      const scope = findScope(node.name, scopes);
+      const value = scope?.[node.name];
+      const text = typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+      if (text.trim()) return text;
+      return node.fallback ?? (scope ? emptyValue : '');
+    }
+    case 'if':
+      if (hasContent(lookup(node.name, scopes))) return render(node.body, scopes, index);
+      return node.otherwise ? render(node.otherwise, scopes, index) : '';
+    case 'each': {
+      const items = lookup(node.name, scopes);
+      if (!Array.isArray(items)) return '';
+      return items.map((item, i) => render(node.body, [Object(item), ...scopes], i)).join('');
+    }
+    default:
+      return '';
+    }
+  }).join('');
+
+  return render(parseTemplate(source), [vars || {}], 0);
+}
+
+/**
+ * Check a template against the variables it will be rendered with
+ * @param {string} source - Template text
+ * @param {string[]} knownVariables - Variable names the template may use
+ * @param {Object.<string, string[]>} [listFields] - Item fields available inside {{#each LIST}}, by list name
+ * @returns {{ errors: string[], unknownVariables: string[] }}
+ */
+export function validateTemplate(source, knownVariables, listFields = {}) {
+  let nodes;
+  try {
+    nodes = parseTemplate(source);
+  } catch (error) {
+    return { errors: [error.message], unknownVariables: [] };
+  }
+
+  const unknown = new Set();
+  const walk = (list, known) => {
+    for (const node of list) {
+      if (node.type === 'text' || node.type === 'index') continue;
+      if (!known.has(node.name)) unknown.add(node.name);
+      if (node.type === 'if') {
+        walk(node.body, known);
+        walk(node.otherwise || [], known);
+      } else if (node.type === 'each') {
+        walk(node.body, new Set([...known, ...(listFields[node.name] || [])]));
+      }
+    }
+  };
+  walk(nodes, new Set(knownVariables));
+
+  return { errors: [], unknownVariables: [...unknown] };
+}
@@ -0,0 +1,145 @@
+/**
+ * Transcript Import Module
+ * Modal that parses a meeting transcript, lets the user mark which speakers
+ * are the customer and hands back the compact transcript
+ * @module transcript-import
+ */
+
+import { parseTranscript, formatTranscript, TRANSCRIPT_FORMATS } from './transcript-parser.js';
+import { escapeHtml, showToast } from './ui.js';
+
+/** File types offered by the transcript file picker */
+export const TRANSCRIPT_FILE_EXTENSIONS = ['.vtt', '.srt', '.txt'];
+
+/**
+ * Show the transcript import modal
+ * @param {(transcript: string) => void} onInsert - Receives the formatted transcript
+ * @returns {void}
+ */
+export function showTranscriptImportModal(onInsert) {
+  let parsed = parseTranscript('');
+  const customerSpeakers = new Set();
+
+  const modal = document.createElement('div');
+  modal.id = 'transcript-import-modal';
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+  modal.innerHTML = `
+    <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] flex flex-col">
+      <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+        <h3 class="text-lg font-bold text-gray-900 dark:text-white">🎙️ Import Transcript</h3>
+        <button id="close-transcript-import-btn" class="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none" aria-label="Close">&times;</button>
+      </div>
+      <div class="p-4 overflow-y-auto flex-1 space-y-4">
+        <p class="text-sm text-gray-600 dark:text-gray-400">Upload or paste WebVTT, SRT, Zoom, Teams or Otter transcripts. Timestamps and filler words are removed and lines are grouped by speaker.</p>
+        <div class="flex items-center gap-3">
+          <label class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors text-sm cursor-pointer">
+            📄 Upload File
+            <input type="file" id="transcript-file-input" accept="${TRANSCRIPT_FILE_EXTENSIONS.join(',')}" class="hidden">
+          </label>
+          <span id="transcript-format" class="text-sm text-gray-500 dark:text-gray-400"></span>
+        </div>
+        <textarea id="transcript-raw" rows="6" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg font-mono text-sm dark:bg-gray-700 dark:text-white" placeholder="...or paste the transcript here"></textarea>
+        <div id="transcript-speakers"></div>
+        <div>
+          <div class="flex items-center justify-between mb-2">
+            <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Preview</span>
+            <span id="transcript-stats" class="text-xs text-gray-500 dark:text-gray-400"></span>
+          </div>
+          <pre id="transcript-preview" class="p-3 bg-gray-50 dark:bg-gray-900 rounded-lg text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap max-h-64 overflow-y-auto"></pre>
+        </div>
+      </div>
+      <div class="flex justify-end gap-3 p-4 border-t border-gray-200 dark:border-gray-700">
+        <button id="transcript-cancel-btn" class="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">Cancel</button>
+        <button id="transcript-insert-btn" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50" disabled>Add to Transcripts</button>
+      </div>
+    </div>
+  `;
+
+  const rawInput = /** @type {HTMLTextAreaElement} */ (modal.querySelector('#transcript-raw'));
+  const fileInput = /** @type {HTMLInputElement} */ (modal.querySelector('#transcript-file-input'));
+  const insertBtn = /** @type {HTMLButtonElement} */ (modal.querySelector('#transcript-insert-btn'));
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+
+  const renderPreview = () => {
+    const output = formatTranscript(parsed.turns, [...customerSpeakers]);
+    modal.querySelector('#transcript-preview').textContent = output;
+    modal.querySelector('#transcript-stats').textContent = rawInput.value.trim()
+      ? `${parsed.turns.length} turn(s) · ${rawInput.value.length.toLocaleString()} → ${output.length.toLocaleString()} chars`
+      : '';
+    insertBtn.disabled = !output;
+  };
+
+  const renderSpeakers = () => {
+    const container = modal.querySelector('#transcript-speakers');
+    container.innerHTML = parsed.speakers.length ? `
+      <p class="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Which speakers are the customer?</p>
+      <div class="flex flex-wrap gap-3">
+        ${parsed.speakers.map(speaker => `
+        <label class="inline-flex items-center gap-2 px-3 py-1.5 bg-gray-100 dark:bg-gray-700 rounded-lg text-sm text-gray-800 dark:text-gray-200">
+          <input type="checkbox" class="transcript-customer" value="${escapeHtml(speaker)}" ${customerSpeakers.has(speaker) ? 'checked' : ''}>
+          ${escapeHtml(speaker)}
+        </label>
+        `).join('')}
+      </div>
+    ` : '';
+
+    container.querySelectorAll('.transcript-customer').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const input = /** @type {HTMLInputElement} */ (checkbox);
+        if (input.checked) customerSpeakers.add(input.value);
+        else customerSpeakers.delete(input.value);
+        renderPreview();
+      });
+    });
+  };
+
+  const update = () => {
+    parsed = parseTranscript(rawInput.value);
+    // Forget tags for speakers that are no longer in the transcript
+    for (const speaker of [...customerSpeakers]) {
+      if (!parsed.speakers.includes(speaker)) customerSpeakers.delete(speaker);
+    }
+    modal.querySelector('#transcript-format').textContent = rawInput.value.trim() ? `Detected: ${TRANSCRIPT_FORMATS[parsed.format]}` : '';
+    renderSpeakers();
+    renderPreview();
+  };
+
+  rawInput.addEventListener('input', update);
+
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      rawInput.value = String(e.target.result);
+      update();
+    };
+    reader.onerror = () => showToast(`Error reading ${file.name}`, 'error');
+    reader.readAsText(file);
+    fileInput.value = '';
+  });
+
+  insertBtn.addEventListener('click', () => {
+    onInsert(formatTranscript(parsed.turns, [...customerSpeakers]));
+    closeModal();
+    showToast(`Added ${parsed.turns.length} transcript turn(s)`, 'success');
+  });
+
+  modal.querySelector('#close-transcript-import-btn').addEventListener('click', closeModal);
+  modal.querySelector('#transcript-cancel-btn').addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+
+  document.body.appendChild(modal);
+  rawInput.focus();
+}
@@ -0,0 +1,263 @@
+/**
+ * Transcript Parser Module
+ * Normalizes meeting transcripts into speaker-labelled turns.
+ *
+ * Understands WebVTT and SRT captions, Zoom transcript and chat exports,
+ * Teams/Otter "Name  0:05" exports and plain "Name: text" logs. Timestamps,
+ * caption markup and filler words are dropped, and consecutive lines from
+ * the same speaker are merged so the prompt gets a compact transcript.
+ * @module transcript-parser
+ */
+
+/**
+ * @typedef {'webvtt' | 'srt' | 'zoom' | 'teams-otter' | 'labelled' | 'plain'} TranscriptFormat
+ */
+
+/**
+ * @typedef {Object} TranscriptTurn
+ * @property {string} speaker - Speaker name ('' when the source has none)
+ * @property {string} text - What was said, cleaned up
+ * @property {string} [start] - Timestamp of the first line of the turn, if known
+ */
+
+/**
+ * @typedef {Object} ParsedTranscript
+ * @property {TranscriptFormat} format - Detected source format
+ * @property {TranscriptTurn[]} turns - Turns in order, same-speaker runs merged
+ * @property {string[]} speakers - Named speakers in order of first appearance
+ */
+
+/** Display names for each format */
+export const TRANSCRIPT_FORMATS = {
+  webvtt: 'WebVTT captions',
+  srt: 'SRT captions',
+  zoom: 'Zoom export',
+  'teams-otter': 'Teams / Otter export',
+  labelled: 'Speaker-labelled text',
+  plain: 'Plain text'
+};
+
+const TIMESTAMP = '(?:\\d{1,2}:)?\\d{1,2}:\\d{2}(?:[.,]\\d{1,3})?';
+const CUE_TIMING = /-->/;
+const ZOOM_HEADER = new RegExp(`^\\[([^\\]\\n]+)\\]\\s+(${TIMESTAMP})\\s*$`);
+const ZOOM_CHAT = /^(\d{1,2}:\d{2}:\d{2})\s+From\s+(.+?)(?:\s+to\s+.+?)?\s*:\s*(.*)$/;
+const SPEAKER_TIMESTAMP_HEADER = new RegExp(`^([^\\s:][^:\\n]{0,59}?)\\s+(${TIMESTAMP})\\s*$`);
+const LABELLED_LINE = /^([^\s:][^:\n]{0,39}):\s+(.*)$/;
+const LEADING_TIMESTAMP = new RegExp(`^[[(]?${TIMESTAMP}[\\])]?\\s*(?:-\\s*)?`);
+
+/** Spoken fillers dropped from turns */
+const FILLERS = /\b(?:u+m+|u+h+m*|e+rm+|h+m+|mm-?hmm|uh-huh|ah+)\b[,.]?\s*/gi;
+
+/**
+ * Whether a label looks like a person's name rather than the start of a sentence
+ * @param {string} label
+ * @returns {boolean}
+ */
+function isSpeakerName(label) {
+  return label.trim().split(/\s+/).length <= 4 && !/[.!?]/.test(label);
+}
+
+/**
+ * Detect the format of a transcript
+ * @param {string} text - Raw transcript
+ * @returns {TranscriptFormat}
+ */
+export function detectTranscriptFormat(text) {
+  const source = normalizeLineEndings(text);
+  if (/^WEBVTT/.test(source)) return 'webvtt';
+
+  const lines = source.split('\n').map(l => l.trim()).filter(Boolean);
+  if (lines.some(l => CUE_TIMING.test(l)) && /^\d+$/.test(lines[0] || '')) return 'srt';
+  if (lines.some(l => ZOOM_HEADER.test(l) || ZOOM_CHAT.test(l))) return 'zoom';
+
+  const headers = lines.filter(l => SPEAKER_TIMESTAMP_HEADER.test(l) && isSpeakerName(l.match(SPEAKER_TIMESTAMP_HEADER)[1]));
+  if (headers.length >= 2) return 'teams-otter';
+
+  const labelled = lines.filter(l => {
+    const match = l.replace(LEADING_TIMESTAMP, '').match(LABELLED_LINE);
+    return match && isSpeakerName(match[1]);
+  });
+  if (lines.length && labelled.length >= lines.length / 2) return 'labelled';
+
+  return 'plain';
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeLineEndings(text) {
+  return (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Split a caption line into speaker and text (WebVTT voice tags or "Name: text")
+ * @param {string} line
+ * @returns {{speaker: string | null, text: string}}
+ */
+function splitCaptionSpeaker(line) {
+  const voice = line.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/);
+  const text = line.replace(/<[^>]+>/g, '').trim();
+  if (voice) return { speaker: voice[1].trim(), text };
+
+  const labelled = text.match(LABELLED_LINE);
+  if (labelled && isSpeakerName(labelled[1])) return { speaker: labelled[1].trim(), text: labelled[2] };
+  return { speaker: null, text };
+}
+
+/**
+ * Parse WebVTT or SRT cues. Cues without a speaker continue the previous speaker.
+ * @param {string} source
+ * @returns {TranscriptTurn[]}
+ */
+function parseCaptions(source) {
+  const turns = [];
+  let speaker = '';
+  for (const block of source.split(/\n\s*\n/)) {
+    const lines = block.split('\n').map(l => l.trim()).filter(Boolean);
+    const timing = lines.findIndex(l => CUE_TIMING.test(l));
+    if (timing === -1) continue; // WEBVTT header, NOTE and STYLE blocks
+
+    const start = lines[timing].split('-->')[0].trim();
+    for (const line of lines.slice(timing + 1)) {
+      const cue = splitCaptionSpeaker(line);
+      if (cue.speaker !== null) speaker = cue.speaker;
+      turns.push({ speaker, text: cue.text, start });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Parse formats where a header line names the speaker and the following lines
+ * hold what they said (Zoom "[Name] 10:01:23", Teams/Otter "Name  0:05")
+ * @param {string[]} lines
+ * @param {RegExp} header - Captures speaker then timestamp
+ * @returns {TranscriptTurn[]}
+ */
+function parseHeaderBlocks(lines, header) {
+  const turns = [];
+  let current = null;
+  for (const line of lines) {
+    const chat = line.match(ZOOM_CHAT);
+    const match = line.match(header);
+    if (chat) {
+      current = null;
+      turns.push({ speaker: chat[2].trim(), text: chat[3], start: chat[1] });
+    } else if (match && isSpeakerName(match[1])) {
+      current = { speaker: match[1].trim(), text: '', start: match[2] };
+      turns.push(current);
+    } else if (current) {
+      current.text += ` ${line}`;
+    } else {
+      turns.push({ speaker: '', text: line });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Parse "Name: text" lines; unlabelled lines continue the previous turn
+ * @param {string[]} lines
+ * @returns {TranscriptTurn[]}
+ */
+function parseLabelledLines(lines) {
+  const turns = [];
+  for (const line of lines) {
+    const timestamp = line.match(LEADING_TIMESTAMP);
+    const rest = line.replace(LEADING_TIMESTAMP, '');
+    const match = rest.match(LABELLED_LINE);
+    if (match && isSpeakerName(match[1])) {
+      turns.push({ speaker: match[1].trim(), text: match[2], ...(timestamp && { start: timestamp[0].replace(/[[\]()\-\s]/g, '') }) });
+    } else if (turns.length) {
+      turns[turns.length - 1].text += ` ${rest}`;
+    } else {
+      turns.push({ speaker: '', text: rest });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Remove fillers, stutters and stray whitespace from spoken text
+ * @param {string} text
+ * @returns {string}
+ */
+export function cleanTurnText(text) {
+  const cleaned = text
+    .replace(FILLERS, '')
+    .replace(/\b(\w+)(?:\s+\1\b)+/gi, '$1')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .replace(/([,;:])(?=[,.!?;:])/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,.;:-]+/, '')
+    .trim();
+  return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+}
+
+/**
+ * Drop turns with nothing but filler, merge consecutive turns by the same
+ * speaker, then clean the merged text (caption cues often split sentences)
+ * @param {TranscriptTurn[]} turns
+ * @param {boolean} keepParagraphs - Keep unattributed turns apart (plain text paragraphs)
+ * @returns {TranscriptTurn[]}
+ */
+function mergeTurns(turns, keepParagraphs) {
+  const merged = [];
+  for (const turn of turns) {
+    if (!/[\p{L}\p{N}]/u.test(cleanTurnText(turn.text))) continue;
+
+    const last = merged[merged.length - 1];
+    if (last && last.speaker === turn.speaker && !(keepParagraphs && !turn.speaker)) {
+      last.text += ` ${turn.text}`;
+    } else {
+      merged.push({ ...turn });
+    }
+  }
+  return merged.map(turn => ({ ...turn, text: cleanTurnText(turn.text) }));
+}
+
+/**
+ * Parse a transcript in any supported format
+ * @param {string} text - Raw transcript or caption file
+ * @returns {ParsedTranscript}
+ */
+export function parseTranscript(text) {
+  const source = normalizeLineEndings(text);
+  const format = detectTranscriptFormat(source);
+  const lines = source.split('\n').map(l => l.trim()).filter(Boolean);
+
+  let turns;
+  if (format === 'webvtt' || format === 'srt') {
+    turns = parseCaptions(source);
+  } else if (format === 'zoom') {
+    turns = parseHeaderBlocks(lines, ZOOM_HEADER);
+  } else if (format === 'teams-otter') {
+    turns = parseHeaderBlocks(lines, SPEAKER_TIMESTAMP_HEADER);
+  } else if (format === 'labelled') {
+    turns = parseLabelledLines(lines);
+  } else {
+    turns = source.split(/\n\s*\n/).map(paragraph => ({ speaker: '', text: paragraph.replace(/\n/g, ' ') }));
+  }
+
+  turns = mergeTurns(turns, format === 'plain');
+  const speakers = [...new Set(turns.map(t => t.speaker).filter(Boolean))];
+  return { format, turns, speakers };
+}
+
+/**
+ * Format turns as a compact, speaker-attributed transcript.
+ * When customer speakers are given, every named speaker is marked as
+ * Customer or Our team so the prompt can tell the two sides apart.
+ * @param {TranscriptTurn[]} turns
+ * @param {string[]} [customerSpeakers=[]] - Speakers who belong to the customer
+ * @returns {string}
+ */
+export function formatTranscript(turns, customerSpeakers = []) {
+  const customers = new Set(customerSpeakers);
+  return turns.map(({ speaker, text }) => {
+    if (!speaker) return text;
+    const side = customers.size ? ` (${customers.has(speaker) ? 'Customer' : 'Our team'})` : '';
+    return `${speaker}${side}: ${text}`;
+  }).join('\n');
+}
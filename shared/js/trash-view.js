@@ -0,0 +1,137 @@
+/**
+ * Trash View Module
+ * Lists deleted proposals with restore and delete-forever actions, the
+ * retention setting and "Empty Trash". Also provides the undo toast shown
+ * right after a proposal is deleted.
+ * @module trash-view
+ */
+
+import { getTrashedProjects, restoreProject, purgeProject, emptyTrash } from './projects.js';
+import { getTrashRetentionDays, setTrashRetentionDays, getPurgeDate, TRASH_RETENTION_OPTIONS } from './trash.js';
+import { formatDate, escapeHtml, confirm, showToast } from './ui.js';
+import { navigateTo } from './router.js';
+
+/** How long the undo button stays up after a deletion (ms) */
+const UNDO_TOAST_DURATION = 8000;
+
+/**
+ * Tell the user a proposal went to the trash, with an Undo button
+ * @param {import('./types.js').Project} project - Trashed project
+ * @param {() => void} onRestored - Called after Undo restored the project
+ * @returns {void}
+ */
+export function showTrashedToast(project, onRestored) {
+  showToast(`"${project.organizationName || project.title}" moved to the trash`, 'success', UNDO_TOAST_DURATION, {
+    label: 'Undo',
+    onClick: async () => {
+      try {
+        await restoreProject(project.id);
+        showToast('Proposal restored', 'success');
+        onRestored();
+      } catch (error) {
+        console.error('Failed to restore proposal:', error);
+        showToast(`Failed to restore proposal: ${error.message}`, 'error');
+      }
+    }
+  });
+}
+
+/**
+ * Render the trash view
+ * @returns {Promise<void>}
+ */
+export async function renderTrashView() {
+  const [projects, retentionDays] = await Promise.all([getTrashedProjects(), getTrashRetentionDays()]);
+
+  const container = document.getElementById('app-container');
+  if (!container) return;
+  container.innerHTML = `
+        <div class="max-w-4xl mx-auto">
+            <div class="mb-6">
+                <button id="back-btn" class="text-blue-600 dark:text-blue-400 hover:underline flex items-center">
+                    <svg class="w-5 h-5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"></path>
+                    </svg>
+                    Back to Proposals
+                </button>
+            </div>
+
+            <div class="mb-6 flex flex-wrap items-center justify-between gap-3">
+                <h2 class="text-3xl font-bold text-gray-900 dark:text-white">
+                    🗑️ Trash
+                </h2>
+                <div class="flex items-center gap-3">
+                    <label for="trash-retention" class="text-sm text-gray-600 dark:text-gray-400">Delete forever after</label>
+                    <select id="trash-retention" class="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm">
+                        ${TRASH_RETENTION_OPTIONS.map(option => `<option value="${option.days}" ${option.days === retentionDays ? 'selected' : ''}>${option.label}</option>`).join('')}
+                    </select>
+                    <button id="empty-trash-btn" class="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed" ${projects.length ? '' : 'disabled'}>
+                        Empty Trash
+                    </button>
+                </div>
+            </div>
+
+            ${projects.length === 0 ? `
+            <div class="text-center py-16 bg-white dark:bg-gray-800 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600">
+                <span class="text-6xl mb-4 block">🗑️</span>
+                <p class="text-gray-600 dark:text-gray-400">The trash is empty. Deleted proposals are kept here so they can be restored.</p>
+            </div>
+            ` : `
+            <ul class="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 divide-y divide-gray-200 dark:divide-gray-700">
+                ${projects.map(project => {
+    const purgeDate = getPurgeDate(project, retentionDays);
+    return `
+                <li class="trash-item flex items-center justify-between gap-4 p-4" data-project-id="${project.id}">
+                    <div class="min-w-0">
+                        <p class="font-medium text-gray-900 dark:text-white truncate">${escapeHtml(project.organizationName || project.title)}</p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">
+                            Deleted ${formatDate(project.deletedAt)}${purgeDate ? ` · removed for good on ${purgeDate.toLocaleDateString()}` : ''}
+                        </p>
+                    </div>
+                    <div class="flex items-center gap-2 shrink-0">
+                        <button class="restore-project-btn px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm" data-project-id="${project.id}">Restore</button>
+                        <button class="purge-project-btn px-3 py-1.5 text-sm text-red-600 dark:text-red-400 hover:underline" data-project-id="${project.id}">Delete Forever</button>
+                    </div>
+                </li>`;
+  }).join('')}
+            </ul>
+            `}
+        </div>
+    `;
+
+  container.querySelector('#back-btn')?.addEventListener('click', () => navigateTo('home'));
+
+  container.querySelector('#trash-retention')?.addEventListener('change', async (e) => {
+    try {
+      await setTrashRetentionDays(Number(/** @type {HTMLSelectElement} */ (e.target).value));
+      await renderTrashView();
+    } catch (error) {
+      console.error('Failed to save trash retention:', error);
+      showToast(`Failed to save setting: ${error.message}`, 'error');
+    }
+  });
+
+  container.querySelector('#empty-trash-btn')?.addEventListener('click', async () => {
+    if (!(await confirm(`Delete ${projects.length} proposal${projects.length === 1 ? '' : 's'} and their attachments for good? This cannot be undone.`, 'Empty Trash'))) return;
+    const count = await emptyTrash();
+    showToast(`${count} proposal${count === 1 ? '' : 's'} deleted for good`, 'success');
+    await renderTrashView();
+  });
+
+  container.querySelectorAll('.restore-project-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await restoreProject(/** @type {HTMLElement} */ (btn).dataset.projectId);
+      showToast('Proposal restored', 'success');
+      await renderTrashView();
+    });
+  });
+
+  container.querySelectorAll('.purge-project-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!(await confirm('Delete this proposal and its attachments for good? This cannot be undone.', 'Delete Forever'))) return;
+      await purgeProject(/** @type {HTMLElement} */ (btn).dataset.projectId);
+      showToast('Proposal deleted for good', 'success');
+      await renderTrashView();
+    });
+  });
+}
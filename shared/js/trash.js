@@ -0,0 +1,69 @@
+/**
+ * Trash Module
+ * How long deleted proposals stay in the trash. Deleting a proposal only
+ * sets its `deletedAt`; it and its attachments are removed for good when the
+ * trash is emptied or once the retention period has passed.
+ * @module trash
+ */
+
+import storage from './storage.js';
+
+/** Settings key holding the retention period in days */
+export const TRASH_RETENTION_KEY = 'trash-retention-days';
+
+/** Retention used until the user picks one */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/** Retention periods offered in the trash view (0 keeps trashed proposals until the trash is emptied) */
+export const TRASH_RETENTION_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 0, label: 'Never' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the retention period
+ * @returns {Promise<number>} Days, or 0 to keep trashed proposals until emptied
+ */
+export async function getTrashRetentionDays() {
+  const days = await storage.getSetting(TRASH_RETENTION_KEY);
+  return TRASH_RETENTION_OPTIONS.some(option => option.days === days) ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Set the retention period
+ * @param {number} days - One of TRASH_RETENTION_OPTIONS
+ * @returns {Promise<void>}
+ */
+export async function setTrashRetentionDays(days) {
+  if (!TRASH_RETENTION_OPTIONS.some(option => option.days === days)) {
+    throw new Error(`Unsupported trash retention: ${days} days`);
+  }
+  await storage.saveSetting(TRASH_RETENTION_KEY, days);
+}
+
+/**
+ * When a trashed proposal will be removed for good
+ * @param {import('./types.js').Project} project - Trashed project
+ * @param {number} retentionDays - Retention period (0 for never)
+ * @returns {Date | null} Null when it is kept until the trash is emptied
+ */
+export function getPurgeDate(project, retentionDays) {
+  if (!project.deletedAt || !retentionDays) return null;
+  return new Date(new Date(project.deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+/**
+ * Check whether a trashed proposal is past the retention period
+ * @param {import('./types.js').Project} project - Trashed project
+ * @param {number} retentionDays - Retention period (0 for never)
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isTrashExpired(project, retentionDays, now = new Date()) {
+  const purgeDate = getPurgeDate(project, retentionDays);
+  return Boolean(purgeDate) && purgeDate <= now;
+}
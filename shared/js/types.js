@@ -14,39 +14,115 @@
  * @property {string} prompt - The prompt used for this phase
  * @property {string} response - The AI response for this phase
  * @property {boolean} completed - Whether this phase is complete
+ * @property {string} [updatedAt] - ISO timestamp of the last save
+ * @property {Object.<string, PanelCritique>} [panel] - Review panel critiques by persona id (panel phases only)
+ * @property {ResponseVersion[]} [history] - Saved responses, oldest first
+ * @property {ClarificationTurn[]} [thread] - Clarifying questions the AI asked and the answers given, oldest first
+ */
+
+/**
+ * @typedef {Object} ClarificationTurn
+ * @property {string} message - AI message that asked the questions
+ * @property {string[]} questions - Questions found in the message (see clarifications.js)
+ * @property {string[]} answers - Answer per question ('' while unanswered)
+ * @property {string} askedAt - ISO timestamp of when the message was logged
+ * @property {string} [answeredAt] - ISO timestamp of the last answer save
+ */
+
+/**
+ * @typedef {'pasted' | 'edited' | 'imported' | 'run' | 'restored'} ResponseSource
+ */
+
+/**
+ * @typedef {Object} ResponseVersion
+ * @property {string} response - Response text at this version
+ * @property {string} savedAt - ISO timestamp of the save
+ * @property {ResponseSource} source - How the response was produced
+ */
+
+/**
+ * @typedef {Object} PanelCritique
+ * @property {string} prompt - Prompt generated for this persona
+ * @property {string} response - Critique pasted for this persona
+ * @property {string} updatedAt - ISO timestamp of the last save
+ */
+
+/**
+ * @typedef {Object} ReviewRoundPhase
+ * @property {string} prompt - Prompt used in this round
+ * @property {string} response - Response saved in this round
+ * @property {string} savedAt - ISO timestamp of when the response was saved
+ * @property {Object.<string, PanelCritique>} [panel] - Individual panel critiques, if the phase used the review panel
+ * @property {ClarificationTurn[]} [thread] - Clarifying questions asked in this round
+ */
+
+/**
+ * @typedef {Object} ReviewRound
+ * @property {number} round - Round number (1-based)
+ * @property {string} completedAt - ISO timestamp of when the round was archived
+ * @property {number} score - Validator score of the round's final output
+ * @property {Object.<string, ReviewRoundPhase>} phases - Review phases (2 to final) by phase number
  */
 
 /**
  * @typedef {Object} Project
  * @property {string} id - Unique identifier (UUID)
  * @property {string} title - Project title
- * @property {string} dealershipName - Name of the dealership
- * @property {string} dealershipLocation - Location of the dealership
- * @property {string} storeCount - Number of stores
+ * @property {number} [schemaVersion] - Record schema version (see migrations.js; 1 if absent)
+ * @property {string} organizationName - Name of the organization (dealership)
+ * @property {string} organizationLocation - Location of the organization
+ * @property {string} siteCount - Number of sites (stores)
  * @property {string} currentVendor - Current vendor name
  * @property {string} decisionMakerName - Name of decision maker
  * @property {string} decisionMakerRole - Role of decision maker
  * @property {string} conversationTranscripts - Conversation transcripts
  * @property {string} meetingNotes - Meeting notes
- * @property {string} attachmentText - Extracted text from attachments
+ * @property {string} attachmentText - Attachment text pasted into the form (stored files are in the attachments store)
  * @property {string} painPoints - Identified pain points
  * @property {string} additionalContext - Additional context
  * @property {string} workingDraft - Working draft content
  * @property {string} phase1_output - Output from phase 1
  * @property {string} phase2_output - Output from phase 2
- * @property {string} phase3_output - Output from phase 3
- * @property {number} phase - Current phase number (1-3)
+ * @property {string} phase3_output - Output from phase 3 (pipelines with more phases add phaseN_output)
+ * @property {string} [pipelineId] - Pipeline id from PIPELINES (default pipeline if absent)
+ * @property {number} phase - Current phase number (1 to the pipeline's phase count)
  * @property {string} createdAt - ISO timestamp of creation
  * @property {string} updatedAt - ISO timestamp of last update
  * @property {Object.<string, PhaseData>} phases - Phase data by phase number
+ * @property {number} [currentRound] - Review round in progress (1 if absent)
+ * @property {ReviewRound[]} [reviewRounds] - Archived review rounds, oldest first
+ * @property {Persona[]} [reviewPanel] - Reviewer personas for adversarial phases (single reviewer if empty)
+ * @property {ForkOrigin} [forkedFrom] - Set on branches created with "Fork from here"
+ * @property {string} [branchName] - Branch label shown under the origin proposal
+ * @property {import('./prompt-budget.js').PromptBudgetSettings} [promptBudget] - How an over-budget prompt is shortened
+ * @property {Object.<string, string>} [redactionMap] - Placeholders used in copied prompts, mapped to the real values (see redaction.js)
+ * @property {string[]} tags - User-defined tags
+ * @property {string} folder - Folder name ('' when not filed)
+ * @property {import('./project-tracking.js').SalesStatus} salesStatus - Where the proposal stands with the customer
+ * @property {Object.<string, string>} statusDates - Date (YYYY-MM-DD) each sales status was reached, by status id
+ * @property {string} [deletedAt] - ISO timestamp the project was moved to the trash (see trash.js)
+ */
+
+/**
+ * @typedef {Object} ForkOrigin
+ * @property {string} projectId - Project the branch was forked from
+ * @property {string} rootId - Original proposal at the top of the branch tree
+ * @property {number} phase - Phase the branch was forked at (redone in the branch)
+ * @property {string} forkedAt - ISO timestamp of the fork
+ */
+
+/**
+ * @typedef {Object} ProjectGroup
+ * @property {Project} origin - Original proposal
+ * @property {Project[]} branches - Branches forked from it (or from its branches), oldest first
  */
 
 /**
  * @typedef {Object} ProjectFormData
  * @property {string} [title] - Optional title override
- * @property {string} dealershipName - Name of the dealership
- * @property {string} [dealershipLocation] - Location of the dealership
- * @property {string} [storeCount] - Number of stores
+ * @property {string} organizationName - Name of the organization (dealership)
+ * @property {string} [organizationLocation] - Location of the organization
+ * @property {string} [siteCount] - Number of sites (stores)
  * @property {string} [currentVendor] - Current vendor name
  * @property {string} [decisionMakerName] - Name of decision maker
  * @property {string} [decisionMakerRole] - Role of decision maker
@@ -56,6 +132,8 @@
  * @property {string} [painPoints] - Identified pain points
  * @property {string} [additionalContext] - Additional context
  * @property {string} [workingDraft] - Working draft content
+ * @property {string} [pipelineId] - Pipeline id from PIPELINES
+ * @property {string[]} [reviewPanel] - Persona ids from the persona library
  */
 
 // ============================================================================
@@ -64,22 +142,52 @@
 
 /**
  * @typedef {Object} PhaseConfig
- * @property {number} number - Phase number (1, 2, or 3)
+ * @property {number} number - Phase number (1-based position in the pipeline)
+ * @property {string} [pipelineId] - Id of the pipeline the phase belongs to (set by getPipeline)
  * @property {string} name - Display name for the phase
- * @property {string} aiModel - AI model to use
+ * @property {string} aiModel - AI model to use (the chosen AI target's name when read through getPhaseMetadata)
  * @property {string} aiUrl - URL to the AI interface
- * @property {string} promptFile - Path to the prompt template file
+ * @property {string | null} [aiProvider] - AI target provider id (see ai-targets.js)
+ * @property {string} [promptFile] - Path to the prompt template file
+ * @property {number|string} template - Prompt template id (phase number or named template)
+ * @property {Object.<string, number|number[]>} [inputs] - Template variables filled from earlier phase outputs
  * @property {string} description - Description of what this phase does
  * @property {string} icon - Emoji icon for the phase
  * @property {string} color - Color theme for the phase
  */
 
+/**
+ * @typedef {Object} PromptTemplateVersion
+ * @property {string} template - Template content at this version
+ * @property {string} savedAt - ISO timestamp of when the version was saved
+ */
+
+/**
+ * @typedef {Object} PromptOverride
+ * @property {number|string} phase - Template id (key in the prompts store)
+ * @property {string | null} template - Active override, or null when reset to the default
+ * @property {PromptTemplateVersion[]} versions - Saved versions, oldest first
+ * @property {string} [updatedAt] - ISO timestamp of last update
+ */
+
 /**
  * @typedef {Object} WorkflowConfig
+ * @property {string} [id] - Pipeline id
+ * @property {string} [name] - Pipeline display name
+ * @property {string} [description] - Pipeline description
  * @property {number} phaseCount - Total number of phases
  * @property {PhaseConfig[]} phases - Array of phase configurations
  */
 
+/**
+ * @typedef {Object} Persona
+ * @property {string} id - Unique identifier within the persona library
+ * @property {string} name - Display name (e.g. "Chief Financial Officer")
+ * @property {string} role - Function or seat on the buying committee
+ * @property {string} icon - Emoji icon
+ * @property {string} priorities - What this reviewer scrutinizes first
+ */
+
 // ============================================================================
 // Storage Types
 // ============================================================================
@@ -119,7 +227,14 @@
  * @property {string} id - Unique identifier (UUID)
  * @property {string} proposalId - ID of the parent proposal
  * @property {string} filename - Original filename
- * @property {string} content - Extracted text content
+ * @property {string} [type] - MIME type
+ * @property {string} content - Extracted text content (empty when no text could be extracted)
+ * @property {boolean} [truncated] - Whether the text was cut to MAX_ATTACHMENT_TEXT_LENGTH
+ * @property {number} [pageCount] - Number of pages (PDFs only)
+ * @property {number[]} [unreadablePages] - Pages with no extractable text, e.g. scans (PDFs only)
+ * @property {boolean} [passwordProtected] - Whether the PDF needs a password to open, so none of it was read (PDFs only)
+ * @property {boolean} enabled - Whether the text is included in ATTACHMENT_TEXT
+ * @property {number} order - Position in ATTACHMENT_TEXT (ascending)
  * @property {number} size - File size in bytes
  * @property {string} createdAt - ISO timestamp of creation
  */
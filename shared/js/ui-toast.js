@@ -35,19 +35,47 @@ function getToastColor(type) {
   }
 }
 
+/**
+ * @typedef {Object} ToastAction
+ * @property {string} label - Button text (e.g. 'Undo')
+ * @property {() => void} onClick - Called when the button is clicked; the toast closes
+ */
+
 /**
  * Show toast notification
  * @param {string} message - Message to display
  * @param {string} type - Toast type (info, success, error, warning)
  * @param {number} duration - Duration in ms (default: 3000)
+ * @param {ToastAction} [action] - Button shown after the message
  */
-export function showToast(message, type = 'info', duration = 3000) {
+export function showToast(message, type = 'info', duration = 3000, action) {
   const container = document.getElementById('toast-container') || createToastContainer();
 
   const toast = document.createElement('div');
   toast.className = `toast-notification transform transition-all duration-300 translate-x-full opacity-0 mb-2 px-4 py-3 rounded-lg shadow-lg text-white max-w-sm ${getToastColor(type)}`;
   toast.textContent = message;
 
+  const remove = () => {
+    toast.classList.add('translate-x-full', 'opacity-0');
+    setTimeout(() => {
+      if (container.contains(toast)) {
+        container.removeChild(toast);
+      }
+    }, 300);
+  };
+
+  if (action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'toast-action ml-3 font-semibold underline';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      remove();
+      action.onClick();
+    }, { once: true });
+    toast.appendChild(button);
+  }
+
   container.appendChild(toast);
 
   // Trigger animation
@@ -56,14 +84,7 @@ export function showToast(message, type = 'info', duration = 3000) {
   }, 10);
 
   // Auto remove
-  setTimeout(() => {
-    toast.classList.add('translate-x-full', 'opacity-0');
-    setTimeout(() => {
-      if (container.contains(toast)) {
-        container.removeChild(toast);
-      }
-    }, 300);
-  }, duration);
+  setTimeout(remove, duration);
 }
 
 /**
@@ -4,8 +4,20 @@
  * @module views
  */
 
-import { getAllProjects, createProject, updateProject, getProject, deleteProject } from './projects.js';
-import { formatDate, escapeHtml, confirm, showToast, showDocumentPreviewModal } from './ui.js';
+import {
+  getAllProjects,
+  getTrashedProjects,
+  createProject,
+  updateProject,
+  getProject,
+  deleteProject,
+  exportProject,
+  purgeExpiredTrash,
+  groupProjectBranches,
+  refreshSearchIndex,
+  searchProjects
+} from './projects.js';
+import { formatDate, escapeHtml, confirm, showToast, showLoading, hideLoading, showDocumentPreviewModal } from './ui.js';
 import { navigateTo } from './router.js';
 import { getFinalMarkdown, getExportFilename } from './workflow.js';
 import {
@@ -15,11 +27,34 @@ import {
   formatFileSize,
   handleFiles,
   resetAttachmentTracking,
-  getAttachmentStats
+  getAttachmentStats,
+  waitForPendingAttachments
 } from './attachments.js';
+import { addAttachment } from './attachment-store.js';
+import { renderAttachmentManager } from './attachment-manager.js';
 import { getAllTemplates, getTemplate } from './document-specific-templates.js';
-import { validateDocument, getScoreColor, getScoreLabel } from '../../validator/js/validator.js';
 import { showImportModal } from './import-document.js';
+import { getAllPipelines, getProjectPipeline, DEFAULT_PIPELINE_ID } from './prompts.js';
+import { getPersonaLibrary } from './personas.js';
+import { showPersonaLibraryModal } from './persona-library.js';
+import { showBranchCompareModal, getBranchLabel } from './branch-compare.js';
+import { showTranscriptImportModal } from './transcript-import.js';
+import { extractIntakeCandidates, hasIntakeMaterials } from './intake-extractor.js';
+import { renderIntakeSuggestions } from './intake-suggestions.js';
+import {
+  DEFAULT_LIST_FILTERS,
+  SORT_OPTIONS,
+  SCORE_BANDS,
+  NO_VENDOR,
+  WITH_CUSTOMER,
+  summarizeProject,
+  getVendorOptions,
+  filterProjectGroups,
+  sortProjectGroups
+} from './project-list-filters.js';
+import { SALES_STATUSES, NO_FOLDER, getSalesStatus, getStatusDate, getTagOptions, getFolderOptions, buildTrackingUpdate, today } from './project-tracking.js';
+import { showTrashedToast } from './trash-view.js';
+import { showExportOptionsModal } from './backup-passphrase.js';
 
 // Re-export attachment functions for backwards compatibility
 export {
@@ -32,12 +67,28 @@ export {
   getAttachmentStats
 };
 
+/** Search, filters and sort order of the proposals list, kept while the app is open */
+const listFilters = { ...DEFAULT_LIST_FILTERS };
+
 /**
  * Render the projects list view
  * @returns {Promise<void>}
  */
 export async function renderProjectsList() {
-  const projects = await getAllProjects();
+  try {
+    await purgeExpiredTrash();
+  } catch (error) {
+    console.warn('Failed to empty expired trash:', error);
+  }
+  const [projects, trashed] = await Promise.all([getAllProjects(), getTrashedProjects()]);
+  try {
+    await refreshSearchIndex(projects);
+  } catch (error) {
+    console.warn('Failed to update the search index:', error);
+  }
+  // Branches are listed inside their origin's card rather than as cards of their own
+  const groups = groupProjectBranches(projects);
+  const summaries = new Map(projects.map(project => [project.id, summarizeProject(project)]));
 
   const container = document.getElementById('app-container');
   container.innerHTML = `
@@ -45,9 +96,14 @@ export async function renderProjectsList() {
             <h2 class="text-3xl font-bold text-gray-900 dark:text-white">
                 My Proposals
             </h2>
-            <button id="new-project-btn" class="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium">
-                + New Proposal
-            </button>
+            <div class="flex items-center gap-3">
+                <button id="trash-btn" class="px-4 py-3 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors" title="Deleted proposals">
+                    🗑️ Trash${trashed.length ? ` (${trashed.length})` : ''}
+                </button>
+                <button id="new-project-btn" class="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium">
+                    + New Proposal
+                </button>
+            </div>
         </div>
 
         ${projects.length === 0 ? `
@@ -64,35 +120,145 @@ export async function renderProjectsList() {
                 </button>
             </div>
         ` : `
-            <div class="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-                ${projects.map(project => {
-    // Check if all phases are complete
-    const isComplete = project.phases &&
-                        project.phases[1]?.completed &&
-                        project.phases[2]?.completed &&
-                        project.phases[3]?.completed;
-
-    // Count COMPLETED phases (not current phase)
-    const completedPhases = project.phases
-      ? [1, 2, 3].filter(phase => project.phases[phase]?.completed).length
-      : 0;
-
-    // Calculate score for completed projects
-    let scoreData = null;
-    if (isComplete && project.phases?.[3]?.response) {
-      const validation = validateDocument(project.phases[3].response);
-      scoreData = {
-        score: validation.totalScore,
-        color: getScoreColor(validation.totalScore),
-        label: getScoreLabel(validation.totalScore)
-      };
+            ${renderProjectsToolbar(projects, summaries)}
+            <div id="projects-grid" class="grid gap-4 md:grid-cols-2 lg:grid-cols-3"></div>
+        `}
+    `;
+
+  const newProjectBtns = container.querySelectorAll('#new-project-btn, #new-project-btn-empty');
+  newProjectBtns.forEach(btn => {
+    btn.addEventListener('click', () => navigateTo('new-project'));
+  });
+  container.querySelector('#trash-btn').addEventListener('click', () => navigateTo('trash'));
+
+  if (projects.length === 0) return;
+
+  const grid = container.querySelector('#projects-grid');
+  const count = container.querySelector('#projects-count');
+  let searchRun = 0;
+
+  const renderGrid = async () => {
+    const run = ++searchRun;
+    let matchingIds = null;
+    try {
+      matchingIds = await searchProjects(listFilters.query);
+    } catch (error) {
+      console.warn('Search failed:', error);
     }
-    return `
+    // A later keystroke started a newer search
+    if (run !== searchRun) return;
+
+    const visible = sortProjectGroups(filterProjectGroups(groups, summaries, listFilters, matchingIds), summaries, listFilters.sort);
+    grid.innerHTML = visible.length
+      ? visible.map(group => renderProjectCard(group, summaries.get(group.origin.id))).join('')
+      : `
+            <div class="col-span-full text-center py-12 text-gray-600 dark:text-gray-400">
+                No proposals match your search and filters.
+                <button id="clear-filters-btn" class="ml-1 text-blue-600 dark:text-blue-400 hover:underline">Clear all</button>
+            </div>
+        `;
+    count.textContent = visible.length === groups.length ? `${groups.length} proposal${groups.length === 1 ? '' : 's'}` : `Showing ${visible.length} of ${groups.length}`;
+
+    grid.querySelector('#clear-filters-btn')?.addEventListener('click', () => {
+      Object.assign(listFilters, DEFAULT_LIST_FILTERS);
+      renderProjectsList();
+    });
+    attachProjectCardListeners(grid, projects, groups);
+  };
+
+  let searchTimer = null;
+  container.querySelector('#projects-search').addEventListener('input', (e) => {
+    listFilters.query = /** @type {HTMLInputElement} */ (e.target).value;
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(renderGrid, 150);
+  });
+  container.querySelectorAll('#projects-toolbar select[data-filter]').forEach(select => {
+    select.addEventListener('change', () => {
+      listFilters[select.dataset.filter] = /** @type {HTMLSelectElement} */ (select).value;
+      renderGrid();
+    });
+  });
+
+  await renderGrid();
+}
+
+/**
+ * Render the search box, filters and sort order of the projects list
+ * @param {import('./types.js').Project[]} projects - Every project
+ * @param {Map<string, import('./project-list-filters.js').ProjectSummary>} summaries - Summary by project id
+ * @returns {string} HTML string
+ */
+function renderProjectsToolbar(projects, summaries) {
+  const maxPhases = Math.max(...[...summaries.values()].map(summary => summary.phaseNumbers.length));
+  const tags = getTagOptions(projects);
+  const selectClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+  const option = (filter, value, label) =>
+    `<option value="${escapeHtml(value)}" ${listFilters[filter] === value ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+
+  return `
+            <div id="projects-toolbar" class="mb-4 flex flex-wrap items-center gap-2">
+                <input type="search" id="projects-search" value="${escapeHtml(listFilters.query)}" placeholder="Search titles, intake notes and phase outputs..." aria-label="Search proposals"
+                    class="flex-1 min-w-[16rem] px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white text-sm">
+                <select data-filter="phase" aria-label="Filter by phase" class="${selectClass}">
+                    ${option('phase', '', 'Any phase')}
+                    ${Array.from({ length: maxPhases }, (_, i) => option('phase', String(i + 1), `Phase ${i + 1}`)).join('')}
+                </select>
+                <select data-filter="salesStatus" aria-label="Filter by sales status" class="${selectClass}">
+                    ${option('salesStatus', '', 'Any sales status')}
+                    ${option('salesStatus', WITH_CUSTOMER, 'With customer (Sent or Negotiating)')}
+                    ${SALES_STATUSES.map(status => option('salesStatus', status.id, status.label)).join('')}
+                </select>
+                <select data-filter="folder" aria-label="Filter by folder" class="${selectClass}">
+                    ${option('folder', '', 'Any folder')}
+                    ${getFolderOptions(projects).map(folder => option('folder', folder, `📁 ${folder}`)).join('')}
+                    ${option('folder', NO_FOLDER, 'No folder')}
+                </select>
+                ${tags.length ? `
+                <select data-filter="tag" aria-label="Filter by tag" class="${selectClass}">
+                    ${option('tag', '', 'Any tag')}
+                    ${tags.map(tag => option('tag', tag, `#${tag}`)).join('')}
+                </select>
+                ` : ''}
+                <select data-filter="status" aria-label="Filter by completion" class="${selectClass}">
+                    ${option('status', '', 'Any progress')}
+                    ${option('status', 'in-progress', 'In progress')}
+                    ${option('status', 'complete', 'Complete')}
+                </select>
+                <select data-filter="scoreBand" aria-label="Filter by score" class="${selectClass}">
+                    ${option('scoreBand', '', 'Any score')}
+                    ${SCORE_BANDS.map(band => option('scoreBand', band, band)).join('')}
+                    ${option('scoreBand', 'unscored', 'Not scored yet')}
+                </select>
+                <select data-filter="vendor" aria-label="Filter by current vendor" class="${selectClass}">
+                    ${option('vendor', '', 'Any vendor')}
+                    ${getVendorOptions(projects).map(vendor => option('vendor', vendor.value, vendor.label)).join('')}
+                    ${option('vendor', NO_VENDOR, 'No current vendor')}
+                </select>
+                <select data-filter="sort" aria-label="Sort proposals" class="${selectClass}">
+                    ${Object.entries(SORT_OPTIONS).map(([id, label]) => option('sort', id, label)).join('')}
+                </select>
+                <span id="projects-count" class="text-sm text-gray-500 dark:text-gray-400"></span>
+            </div>
+  `;
+}
+
+/**
+ * Render one card of the projects list
+ * @param {import('./types.js').ProjectGroup} group - Proposal with its branches
+ * @param {import('./project-list-filters.js').ProjectSummary} summary - Progress and score of the proposal
+ * @returns {string} HTML string
+ */
+function renderProjectCard({ origin: project, branches }, summary) {
+  const { phaseNumbers, completedPhases, isComplete, score: scoreData } = summary;
+  const phaseCount = phaseNumbers.length;
+  const salesStatus = getSalesStatus(project.salesStatus);
+  const statusDate = getStatusDate(project);
+  return `
                     <div class="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 hover:shadow-md transition-shadow cursor-pointer" data-project-id="${project.id}">
                         <div class="p-6">
                             <div class="flex items-start justify-between mb-3">
                                 <h3 class="text-lg font-semibold text-gray-900 dark:text-white line-clamp-2">
-                                    ${escapeHtml(project.dealershipName || project.title)}
+                                    ${escapeHtml(project.organizationName || project.title)}
                                 </h3>
                                 <div class="flex items-center space-x-2">
                                     ${isComplete ? `
@@ -103,6 +269,11 @@ export async function renderProjectsList() {
                                         </svg>
                                     </button>
                                     ` : ''}
+                                    <button class="export-project-btn text-gray-400 hover:text-green-600 transition-colors" data-project-id="${project.id}" title="Export">
+                                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+                                        </svg>
+                                    </button>
                                     <button class="delete-project-btn text-gray-400 hover:text-red-600 transition-colors" data-project-id="${project.id}" title="Delete">
                                         <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
@@ -112,9 +283,17 @@ export async function renderProjectsList() {
                             </div>
 
                             <p class="text-sm text-gray-600 dark:text-gray-400 mb-2">
-                                ${escapeHtml(project.dealershipLocation || '')} ${project.storeCount ? `• ${project.storeCount} stores` : ''}
+                                ${escapeHtml(project.organizationLocation || '')} ${project.siteCount ? `• ${project.siteCount} stores` : ''}
                             </p>
 
+                            <div class="flex flex-wrap items-center gap-1 mb-3 text-xs">
+                                <span class="project-sales-status px-2 py-0.5 rounded bg-${salesStatus.color}-100 dark:bg-${salesStatus.color}-900 text-${salesStatus.color}-800 dark:text-${salesStatus.color}-200" title="${statusDate ? `Since ${escapeHtml(statusDate)}` : ''}">
+                                    ${salesStatus.label}${statusDate && salesStatus.id !== 'draft' ? ` · ${formatDate(`${statusDate}T00:00:00`)}` : ''}
+                                </span>
+                                ${project.folder ? `<span class="px-2 py-0.5 text-gray-600 dark:text-gray-400">📁 ${escapeHtml(project.folder)}</span>` : ''}
+                                ${(project.tags || []).map(tag => `<span class="project-tag px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">#${escapeHtml(tag)}</span>`).join('')}
+                            </div>
+
                             ${scoreData ? `
                             <!-- Completed: Show quality score -->
                             <div class="mb-3">
@@ -130,7 +309,7 @@ export async function renderProjectsList() {
                             <!-- In Progress: Show phase progress as segments (green=done, blue=current, gray=future) -->
                             <div class="flex items-center space-x-2 mb-3">
                                 <div class="flex space-x-1 flex-1">
-                                    ${[1, 2, 3].map(phase => {
+                                    ${phaseNumbers.map(phase => {
     const isCompleted = project.phases && project.phases[phase]?.completed;
     const currentPhase = project.phase || project.currentPhase || 1;
     const isCurrent = phase === currentPhase && !isCompleted;
@@ -138,7 +317,7 @@ export async function renderProjectsList() {
     return `<div class="flex-1 h-1.5 rounded ${colorClass}"></div>`;
   }).join('')}
                                 </div>
-                                <span class="text-xs text-gray-500 dark:text-gray-400">${completedPhases}/3</span>
+                                <span class="text-xs text-gray-500 dark:text-gray-400">${completedPhases}/${phaseCount}</span>
                             </div>
                             `}
 
@@ -150,30 +329,65 @@ export async function renderProjectsList() {
                                 </span>
                                 ` : ''}
                             </div>
+
+                            ${branches.length ? `
+                            <div class="mt-4 pt-3 border-t border-gray-200 dark:border-gray-700">
+                                <div class="flex items-center justify-between mb-2">
+                                    <span class="text-xs font-medium text-gray-500 dark:text-gray-400">🌿 ${branches.length} branch${branches.length === 1 ? '' : 'es'}</span>
+                                    <button class="compare-branches-btn text-xs text-blue-600 dark:text-blue-400 hover:underline" data-root-id="${project.id}">Compare</button>
+                                </div>
+                                <ul class="space-y-1">
+                                    ${branches.map(branch => {
+    const branchPipeline = getProjectPipeline(branch);
+    const branchDone = branchPipeline.phases.filter(p => branch.phases?.[p.number]?.completed).length;
+    return `
+                                    <li>
+                                        <button class="branch-link w-full flex items-center justify-between px-2 py-1 rounded text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700" data-branch-id="${branch.id}">
+                                            <span class="truncate">${escapeHtml(getBranchLabel(branch))} <span class="text-xs text-gray-500 dark:text-gray-400">· from Phase ${branch.forkedFrom.phase}</span></span>
+                                            <span class="text-xs text-gray-500 dark:text-gray-400">${branchDone}/${branchPipeline.phaseCount}</span>
+                                        </button>
+                                    </li>`;
+  }).join('')}
+                                </ul>
+                            </div>
+                            ` : ''}
                         </div>
                     </div>
-                `;}).join('')}
-            </div>
-        `}
-    `;
-
-  // Event listeners
-  const newProjectBtns = container.querySelectorAll('#new-project-btn, #new-project-btn-empty');
-  newProjectBtns.forEach(btn => {
-    btn.addEventListener('click', () => navigateTo('new-project'));
-  });
+  `;
+}
 
-  const projectCards = container.querySelectorAll('[data-project-id]');
+/**
+ * Attach the open, branch, compare, preview and delete handlers of the project cards
+ * @param {HTMLElement} grid - Element holding the cards
+ * @param {import('./types.js').Project[]} projects - Every project
+ * @param {import('./types.js').ProjectGroup[]} groups - Proposal groups
+ * @returns {void}
+ */
+function attachProjectCardListeners(grid, projects, groups) {
+  const projectCards = grid.querySelectorAll('[data-project-id]');
   projectCards.forEach(card => {
     card.addEventListener('click', (e) => {
-      if (!e.target.closest('.delete-project-btn') && !e.target.closest('.preview-project-btn')) {
+      if (!e.target.closest('.delete-project-btn') && !e.target.closest('.preview-project-btn') && !e.target.closest('.export-project-btn') &&
+          !e.target.closest('.branch-link') && !e.target.closest('.compare-branches-btn')) {
         navigateTo('project', card.dataset.projectId);
       }
     });
   });
 
+  // Branch links open the branch instead of its origin
+  grid.querySelectorAll('.branch-link').forEach(link => {
+    link.addEventListener('click', () => navigateTo('project', link.dataset.branchId));
+  });
+
+  grid.querySelectorAll('.compare-branches-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const group = groups.find(g => g.origin.id === btn.dataset.rootId);
+      if (group) showBranchCompareModal(group);
+    });
+  });
+
   // Preview buttons (for completed projects)
-  const previewBtns = container.querySelectorAll('.preview-project-btn');
+  const previewBtns = grid.querySelectorAll('.preview-project-btn');
   previewBtns.forEach(btn => {
     btn.addEventListener('click', async (e) => {
       e.stopPropagation();
@@ -190,16 +404,34 @@ export async function renderProjectsList() {
     });
   });
 
-  const deleteBtns = container.querySelectorAll('.delete-project-btn');
+  grid.querySelectorAll('.export-project-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const options = await showExportOptionsModal('Export Proposal');
+      if (!options) return;
+      try {
+        if (options.passphrase) showLoading('Encrypting...');
+        await exportProject(btn.dataset.projectId, options);
+        hideLoading();
+        showToast(options.passphrase ? 'Proposal exported and encrypted!' : 'Proposal exported successfully!', 'success');
+      } catch (error) {
+        hideLoading();
+        console.error('Export failed:', error);
+        showToast('Failed to export proposal', 'error');
+      }
+    });
+  });
+
+  const deleteBtns = grid.querySelectorAll('.delete-project-btn');
   deleteBtns.forEach(btn => {
     btn.addEventListener('click', async (e) => {
       e.stopPropagation();
       const projectId = btn.dataset.projectId;
       const project = projects.find(p => p.id === projectId);
 
-      if (await confirm('Delete Proposal', `Are you sure you want to delete the proposal for "${project.dealershipName || project.title}"?`, 'Delete', 'Cancel')) {
-        await deleteProject(projectId);
-        showToast('Proposal deleted', 'success');
+      if (await confirm(`Move the proposal for "${project.organizationName || project.title}" to the trash? You can restore it from the trash.`, 'Delete Proposal')) {
+        const trashed = await deleteProject(projectId);
+        showTrashedToast(trashed, () => renderProjectsList());
         renderProjectsList();
       }
     });
@@ -272,16 +504,16 @@ function getNewProjectFormHTML() {
                         </h3>
                         <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
                             <div>
-                                <label for="dealershipName" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Dealership Name *</label>
-                                <input type="text" id="dealershipName" name="dealershipName" required class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Team Auto Group">
+                                <label for="organizationName" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Dealership Name *</label>
+                                <input type="text" id="organizationName" name="organizationName" required class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Team Auto Group">
                             </div>
                             <div>
-                                <label for="dealershipLocation" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Location</label>
-                                <input type="text" id="dealershipLocation" name="dealershipLocation" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Dallas, TX">
+                                <label for="organizationLocation" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Location</label>
+                                <input type="text" id="organizationLocation" name="organizationLocation" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Dallas, TX">
                             </div>
                             <div>
-                                <label for="storeCount" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Number of Stores</label>
-                                <input type="number" id="storeCount" name="storeCount" min="1" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., 5">
+                                <label for="siteCount" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Number of Stores</label>
+                                <input type="number" id="siteCount" name="siteCount" min="1" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., 5">
                             </div>
                             <div>
                                 <label for="currentVendor" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Current Vendor (if any)</label>
@@ -313,7 +545,10 @@ function getNewProjectFormHTML() {
                         </h3>
                         <div class="space-y-4">
                             <div>
-                                <label for="conversationTranscripts" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Call Transcripts / Conversation Logs</label>
+                                <div class="flex items-center justify-between mb-2">
+                                    <label for="conversationTranscripts" class="block text-sm font-medium text-gray-700 dark:text-gray-300">Call Transcripts / Conversation Logs</label>
+                                    <button type="button" id="import-transcript-btn" class="text-sm text-blue-600 dark:text-blue-400 hover:underline">🎙️ Import transcript</button>
+                                </div>
                                 <textarea id="conversationTranscripts" name="conversationTranscripts" rows="6" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="Paste call transcripts, email threads, or conversation logs here..."></textarea>
                             </div>
                             <div>
@@ -321,8 +556,12 @@ function getNewProjectFormHTML() {
                                 <textarea id="meetingNotes" name="meetingNotes" rows="4" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="Any meeting notes or discovery call summaries..."></textarea>
                             </div>
                             <div>
-                                <label for="painPoints" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Known Pain Points</label>
+                                <div class="flex items-center justify-between mb-2">
+                                    <label for="painPoints" class="block text-sm font-medium text-gray-700 dark:text-gray-300">Known Pain Points</label>
+                                    <button type="button" id="suggest-intake-btn" class="text-sm text-blue-600 dark:text-blue-400 hover:underline">🔍 Suggest from materials</button>
+                                </div>
                                 <textarea id="painPoints" name="painPoints" rows="4" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="List specific pain points identified with current vendor or situation..."></textarea>
+                                <div id="intake-suggestions" class="hidden mt-3 p-4 border border-blue-200 dark:border-blue-800 rounded-lg"></div>
                             </div>
                         </div>
                     </section>
@@ -342,7 +581,7 @@ function getNewProjectFormHTML() {
                         </div>
                         <div id="file-list" class="mt-4 space-y-2"></div>
                         <div>
-                            <label for="attachmentText" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 mt-4">Extracted/Pasted Attachment Text</label>
+                            <label for="attachmentText" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 mt-4">Pasted Attachment Text</label>
                             <textarea id="attachmentText" name="attachmentText" rows="4" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="Paste text from PDFs or other documents here..."></textarea>
                         </div>
                     </section>
@@ -369,6 +608,32 @@ function getNewProjectFormHTML() {
                         </div>
                     </section>
 
+                    <!-- Review Pipeline -->
+                    <section>
+                        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
+                            🔁 Review Pipeline
+                        </h3>
+                        <div>
+                            <label for="pipelineId" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Phases this proposal goes through</label>
+                            <select id="pipelineId" name="pipelineId" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white">
+                                ${getAllPipelines().map(p => `
+                                    <option value="${p.id}" ${p.id === DEFAULT_PIPELINE_ID ? 'selected' : ''}>${escapeHtml(p.name)} (${p.phaseCount} phases) — ${escapeHtml(p.description)}</option>
+                                `).join('')}
+                            </select>
+                            <p class="text-sm text-gray-500 dark:text-gray-500 mt-2">The pipeline is saved with the proposal and cannot be changed later.</p>
+                        </div>
+                    </section>
+
+                    <!-- Review Panel -->
+                    <section>
+                        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
+                            👥 Review Panel
+                        </h3>
+                        <p class="text-sm text-gray-500 dark:text-gray-500 mb-3">Optional. Pick several reviewers to critique the draft separately in the adversarial phase; their critiques are merged for the synthesis. Leave empty for a single skeptical reviewer.</p>
+                        <div id="review-panel-options" class="grid grid-cols-1 md:grid-cols-2 gap-3"></div>
+                        <button type="button" id="manage-personas-btn" class="mt-3 text-sm text-blue-600 dark:text-blue-400 hover:underline">Manage personas…</button>
+                    </section>
+
                     <!-- Submit Buttons -->
                     <div class="flex justify-end space-x-3 pt-4 border-t border-gray-200 dark:border-gray-700">
                         <button type="button" id="cancel-btn" class="px-6 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
@@ -384,6 +649,62 @@ function getNewProjectFormHTML() {
     `;
 }
 
+/**
+ * Fill the review panel checkboxes from the persona library, keeping current selections
+ * @returns {Promise<void>}
+ */
+async function renderReviewPanelOptions() {
+  const container = document.getElementById('review-panel-options');
+  if (!container) return;
+
+  const checked = new Set([...container.querySelectorAll('input[name="reviewPanel"]:checked')].map(input => /** @type {HTMLInputElement} */ (input).value));
+  const personas = await getPersonaLibrary();
+  container.innerHTML = personas.map(persona => `
+        <label class="flex items-start gap-2 p-3 border border-gray-200 dark:border-gray-600 rounded-lg cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700">
+            <input type="checkbox" name="reviewPanel" value="${escapeHtml(persona.id)}" class="mt-1" ${checked.has(persona.id) ? 'checked' : ''}>
+            <span>
+                <span class="block text-sm font-medium text-gray-900 dark:text-white">${escapeHtml(persona.icon)} ${escapeHtml(persona.name)}</span>
+                <span class="block text-xs text-gray-500 dark:text-gray-400">${escapeHtml(persona.role)}</span>
+            </span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Wire the "Import transcript" button to append parsed transcripts to the transcripts field
+ * @returns {void}
+ */
+function setupTranscriptImport() {
+  document.getElementById('import-transcript-btn')?.addEventListener('click', () => {
+    showTranscriptImportModal((transcript) => {
+      const field = /** @type {HTMLTextAreaElement} */ (document.getElementById('conversationTranscripts'));
+      field.value = [field.value.trim(), transcript].filter(Boolean).join('\n\n');
+    });
+  });
+}
+
+/**
+ * Wire "Suggest from materials" to extract candidates from the transcripts,
+ * notes, pasted attachment text and the files added so far
+ * @returns {void}
+ */
+function setupIntakeSuggestions() {
+  document.getElementById('suggest-intake-btn')?.addEventListener('click', async () => {
+    const value = (id) => /** @type {HTMLTextAreaElement} */ (document.getElementById(id))?.value || '';
+    const attachments = await waitForPendingAttachments();
+    const materials = {
+      conversationTranscripts: value('conversationTranscripts'),
+      meetingNotes: value('meetingNotes'),
+      attachmentText: [value('attachmentText'), ...attachments.map(a => a.content)].filter(Boolean).join('\n\n')
+    };
+    if (!hasIntakeMaterials(materials)) {
+      showToast('Add transcripts, meeting notes or attachments first', 'warning');
+      return;
+    }
+    renderIntakeSuggestions(document.getElementById('intake-suggestions'), extractIntakeCandidates(materials));
+  });
+}
+
 /**
  * Set up event listeners for the new project form
  * @returns {void}
@@ -400,6 +721,15 @@ function setupNewProjectFormListeners() {
     showImportModal();
   });
 
+  setupTranscriptImport();
+  setupIntakeSuggestions();
+
+  // Review panel personas
+  renderReviewPanelOptions().catch(error => console.error('Failed to load personas:', error));
+  document.getElementById('manage-personas-btn')?.addEventListener('click', () => {
+    showPersonaLibraryModal(renderReviewPanelOptions);
+  });
+
   // Template selector click handlers
   document.querySelectorAll('.template-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -416,7 +746,7 @@ function setupNewProjectFormListeners() {
         btn.classList.add('border-blue-500', 'bg-blue-50', 'dark:bg-blue-900/20');
 
         // Populate form fields with template content
-        const fields = ['dealershipName', 'storeCount', 'currentVendor', 'painPoints'];
+        const fields = ['organizationName', 'siteCount', 'currentVendor', 'painPoints'];
         fields.forEach(field => {
           const el = document.getElementById(field);
           if (el && template[field] !== undefined) {
@@ -458,8 +788,15 @@ function setupNewProjectFormListeners() {
   form?.addEventListener('submit', async (e) => {
     e.preventDefault();
     const target = /** @type {HTMLFormElement} */ (e.target);
-    const formData = Object.fromEntries(new FormData(target));
+    const formEntries = new FormData(target);
+    const formData = { ...Object.fromEntries(formEntries), reviewPanel: formEntries.getAll('reviewPanel') };
+    // Files added just before submitting may still be being read
+    const attachments = await waitForPendingAttachments();
     const project = await createProject(/** @type {import('./types.js').ProjectFormData} */ (formData));
+    for (const attachment of attachments) {
+      await addAttachment(project.id, attachment);
+    }
+    resetAttachmentTracking();
     showToast('Proposal created successfully!', 'success');
     navigateTo('project', project.id);
   });
@@ -480,16 +817,18 @@ export async function renderEditProjectForm(projectId) {
 
   const container = document.getElementById('app-container');
   if (!container) return;
-  container.innerHTML = getEditProjectFormHTML(project);
+  container.innerHTML = getEditProjectFormHTML(project, getFolderOptions(await getAllProjects()));
   setupEditProjectFormListeners(project);
 }
 
 /**
  * Generate HTML for the edit project form
  * @param {import('./types.js').Project} project - Project to edit
+ * @param {string[]} folders - Folders in use, suggested for the folder field
  * @returns {string} HTML string
  */
-function getEditProjectFormHTML(project) {
+function getEditProjectFormHTML(project, folders) {
+  const salesStatus = getSalesStatus(project.salesStatus).id;
   return `
         <div class="max-w-6xl mx-auto">
             <div class="mb-6">
@@ -507,6 +846,41 @@ function getEditProjectFormHTML(project) {
                 </h2>
 
                 <form id="edit-project-form" class="space-y-8">
+                    ${project.forkedFrom ? `
+                    <div>
+                        <label for="branchName" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">🌿 Branch Name</label>
+                        <input type="text" id="branchName" name="branchName" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Conservative pricing" value="${escapeHtml(project.branchName || '')}">
+                    </div>
+                    ` : ''}
+                    <!-- Tracking Section -->
+                    <section>
+                        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
+                            🏷️ Tracking
+                        </h3>
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label for="salesStatus" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Sales Status</label>
+                                <select id="salesStatus" name="salesStatus" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white">
+                                    ${SALES_STATUSES.map(status => `<option value="${status.id}" ${status.id === salesStatus ? 'selected' : ''}>${status.label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div>
+                                <label for="statusDate" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Status Since</label>
+                                <input type="date" id="statusDate" name="statusDate" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" value="${escapeHtml(getStatusDate(project))}">
+                            </div>
+                            <div>
+                                <label for="folder" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Folder</label>
+                                <input type="text" id="folder" name="folder" list="folder-options" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Q3 Texas accounts" value="${escapeHtml(project.folder || '')}">
+                                <datalist id="folder-options">
+                                    ${folders.map(folder => `<option value="${escapeHtml(folder)}"></option>`).join('')}
+                                </datalist>
+                            </div>
+                            <div>
+                                <label for="tags" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Tags</label>
+                                <input type="text" id="tags" name="tags" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="Comma-separated, e.g., multi-rooftop, renewal" value="${escapeHtml((project.tags || []).join(', '))}">
+                            </div>
+                        </div>
+                    </section>
                     <!-- Dealership Information Section -->
                     <section>
                         <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
@@ -514,16 +888,16 @@ function getEditProjectFormHTML(project) {
                         </h3>
                         <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
                             <div>
-                                <label for="dealershipName" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Dealership Name <span class="text-red-500">*</span></label>
-                                <input type="text" id="dealershipName" name="dealershipName" required class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Team Auto Group" value="${escapeHtml(project.dealershipName || '')}">
+                                <label for="organizationName" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Dealership Name <span class="text-red-500">*</span></label>
+                                <input type="text" id="organizationName" name="organizationName" required class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Team Auto Group" value="${escapeHtml(project.organizationName || '')}">
                             </div>
                             <div>
-                                <label for="dealershipLocation" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Location</label>
-                                <input type="text" id="dealershipLocation" name="dealershipLocation" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Dallas, TX" value="${escapeHtml(project.dealershipLocation || '')}">
+                                <label for="organizationLocation" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Location</label>
+                                <input type="text" id="organizationLocation" name="organizationLocation" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Dallas, TX" value="${escapeHtml(project.organizationLocation || '')}">
                             </div>
                             <div>
-                                <label for="storeCount" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Number of Stores</label>
-                                <input type="number" id="storeCount" name="storeCount" min="1" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., 5" value="${escapeHtml(project.storeCount || '')}">
+                                <label for="siteCount" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Number of Stores</label>
+                                <input type="number" id="siteCount" name="siteCount" min="1" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., 5" value="${escapeHtml(project.siteCount || '')}">
                             </div>
                             <div>
                                 <label for="currentVendor" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Current Vendor (if any)</label>
@@ -555,7 +929,10 @@ function getEditProjectFormHTML(project) {
                         </h3>
                         <div class="space-y-4">
                             <div>
-                                <label for="conversationTranscripts" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Call Transcripts / Conversation Logs</label>
+                                <div class="flex items-center justify-between mb-2">
+                                    <label for="conversationTranscripts" class="block text-sm font-medium text-gray-700 dark:text-gray-300">Call Transcripts / Conversation Logs</label>
+                                    <button type="button" id="import-transcript-btn" class="text-sm text-blue-600 dark:text-blue-400 hover:underline">🎙️ Import transcript</button>
+                                </div>
                                 <textarea id="conversationTranscripts" name="conversationTranscripts" rows="6" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="Paste call transcripts, email threads, or conversation logs here...">${escapeHtml(project.conversationTranscripts || '')}</textarea>
                             </div>
                             <div>
@@ -569,6 +946,18 @@ function getEditProjectFormHTML(project) {
                         </div>
                     </section>
 
+                    <!-- Attachments Section -->
+                    <section>
+                        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
+                            📎 Attachments
+                        </h3>
+                        <div id="attachment-manager"></div>
+                        <div>
+                            <label for="attachmentText" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 mt-4">Pasted Attachment Text</label>
+                            <textarea id="attachmentText" name="attachmentText" rows="4" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="Text pasted from documents that aren't attached...">${escapeHtml(project.attachmentText || '')}</textarea>
+                        </div>
+                    </section>
+
                     <!-- Additional Context -->
                     <section>
                         <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
@@ -600,18 +989,30 @@ function getEditProjectFormHTML(project) {
  * @returns {void}
  */
 function setupEditProjectFormListeners(project) {
+  const attachmentManager = document.getElementById('attachment-manager');
+  if (attachmentManager) {
+    renderAttachmentManager(attachmentManager, project.id).catch(error => console.error('Failed to load attachments:', error));
+  }
+
   document.getElementById('back-btn')?.addEventListener('click', () => navigateTo('project', project.id));
   document.getElementById('cancel-btn')?.addEventListener('click', () => navigateTo('project', project.id));
+  setupTranscriptImport();
+
+  // Show the date the chosen status was reached before, or today for a new status
+  const statusDate = /** @type {HTMLInputElement | null} */ (document.getElementById('statusDate'));
+  document.getElementById('salesStatus')?.addEventListener('change', (e) => {
+    if (statusDate) statusDate.value = project.statusDates?.[/** @type {HTMLSelectElement} */ (e.target).value] || today();
+  });
 
   // Form submission
   const form = document.getElementById('edit-project-form');
   form?.addEventListener('submit', async (e) => {
     e.preventDefault();
     const target = /** @type {HTMLFormElement} */ (e.target);
-    const formData = Object.fromEntries(new FormData(target));
+    const { tags, folder, salesStatus, statusDate, ...formData } = Object.fromEntries(new FormData(target));
     // Update title based on dealership name
-    formData.title = `Proposal - ${formData.dealershipName}`;
-    await updateProject(project.id, formData);
+    formData.title = `Proposal - ${formData.organizationName}`;
+    await updateProject(project.id, { ...formData, ...buildTrackingUpdate(project, { tags, folder, salesStatus, statusDate }) });
     showToast('Proposal updated successfully!', 'success');
     navigateTo('project', project.id);
   });
@@ -1,16 +1,20 @@
 /**
  * Workflow Module
- * Manages the 3-phase adversarial workflow for Strategic Proposal Generator
+ * Manages the phased adversarial workflow for Strategic Proposal Generator.
+ * The phase list comes from the project's pipeline (3 phases by default).
  * @module workflow
  */
 
 import {
   WORKFLOW_CONFIG,
-  generatePhase1Prompt as genPhase1,
-  generatePhase2Prompt as genPhase2,
-  generatePhase3Prompt as genPhase3
+  getProjectPipeline,
+  getPhaseMetadata as getPipelinePhaseMetadata,
+  generatePipelinePhasePrompt,
+  preparePipelinePhasePrompt
 } from './prompts.js';
 import { detectPromptPaste } from './core/workflow.js';
+import { getProposalAttachments, assembleAttachmentText, assembleAttachmentList } from './attachment-store.js';
+import { formatClarifiedFacts } from './clarifications.js';
 
 // Re-export WORKFLOW_CONFIG for backward compatibility
 export { WORKFLOW_CONFIG };
@@ -30,7 +34,7 @@ function getPhaseOutputInternal(project, phaseNum) {
   if (project[flatKey]) {
     return project[flatKey];
   }
-  // Nested format (legacy) - fallback
+  // Nested format - fallback (arrays only appear on records not yet run through migrations.js)
   if (project.phases) {
     if (Array.isArray(project.phases) && project.phases[phaseNum - 1]) {
       return project.phases[phaseNum - 1].response || '';
@@ -69,11 +73,15 @@ export class Workflow {
   /** @type {number} */
   currentPhase;
 
+  /** @type {import('./types.js').WorkflowConfig} */
+  config;
+
   /**
      * @param {import('./types.js').Project} project
      */
   constructor(project) {
     this.project = project;
+    this.config = getProjectPipeline(project);
     // Clamp phase to valid range (1 minimum)
     const rawPhase = project.phase || 1;
     this.currentPhase = Math.max(1, rawPhase);
@@ -84,7 +92,7 @@ export class Workflow {
      * @returns {import('./types.js').PhaseConfig | undefined}
      */
   getCurrentPhase() {
-    return WORKFLOW_CONFIG.phases.find(p => p.number === this.currentPhase);
+    return this.config.phases.find(p => p.number === this.currentPhase);
   }
 
   /**
@@ -92,8 +100,8 @@ export class Workflow {
      * @returns {import('./types.js').PhaseConfig | null}
      */
   getNextPhase() {
-    if (this.currentPhase >= WORKFLOW_CONFIG.phaseCount) return null;
-    return WORKFLOW_CONFIG.phases.find(p => p.number === this.currentPhase + 1) || null;
+    if (this.currentPhase >= this.config.phaseCount) return null;
+    return this.config.phases.find(p => p.number === this.currentPhase + 1) || null;
   }
 
   /**
@@ -101,7 +109,7 @@ export class Workflow {
      * @returns {boolean}
      */
   isComplete() {
-    return this.currentPhase > WORKFLOW_CONFIG.phaseCount;
+    return this.currentPhase > this.config.phaseCount;
   }
 
   /**
@@ -109,8 +117,8 @@ export class Workflow {
      * @returns {boolean} True if advanced, false if already at final phase
      */
   advancePhase() {
-    // Allow advancing up to phase 4 (complete state)
-    if (this.currentPhase <= WORKFLOW_CONFIG.phaseCount) {
+    // Allow advancing one past the final phase (complete state)
+    if (this.currentPhase <= this.config.phaseCount) {
       this.currentPhase++;
       this.project.phase = this.currentPhase;
       return true;
@@ -132,12 +140,12 @@ export class Workflow {
   }
 
   /**
-     * Generate the prompt for the current phase
-     * Uses prompts.js module for template loading and variable replacement
-     * @returns {Promise<string>}
+     * Collect the form data and earlier phase outputs the current phase's prompt is built from
+     * @returns {Promise<{ formData: Object, phaseOutputs: Object.<number, string> }>}
      */
-  async generatePrompt() {
+  async getPromptInputs() {
     const p = this.project;
+    const attachments = await getProposalAttachments(p.id);
     const formData = {
       organizationName: p.organizationName,
       organizationLocation: p.organizationLocation,
@@ -148,25 +156,46 @@ export class Workflow {
       conversationTranscripts: p.conversationTranscripts,
       meetingNotes: p.meetingNotes,
       painPoints: p.painPoints,
-      attachmentText: p.attachmentText,
+      attachmentText: assembleAttachmentText(p.attachmentText, attachments),
+      attachments: assembleAttachmentList(p.attachmentText, attachments),
       workingDraft: p.workingDraft,
-      additionalContext: p.additionalContext
+      additionalContext: p.additionalContext,
+      clarifications: formatClarifiedFacts(p.phases, this.currentPhase),
+      promptBudget: p.promptBudget
     };
 
-    switch (this.currentPhase) {
-    case 1:
-      return await genPhase1(formData);
-    case 2:
-      return await genPhase2(formData, p.phase1_output || '[Phase 1 output not yet generated]');
-    case 3:
-      return await genPhase3(
-        formData,
-        p.phase1_output || '[Phase 1 output not yet generated]',
-        p.phase2_output || '[Phase 2 output not yet generated]'
-      );
-    default:
-      throw new Error(`Invalid phase: ${this.currentPhase}`);
+    const phaseOutputs = {};
+    for (let i = 1; i < this.currentPhase; i++) {
+      phaseOutputs[i] = this.getPhaseOutput(i);
     }
+    // Later review rounds critique the previous round's synthesis, not the original draft
+    if (this.currentPhase > 1) {
+      phaseOutputs[1] = this.getReviewDraft();
+    }
+
+    return { formData, phaseOutputs };
+  }
+
+  /**
+     * Generate the prompt for the current phase
+     * Uses prompts.js module for template loading and variable replacement
+     * @param {import('./types.js').Persona} [persona] - Review panel member to generate the critique prompt for
+     * @returns {Promise<string>}
+     */
+  async generatePrompt(persona) {
+    const { formData, phaseOutputs } = await this.getPromptInputs();
+    return await generatePipelinePhasePrompt(this.config, this.currentPhase, formData, phaseOutputs, persona);
+  }
+
+  /**
+     * Estimate the current phase's prompt size against its model's token budget
+     * @param {import('./types.js').Persona} [persona] - Review panel member (panel phases only)
+     * @returns {Promise<{ report: import('./prompt-budget.js').BudgetReport, formData: Object }>} Report, and the unshortened form data
+     */
+  async measurePrompt(persona) {
+    const { formData, phaseOutputs } = await this.getPromptInputs();
+    const { report } = await preparePipelinePhasePrompt(this.config, this.currentPhase, formData, phaseOutputs, persona);
+    return { report, formData };
   }
 
   /**
@@ -213,7 +242,7 @@ export class Workflow {
      * @returns {void}
      */
   savePhaseOutput(output) {
-    const phaseKey = /** @type {'phase1_output' | 'phase2_output' | 'phase3_output'} */ (`phase${this.currentPhase}_output`);
+    const phaseKey = `phase${this.currentPhase}_output`;
     this.project[phaseKey] = output;
     this.project.updatedAt = new Date().toISOString();
   }
@@ -227,6 +256,25 @@ export class Workflow {
     return getPhaseOutputInternal(this.project, phaseNumber);
   }
 
+  /**
+     * Get the final output of the most recent archived review round
+     * @returns {string}
+     */
+  getLastRoundOutput() {
+    const rounds = this.project.reviewRounds || [];
+    const last = rounds[rounds.length - 1];
+    return last?.phases?.[this.config.phaseCount]?.response || '';
+  }
+
+  /**
+     * Get the draft the current review round works from:
+     * the previous round's final output, or the Phase 1 draft in round 1
+     * @returns {string}
+     */
+  getReviewDraft() {
+    return this.getLastRoundOutput() || this.getPhaseOutput(1);
+  }
+
   /**
      * Export the project as a Markdown document
      * @returns {string}
@@ -238,8 +286,9 @@ export class Workflow {
     md += `**Created**: ${new Date(this.project.createdAt).toLocaleDateString()}\n`;
     md += `**Last Updated**: ${new Date(this.project.updatedAt).toLocaleDateString()}\n\n`;
 
-    // Include final output (Phase 3) as the main content
-    const finalOutput = this.getPhaseOutput(3);
+    // Include the final phase output as the main content, falling back to
+    // the last archived round while a new review round is in progress
+    const finalOutput = this.getPhaseOutput(this.config.phaseCount) || this.getLastRoundOutput();
     if (finalOutput) {
       md += finalOutput;
     }
@@ -253,7 +302,7 @@ export class Workflow {
      * @returns {number}
      */
   getProgress() {
-    return Math.round((this.currentPhase / WORKFLOW_CONFIG.phaseCount) * 100);
+    return Math.round((this.currentPhase / this.config.phaseCount) * 100);
   }
 
   /**
@@ -262,7 +311,7 @@ export class Workflow {
      */
   getLastCompletedPhase() {
     // Check phases in reverse order to find the last one with output
-    for (let i = WORKFLOW_CONFIG.phaseCount; i >= 1; i--) {
+    for (let i = this.config.phaseCount; i >= 1; i--) {
       const output = this.getPhaseOutput(i);
       if (output) {
         return { phase: i, response: output };
@@ -275,22 +324,36 @@ export class Workflow {
 /**
  * Get metadata for a specific phase
  * @param {number} phaseNumber
+ * @param {string} [pipelineId] - Pipeline id (default pipeline if omitted)
  * @returns {import('./types.js').PhaseConfig | undefined}
  */
-export function getPhaseMetadata(phaseNumber) {
-  return WORKFLOW_CONFIG.phases.find(p => p.number === phaseNumber);
+export function getPhaseMetadata(phaseNumber, pipelineId) {
+  return getPipelinePhaseMetadata(phaseNumber, pipelineId);
 }
 
 /**
  * Generate the prompt for a specific phase
  * @param {import('./types.js').Project} project
  * @param {number} phaseNumber
+ * @param {import('./types.js').Persona} [persona] - Review panel member (panel phases only)
  * @returns {Promise<string>}
  */
-export async function generatePromptForPhase(project, phaseNumber) {
+export async function generatePromptForPhase(project, phaseNumber, persona) {
+  const workflow = new Workflow(project);
+  workflow.currentPhase = phaseNumber;
+  return await workflow.generatePrompt(persona);
+}
+
+/**
+ * Estimate the prompt size for a specific phase
+ * @param {import('./types.js').Project} project
+ * @param {number} phaseNumber
+ * @returns {Promise<{ report: import('./prompt-budget.js').BudgetReport, formData: Object }>}
+ */
+export async function measurePromptForPhase(project, phaseNumber) {
   const workflow = new Workflow(project);
   workflow.currentPhase = phaseNumber;
-  return await workflow.generatePrompt();
+  return await workflow.measurePrompt();
 }
 
 /**
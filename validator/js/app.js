@@ -5,6 +5,8 @@
 import { validateStrategicProposal } from './validator.js';
 import { showToast, copyToClipboard, debounce, getScoreColor, showPromptModal, createStorage } from './core/index.js';
 import { generateCritiquePrompt, generateRewritePrompt, generateLLMScoringPrompt } from './prompts.js';
+import { isAIRunnerEnabled, runChatCompletion } from '../../shared/js/ai-runner.js';
+import { showAIRunnerSettingsModal } from '../../shared/js/ai-runner-settings.js';
 
 // ============================================================
 // State
@@ -14,6 +16,7 @@ let currentResult = null;
 let _lastSavedContent = ''; // eslint-disable-line no-unused-vars -- reserved for future dirty-state tracking
 let currentPrompt = null;
 let isLLMMode = false;
+let runController = null;
 
 // Initialize storage with factory
 const storage = createStorage('strategic-proposal-validator-history');
@@ -50,6 +53,10 @@ const modeLabelLLM = document.getElementById('mode-label-llm');
 const btnCopyLLMPrompt = document.getElementById('btn-copy-llm-prompt');
 const btnViewLLMPrompt = document.getElementById('btn-view-llm-prompt');
 const btnOpenClaudeLLM = document.getElementById('btn-open-claude-llm');
+const btnRunCritique = document.getElementById('btn-run-critique');
+const btnRunRewrite = document.getElementById('btn-run-rewrite');
+const btnAIRunnerSettings = document.getElementById('btn-ai-runner-settings');
+const aiRunOutput = document.getElementById('ai-run-output');
 
 // ============================================================
 // Score Display
@@ -252,6 +259,96 @@ function handleRewrite() {
   });
 }
 
+// ============================================================
+// Local AI Endpoint
+// ============================================================
+
+function updateRunButtons() {
+  const enabled = isAIRunnerEnabled();
+  btnRunCritique?.classList.toggle('hidden', !enabled);
+  btnRunRewrite?.classList.toggle('hidden', !enabled);
+}
+
+async function handleRunnerSettings() {
+  const saved = await showAIRunnerSettingsModal();
+  if (saved) {
+    updateRunButtons();
+    showToast(saved.enabled ? `Run buttons enabled for ${saved.model}` : 'Local AI endpoint disabled', 'success', toastContainer);
+  }
+}
+
+/**
+ * Send a critique or rewrite prompt to the local endpoint.
+ * Critiques stream into the output panel; rewrites stream into the editor
+ * after saving the current text as a version so it can be restored with ◀.
+ * @param {'Critique' | 'Rewrite'} type
+ */
+async function runPrompt(type) {
+  const button = type === 'Critique' ? btnRunCritique : btnRunRewrite;
+  if (runController) {
+    runController.abort();
+    return;
+  }
+
+  const content = editor.value || '';
+  if (!content || !currentResult) {
+    showToast('Add some content first', 'warning', toastContainer);
+    return;
+  }
+
+  const prompt = type === 'Critique'
+    ? generateCritiquePrompt(content, currentResult)
+    : generateRewritePrompt(content, currentResult);
+  currentPrompt = { text: prompt, type };
+  enableViewPromptButton();
+
+  if (type === 'Rewrite') {
+    storage.saveVersion(content);
+    updateVersionDisplay();
+  }
+
+  const idleLabel = button.textContent;
+  button.textContent = '■ Stop';
+  runController = new AbortController();
+  const target = type === 'Critique' ? aiRunOutput : editor;
+  if (type === 'Critique') {
+    aiRunOutput.classList.remove('hidden');
+    aiRunOutput.textContent = '';
+  }
+
+  try {
+    const response = await runChatCompletion(prompt, {
+      signal: runController.signal,
+      onToken: (_token, text) => {
+        if (type === 'Critique') {
+          target.textContent = text;
+        } else {
+          target.value = text;
+        }
+        target.scrollTop = target.scrollHeight;
+      }
+    });
+
+    if (type === 'Rewrite') {
+      editor.value = response.trim();
+      runValidation();
+      handleSave();
+    }
+    showToast(`${type} complete`, 'success', toastContainer);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      showToast(`${type} cancelled`, 'info', toastContainer);
+    } else {
+      console.error(`Failed to run ${type.toLowerCase()}:`, error);
+      showToast(`${type} failed: ${error.message}`, 'error', toastContainer);
+    }
+    if (type === 'Rewrite') runValidation();
+  } finally {
+    runController = null;
+    button.textContent = idleLabel;
+  }
+}
+
 // ============================================================
 // Scoring Mode Toggle
 // ============================================================
@@ -421,6 +518,10 @@ function init() {
 
   btnCritique.addEventListener('click', handleCritique);
   btnRewrite.addEventListener('click', handleRewrite);
+  btnRunCritique?.addEventListener('click', () => runPrompt('Critique'));
+  btnRunRewrite?.addEventListener('click', () => runPrompt('Rewrite'));
+  btnAIRunnerSettings?.addEventListener('click', handleRunnerSettings);
+  updateRunButtons();
   btnSave.addEventListener('click', handleSave);
   btnBack.addEventListener('click', handleGoBack);
   btnForward.addEventListener('click', handleGoForward);
@@ -33,7 +33,7 @@ const REQUIRED_SECTIONS = [
 ];
 
 // Problem statement patterns
-const PROBLEM_PATTERNS = {
+export const PROBLEM_PATTERNS = {
   problemSection: /^(#+\s*)?(problem|challenge|issue|opportunity|context|current.?state)/im,
   problemLanguage: /\b(problem|challenge|issue|opportunity|gap|limitation|constraint|blocker|barrier|pain.?point)\b/gi,
   urgency: /\b(urgent|critical|immediate|priority|time.sensitive|deadline|window|opportunity.cost)\b/gi,
@@ -86,7 +86,7 @@ const METRICS_PATTERNS = {
 };
 
 // Stakeholder patterns - compounded from business-justification-assistant adversarial review
-const STAKEHOLDER_PATTERNS = {
+export const STAKEHOLDER_PATTERNS = {
   stakeholderSection: /^(#+\s*)?(stakeholder|team|owner|raci|responsible|approval)/im,
   stakeholderLanguage: /\b(stakeholder|owner|lead|team|responsible|accountable|raci|sponsor|approver)\b/gi,
   // Extended stakeholder concerns - includes FP&A, People Team, C-suite